@@ -1,116 +1,30 @@
 import { useState, useMemo, useEffect } from "react";
 import AuthPage from "./components/AuthPage";
-import { supabase } from "./components/supabaseClient";
+import { db } from "./services/storage";
+import { startOutboxSync, writeThroughOutbox } from "./services/storage/outbox";
 import { signOut } from "./components/authService";
 import { Toaster } from "react-hot-toast";
 import { v4 as uuidv4 } from "uuid";
 import TradeLog from "./components/TradeLog";
 import Dashboard from "./components/Dashboard";
 import WeeklyReview from "./components/WeeklyReview";
+import PeriodReview from "./components/PeriodReview";
+import StrategyReport from "./components/StrategyReport";
 import Settings from "./components/Settings";
 import AccountCreation from "./components/AccountCreation"; // adjust if App.jsx is in /src/components
+import SyncStatus from "./components/SyncStatus";
+import { useAccountSpecs } from "./hooks/useAccountSpecs";
+import { useTradingRules } from "./hooks/useTradingRules";
+import {
+  getPipValue,
+  getPointMultiplier,
+  getQuoteConversionRate,
+  calculateLotSize,
+} from "./utils/instruments";
+import { normalizeTradeForDB, denormalizeTradeRow } from "./utils/tradeModel";
 
 
 // ------------------- Helpers -------------------
-// --- Helpers for DB normalization ---
-/**
- * Normalizes a trade object for Supabase upsert operation.
- * Ensures all keys match the database schema exactly (e.g., uses 'afterimage' not 'after_image').
- */
-const normalizeTradeForDB = (trade, userId, currentAccountId) => {
-  if (!trade) return null;
-
-  if (!userId || !currentAccountId) {
-    console.warn(
-      "normalizeTradeForDB skipped: Missing userId or currentAccountId for trade:",
-      trade.id
-    );
-    return null;
-  }
-
-  const normalizedTrade = {
-    // Required foreign keys
-    user_id: userId,
-    account_id: currentAccountId,
-
-    pair: trade.pair || trade.symbol || null,
-    type: trade.type || null,
-
-    entry_date: trade.entryDate
-      ? new Date(trade.entryDate).toISOString()
-      : null,
-    entry_price: trade.entryPrice ?? null,
-
-    sl: trade.sl ?? null,
-    tp: trade.tp ?? null,
-    risk: trade.risk ?? 0,
-    ratio: trade.ratio ?? null,
-
-    lot_size: trade.lotSize ?? null,
-    value_per_pip: trade.valuePerPip ?? null,
-
-    status: trade.status || "open",
-
-    // ✅ CRITICAL FIX: Match schema columns 'beforeimage' and 'afterimage'
-    beforeimage: trade.beforeImage || null,
-    afterimage: trade.afterImage || null,
-
-    exit_date: trade.exitDate ? new Date(trade.exitDate).toISOString() : null,
-    exit_price: trade.exitPrice ?? null,
-
-    points: trade.points ?? null,
-    pnl_currency: trade.pnlCurrency ?? null,
-    pnl_percent: trade.pnlPercent ?? null,
-
-    session: trade.session || null,
-    strategy: trade.strategy || null,
-    note: trade.note || null,
-
-    created_at: trade.created_at || new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-  };
-
-  // Preserve the ID for updates (Fix for the previous "no rows to upsert" error)
-  if (trade.id) {
-    normalizedTrade.id = trade.id;
-  }
-
-  // 🚨 DEBUG: Check final normalized keys
-  console.debug(
-    "normalizeTradeForDB normalized keys check:",
-    Object.keys(normalizedTrade).filter((k) => k.includes("image"))
-  );
-
-  return normalizedTrade;
-};
-
-const denormalizeTradeRow = (r) => ({
-  id: r.id,
-  pair: r.pair,
-  type: r.type,
-  entryDate: r.entry_date ?? r.entrydate ?? r.entryDate ?? "",
-  entryPrice: r.entry_price ?? r.entryprice ?? r.entryPrice ?? null,
-  stopLoss: r.sl ?? r.stoploss ?? null,
-  takeProfit: r.tp ?? r.takeprofit ?? null,
-  risk: r.risk ?? 0,
-  lotSize: r.lot_size ?? r.lotsize ?? r.lotSize ?? 0,
-  valuePerPip: r.value_per_pip ?? r.valuePerPip ?? 0,
-  status: r.status ?? "closed",
-  ratio: r.ratio ?? null,
-  beforeImage: r.before_image ?? r.beforeimage ?? r.beforeImage ?? null,
-  afterImage: r.after_image ?? r.afterimage ?? r.afterImage ?? null,
-  exitDate: r.exit_date ?? r.exitdate ?? r.exitDate ?? null,
-  exitPrice: r.exit_price ?? r.exitprice ?? r.exitPrice ?? null,
-  points: r.points ?? null,
-  pnlCurrency: r.pnl_currency ?? r.pnlcurrency ?? r.pnlCurrency ?? null,
-  pnlPercent: r.pnl_percent ?? r.pnlpercent ?? r.pnlPercent ?? null,
-  session: r.session ?? "",
-  strategy: r.strategy ?? "",
-  note: r.note ?? null,
-  created_at: r.created_at,
-  updated_at: r.updated_at,
-});
-
 // Helper: get ISO week number
 const getWeekNumber = (d) => {
   const date = new Date(d);
@@ -196,9 +110,6 @@ export default function App() {
   const [withdrawAmount, setWithdrawAmount] = useState("");
   const [deposits, setDeposits] = useState([]);
   const [withdrawals, setWithdrawals] = useState([]);
-  const [dailyDetailsOpen, setDailyDetailsOpen] = useState(false);
-  const [selectedDay, setSelectedDay] = useState(null); // 'YYYY-MM-DD' string
-  const [selectedDayTrades, setSelectedDayTrades] = useState([]);
   const [showAccountCreation, setShowAccountCreation] = useState(false);
 
 
@@ -220,10 +131,21 @@ export default function App() {
   // Trade management state
   const [tradesOpen, setTradesOpen] = useState([]);
   const [tradesHistory, setTradesHistory] = useState([]);
-  const [activeTab, setActiveTab] = useState("dashboard");
+  // The page lives in the URL (?tab=) next to the trade filters so a
+  // filtered Dashboard / Weekly Review can be bookmarked
+  const [activeTab, setActiveTab] = useState(
+    () => new URLSearchParams(window.location.search).get("tab") || "dashboard"
+  );
   const [selectedWeek, setSelectedWeek] = useState(getWeekNumber(new Date()));
   const [dashboardView, setDashboardView] = useState("overview");
 
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (url.searchParams.get("tab") === activeTab) return;
+    url.searchParams.set("tab", activeTab);
+    window.history.replaceState(window.history.state, "", url);
+  }, [activeTab]);
+
   // --- Utility Functions ---
   const parseNumber = (val) =>
     val === "" || isNaN(Number(val)) ? 0 : Number(val);
@@ -240,28 +162,18 @@ export default function App() {
     return Number(n).toFixed(2);
   };
 
-  const vpValues = {
-    "EUR/USD": 10.0,
-    "GBP/USD": 10.0,
-    "USD/JPY": 6.8,
-    "XAU/USD": 10.0,
-    "USD/CAD": 7.3,
-    "AUD/USD": 10.0,
-    "USD/CHF": 12.4,
-  };
-  const getAdjustedVP = (pair, accountType) => {
-    const base = vpValues[pair] || 0;
-    if (!base) return 0;
-    if (!accountType) accountType = "Standard";
-    if (accountType.toLowerCase() === "mini") return base / 10;
-    if (accountType.toLowerCase() === "micro") return base / 100;
-    return base;
-  };
-  const getMultiplier = (pair) => {
-    if (pair === "XAU/USD") return 100;
-    if (pair === "USD/JPY") return 1000;
-    return 100000;
-  };
+  // Pip values and points come from the instrument catalog (Settings → Instruments)
+  // as the account's broker profile specifies it, in the account currency
+  const { instruments, pricing } = useAccountSpecs(userId, {
+    currency,
+    broker_profile_id: accounts.find((a) => a.id === currentAccountId)?.broker_profile_id,
+  });
+  const getAdjustedVP = (pair, accountType) => getPipValue(pair, accountType, instruments, pricing);
+
+  // Daily risk limit from the account's trading rules (Settings → Trading Rules)
+  const [tradingRules] = useTradingRules(userId, currentAccountId);
+  const dailyRiskLimit = tradingRules.dailyRiskPercent.value;
+  const getMultiplier = (pair) => getPointMultiplier(pair, instruments);
 
   // --- Equity Calculation ---
   const equity1 = useMemo(() => {
@@ -389,7 +301,7 @@ export default function App() {
   useEffect(() => {
     const initAuth = async () => {
       // ✅ Load current session on refresh
-      const { data, error } = await supabase.auth.getSession();
+      const { data, error } = await db.auth.getSession();
       if (error) {
         console.error("Error getting session:", error.message);
       }
@@ -403,7 +315,7 @@ export default function App() {
     initAuth();
 
     // ✅ Subscribe to auth changes
-    const { data: subscription } = supabase.auth.onAuthStateChange(
+    const { data: subscription } = db.auth.onAuthStateChange(
       (event, session) => {
         if (session?.user) {
           setUser(session.user);
@@ -421,7 +333,13 @@ export default function App() {
     };
   }, []);
 
-  // ✅ Fixed: Use UPSERT instead of delete+insert
+  // --- Offline outbox: replay queued trade writes when back online ---
+  useEffect(() => {
+    if (!userId) return;
+    return startOutboxSync({ userId });
+  }, [userId]);
+
+  // ✅ Upsert every trade through the sync outbox (no delete+insert)
   const persistJournal = async (openTrades, historyTrades) => {
     console.log("🟢 persistJournal called", {
       userId,
@@ -437,43 +355,44 @@ export default function App() {
       return;
     }
 
+    // Lifecycle comes from the list a trade is in; `status` stays the
+    // trade's own Valid/Invalid classification.
     const allTrades = [
-      ...(openTrades || []).map((t) => ({ ...t, status: "open" })),
-      ...(historyTrades || []).map((t) => ({ ...t, status: "closed" })),
+      ...(openTrades || []).map((t) => ({ ...t, state: "Active" })),
+      ...(historyTrades || []).map((t) => ({ ...t, state: "Closed" })),
     ];
 
     const rows = allTrades
       .filter((t) => !!t.id)
-      .map((t) => normalizeTradeForDB(t, userId, currentAccountId));
+      .map((t) => ({
+        row: normalizeTradeForDB(t, userId, currentAccountId),
+        baseUpdatedAt: t.updated_at ?? null,
+      }));
 
     if (rows.length === 0) {
-      console.log("⚠️ No trades to persist, skipping Supabase upsert.");
+      console.log("⚠️ No trades to persist, skipping sync.");
       return;
     }
 
-    console.log("💾 Attempting to save to Supabase:", rows);
-
-    const { data, error } = await supabase
-      .from("trades")
-      .upsert(rows, { onConflict: ["id"] });
-
-    if (error) {
-      console.error("❌ Supabase trade save error:", {
-        message: error.message,
-        details: error.details,
-        hint: error.hint,
+    // Same path as every other trade write: queued offline, conflicts parked.
+    const counts = {};
+    for (const { row, baseUpdatedAt } of rows) {
+      const { status } = await writeThroughOutbox({
+        table: "trades",
+        op: "upsert",
+        row,
+        baseUpdatedAt,
       });
-    } else {
-      console.log(
-        `✅ Successfully saved ${data?.length ?? 0} trades to Supabase.`
-      );
+      counts[status] = (counts[status] || 0) + 1;
     }
+
+    console.debug("[persistJournal] Trade writes:", counts);
   };
 
   // Load journal from Supabase (returns row or null)
   const loadJournalFromSupabase = async (uid, accountId) => {
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from("trades")
         .select("*")
         .eq("user_id", uid)
@@ -490,8 +409,8 @@ export default function App() {
         return null;
       }
 
-      const openTrades = data.filter((t) => t.status === "open");
-      const closedTrades = data.filter((t) => t.status === "closed");
+      const openTrades = data.filter((t) => t.state === "Active");
+      const closedTrades = data.filter((t) => t.state === "Closed");
 
       return { trades_open: openTrades, trades_history: closedTrades };
     } catch (err) {
@@ -513,7 +432,7 @@ const persistAccountState = async () => {
     updated_by: userId,
   };
 
-  const { error } = await supabase
+  const { error } = await db
     .from("account")
     .update(accountData)
     .eq("id", currentAccountId);
@@ -531,7 +450,7 @@ useEffect(() => {
 
   const loadAccounts = async () => {
     try {
-      const { data: accountsRows, error } = await supabase
+      const { data: accountsRows, error } = await db
         .from("account") // ✅ actual table name
         .select("*")
         .eq("user_id", userId)
@@ -663,16 +582,19 @@ useEffect(() => {
   };
 
   const calculateLotSize_live = (fd = formData) => {
-    const pair = fd.pair;
-    if (!capital || !pair) return 0;
-    const stopPointsSigned = calculateStopLossPoints_live(fd);
-    const stopPoints = Math.abs(stopPointsSigned);
-    if (stopPoints === 0) return 0;
+    if (!capital || !fd.pair) return 0;
     const riskDecimal = parseNumber(fd.risk) / 100;
-    const vp = getAdjustedVP(pair, fd.accountType);
-    if (vp === 0) return 0;
-    const lot = (riskDecimal * capital) / (vp * stopPoints);
-    return Number(lot);
+    return calculateLotSize(
+      {
+        symbol: fd.pair,
+        entry: parseNumber(fd.price),
+        stop: parseNumber(fd.sl),
+        riskAmount: riskDecimal * capital,
+        accountType: fd.accountType,
+        ...pricing,
+      },
+      instruments
+    );
   };
 
   // --- Form Handlers ---
@@ -718,6 +640,7 @@ useEffect(() => {
       risk: parseFloat(formData.risk),
       lotSize: lot,
       valuePerPip: Number(vpAtSave) || 0,
+      conversionRate: getQuoteConversionRate(formData.pair, pricing, instruments),
       ratio: ratio,
       beforeImage: formData.beforeImage?.trim() || null,
       session: formData.session || "",
@@ -807,7 +730,6 @@ useEffect(() => {
   const dailyRiskData = useMemo(() => {
     // combine history + open trades (fixed spread)
     const allTrades = [...tradesHistory, ...tradesOpen];
-    const DAILY_RISK_LIMIT_PERCENT = 5; // Re-defined for this memo
 
     const dailyRiskMap = allTrades.reduce((acc, trade) => {
       const date = trade.entryDate
@@ -828,9 +750,9 @@ useEffect(() => {
     return sortedDates.map((date) => ({
       date,
       risk: Number(dailyRiskMap[date].toFixed(2)),
-      dailyLimit: DAILY_RISK_LIMIT_PERCENT,
+      dailyLimit: dailyRiskLimit,
     }));
-  }, [tradesHistory, tradesOpen]);
+  }, [tradesHistory, tradesOpen, dailyRiskLimit]);
 
   /* --- weeklyDailyRiskData (depends on dailyRiskData) --- */
   const weeklyDailyRiskData = useMemo(() => {
@@ -844,15 +766,15 @@ useEffect(() => {
 
   /* --- riskDomain (compute AFTER weeklyDailyRiskData) --- */
   const riskDomain = useMemo(() => {
-    const DAILY_RISK_LIMIT_PERCENT = 5; // Re-defined for this memo
+    const limit = dailyRiskLimit ?? 0;
     if (!weeklyDailyRiskData || weeklyDailyRiskData.length === 0) {
-      return [0, DAILY_RISK_LIMIT_PERCENT];
+      return [0, limit];
     }
     const values = weeklyDailyRiskData.map((d) => d.risk);
     const min = Math.min(...values);
-    const max = Math.max(...values, DAILY_RISK_LIMIT_PERCENT);
+    const max = Math.max(...values, limit);
     return [Math.max(0, Math.floor(min - 1)), Math.ceil(max + 1)];
-  }, [weeklyDailyRiskData]);
+  }, [weeklyDailyRiskData, dailyRiskLimit]);
 
   const coloredBySign = (num, formatFn) => {
     if (num === null || num === undefined || isNaN(Number(num))) {
@@ -1305,6 +1227,7 @@ const renderContent = () => {
                       userId={user?.id}
                       accountId={currentAccountId}
                       capital={currentAccount?.capital}
+                      account={currentAccount}
                   />
         );
 
@@ -1321,8 +1244,6 @@ const renderContent = () => {
             accountId={currentAccountId} // ✅ Correct account ID source
             currentAccount={currentAccount}
             persistJournal={persistJournal}
-            denormalizeTradeRow={denormalizeTradeRow}
-            normalizeTradeForDB={normalizeTradeForDB}
             calculateLotSize_live={calculateLotSize_live}
             getAdjustedVP={getAdjustedVP}
             getMultiplier={getMultiplier}
@@ -1345,6 +1266,25 @@ const renderContent = () => {
            />
         );
 
+      case "periodReview":
+        return (
+          <PeriodReview
+            userId={user?.id}
+            accountId={currentAccountId}
+            capital={currentAccount?.capital}
+          />
+        );
+
+      case "strategies":
+        return (
+          <StrategyReport
+            userId={user?.id}
+            accountId={currentAccountId}
+            account={currentAccount}
+            capital={currentAccount?.capital}
+          />
+        );
+
       case "settings":
         return (
           <Settings
@@ -1390,7 +1330,14 @@ const renderContent = () => {
 
   if (!userId) {
     // If no user → show AuthPage
-    return <AuthPage onLogin={(uid) => setUserId(uid)} />;
+    return (
+      <AuthPage
+        onLogin={(loggedInUser) => {
+          setUser(loggedInUser);
+          setUserId(loggedInUser?.id ?? null);
+        }}
+      />
+    );
   }
 
   // ✅ Main app after login
@@ -1528,6 +1475,26 @@ return (
                 >
                   Weekly Review
                 </button>
+                <button
+                  onClick={() => setActiveTab("periodReview")}
+                  className={
+                    activeTab === "periodReview"
+                      ? styles.activeTab
+                      : styles.inactiveTab
+                  }
+                >
+                  Period Review
+                </button>
+                <button
+                  onClick={() => setActiveTab("strategies")}
+                  className={
+                    activeTab === "strategies"
+                      ? styles.activeTab
+                      : styles.inactiveTab
+                  }
+                >
+                  Strategies
+                </button>
                 <button
                   onClick={() => setActiveTab("settings")}
                   className={
@@ -1539,6 +1506,9 @@ return (
                   Settings
                 </button>
               </div>
+              <div className="ml-4 flex items-center">
+                <SyncStatus />
+              </div>
             </nav>
           </header>
 
@@ -1,7 +1,9 @@
 // src/components/AccountCreation.jsx
 import { useState, useEffect } from "react";
-import { supabase } from "./supabaseClient";
+import { db } from "../services/storage";
 import toast from "react-hot-toast";
+import { useBrokerProfiles } from "../hooks/useBrokerProfiles";
+import { CHALLENGE_PHASES, DEFAULT_CHALLENGE, DRAWDOWN_MODES, isChallengeAccount } from "../utils/challenge";
 import {
   Zap,
   DollarSign,
@@ -11,6 +13,18 @@ import {
   Target,
 } from "lucide-react";
 
+const TIME_ZONES =
+  typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+
+const isTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
 function AccountCreation({
   account = null, // pass existing account for edit mode
   userId: userIdProp = null,
@@ -27,15 +41,19 @@ function AccountCreation({
   const [accountType, setAccountType] = useState("Standard"); // Standard | Mini | Micro
   const [currency, setCurrency] = useState("USD"); // USD | USC | GBP | EUR | Other
   const [customCurrency, setCustomCurrency] = useState("");
+  const [brokerProfileId, setBrokerProfileId] = useState("");
   const [depositEnabled, setDepositEnabled] = useState(true);
   const [withdrawEnabled, setWithdrawEnabled] = useState(true);
   const [targetPercent, setTargetPercent] = useState(""); // only for Challenge
+  const [challenge, setChallenge] = useState(DEFAULT_CHALLENGE); // only for Challenge
   const [loading, setLoading] = useState(false);
   const [errorMsg, setErrorMsg] = useState("");
 
   // Show existing capital on edit (read-only)
   const [existingCapital, setExistingCapital] = useState(0);
 
+  const [brokerProfiles] = useBrokerProfiles(userId);
+
   // Resolve session user id if not provided
   useEffect(() => {
     const resolveUser = async () => {
@@ -44,7 +62,7 @@ function AccountCreation({
         return;
       }
       try {
-        const { data: sessionData } = await supabase.auth.getSession();
+        const { data: sessionData } = await db.auth.getSession();
         const uid = sessionData?.session?.user?.id;
         if (uid) setUserId(uid);
       } catch (err) {
@@ -58,13 +76,15 @@ function AccountCreation({
   useEffect(() => {
     if (isEditing && account) {
       setAccountName(account.account_name || "");
-      setAccountPlan(account.account_plan || "Normal");
+      setAccountPlan(account.account_plan === "Target" ? "Challenge" : account.account_plan || "Normal");
       setAccountType(account.account_type || "Standard");
       setCurrency(account.currency || "USD");
       setCustomCurrency(account.currency && !["USD", "USC", "GBP", "EUR"].includes(account.currency) ? account.currency : "");
+      setBrokerProfileId(account.broker_profile_id || "");
       setDepositEnabled(account.deposit_enabled ?? true);
       setWithdrawEnabled(account.withdrawal_enabled ?? true);
       setTargetPercent(account.target != null ? String(account.target) : "");
+      setChallenge({ ...DEFAULT_CHALLENGE, ...(account.challenge || {}) });
       setExistingCapital(account.capital ?? 0);
     } else {
       // Defaults for new account
@@ -73,9 +93,11 @@ function AccountCreation({
       setAccountType("Standard");
       setCurrency("USD");
       setCustomCurrency("");
+      setBrokerProfileId("");
       setDepositEnabled(true);
       setWithdrawEnabled(true);
       setTargetPercent("");
+      setChallenge(DEFAULT_CHALLENGE);
       setExistingCapital(0);
     }
   }, [isEditing, account]);
@@ -100,6 +122,7 @@ function AccountCreation({
       account_plan: accountPlan === "Target" ? "Target" : (accountPlan === "Challenge" ? "Target" : accountPlan), // Accept "Target" if using that term
       account_type: accountType,
       currency: finalCurrency,
+      broker_profile_id: brokerProfileId || null,
       deposit_enabled: !!depositEnabled,
       withdrawal_enabled: !!withdrawEnabled,
       updated_at: new Date().toISOString(),
@@ -116,9 +139,22 @@ function AccountCreation({
 
     // challenge/target fields
     if (accountPlan === "Challenge" || accountPlan === "Target") {
+      const num = (v) => (v === "" || v === null || v === undefined ? null : Number(v));
       payload.target = targetPercent ? Number(targetPercent) : null;
+      payload.challenge = {
+        phase: challenge.phase,
+        maxDailyLossPercent: num(challenge.maxDailyLossPercent),
+        maxDrawdownPercent: num(challenge.maxDrawdownPercent),
+        drawdownMode: challenge.drawdownMode,
+        minTradingDays: num(challenge.minTradingDays),
+        timeLimitDays: num(challenge.timeLimitDays),
+        startDate: challenge.startDate || null,
+        startingBalance: num(challenge.startingBalance),
+        timeZone: (challenge.timeZone || "").trim(),
+      };
     } else {
       payload.target = null;
+      payload.challenge = null;
     }
 
     return payload;
@@ -133,7 +169,7 @@ function AccountCreation({
       // --- ensure user id ---
       let finalUserId = userId;
       if (!finalUserId) {
-        const { data: sessionData, error: sessionErr } = await supabase.auth.getSession();
+        const { data: sessionData, error: sessionErr } = await db.auth.getSession();
         if (sessionErr) throw new Error("Failed to fetch session. Please login again.");
         finalUserId = sessionData?.session?.user?.id;
       }
@@ -150,16 +186,32 @@ function AccountCreation({
         // we set capital = 0 in payload, but also validate that
       }
 
-      // For Challenge plan, require target percentage
-      if ((accountPlan === "Challenge" || accountPlan === "Target") && (!targetPercent && targetPercent !== 0)) {
+      // For Challenge plan, require target percentage (funded accounts have none)
+      const needsTarget = (accountPlan === "Challenge" || accountPlan === "Target") && challenge.phase !== "funded";
+      if (needsTarget && (!targetPercent && targetPercent !== 0)) {
         throw new Error("Please enter a target percentage for Challenge accounts.");
       }
-      if ((accountPlan === "Challenge" || accountPlan === "Target") && isNaN(Number(targetPercent))) {
+      if (needsTarget && isNaN(Number(targetPercent))) {
         throw new Error("Target must be a valid number (percentage).");
       }
-      if ((accountPlan === "Challenge" || accountPlan === "Target") && Number(targetPercent) <= 0) {
+      if (needsTarget && Number(targetPercent) <= 0) {
         throw new Error("Target percentage must be greater than zero.");
       }
+      if (
+        (accountPlan === "Challenge" || accountPlan === "Target") &&
+        ["maxDailyLossPercent", "maxDrawdownPercent", "minTradingDays", "timeLimitDays", "startingBalance"].some(
+          (key) => challenge[key] !== "" && challenge[key] !== null && !(Number(challenge[key]) >= 0)
+        )
+      ) {
+        throw new Error("Challenge limits must be numbers of 0 or more.");
+      }
+      if (
+        (accountPlan === "Challenge" || accountPlan === "Target") &&
+        challenge.timeZone?.trim() &&
+        !isTimeZone(challenge.timeZone.trim())
+      ) {
+        throw new Error(`"${challenge.timeZone}" is not a time zone.`);
+      }
 
       // --- Prepare payload ---
       const payload = buildAccountPayload();
@@ -168,7 +220,7 @@ function AccountCreation({
       let result;
       if (isEditing) {
         // Update existing account
-        const { data, error } = await supabase
+        const { data, error } = await db
           .from("account")
           .update(payload)
           .eq("id", account.id)
@@ -189,7 +241,7 @@ function AccountCreation({
         payload.profit = 0;
         payload.equity = 0;
 
-        const { data, error } = await supabase
+        const { data, error } = await db
           .from("account")
           .insert([payload])
           .select()
@@ -265,6 +317,26 @@ function AccountCreation({
           </select>
         </div>
 
+        {/* Broker Profile */}
+        <div>
+          <label className="block text-sm text-gray-300 mb-1">Broker Profile</label>
+          <select
+            value={brokerProfileId}
+            onChange={(e) => setBrokerProfileId(e.target.value)}
+            className="w-full px-3 py-2 rounded-lg bg-gray-900 border border-gray-700 focus:ring-purple-500 focus:border-purple-500 outline-none"
+          >
+            <option value="">Default contract specs</option>
+            {brokerProfiles.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Manage profiles in Settings → Broker Profiles.
+          </p>
+        </div>
+
         {/* Currency (Normal plan only) */}
         {accountPlan === "Normal" && (
           <div>
@@ -303,6 +375,12 @@ function AccountCreation({
             <h4 className="text-md font-semibold text-purple-400 flex items-center gap-2">
               <Target size={16} /> Challenge Plan
             </h4>
+            {isEditing && !isChallengeAccount(account) && (
+              <p className="text-xs text-yellow-300">
+                This account has no challenge rules yet. Saving it sets up the rules below and
+                shows the challenge on the Dashboard.
+              </p>
+            )}
 
             <div>
               <label className="block text-sm text-gray-300 mb-1">Account Target (%)</label>
@@ -315,6 +393,77 @@ function AccountCreation({
                 className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 focus:ring-purple-500 focus:border-purple-500 outline-none"
               />
             </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm text-gray-300 mb-1">Phase</label>
+                <select
+                  value={challenge.phase}
+                  onChange={(e) => setChallenge((prev) => ({ ...prev, phase: e.target.value }))}
+                  className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 focus:ring-purple-500 focus:border-purple-500 outline-none"
+                >
+                  {CHALLENGE_PHASES.map((p) => (
+                    <option key={p.value} value={p.value}>
+                      {p.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm text-gray-300 mb-1">Drawdown Type</label>
+                <select
+                  value={challenge.drawdownMode}
+                  onChange={(e) => setChallenge((prev) => ({ ...prev, drawdownMode: e.target.value }))}
+                  className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 focus:ring-purple-500 focus:border-purple-500 outline-none"
+                >
+                  {DRAWDOWN_MODES.map((m) => (
+                    <option key={m.value} value={m.value}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {[
+                ["maxDailyLossPercent", "Max Daily Loss (%)", "number"],
+                ["maxDrawdownPercent", "Max Overall Drawdown (%)", "number"],
+                ["minTradingDays", "Min Trading Days", "number"],
+                ["timeLimitDays", "Time Limit (days)", "number"],
+                ["startDate", "Phase Start Date", "date"],
+                ["startingBalance", "Starting Balance ($)", "number"],
+              ].map(([key, label, type]) => (
+                <div key={key}>
+                  <label className="block text-sm text-gray-300 mb-1">{label}</label>
+                  <input
+                    type={type}
+                    step="any"
+                    min="0"
+                    value={challenge[key] ?? ""}
+                    onChange={(e) => setChallenge((prev) => ({ ...prev, [key]: e.target.value }))}
+                    placeholder={key === "startingBalance" ? "Net deposits" : "None"}
+                    className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 focus:ring-purple-500 focus:border-purple-500 outline-none"
+                  />
+                </div>
+              ))}
+              <div className="col-span-2">
+                <label className="block text-sm text-gray-300 mb-1">Server Time Zone (daily reset)</label>
+                <input
+                  list="challenge-time-zones"
+                  value={challenge.timeZone ?? ""}
+                  onChange={(e) => setChallenge((prev) => ({ ...prev, timeZone: e.target.value }))}
+                  placeholder="Local time"
+                  className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-gray-700 focus:ring-purple-500 focus:border-purple-500 outline-none"
+                />
+                <datalist id="challenge-time-zones">
+                  {TIME_ZONES.map((tz) => (
+                    <option key={tz} value={tz} />
+                  ))}
+                </datalist>
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              Leave a limit blank if the firm has none. Limits are a percentage of the
+              starting balance; the Dashboard tracks them against your closed trades.
+            </p>
           </div>
         )}
 
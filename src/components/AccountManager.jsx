@@ -2,7 +2,7 @@
 import { useState, useEffect } from "react";
 import { v4 as uuidv4 } from "uuid";
 import toast from "react-hot-toast";
-import { supabase } from "./supabaseClient";
+import { db } from "../services/storage";
 import AccountCreation from "./AccountCreation";
 
 function AccountManager({
@@ -40,7 +40,7 @@ function AccountManager({
   useEffect(() => {
     const loadUser = async () => {
       try {
-        const { data } = await supabase.auth.getSession();
+        const { data } = await db.auth.getSession();
         const uid = data?.session?.user?.id;
         if (uid) setUserId(uid);
       } catch (err) {
@@ -58,7 +58,7 @@ function AccountManager({
     if (!userId) return;
     setLoadingAccounts(true);
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from("account")
         .select("*")
         .eq("user_id", userId)
@@ -91,7 +91,7 @@ function AccountManager({
     }
     setTxLoading(true);
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from("transactions")
         .select("*")
         .eq("account_id", accountId)
@@ -139,7 +139,7 @@ function AccountManager({
   const exportAccountData = async (account) => {
     try {
       // fetch transactions for the account from DB (fresh)
-      const { data: txData, error: txError } = await supabase
+      const { data: txData, error: txError } = await db
         .from("transactions")
         .select("*")
         .eq("account_id", account.id)
@@ -175,7 +175,7 @@ function AccountManager({
   const deleteAccount = async (accountId) => {
     try {
       // delete transactions first for safety
-      const { error: delTxErr } = await supabase
+      const { error: delTxErr } = await db
         .from("transactions")
         .delete()
         .eq("account_id", accountId);
@@ -183,7 +183,7 @@ function AccountManager({
       if (delTxErr) throw delTxErr;
 
       // then delete the account
-      const { error: delAccErr } = await supabase
+      const { error: delAccErr } = await db
         .from("account")
         .delete()
         .eq("id", accountId);
@@ -322,7 +322,7 @@ function AccountManager({
 
     try {
       // insert transaction
-      const { data: txData, error: txError } = await supabase
+      const { data: txData, error: txError } = await db
         .from("transactions")
         .insert([tx])
         .select()
@@ -334,7 +334,7 @@ function AccountManager({
       const newCapital = (activeAccount.capital || 0) + amount;
       const newEquity = newCapital + (activeAccount.profit || 0);
 
-      const { data: accData, error: accError } = await supabase
+      const { data: accData, error: accError } = await db
         .from("account")
         .update({ capital: newCapital, equity: newEquity, updated_at: new Date().toISOString() })
         .eq("id", activeAccount.id)
@@ -369,7 +369,7 @@ function AccountManager({
     const amount = parseFloat(txForm.amount);
     try {
       // re-fetch account to get the latest profit/capital
-      const { data: refreshedAccount, error: refErr } = await supabase
+      const { data: refreshedAccount, error: refErr } = await db
         .from("account")
         .select("*")
         .eq("id", activeAccount.id)
@@ -414,7 +414,7 @@ function AccountManager({
         created_at: new Date().toISOString(),
       };
 
-      const { data: txData, error: txError } = await supabase
+      const { data: txData, error: txError } = await db
         .from("transactions")
         .insert([tx])
         .select()
@@ -423,7 +423,7 @@ function AccountManager({
 
       // update account balances
       const newEquity = capital + profit;
-      const { data: accData, error: accError } = await supabase
+      const { data: accData, error: accError } = await db
         .from("account")
         .update({ capital, profit, equity: newEquity, updated_at: new Date().toISOString() })
         .eq("id", activeAccount.id)
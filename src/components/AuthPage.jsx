@@ -1,6 +1,13 @@
 // src/components/AuthPage.jsx
 import { useState } from "react";
 import { signUp, signIn, signInWithGoogle } from "./authService"; 
+import {
+  getStorageBackend,
+  isSupabaseAvailable,
+  isTauri,
+  signInLocally,
+  STORAGE_BACKENDS,
+} from "../services/storage";
 
 function AuthPage({ onLogin }) {
   const [mode, setMode] = useState("login"); // "login" or "signup"
@@ -8,6 +15,7 @@ function AuthPage({ onLogin }) {
   const [password, setPassword] = useState("");
   const [errorMsg, setErrorMsg] = useState("");
   const [loading, setLoading] = useState(false);
+  const [backend, setBackend] = useState(getStorageBackend()); // "supabase" | "local"
 
   // --- Handle Email/Password Login or Signup ---
   const handleSubmit = async (e) => {
@@ -58,6 +66,25 @@ function AuthPage({ onLogin }) {
     }
   };
 
+  // --- Local (offline) journal ---
+  const handleLocalSignIn = async () => {
+    setLoading(true);
+    setErrorMsg("");
+    try {
+      const { data, error } = await signInLocally();
+      if (error) {
+        setErrorMsg(error.message || "Could not open the local journal.");
+        return;
+      }
+      onLogin(data.user);
+    } catch (err) {
+      console.error("Local journal error:", err);
+      setErrorMsg("Could not open the local journal.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // --- Google OAuth Sign-In ---
   const handleGoogleSignIn = async () => {
     setLoading(true);
@@ -80,6 +107,54 @@ function AuthPage({ onLogin }) {
         {mode === "login" ? "Welcome Back" : "Start Tracking"}
       </h2>
 
+      {/* Storage Backend Switch */}
+      <div className="flex bg-gray-900 rounded-lg p-1 mb-6 text-sm">
+        {[
+          { value: STORAGE_BACKENDS.SUPABASE, label: "Cloud Sync" },
+          { value: STORAGE_BACKENDS.LOCAL, label: "Local Only" },
+        ].map((opt) => (
+          <button
+            key={opt.value}
+            type="button"
+            disabled={opt.value === STORAGE_BACKENDS.SUPABASE && !isSupabaseAvailable()}
+            onClick={() => {
+              setBackend(opt.value);
+              setErrorMsg("");
+            }}
+            className={`flex-1 py-2 rounded-md font-semibold transition-colors disabled:opacity-40 ${
+              backend === opt.value
+                ? "bg-purple-600 text-white"
+                : "text-gray-400 hover:text-white"
+            }`}
+          >
+            {opt.label}
+          </button>
+        ))}
+      </div>
+
+      {backend === STORAGE_BACKENDS.LOCAL ? (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-400 text-center">
+            Your journal is stored only on this device
+            {isTauri() ? " in a SQLite file" : " in the browser"}. No account or
+            internet connection is needed.
+          </p>
+
+          {errorMsg && (
+            <p className="text-red-400 text-sm text-center font-medium">{errorMsg}</p>
+          )}
+
+          <button
+            type="button"
+            onClick={handleLocalSignIn}
+            disabled={loading}
+            className="w-full px-4 py-3 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-semibold disabled:opacity-50 transition-all shadow-md"
+          >
+            {loading ? "Opening..." : "Open Local Journal"}
+          </button>
+        </div>
+      ) : (
+      <>
       {/* Email/Password Form */}
       <form onSubmit={handleSubmit} className="space-y-4">
         <input
@@ -205,6 +280,8 @@ function AuthPage({ onLogin }) {
           </>
         )}
       </p>
+      </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,269 @@
+// src/components/BrokerProfilesEditor.jsx
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { useBrokerProfiles } from "../hooks/useBrokerProfiles";
+import { useInstrumentCatalog } from "../hooks/useInstrumentCatalog";
+import { createBrokerProfile, toBrokerSymbol } from "../utils/brokerProfiles";
+
+const inputClass =
+  "w-full p-2 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+const cellClass =
+  "w-full p-1 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+
+const SYMBOL_COLUMNS = [
+  { key: "brokerSymbol", label: "Broker Symbol", text: true },
+  { key: "contractSize", label: "Contract" },
+  { key: "minLot", label: "Min Lot" },
+  { key: "lotStep", label: "Lot Step" },
+  { key: "swapLong", label: "Swap Long" },
+  { key: "swapShort", label: "Swap Short" },
+];
+
+// Drop empty cells so only real overrides are stored
+const cleanSymbols = (symbols = {}) => {
+  const out = {};
+  Object.entries(symbols).forEach(([symbol, spec]) => {
+    const kept = {};
+    SYMBOL_COLUMNS.forEach(({ key, text }) => {
+      const v = spec?.[key];
+      if (v === "" || v === null || v === undefined) return;
+      kept[key] = text ? String(v).trim() : Number(v);
+    });
+    if (Object.keys(kept).length) out[symbol] = kept;
+  });
+  return out;
+};
+
+// ------------------------------
+// Settings → Broker Profiles: per-broker contract specs linked to accounts
+// ------------------------------
+export default function BrokerProfilesEditor({ userId }) {
+  const [profiles, setProfiles] = useBrokerProfiles(userId);
+  const [instruments] = useInstrumentCatalog(userId);
+  const [selectedId, setSelectedId] = useState("");
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Load the selected profile into the form
+  useEffect(() => {
+    if (!selectedId) return;
+    setDraft(profiles.find((p) => p.id === selectedId) || null);
+  }, [selectedId, profiles]);
+
+  const update = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+
+  const updateSymbol = (symbol, field, value) =>
+    setDraft((prev) => ({
+      ...prev,
+      symbols: { ...prev.symbols, [symbol]: { ...(prev.symbols?.[symbol] || {}), [field]: value } },
+    }));
+
+  const handleNew = () => {
+    setSelectedId("");
+    setDraft(createBrokerProfile("New Broker"));
+  };
+
+  const handleSave = async () => {
+    if (!draft.name?.trim()) {
+      toast.error("Give the profile a name");
+      return;
+    }
+    const scale = draft.lotScale || {};
+    if (["standard", "mini", "micro"].some((k) => !(Number(scale[k]) > 0))) {
+      toast.error("Lot scale must be greater than 0 for every account type");
+      return;
+    }
+
+    const cleaned = {
+      ...draft,
+      name: draft.name.trim(),
+      symbolSuffix: (draft.symbolSuffix || "").trim(),
+      commissionPerLot: Number(draft.commissionPerLot) || 0,
+      lotScale: {
+        standard: Number(scale.standard),
+        mini: Number(scale.mini),
+        micro: Number(scale.micro),
+      },
+      symbols: cleanSymbols(draft.symbols),
+    };
+    const exists = profiles.some((p) => p.id === cleaned.id);
+    const next = exists
+      ? profiles.map((p) => (p.id === cleaned.id ? cleaned : p))
+      : [...profiles, cleaned];
+
+    setSaving(true);
+    const { error } = await setProfiles(next);
+    setSaving(false);
+    if (error) {
+      toast.error("Failed to save broker profile");
+      return;
+    }
+    setSelectedId(cleaned.id);
+    toast.success(`Saved "${cleaned.name}"`);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete broker profile "${draft.name}"? Linked accounts fall back to the default specs.`)) return;
+    const { error } = await setProfiles(profiles.filter((p) => p.id !== draft.id));
+    if (error) {
+      toast.error("Failed to delete broker profile");
+      return;
+    }
+    setSelectedId("");
+    setDraft(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Contract sizes, lot steps, symbol names and costs as your broker defines
+        them. Link a profile to an account in the Account Manager; lot sizing,
+        close previews and imports for that account then use these specs.
+      </p>
+
+      <div className="flex gap-2">
+        <select
+          value={selectedId}
+          onChange={(e) => {
+            setSelectedId(e.target.value);
+            if (!e.target.value) setDraft(null);
+          }}
+          className={`${inputClass} max-w-xs`}
+        >
+          <option value="">— Select a profile —</option>
+          {profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleNew}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-white text-sm"
+        >
+          + New Profile
+        </button>
+      </div>
+
+      {draft && (
+        <div className="space-y-4 p-4 bg-gray-900 rounded-xl border border-gray-700">
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Name</label>
+              <input
+                value={draft.name}
+                onChange={(e) => update("name", e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Symbol Suffix</label>
+              <input
+                value={draft.symbolSuffix}
+                onChange={(e) => update("symbolSuffix", e.target.value)}
+                placeholder=".m, pro, -ecn"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">
+                Commission per Lot (round turn)
+              </label>
+              <input
+                type="number"
+                step="any"
+                value={draft.commissionPerLot}
+                onChange={(e) => update("commissionPerLot", e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">
+              Contract share per lot by account type (Standard = 1)
+            </label>
+            <div className="grid grid-cols-3 gap-3">
+              {["standard", "mini", "micro"].map((k) => (
+                <div key={k}>
+                  <span className="text-xs text-gray-500 capitalize">{k}</span>
+                  <input
+                    type="number"
+                    step="any"
+                    value={draft.lotScale?.[k] ?? ""}
+                    onChange={(e) => update("lotScale", { ...draft.lotScale, [k]: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <p className="text-xs text-gray-400 mb-1">
+              Per-symbol overrides (leave blank to use the instrument catalog). Swap is
+              per lot per night in the account currency.
+            </p>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400">
+                  <th className="p-1">Symbol</th>
+                  {SYMBOL_COLUMNS.map((c) => (
+                    <th key={c.key} className="p-1">
+                      {c.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {instruments.map((inst) => (
+                  <tr key={inst.symbol} className="border-t border-gray-700">
+                    <td className="p-1 text-gray-300">{inst.symbol}</td>
+                    {SYMBOL_COLUMNS.map((c) => (
+                      <td key={c.key} className="p-1">
+                        <input
+                          type={c.text ? "text" : "number"}
+                          step="any"
+                          value={draft.symbols?.[inst.symbol]?.[c.key] ?? ""}
+                          placeholder={
+                            c.text
+                              ? toBrokerSymbol(draft, inst.symbol)
+                              : inst[c.key] !== undefined
+                                ? String(inst[c.key])
+                                : ""
+                          }
+                          onChange={(e) => updateSymbol(inst.symbol, c.key, e.target.value)}
+                          className={cellClass}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-between">
+            {profiles.some((p) => p.id === draft.id) ? (
+              <button
+                onClick={handleDelete}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded-lg text-white text-sm"
+              >
+                Delete Profile
+              </button>
+            ) : (
+              <span />
+            )}
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-6 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-medium disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save Profile"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+// src/components/ChallengePanel.jsx
+import React, { useMemo } from "react";
+import { CheckCircle, XCircle, Target } from "lucide-react";
+import { CHALLENGE_PHASES, challengeFromAccount, evaluateChallenge } from "../utils/challenge";
+
+const fmtMoney = (v) =>
+  Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const STATUS_STYLES = {
+  active: { label: "In Progress", className: "bg-blue-600/30 text-blue-300", icon: Target },
+  passed: { label: "Passed", className: "bg-green-600/30 text-green-300", icon: CheckCircle },
+  failed: { label: "Failed", className: "bg-red-600/30 text-red-300", icon: XCircle },
+};
+
+// One limit: how much of it is used and what is left
+const LimitBar = ({ title, used, limit, detail, good = false }) => {
+  const pct = limit > 0 ? Math.min(100, Math.max(0, (used / limit) * 100)) : 0;
+  const barColor = good ? "bg-green-500" : pct >= 80 ? "bg-red-500" : pct >= 50 ? "bg-amber-500" : "bg-blue-500";
+  return (
+    <div className="p-3 bg-gray-900 rounded-lg space-y-2">
+      <div className="flex justify-between text-sm">
+        <span className="text-gray-400">{title}</span>
+        <span className="text-gray-300">{pct.toFixed(0)}%</span>
+      </div>
+      <div className="w-full bg-gray-700 rounded-full h-2 overflow-hidden">
+        <div className={`${barColor} h-2`} style={{ width: `${pct}%` }} />
+      </div>
+      <p className="text-xs text-gray-500">{detail}</p>
+    </div>
+  );
+};
+
+// ------------------------------
+// Prop-firm challenge status for the active account (rules set when
+// creating / editing the account; see utils/challenge.js).
+// ------------------------------
+export default function ChallengePanel({ account, trades = [], transactions = [] }) {
+  const challenge = useMemo(() => challengeFromAccount(account), [account]);
+  const result = useMemo(
+    () => evaluateChallenge(challenge, { trades, transactions }),
+    [challenge, trades, transactions]
+  );
+  const { status, reasons, startingBalance, balance, profit, target, dailyLoss, drawdown, tradingDays, timeLimit } =
+    result;
+  const style = STATUS_STYLES[status];
+  const StatusIcon = style.icon;
+  const phaseLabel = CHALLENGE_PHASES.find((p) => p.value === challenge.phase)?.label;
+
+  return (
+    <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-xl font-semibold text-white">
+          Challenge · {phaseLabel}
+          {challenge.startDate && (
+            <span className="text-sm text-gray-400 font-normal"> (since {challenge.startDate})</span>
+          )}
+        </h2>
+        <span className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm font-semibold ${style.className}`}>
+          <StatusIcon size={16} /> {style.label}
+        </span>
+      </div>
+
+      {reasons.length > 0 && (
+        <ul className="text-sm text-gray-300 list-disc pl-5">
+          {reasons.map((r) => (
+            <li key={r}>{r}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
+        <div className="p-3 bg-gray-900 rounded-lg">
+          <p className="text-gray-400">Starting Balance</p>
+          <p className="text-lg font-semibold text-white">${fmtMoney(startingBalance)}</p>
+        </div>
+        <div className="p-3 bg-gray-900 rounded-lg">
+          <p className="text-gray-400">Balance (closed trades)</p>
+          <p className="text-lg font-semibold text-white">${fmtMoney(balance)}</p>
+        </div>
+        <div className="p-3 bg-gray-900 rounded-lg">
+          <p className="text-gray-400">Profit</p>
+          <p className={`text-lg font-semibold ${profit >= 0 ? "text-green-400" : "text-red-400"}`}>
+            {profit >= 0 ? "+" : "-"}${fmtMoney(Math.abs(profit))}
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {target && (
+          <LimitBar
+            title="Profit Target"
+            used={Math.max(0, target.used)}
+            limit={target.limit}
+            good
+            detail={
+              target.reached
+                ? `Reached $${fmtMoney(target.limit)}`
+                : `$${fmtMoney(target.left)} to go of $${fmtMoney(target.limit)}`
+            }
+          />
+        )}
+        {dailyLoss && (
+          <LimitBar
+            title="Daily Loss (today)"
+            used={dailyLoss.used}
+            limit={dailyLoss.limit}
+            detail={`$${fmtMoney(dailyLoss.left)} left of $${fmtMoney(dailyLoss.limit)}${
+              dailyLoss.worstDay.day ? ` · worst day ${dailyLoss.worstDay.day}: -$${fmtMoney(-dailyLoss.worstDay.pnl)}` : ""
+            }`}
+          />
+        )}
+        {drawdown && (
+          <LimitBar
+            title={`Max Drawdown (${drawdown.mode})`}
+            used={drawdown.limit - drawdown.left}
+            limit={drawdown.limit}
+            detail={`$${fmtMoney(drawdown.left)} above the $${fmtMoney(drawdown.floor)} floor`}
+          />
+        )}
+        {tradingDays.limit !== null && (
+          <LimitBar
+            title="Trading Days"
+            used={tradingDays.used}
+            limit={tradingDays.limit}
+            good
+            detail={`${tradingDays.used} of ${tradingDays.limit} minimum`}
+          />
+        )}
+        {timeLimit && (
+          <LimitBar
+            title="Time Limit"
+            used={timeLimit.used}
+            limit={timeLimit.limit}
+            detail={`${timeLimit.left} of ${timeLimit.limit} days left`}
+          />
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Based on closed trades only; open positions are not included until they close.
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,130 @@
+// src/components/ChecklistEditor.jsx
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { usePreTradeChecklist } from "../hooks/usePreTradeChecklist";
+import { createChecklistItem } from "../utils/checklists";
+
+const cellClass =
+  "w-full p-1 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+
+// ------------------------------
+// Settings → Checklist: the global pre-trade checklist ticked in the Add
+// Trade form (or when a plan is triggered) before a trade can be saved
+// ------------------------------
+export default function ChecklistEditor({ userId }) {
+  const [items, setItems] = usePreTradeChecklist(userId);
+  const [rows, setRows] = useState(items);
+  const [saving, setSaving] = useState(false);
+
+  // Re-seed the form when the saved checklist changes (load / other tab)
+  const itemsKey = JSON.stringify(items);
+  useEffect(() => {
+    setRows(JSON.parse(itemsKey));
+  }, [itemsKey]);
+
+  const updateRow = (index, field, value) =>
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+
+  const moveRow = (index, step) =>
+    setRows((prev) => {
+      const target = index + step;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+
+  const handleSave = async () => {
+    const cleaned = [];
+    for (const row of rows) {
+      const text = row.text.trim();
+      if (!text) continue;
+      if (cleaned.some((c) => c.text === text)) {
+        toast.error(`"${text}" is on the checklist twice`);
+        return;
+      }
+      cleaned.push({ ...row, text });
+    }
+
+    setSaving(true);
+    const { error } = await setItems(cleaned);
+    setSaving(false);
+    if (error) toast.error("Failed to save checklist");
+    else toast.success("Checklist saved");
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Ticked in the Add Trade form for every market trade, and when a planned
+        trade is triggered, followed by the entry criteria of the trade's
+        strategy (Settings → Playbook). Submit Trade and Trigger Trade stay
+        disabled until every required item is ticked; optional
+        items can be skipped. The answers are saved on the trade and the
+        Dashboard compares win rates with each item satisfied or skipped.
+      </p>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-400">
+            <th className="p-1">Item</th>
+            <th className="p-1 w-24">Required</th>
+            <th className="p-1 w-40" />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={row.id} className="border-t border-gray-700">
+              <td className="p-1">
+                <input
+                  value={row.text}
+                  onChange={(e) => updateRow(i, "text", e.target.value)}
+                  placeholder="e.g. Checked the economic calendar"
+                  className={cellClass}
+                />
+              </td>
+              <td className="p-1">
+                <input
+                  type="checkbox"
+                  checked={row.required !== false}
+                  onChange={(e) => updateRow(i, "required", e.target.checked)}
+                  className="accent-purple-600"
+                />
+              </td>
+              <td className="p-1 space-x-2 text-right">
+                <button onClick={() => moveRow(i, -1)} className="text-gray-400 hover:text-white">
+                  ↑
+                </button>
+                <button onClick={() => moveRow(i, 1)} className="text-gray-400 hover:text-white">
+                  ↓
+                </button>
+                <button
+                  onClick={() => setRows((prev) => prev.filter((_, j) => j !== i))}
+                  className="text-red-400 hover:text-red-300"
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => setRows((prev) => [...prev, createChecklistItem()])}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-white"
+        >
+          + Add Item
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="ml-auto px-6 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-medium disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Checklist"}
+        </button>
+      </div>
+    </div>
+  );
+}
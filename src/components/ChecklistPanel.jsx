@@ -0,0 +1,86 @@
+// src/components/ChecklistPanel.jsx
+import React, { useMemo } from "react";
+import { GLOBAL_CHECKLIST } from "../utils/checklists";
+import { checklistItemStats } from "../utils/tradeBreakdowns";
+
+const fmtMoney = (v) =>
+  `${v < 0 ? "-" : ""}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const fmtRate = (v) => (v === null ? "–" : `${v.toFixed(0)}%`);
+
+const pnlColor = (v) => (v > 0 ? "text-green-400" : v < 0 ? "text-red-400" : "text-gray-300");
+
+function Side({ stats }) {
+  if (!stats.count) return <td className="py-2 pr-4 text-right text-gray-500" colSpan={2}>no trades</td>;
+  return (
+    <>
+      <td className="py-2 pr-2 text-right">
+        {fmtRate(stats.winRate)}
+        <span className="ml-1 text-xs text-gray-500">({stats.count})</span>
+      </td>
+      <td className={`py-2 pr-4 text-right ${pnlColor(stats.pnl)}`}>{fmtMoney(stats.pnl)}</td>
+    </>
+  );
+}
+
+// ------------------------------
+// Pre-trade checklist: win rate and P&L of trades with each item ticked
+// against trades where it was skipped
+// ------------------------------
+export default function ChecklistPanel({ trades = [], basis = "net" }) {
+  const items = useMemo(() => checklistItemStats(trades, { basis }), [trades, basis]);
+
+  return (
+    <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50">
+      <h2 className="text-xl font-semibold text-white">Pre-trade Checklist</h2>
+      {items.length === 0 ? (
+        <p className="text-gray-400 text-sm mt-2">
+          No closed trades with a checklist match the current filters. Set one up under Settings → Checklist.
+        </p>
+      ) : (
+        <div className="overflow-x-auto mt-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-gray-700">
+                <th className="py-2 pr-4">Item</th>
+                <th className="py-2 pr-4 text-right" colSpan={2}>
+                  Satisfied
+                </th>
+                <th className="py-2 pr-4 text-right" colSpan={2}>
+                  Skipped
+                </th>
+                <th className="py-2 text-right">Win rate edge</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => {
+                const edge =
+                  item.satisfied.winRate !== null && item.skipped.winRate !== null
+                    ? item.satisfied.winRate - item.skipped.winRate
+                    : null;
+                return (
+                  <tr key={`${item.source}:${item.text}`} className="border-b border-gray-700/50 text-gray-200">
+                    <td className="py-2 pr-4">
+                      {item.text}
+                      {item.source !== GLOBAL_CHECKLIST && (
+                        <span className="ml-2 text-xs text-purple-300">{item.source}</span>
+                      )}
+                    </td>
+                    <Side stats={item.satisfied} />
+                    <Side stats={item.skipped} />
+                    <td className={`py-2 text-right font-semibold ${pnlColor(edge ?? 0)}`}>
+                      {edge === null ? "–" : `${edge > 0 ? "+" : ""}${edge.toFixed(0)} pts`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            Win rate (trades) and P&L of closed trades with the item ticked vs skipped when they were saved.
+          </p>
+        </div>
+      )}
+    </section>
+  );
+}
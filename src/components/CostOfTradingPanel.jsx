@@ -0,0 +1,105 @@
+// src/components/CostOfTradingPanel.jsx
+import React, { useMemo } from "react";
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+} from "recharts";
+import { summarizeTradingCosts } from "../utils/tradingCosts";
+
+const fmtMoney = (v) =>
+  Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Paid costs are stored negative; charts show them as positive amounts
+const asPaid = (b) => ({
+  ...b,
+  commissionPaid: -b.commission,
+  swapPaid: -b.swap,
+  feesPaid: -b.fees,
+});
+
+const tooltipStyle = { backgroundColor: "#1f2937", border: "1px solid #4b5563", borderRadius: "8px" };
+
+// ------------------------------
+// Cost of trading: commission, swap and fees per pair / per month and
+// as a share of gross profit. Expects closed trades.
+// ------------------------------
+export default function CostOfTradingPanel({ trades = [], title = "Cost of Trading" }) {
+  const summary = useMemo(() => summarizeTradingCosts(trades), [trades]);
+  const { totals, grossProfit, shareOfGrossProfit } = summary;
+  const byPair = summary.byPair.slice(0, 8).map(asPaid);
+  const byMonth = summary.byMonth.slice(-12).map(asPaid);
+
+  const bars = [
+    <Bar key="commission" dataKey="commissionPaid" name="Commission" stackId="c" fill="#a78bfa" />,
+    <Bar key="swap" dataKey="swapPaid" name="Swap" stackId="c" fill="#38bdf8" />,
+    <Bar key="fees" dataKey="feesPaid" name="Fees" stackId="c" fill="#f59e0b" />,
+  ];
+
+  return (
+    <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50 space-y-6">
+      <h2 className="text-xl font-semibold text-white">{title}</h2>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+        {[
+          ["Commission", totals.commission],
+          ["Swap", totals.swap],
+          ["Fees", totals.fees],
+          ["Total Costs", totals.total],
+        ].map(([label, value]) => (
+          <div key={label} className="p-3 bg-gray-900 rounded-lg">
+            <p className="text-gray-400">{label}</p>
+            <p className={`text-lg font-semibold ${value < 0 ? "text-red-400" : "text-green-400"}`}>
+              {value >= 0 ? "+" : ""}${fmtMoney(value)}
+            </p>
+          </div>
+        ))}
+        <div className="p-3 bg-gray-900 rounded-lg">
+          <p className="text-gray-400">Share of Gross Profit</p>
+          <p className="text-lg font-semibold text-amber-400">
+            {shareOfGrossProfit === null ? "—" : `${shareOfGrossProfit.toFixed(1)}%`}
+          </p>
+          <p className="text-xs text-gray-500">of ${fmtMoney(grossProfit)} gross profit</p>
+        </div>
+      </div>
+
+      {totals.trades === 0 ? (
+        <p className="text-gray-400 text-sm">No closed trades yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="h-[260px]">
+            <h3 className="text-sm text-gray-400 mb-2">Costs by Pair</h3>
+            <ResponsiveContainer width="100%" height="90%">
+              <BarChart data={byPair} layout="vertical" margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis type="number" stroke="#9ca3af" tickFormatter={(v) => `$${fmtMoney(v)}`} />
+                <YAxis dataKey="key" type="category" stroke="#9ca3af" axisLine={false} tickLine={false} />
+                <Tooltip contentStyle={tooltipStyle} formatter={(v, name) => [`$${fmtMoney(v)}`, name]} />
+                <Legend />
+                {bars}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="h-[260px]">
+            <h3 className="text-sm text-gray-400 mb-2">Costs by Month</h3>
+            <ResponsiveContainer width="100%" height="90%">
+              <BarChart data={byMonth} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="key" stroke="#9ca3af" />
+                <YAxis stroke="#9ca3af" tickFormatter={(v) => `$${fmtMoney(v)}`} />
+                <Tooltip contentStyle={tooltipStyle} formatter={(v, name) => [`$${fmtMoney(v)}`, name]} />
+                <Legend />
+                {bars}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
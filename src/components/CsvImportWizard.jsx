@@ -0,0 +1,470 @@
+// src/components/CsvImportWizard.jsx
+import React, { useMemo, useState } from "react";
+import { toast } from "react-hot-toast";
+import Modal from "./Modal";
+import { parseCsv } from "../utils/csvUtils";
+import { useUserSetting } from "../hooks/useUserSetting";
+import { useAccountSpecs } from "../hooks/useAccountSpecs";
+import { useTradingRules } from "../hooks/useTradingRules";
+import { useSessionSettings } from "../hooks/useSessionSettings";
+import {
+  CSV_TRADE_FIELDS,
+  DATE_FORMATS,
+  createEmptyProfile,
+  guessMapping,
+  buildCsvPreview,
+} from "../services/importers/csvTrades";
+import { commitStatementImport } from "../services/importers/mtStatement";
+
+const PROFILES_KEY = "csvImportProfiles";
+
+const TIME_ZONES =
+  typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+
+const inputClass =
+  "w-full p-2 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+
+const fmtDateTime = (iso) =>
+  iso ? new Date(iso).toLocaleString([], { dateStyle: "short", timeStyle: "short" }) : "—";
+
+// ------------------------------
+// CSV import wizard: upload → map columns → validate & import
+// ------------------------------
+export default function CsvImportWizard({
+  isOpen,
+  onClose,
+  userId,
+  accountId,
+  account,
+  capital,
+  onImported,
+}) {
+  const [profiles, setProfiles] = useUserSetting(userId, PROFILES_KEY, {});
+  const specs = useAccountSpecs(userId, account);
+  const [rules] = useTradingRules(userId, accountId);
+  const [, , sessionOptions] = useSessionSettings(userId);
+  const [step, setStep] = useState("upload");
+  const [selectedProfile, setSelectedProfile] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [csvRows, setCsvRows] = useState([]);
+  const [profile, setProfile] = useState(createEmptyProfile());
+  const [preview, setPreview] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  const headers = useMemo(() => {
+    const width = Math.max(0, ...csvRows.map((r) => r.length));
+    const first = profile.hasHeader ? csvRows[0] || [] : [];
+    return Array.from({ length: width }, (_, i) => first[i] || `Column ${i + 1}`);
+  }, [csvRows, profile.hasHeader]);
+
+  const dataRows = useMemo(
+    () => (profile.hasHeader ? csvRows.slice(1) : csvRows),
+    [csvRows, profile.hasHeader]
+  );
+
+  const reset = () => {
+    setStep("upload");
+    setFileName("");
+    setCsvRows([]);
+    setPreview([]);
+    setSelected({});
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose?.();
+  };
+
+  const updateProfile = (patch) => setProfile((prev) => ({ ...prev, ...patch }));
+
+  const setFieldColumn = (field, value) =>
+    setProfile((prev) => ({
+      ...prev,
+      mapping: { ...prev.mapping, [field]: value === "" ? "" : Number(value) },
+    }));
+
+  // ------------------------------
+  // Step 1: file
+  // ------------------------------
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const rows = parseCsv(await file.text());
+      if (rows.length === 0) throw new Error("The file is empty");
+
+      const base = profiles?.[selectedProfile] || createEmptyProfile(file.name.replace(/\.[^.]+$/, ""));
+      const next = { ...createEmptyProfile(), ...base };
+      // New source: guess the mapping from the header row
+      if (!profiles?.[selectedProfile]) next.mapping = guessMapping(rows[0]);
+
+      setFileName(file.name);
+      setCsvRows(rows);
+      setProfile(next);
+      setStep("map");
+    } catch (err) {
+      console.error("[CsvImportWizard] read error:", err);
+      toast.error(err.message || "Could not read this CSV");
+    }
+  };
+
+  // ------------------------------
+  // Step 2: mapping
+  // ------------------------------
+  const handleSaveProfile = async () => {
+    const name = profile.name.trim();
+    if (!name) {
+      toast.error("Give this source a name to save the mapping");
+      return;
+    }
+    await setProfiles((prev) => ({ ...(prev || {}), [name]: { ...profile, name } }));
+    setSelectedProfile(name);
+    toast.success(`Mapping saved for "${name}"`);
+  };
+
+  const handleDeleteProfile = async (name) => {
+    await setProfiles((prev) => {
+      const next = { ...(prev || {}) };
+      delete next[name];
+      return next;
+    });
+    if (selectedProfile === name) setSelectedProfile("");
+  };
+
+  const handleValidate = async () => {
+    const missing = CSV_TRADE_FIELDS.filter(
+      (f) => f.required && (profile.mapping[f.key] === undefined || profile.mapping[f.key] === "")
+    );
+    if (missing.length) {
+      toast.error(`Map the required fields: ${missing.map((f) => f.label).join(", ")}`);
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const rows = await buildCsvPreview(dataRows, profile, {
+        userId,
+        accountId,
+        capital,
+        accountType: account?.account_type,
+        ...specs,
+        customSessions: sessionOptions.custom,
+        rules,
+      });
+      const initial = {};
+      rows.forEach((r) => (initial[r.key] = !!r.row && !r.duplicate));
+      setPreview(rows);
+      setSelected(initial);
+      setStep("preview");
+    } catch (err) {
+      console.error("[CsvImportWizard] validate error:", err);
+      toast.error("Validation failed: " + (err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ------------------------------
+  // Step 3: import
+  // ------------------------------
+  const handleImport = async () => {
+    const trades = preview.filter((r) => r.row && selected[r.key]).map((r) => r.row);
+    if (!trades.length) {
+      toast.error("Nothing selected to import");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const result = await commitStatementImport({ accountId, trades });
+      if (profile.name.trim()) {
+        const name = profile.name.trim();
+        await setProfiles((prev) => ({ ...(prev || {}), [name]: { ...profile, name } }));
+      }
+      toast.success(`Imported ${result.trades} trades`);
+      if (result.queued) {
+        toast(`${result.queued} trades saved offline — will sync when back online`, { icon: "📴" });
+      }
+      if (result.conflicts || result.rejected) {
+        toast.error(
+          `${result.conflicts + result.rejected} trades need attention — review them in the sync status`
+        );
+      }
+      onImported?.(result);
+      handleClose();
+    } catch (err) {
+      console.error("[CsvImportWizard] import error:", err);
+      toast.error("Import failed: " + (err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const validCount = preview.filter((r) => r.row).length;
+  const errorCount = preview.length - validCount;
+  const duplicateCount = preview.filter((r) => r.duplicate).length;
+  const selectedCount = preview.filter((r) => r.row && selected[r.key]).length;
+  const profileNames = Object.keys(profiles || {});
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Trades from CSV">
+      {/* === Step 1: Upload === */}
+      {step === "upload" && (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm text-gray-400 mb-1">Source / mapping profile</label>
+            <select
+              value={selectedProfile}
+              onChange={(e) => setSelectedProfile(e.target.value)}
+              className={inputClass}
+            >
+              <option value="">New source (guess columns)</option>
+              {profileNames.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            {selectedProfile && (
+              <button
+                onClick={() => handleDeleteProfile(selectedProfile)}
+                className="mt-2 text-xs text-red-400 hover:text-red-300"
+              >
+                Delete "{selectedProfile}" profile
+              </button>
+            )}
+          </div>
+
+          <input
+            type="file"
+            accept=".csv,.txt,text/csv"
+            onChange={handleFile}
+            id="csv-trades-file"
+            className="hidden"
+          />
+          <label
+            htmlFor="csv-trades-file"
+            className="w-full block text-center bg-green-600 hover:bg-green-500 text-white px-4 py-2 rounded-lg font-medium cursor-pointer transition"
+          >
+            Choose CSV File
+          </label>
+        </div>
+      )}
+
+      {/* === Step 2: Mapping === */}
+      {step === "map" && (
+        <div className="space-y-4 text-sm">
+          <p className="text-gray-400">
+            {fileName}: {dataRows.length} rows, {headers.length} columns.
+          </p>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-gray-400 mb-1">Source name</label>
+              <input
+                value={profile.name}
+                onChange={(e) => updateProfile({ name: e.target.value })}
+                placeholder="e.g. cTrader"
+                className={inputClass}
+              />
+            </div>
+            <label className="flex items-center gap-2 mt-6">
+              <input
+                type="checkbox"
+                checked={profile.hasHeader}
+                onChange={(e) => updateProfile({ hasHeader: e.target.checked })}
+              />
+              First row is a header
+            </label>
+            <div>
+              <label className="block text-gray-400 mb-1">Date format</label>
+              <select
+                value={profile.dateFormat}
+                onChange={(e) => updateProfile({ dateFormat: e.target.value })}
+                className={inputClass}
+              >
+                {DATE_FORMATS.map((f) => (
+                  <option key={f.value} value={f.value}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-400 mb-1">Time zone of the file</label>
+              <input
+                list="csv-time-zones"
+                value={profile.timeZone}
+                onChange={(e) => updateProfile({ timeZone: e.target.value })}
+                className={inputClass}
+              />
+              <datalist id="csv-time-zones">
+                {TIME_ZONES.map((tz) => (
+                  <option key={tz} value={tz} />
+                ))}
+              </datalist>
+            </div>
+            <div>
+              <label className="block text-gray-400 mb-1">Long values</label>
+              <input
+                value={profile.longValues}
+                onChange={(e) => updateProfile({ longValues: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-400 mb-1">Short values</label>
+              <input
+                value={profile.shortValues}
+                onChange={(e) => updateProfile({ shortValues: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <table className="w-full">
+            <thead className="text-gray-400 text-left">
+              <tr>
+                <th className="p-1">Field</th>
+                <th className="p-1">CSV column</th>
+                <th className="p-1">Sample</th>
+              </tr>
+            </thead>
+            <tbody>
+              {CSV_TRADE_FIELDS.map((f) => {
+                const col = profile.mapping[f.key];
+                const sample = col === undefined || col === "" ? "" : dataRows[0]?.[col] ?? "";
+                return (
+                  <tr key={f.key} className="border-t border-gray-700">
+                    <td className="p-1">
+                      {f.label}
+                      {f.required && <span className="text-red-400"> *</span>}
+                    </td>
+                    <td className="p-1">
+                      <select
+                        value={col ?? ""}
+                        onChange={(e) => setFieldColumn(f.key, e.target.value)}
+                        className={inputClass}
+                      >
+                        <option value="">— not mapped —</option>
+                        {headers.map((h, i) => (
+                          <option key={i} value={i}>
+                            {h}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="p-1 text-gray-400 truncate max-w-[10rem]">{sample}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div className="flex justify-between gap-2">
+            <button onClick={reset} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded">
+              Back
+            </button>
+            <div className="flex gap-2">
+              <button
+                onClick={handleSaveProfile}
+                className="px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded"
+              >
+                Save Mapping
+              </button>
+              <button
+                onClick={handleValidate}
+                disabled={busy}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded disabled:opacity-50"
+              >
+                {busy ? "Validating..." : "Validate Rows"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* === Step 3: Preview === */}
+      {step === "preview" && (
+        <div className="space-y-4 text-sm">
+          <p className="text-gray-300">
+            {validCount} valid rows
+            {errorCount > 0 && <span className="text-red-400">, {errorCount} with errors</span>}
+            {duplicateCount > 0 && (
+              <span className="text-yellow-400">, {duplicateCount} already imported</span>
+            )}
+            .
+          </p>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead className="text-gray-400 text-left">
+                <tr>
+                  <th className="p-1"></th>
+                  <th className="p-1">Line</th>
+                  <th className="p-1">Pair</th>
+                  <th className="p-1">Type</th>
+                  <th className="p-1">Entry</th>
+                  <th className="p-1">Exit</th>
+                  <th className="p-1">PnL</th>
+                  <th className="p-1">Issues</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((r) => (
+                  <tr
+                    key={r.key}
+                    className={`border-t border-gray-700 ${r.row && selected[r.key] ? "" : "opacity-60"}`}
+                  >
+                    <td className="p-1">
+                      <input
+                        type="checkbox"
+                        disabled={!r.row}
+                        checked={!!selected[r.key]}
+                        onChange={() => setSelected((prev) => ({ ...prev, [r.key]: !prev[r.key] }))}
+                      />
+                    </td>
+                    <td className="p-1">{r.line}</td>
+                    <td className="p-1">{r.row?.pair ?? "—"}</td>
+                    <td className="p-1">{r.row?.type ?? "—"}</td>
+                    <td className="p-1">{fmtDateTime(r.row?.entry_date)}</td>
+                    <td className="p-1">{fmtDateTime(r.row?.exit_date)}</td>
+                    <td className="p-1">{r.row?.pnl_currency ?? "—"}</td>
+                    <td className="p-1 space-y-0.5">
+                      {r.errors.map((e) => (
+                        <div key={e} className="text-red-400">{e}</div>
+                      ))}
+                      {r.warnings.map((w) => (
+                        <div key={w} className="text-orange-400">{w}</div>
+                      ))}
+                      {r.duplicate && <div className="text-yellow-400">Duplicate</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-between gap-2">
+            <button
+              onClick={() => setStep("map")}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded"
+            >
+              Back to Mapping
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={busy || selectedCount === 0}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded disabled:opacity-50"
+            >
+              {busy ? "Importing..." : `Import ${selectedCount} Trades`}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
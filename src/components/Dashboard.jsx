@@ -12,7 +12,23 @@ import {
     Bar,
     Cell,
 } from "recharts";
-import { supabase } from "./supabaseClient"; 
+import { db } from "../services/storage";
+import { tradeCosts, tradePnl } from "../utils/tradeModel";
+import CostOfTradingPanel from "./CostOfTradingPanel";
+import StopManagementPanel from "./StopManagementPanel";
+import ChallengePanel from "./ChallengePanel";
+import DrawdownPanel from "./DrawdownPanel";
+import PnLCalendar from "./PnLCalendar";
+import TimeAnalysisPanel from "./TimeAnalysisPanel";
+import ChecklistPanel from "./ChecklistPanel";
+import TagPerformancePanel from "./TagPerformancePanel";
+import PerformanceMetricsPanel from "./PerformanceMetricsPanel";
+import TradeFilterBar from "./TradeFilterBar";
+import { useTradeFilters } from "../hooks/useTradeFilters";
+import { applyTradeFilters, hasActiveFilters, resolveDateRange } from "../utils/tradeFilters";
+import { isChallengeAccount } from "../utils/challenge";
+import { useAccountSpecs } from "../hooks/useAccountSpecs";
+import { isExecutedTrade } from "../utils/tradeLifecycle";
 import { ArrowUpCircle, ArrowDownCircle, AlertTriangle, TrendingUp, DollarSign, Zap, RefreshCw, Percent, Calendar } from "lucide-react";
 
 // --- Constants ---
@@ -56,11 +72,11 @@ const groupBy = (arr, keyFn) => {
 };
 
 /**
- * Utility to get the current authenticated Supabase User ID.
+ * Utility to get the current authenticated user ID from the active storage backend.
  * The dashboard uses this to scope fetches, but relies on props for the account context.
  */
 const getUserIdFromSupabase = async () => {
-    const { data: { user } } = await supabase.auth.getUser();
+    const { data: { user } } = await db.auth.getUser();
     return user?.id || null;
 }
 
@@ -73,10 +89,11 @@ const getUserIdFromSupabase = async () => {
 export default function Dashboard({ 
     accountId,      // The active account ID
     capital,        // The starting capital of the active account
+    account = null, // The active account row (challenge rules)
     fmt2 = (v) => Number(v || 0).toFixed(2) 
 }) {
     // Initial state set using props, falling back to 0/null if App hasn't loaded them yet
-    const [trades, setTrades] = useState([]);
+    const [allTrades, setAllTrades] = useState([]);
     const [transactions, setTransactions] = useState([]); 
     const [loading, setLoading] = useState(true);
     const [localUserId, setLocalUserId] = useState(null);
@@ -101,6 +118,18 @@ export default function Dashboard({
     const [equityData, setEquityData] = useState([]);
     const [pairProfit, setPairProfit] = useState([]);
     const [dayProfit, setDayProfit] = useState([]);
+    // "net" (after commission, swap and fees) or "gross"
+    const [pnlBasis, setPnlBasis] = useState("net");
+    // Catalog and pricing of the account, so R is priced like in the Trade Log
+    const { instruments, pricing } = useAccountSpecs(localUserId, account ?? undefined);
+    const accountType = account?.account_type;
+
+    // Shared filter bar (kept in the URL) for the trade analytics. Account
+    // figures (equity, its curve, drawdown, challenge) use every executed trade.
+    const [filters, setFilters] = useTradeFilters();
+    const trades = useMemo(() => applyTradeFilters(allTrades, filters), [allTrades, filters]);
+    // Equity, its curve and drawdown always cover the whole account
+    const unfilteredNote = hasActiveFilters(filters) ? "Whole account · filters not applied" : "";
 
 
     // --- Data Fetching (Supabase & Local Storage) ---
@@ -127,7 +156,7 @@ export default function Dashboard({
             const cachedData = JSON.parse(localStorage.getItem(cacheKey));
             if (cachedData && !initialLoadComplete) {
                 console.log("Dashboard: Loaded data from local cache.");
-                setTrades(cachedData.trades || []);
+                setAllTrades((cachedData.trades || []).filter(isExecutedTrade));
                 setTransactions(cachedData.transactions || []);
                 // If capital is cached, use it, otherwise rely on the prop/default
                 setDbCapital(safeNum(cachedData.capital) || safeNum(capital));
@@ -150,18 +179,19 @@ export default function Dashboard({
         // --- MODIFICATION END ---
 
         // --- Fetch Trade Data (Unchanged)
-        const { data: tradesData } = await supabase
+        const { data: tradesData } = await db
             .from("trades")
             // Fetch necessary fields for history (type is 'Buy/Sell') and analytics
-            .select("pnl_currency, pair, entry_date, exit_date, note, type") 
+            .select("id, pnl_currency, commission, swap, fees, pair, entry_date, trade_time, exit_date, note, type, entry_price, lot_size, value_per_pip, sl, tp, initial_sl, initial_tp, sl_tp_events, plan_outcome, state, status, rule_violations, checklist, tags, risk, legs, session, strategy") 
             .eq("user_id", userId)
             .eq("account_id", currentAccountIdProp) 
             .order("entry_date", { ascending: true });
         
-        setTrades(tradesData || []);
+        // Ideas, pending orders and skipped plans were never traded
+        setAllTrades((tradesData || []).filter(isExecutedTrade));
 
         // --- Fetch Transaction Data (Unchanged)
-        const { data: txnData } = await supabase
+        const { data: txnData } = await db
             .from("transactions")
             // Fetch necessary fields for history (type is 'deposit/withdrawal')
             .select("date, type, amount, description") 
@@ -195,9 +225,9 @@ export default function Dashboard({
 
     // --- COMPUTED: Unified History (Trades + Transactions) ---
     const combinedHistory = useMemo(() => {
-        if (!trades.length && !transactions.length) return [];
+        if (!allTrades.length && !transactions.length) return [];
         
-const tradeHistory = trades
+const tradeHistory = allTrades
     // Only include closed trades with non-zero PnL
     .filter((t) => (t.exit_date && safeNum(t.pnl_currency ?? 0) !== 0))
     .map(t => ({
@@ -226,7 +256,17 @@ const tradeHistory = trades
         
         return merged;
 
-    }, [trades, transactions]);
+    }, [allTrades, transactions]);
+
+
+    // Equity before any movement: the equity curve's "Start" point
+    const startingEquity = useMemo(() => {
+        const netTransactions = transactions.reduce((sum, t) => {
+            const amount = safeNum(t.amount ?? 0);
+            return sum + (t.type.toLowerCase() === 'deposit' ? amount : -amount);
+        }, 0);
+        return safeNum(dbCapital) - netTransactions;
+    }, [transactions, dbCapital]);
 
 
     // --- Computation (Analytics) ---
@@ -236,23 +276,22 @@ const tradeHistory = trades
         const closedTrades = trades.filter((t) => (t.exit_date));
         const totalTrades = closedTrades.length; 
         
-        const totalTradePnL = closedTrades.reduce((sum, t) => sum + safeNum(t.pnl_currency ?? 0), 0);
-        
-        const netTransactions = transactions.reduce((sum, t) => {
-            const amount = safeNum(t.amount ?? 0);
-            return sum + (t.type.toLowerCase() === 'deposit' ? amount : -amount);
-        }, 0);
+        // Equity always moves by the net result; the PnL figures follow the chosen basis
+        const totalTradePnL = closedTrades.reduce((sum, t) => sum + tradePnl(t, pnlBasis), 0);
+        const accountNetPnL = allTrades
+            .filter((t) => t.exit_date)
+            .reduce((sum, t) => sum + tradePnl(t, "net"), 0);
+        const totalCosts = closedTrades.reduce((sum, t) => sum + tradeCosts(t), 0);
         
         // Equity = Starting Capital + Net Transactions + Total PnL
-        const currentEquity = safeNum(dbCapital) + totalTradePnL;
-        const originalStartingCapital = safeNum(dbCapital) - netTransactions;
+        const currentEquity = safeNum(dbCapital) + accountNetPnL;
         
         const totalPnLPercent = dbCapital > 0 ? (totalTradePnL / dbCapital) * 100 : 0;
         
         // Win/Loss/Break-even Rates (based on original logic)
-        const wins = closedTrades.filter((t) => safeNum(t.pnl_currency ?? 0) > 0).length;
-        const losses = closedTrades.filter((t) => safeNum(t.pnl_currency ?? 0) < 0).length;
-        const breakevens = closedTrades.filter((t) => safeNum(t.pnl_currency ?? 0) === 0).length;
+        const wins = closedTrades.filter((t) => tradePnl(t, pnlBasis) > 0).length;
+        const losses = closedTrades.filter((t) => tradePnl(t, pnlBasis) < 0).length;
+        const breakevens = closedTrades.filter((t) => tradePnl(t, pnlBasis) === 0).length;
         const closedCount = closedTrades.length || 1;
         const winRate = (wins / closedCount) * 100;
         const lossRate = (losses / closedCount) * 100;
@@ -263,7 +302,7 @@ const tradeHistory = trades
         const pairProfitArr = Object.entries(byPair).map(([pair, items]) => ({
             pair,
             count: items.length,
-            pnl: items.reduce((s, it) => s + safeNum(it.pnl_currency ?? 0), 0),
+            pnl: items.reduce((s, it) => s + tradePnl(it, pnlBasis), 0),
         })).sort((a, b) => b.pnl - a.pnl);
 
         const dayOrder = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
@@ -277,12 +316,12 @@ const tradeHistory = trades
         const dayProfitArr = Object.entries(byDay).map(([day, items]) => ({
             day,
             count: items.length,
-            pnl: items.reduce((s, it) => s + safeNum(it.pnl_currency ?? 0), 0),
+            pnl: items.reduce((s, it) => s + tradePnl(it, pnlBasis), 0),
         })).sort((a, b) => dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day));
 
 
         // Equity chart data: Combine ALL movements and sort by date ascending
-        let runningEquity = originalStartingCapital;
+        let runningEquity = startingEquity;
         const equityChart = [{ label: "Start", equity: Number(runningEquity.toFixed(2)) }];
 
         const allMovements = [...combinedHistory].sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
@@ -300,6 +339,7 @@ const tradeHistory = trades
         setStats({
             totalTrades: totalTrades,
             totalPnLCurrency: totalTradePnL,
+            totalCosts,
             totalPnLPercent: Number(totalPnLPercent.toFixed(2)),
             currentEquity,
             winRate: Number(winRate.toFixed(2)),
@@ -311,8 +351,10 @@ const tradeHistory = trades
         setEquityData(equityChart);
         setPairProfit(pairProfitArr);
         setDayProfit(dayProfitArr);
-    }, [trades, transactions, dbCapital, accountId, combinedHistory]); 
+    }, [trades, allTrades, dbCapital, accountId, combinedHistory, pnlBasis, startingEquity]); 
+
 
+    const closedTradesForCosts = useMemo(() => trades.filter((t) => t.exit_date), [trades]);
 
     if (loading && !initialLoadComplete) {
         return (
@@ -339,7 +381,7 @@ const tradeHistory = trades
     }
     
     // --- No Data State (Account is selected, but no trades/capital exist) ---
-    const hasData = trades.length > 0 || transactions.length > 0 || dbCapital > 0;
+    const hasData = allTrades.length > 0 || transactions.length > 0 || dbCapital > 0;
     
     if (!hasData) {
         return (
@@ -361,10 +403,32 @@ const tradeHistory = trades
     // --- Main Render ---
     return (
         <div className="p-4 md:p-8 space-y-8 bg-gray-900 min-h-screen">
-            <h1 className="text-4xl font-extrabold text-white">
-                Dashboard Analytics (Account: {accountId?.substring(0, 8)}...)
-            </h1>
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <h1 className="text-4xl font-extrabold text-white">
+                    Dashboard Analytics (Account: {accountId?.substring(0, 8)}...)
+                </h1>
+                {/* Net / Gross PnL basis */}
+                <div className="flex bg-gray-800 rounded-lg p-1 border border-gray-700/50">
+                    {["net", "gross"].map((basis) => (
+                        <button
+                            key={basis}
+                            onClick={() => setPnlBasis(basis)}
+                            className={`px-4 py-1.5 rounded-md text-sm font-semibold capitalize ${pnlBasis === basis ? "bg-purple-600 text-white" : "text-gray-400 hover:text-white"}`}
+                        >
+                            {basis} PnL
+                        </button>
+                    ))}
+                </div>
+            </div>
             
+            {/* --- Prop-firm challenge status --- */}
+            {isChallengeAccount(account) && (
+                <ChallengePanel account={account} trades={allTrades} transactions={transactions} />
+            )}
+
+            {/* --- Filters for the trade analytics (not equity or drawdown) --- */}
+            <TradeFilterBar filters={filters} onChange={setFilters} trades={allTrades} />
+
             {/* --- Main Equity and Performance Row --- */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
                 <DashboardCard 
@@ -372,14 +436,14 @@ const tradeHistory = trades
                     value={`$${fmt2(stats.currentEquity)}`} 
                     icon={DollarSign} 
                     colorClass="text-green-400"
-                    subValue={`Starting Capital: $${fmt2(dbCapital)}`}
+                    subValue={`Starting Capital: $${fmt2(dbCapital)}${unfilteredNote ? ` · ${unfilteredNote}` : ""}`}
                 />
                 <DashboardCard 
-                    title="Total Trade PnL" 
+                    title={pnlBasis === "gross" ? "Gross Trade PnL" : "Net Trade PnL"} 
                     value={`${stats.totalPnLCurrency >= 0 ? '+' : ''}$${fmt2(stats.totalPnLCurrency)}`} 
                     icon={TrendingUp} 
                     colorClass={stats.totalPnLCurrency >= 0 ? "text-green-400" : "text-red-400"}
-                    subValue={`Total Trades: ${stats.totalTrades}`}
+                    subValue={`Total Trades: ${stats.totalTrades} · Costs: $${fmt2(stats.totalCosts)}`}
                 />
                 <DashboardCard 
                     title="PnL % of Capital" 
@@ -409,7 +473,10 @@ const tradeHistory = trades
                 
                 {/* Equity Curve Chart */}
                 <section className="col-span-12 lg:col-span-8 p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50 h-[400px]">
-                    <h2 className="text-xl font-semibold mb-4 text-white">Cumulative Equity Curve</h2>
+                    <div className="flex items-baseline gap-3 mb-4">
+                        <h2 className="text-xl font-semibold text-white">Cumulative Equity Curve</h2>
+                        {unfilteredNote && <span className="text-xs text-gray-400">{unfilteredNote}</span>}
+                    </div>
                     <ResponsiveContainer width="100%" height="90%">
                         <LineChart data={equityData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
                             <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
@@ -458,6 +525,53 @@ const tradeHistory = trades
                     </div>
                 </section>
                 
+                {/* Drawdown (underwater) */}
+                <div className="col-span-12">
+                    <DrawdownPanel movements={combinedHistory} startingEquity={startingEquity} note={unfilteredNote} />
+                </div>
+
+                {/* Daily P&L calendar */}
+                <div className="col-span-12">
+                    <PnLCalendar
+                        trades={closedTradesForCosts}
+                        capital={dbCapital}
+                        catalog={instruments}
+                        accountType={accountType}
+                        pricing={pricing}
+                        basis={pnlBasis}
+                    />
+                </div>
+
+                {/* Time of day / hold time */}
+                <div className="col-span-12">
+                    <TimeAnalysisPanel
+                        trades={closedTradesForCosts}
+                        capital={dbCapital}
+                        catalog={instruments}
+                        accountType={accountType}
+                        pricing={pricing}
+                        basis={pnlBasis}
+                    />
+                </div>
+
+                {/* Pre-trade checklist: satisfied vs skipped */}
+                <div className="col-span-12">
+                    <ChecklistPanel trades={closedTradesForCosts} basis={pnlBasis} />
+                </div>
+
+                {/* Tag performance */}
+                <div className="col-span-12">
+                    <TagPerformancePanel
+                        userId={localUserId}
+                        trades={closedTradesForCosts}
+                        capital={dbCapital}
+                        catalog={instruments}
+                        accountType={accountType}
+                        pricing={pricing}
+                        basis={pnlBasis}
+                    />
+                </div>
+
                 {/* Pair Profitability Chart */}
                 <section className="col-span-12 lg:col-span-6 p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50 h-[350px]">
                     <h2 className="text-xl font-semibold mb-4 text-white">Pair Profitability (Top 8)</h2>
@@ -468,7 +582,7 @@ const tradeHistory = trades
                             <YAxis dataKey="pair" type="category" stroke="#9ca3af" axisLine={false} tickLine={false} />
                             <Tooltip
                                 contentStyle={{ backgroundColor: "#1f2937", border: "1px solid #4b5563", borderRadius: "8px" }}
-                                formatter={(value) => [`$${fmt2(value)}`, 'Total PnL']}
+                                formatter={(value) => [`$${fmt2(value)}`, pnlBasis === "gross" ? 'Gross PnL' : 'Net PnL']}
                             />
                             <Bar dataKey="pnl">
                                 {pairProfit.slice(0, 8).map((entry, index) => (
@@ -489,7 +603,7 @@ const tradeHistory = trades
                             <YAxis stroke="#9ca3af" tickFormatter={(value) => `$${fmt2(value)}`} />
                             <Tooltip
                                 contentStyle={{ backgroundColor: "#1f2937", border: "1px solid #4b5563", borderRadius: "8px" }}
-                                formatter={(value) => [`$${fmt2(value)}`, 'Total PnL']}
+                                formatter={(value) => [`$${fmt2(value)}`, pnlBasis === "gross" ? 'Gross PnL' : 'Net PnL']}
                             />
                             <Bar dataKey="pnl">
                                 {dayProfit.map((entry, index) => (
@@ -500,6 +614,34 @@ const tradeHistory = trades
                     </ResponsiveContainer>
                 </section>
 
+                {/* Performance Metrics */}
+                <div className="col-span-12">
+                    <PerformanceMetricsPanel
+                        trades={closedTradesForCosts}
+                        capital={dbCapital}
+                        catalog={instruments}
+                        accountType={accountType}
+                        pricing={pricing}
+                        basis={pnlBasis}
+                        period={resolveDateRange(filters)}
+                    />
+                </div>
+
+                {/* Cost of Trading */}
+                <div className="col-span-12">
+                    <CostOfTradingPanel trades={closedTradesForCosts} />
+                </div>
+
+                {/* Stop Management */}
+                <div className="col-span-12">
+                    <StopManagementPanel
+                        trades={closedTradesForCosts}
+                        catalog={instruments}
+                        accountType={accountType}
+                        pricing={pricing}
+                    />
+                </div>
+
             </div>
             
             ---
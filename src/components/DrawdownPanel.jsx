@@ -0,0 +1,81 @@
+// src/components/DrawdownPanel.jsx
+import React, { useMemo } from "react";
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+} from "recharts";
+import { computeDrawdown } from "../utils/drawdown";
+
+const fmtMoney = (v) =>
+  Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const fmtDate = (d) =>
+  d ? new Date(d).toLocaleDateString("en-GB", { day: "numeric", month: "short" }) : "N/A";
+
+// ------------------------------
+// Underwater chart: how far equity sits below its running peak, with
+// deposits and withdrawals neutralized (see utils/drawdown.js). `note` is a
+// short caption shown beside the title.
+// ------------------------------
+export default function DrawdownPanel({ movements = [], startingEquity = 0, note = "" }) {
+  const dd = useMemo(() => computeDrawdown(movements, startingEquity), [movements, startingEquity]);
+  const chartData = dd.series.map((p) => ({ ...p, label: fmtDate(p.date) }));
+
+  const cards = [
+    ["Max Drawdown", `-$${fmtMoney(dd.maxDrawdown)}`, `${dd.maxDrawdownPercent.toFixed(2)}% · ${fmtDate(dd.maxDrawdownDate)}`],
+    [
+      "Current Drawdown",
+      dd.currentDrawdown > 0 ? `-$${fmtMoney(dd.currentDrawdown)}` : "At peak",
+      dd.currentDrawdown > 0 ? `${dd.currentDrawdownPercent.toFixed(2)}% since ${fmtDate(dd.currentSince)}` : "No open drawdown",
+    ],
+    ["Longest Drawdown", `${dd.longestDurationDays} days`, "Peak to recovery"],
+    [
+      "Recovery Factor",
+      dd.recoveryFactor === null ? "N/A" : dd.recoveryFactor.toFixed(2),
+      `Net trade profit $${fmtMoney(dd.netProfit)} / max drawdown`,
+    ],
+  ];
+
+  return (
+    <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50 space-y-6">
+      <div className="flex items-baseline gap-3">
+        <h2 className="text-xl font-semibold text-white">Drawdown</h2>
+        {note && <span className="text-xs text-gray-400">{note}</span>}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+        {cards.map(([title, value, sub]) => (
+          <div key={title} className="p-3 bg-gray-900 rounded-lg">
+            <p className="text-gray-400">{title}</p>
+            <p className="text-lg font-semibold text-white">{value}</p>
+            <p className="text-xs text-gray-500">{sub}</p>
+          </div>
+        ))}
+      </div>
+
+      {chartData.length === 0 ? (
+        <p className="text-gray-400 text-sm">No closed trades yet.</p>
+      ) : (
+        <div className="h-[260px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={chartData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="label" stroke="#9ca3af" />
+              <YAxis stroke="#9ca3af" domain={["auto", 0]} tickFormatter={(v) => `${v}%`} />
+              <Tooltip
+                contentStyle={{ backgroundColor: "#1f2937", border: "1px solid #4b5563", borderRadius: "8px" }}
+                formatter={(value, name, { payload }) => [`${value}% (-$${fmtMoney(payload.drawdown)})`, "Below peak"]}
+              />
+              <Area type="stepAfter" dataKey="drawdownPercent" stroke="#ef4444" fill="#ef4444" fillOpacity={0.3} />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,130 @@
+// src/components/ExportTradesModal.jsx
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import Modal from "./Modal";
+import { useUserSetting } from "../hooks/useUserSetting";
+import {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  exportTradesCsv,
+  exportTradesXlsx,
+} from "../services/exporters/tradeExport";
+
+// ------------------------------
+// Export filtered closed trades (column chooser + CSV / XLSX)
+// ------------------------------
+export default function ExportTradesModal({
+  isOpen,
+  onClose,
+  userId,
+  trades = [],
+  context = [],
+  fileBaseName = "closed-trades",
+}) {
+  const [columns, setColumns] = useUserSetting(userId, "exportColumns", DEFAULT_EXPORT_COLUMNS);
+  const [busy, setBusy] = useState(false);
+
+  const toggleColumn = (key) =>
+    setColumns((prev) => {
+      const current = prev || DEFAULT_EXPORT_COLUMNS;
+      return current.includes(key) ? current.filter((k) => k !== key) : [...current, key];
+    });
+
+  // Keep the catalog's column order regardless of click order
+  const orderedColumns = EXPORT_COLUMNS.map((c) => c.key).filter((k) =>
+    (columns || DEFAULT_EXPORT_COLUMNS).includes(k)
+  );
+
+  const handleExport = async (format) => {
+    if (!orderedColumns.length) {
+      toast.error("Choose at least one column");
+      return;
+    }
+    setBusy(true);
+    try {
+      if (format === "csv") {
+        exportTradesCsv(trades, orderedColumns, `${fileBaseName}.csv`);
+      } else {
+        await exportTradesXlsx(trades, orderedColumns, {
+          context,
+          fileName: `${fileBaseName}.xlsx`,
+        });
+      }
+      toast.success(`Exported ${trades.length} trades`);
+      onClose?.();
+    } catch (err) {
+      console.error("[ExportTradesModal] export error:", err);
+      toast.error("Export failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Export Closed Trades">
+      <div className="space-y-4 text-sm">
+        <p className="text-gray-400">
+          {trades.length} trades match the current filters and sort order.
+        </p>
+        {context.length > 0 && (
+          <ul className="text-xs text-gray-500">
+            {context.map(([label, value]) => (
+              <li key={label}>
+                {label}: {value}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="font-semibold">Columns</h3>
+            <div className="space-x-2 text-xs">
+              <button
+                onClick={() => setColumns(EXPORT_COLUMNS.map((c) => c.key))}
+                className="text-blue-400 hover:text-blue-300"
+              >
+                All
+              </button>
+              <button
+                onClick={() => setColumns(DEFAULT_EXPORT_COLUMNS)}
+                className="text-blue-400 hover:text-blue-300"
+              >
+                Default
+              </button>
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            {EXPORT_COLUMNS.map((c) => (
+              <label key={c.key} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={orderedColumns.includes(c.key)}
+                  onChange={() => toggleColumn(c.key)}
+                />
+                {c.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 pt-2">
+          <button
+            onClick={() => handleExport("csv")}
+            disabled={busy || !trades.length}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 rounded disabled:opacity-50"
+          >
+            Download CSV
+          </button>
+          <button
+            onClick={() => handleExport("xlsx")}
+            disabled={busy || !trades.length}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded disabled:opacity-50"
+          >
+            {busy ? "Preparing..." : "Download Excel (.xlsx)"}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,175 @@
+// src/components/FxRatesEditor.jsx
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { useFxRates } from "../hooks/useFxRates";
+import { DEFAULT_FX_RATES, parseFxRatesCsv } from "../utils/fxRates";
+
+const cellClass =
+  "w-full p-1 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+
+const toRows = (rates) =>
+  Object.entries(rates).map(([currency, rate]) => ({ currency, rate: String(rate) }));
+
+// ------------------------------
+// Settings → Exchange Rates: USD value of each currency, used to convert
+// pip values and PnL into the account currency
+// ------------------------------
+export default function FxRatesEditor({ userId }) {
+  const [rates, setTable, , updatedAt] = useFxRates(userId);
+  const [rows, setRows] = useState(() => toRows(rates));
+  const [saving, setSaving] = useState(false);
+
+  // Re-seed the form when the saved table changes (load / other tab)
+  const ratesKey = JSON.stringify(rates);
+  useEffect(() => {
+    setRows(toRows(JSON.parse(ratesKey)));
+  }, [ratesKey]);
+
+  const updateRow = (index, field, value) =>
+    setRows((prev) =>
+      prev.map((row, i) =>
+        i === index ? { ...row, [field]: field === "currency" ? value.toUpperCase() : value } : row
+      )
+    );
+
+  const handleCsvImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const { rates: imported, errors } = parseFxRatesCsv(await file.text());
+    const count = Object.keys(imported).length;
+    if (!count) {
+      toast.error(errors[0] || "No rates found in file");
+      return;
+    }
+
+    setRows((prev) => {
+      const merged = Object.fromEntries(prev.map((r) => [r.currency, r.rate]));
+      Object.entries(imported).forEach(([c, r]) => (merged[c] = String(Number(r.toFixed(6)))));
+      return Object.entries(merged).map(([currency, rate]) => ({ currency, rate }));
+    });
+    toast.success(`Loaded ${count} rates${errors.length ? ` (${errors.length} lines skipped)` : ""} — review and save`);
+  };
+
+  const handleSave = async () => {
+    const next = {};
+    for (const { currency, rate } of rows) {
+      const code = currency.trim();
+      if (!code) continue;
+      if (!/^[A-Z]{3}$/.test(code)) {
+        toast.error(`"${code}" is not a 3-letter currency code`);
+        return;
+      }
+      if (!(Number(rate) > 0)) {
+        toast.error(`Enter a rate for ${code}`);
+        return;
+      }
+      next[code] = Number(rate);
+    }
+    next.USD = 1;
+
+    setSaving(true);
+    const { error } = await setTable({ rates: next, updatedAt: new Date().toISOString() });
+    setSaving(false);
+    if (error) toast.error("Failed to save exchange rates");
+    else toast.success("Exchange rates saved");
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        How many US dollars one unit of each currency is worth. Pip values and
+        lot sizes use these rates to convert into your account currency
+        (USC cent accounts are USD × 100). Each trade keeps the rate it was
+        opened with.
+      </p>
+      <p className="text-xs text-gray-500">
+        Last updated: {updatedAt ? new Date(updatedAt).toLocaleString() : "never (built-in defaults)"}
+      </p>
+
+      <table className="w-full max-w-md text-sm">
+        <thead>
+          <tr className="text-left text-gray-400">
+            <th className="p-1">Currency</th>
+            <th className="p-1">USD per unit</th>
+            <th className="p-1" />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={i} className="border-t border-gray-700">
+              <td className="p-1">
+                <input
+                  value={row.currency}
+                  maxLength={3}
+                  disabled={row.currency === "USD"}
+                  onChange={(e) => updateRow(i, "currency", e.target.value)}
+                  className={cellClass}
+                />
+              </td>
+              <td className="p-1">
+                <input
+                  type="number"
+                  step="any"
+                  value={row.rate}
+                  disabled={row.currency === "USD"}
+                  onChange={(e) => updateRow(i, "rate", e.target.value)}
+                  className={cellClass}
+                />
+              </td>
+              <td className="p-1">
+                {row.currency !== "USD" && (
+                  <button
+                    onClick={() => setRows((prev) => prev.filter((_, j) => j !== i))}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    Remove
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => setRows((prev) => [...prev, { currency: "", rate: "" }])}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-white"
+        >
+          + Add Currency
+        </button>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleCsvImport}
+          id="fx-rates-file"
+          className="hidden"
+        />
+        <label
+          htmlFor="fx-rates-file"
+          className="px-4 py-2 bg-teal-600 hover:bg-teal-500 rounded-lg text-white cursor-pointer"
+        >
+          Import CSV
+        </label>
+        <button
+          onClick={() => setRows(toRows(DEFAULT_FX_RATES))}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-white"
+        >
+          Reset to Defaults
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="ml-auto px-6 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-medium disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Rates"}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">
+        CSV lines: <code>EUR,1.08</code>, <code>EURUSD,1.08</code> or <code>USDJPY,147.2</code>.
+      </p>
+    </div>
+  );
+}
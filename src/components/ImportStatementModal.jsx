@@ -0,0 +1,366 @@
+// src/components/ImportStatementModal.jsx
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import Modal from "./Modal";
+import {
+  parseMtStatement,
+  buildImportPreview,
+  commitStatementImport,
+  DEFAULT_MT_SERVER_TIME_ZONE,
+} from "../services/importers/mtStatement";
+import { useUserSetting } from "../hooks/useUserSetting";
+import { useAccountSpecs } from "../hooks/useAccountSpecs";
+import { useTradingRules } from "../hooks/useTradingRules";
+import { useSessionSettings } from "../hooks/useSessionSettings";
+import { instrumentSymbols } from "../utils/instruments";
+
+const fmtDateTime = (iso) =>
+  iso ? new Date(iso).toLocaleString([], { dateStyle: "short", timeStyle: "short" }) : "—";
+
+const fmtMoney = (n) => (Number(n) || 0).toFixed(2);
+
+const TIME_ZONES =
+  typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+
+// ------------------------------
+// MT4 / MT5 statement import: pick file → preview → import
+// ------------------------------
+export default function ImportStatementModal({
+  isOpen,
+  onClose,
+  userId,
+  accountId,
+  account,
+  capital,
+  onImported,
+}) {
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [applyToCapital, setApplyToCapital] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const { instruments, pricing, brokerAliases } = useAccountSpecs(userId, account);
+  const [rules] = useTradingRules(userId, accountId);
+  const [, , sessionOptions] = useSessionSettings(userId);
+  const [savedTimeZone, saveTimeZone] = useUserSetting(
+    userId,
+    "mtServerTimeZone",
+    DEFAULT_MT_SERVER_TIME_ZONE
+  );
+  const [timeZoneInput, setTimeZoneInput] = useState(null);
+  const serverTimeZone = (timeZoneInput ?? savedTimeZone).trim() || DEFAULT_MT_SERVER_TIME_ZONE;
+
+  const reset = () => {
+    setFileName("");
+    setParsed(null);
+    setPreview(null);
+    setSelected({});
+    setApplyToCapital(false);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose?.();
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    if (!userId || !accountId) {
+      toast.error("Select an account before importing");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const text = await file.text();
+      const result = parseMtStatement(text, file.name, { serverTimeZone });
+      const rows = await buildImportPreview(result, {
+        userId,
+        accountId,
+        capital,
+        accountType: account?.account_type,
+        instruments,
+        knownPairs: instrumentSymbols(instruments),
+        pricing,
+        rules,
+        brokerAliases,
+        customSessions: sessionOptions.custom,
+      });
+
+      // ✅ Duplicates and unknown symbols start unticked
+      const initial = {};
+      rows.trades.forEach((t) => (initial[t.key] = !t.duplicate && !t.unknownSymbol));
+      rows.transactions.forEach((t) => (initial[t.key] = !t.duplicate));
+
+      // Remember the zone once a statement was read with it
+      if (serverTimeZone !== savedTimeZone) saveTimeZone(serverTimeZone);
+      setFileName(file.name);
+      setParsed(result);
+      setPreview(rows);
+      setSelected(initial);
+    } catch (err) {
+      console.error("[ImportStatement] parse error:", err);
+      toast.error(err.message || "Could not read this statement");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (key) => setSelected((prev) => ({ ...prev, [key]: !prev[key] }));
+
+  const handleImport = async () => {
+    const trades = preview.trades.filter((t) => selected[t.key]).map((t) => t.row);
+    const transactions = preview.transactions
+      .filter((t) => selected[t.key])
+      .map((t) => t.row);
+
+    if (!trades.length && !transactions.length) {
+      toast.error("Nothing selected to import");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const result = await commitStatementImport({
+        accountId,
+        trades,
+        transactions,
+        applyToCapital,
+      });
+      toast.success(
+        `Imported ${result.trades} trades and ${result.transactions} transactions`
+      );
+      if (result.queued) {
+        toast(`${result.queued} rows saved offline — will sync when back online`, { icon: "📴" });
+      }
+      if (result.conflicts || result.rejected) {
+        toast.error(
+          `${result.conflicts + result.rejected} rows need attention — review them in the sync status`
+        );
+      }
+      if (result.unappliedTransactions) {
+        toast(
+          `Capital not updated for ${result.unappliedTransactions} balance operations that are not synced yet`,
+          { icon: "ℹ️" }
+        );
+      }
+      onImported?.(result);
+      handleClose();
+    } catch (err) {
+      console.error("[ImportStatement] import error:", err);
+      toast.error("Import failed: " + (err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const duplicateCount = preview
+    ? [...preview.trades, ...preview.transactions].filter((t) => t.duplicate).length
+    : 0;
+  const unknownCount = preview ? preview.trades.filter((t) => t.unknownSymbol).length : 0;
+  const selectedCount = Object.values(selected).filter(Boolean).length;
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import MT4 / MT5 Statement">
+      {!preview ? (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-400">
+            In MetaTrader open the Account History tab, right-click and choose
+            "Save as Report" (or "Save as Detailed Report"), then select the
+            saved HTML file. CSV exports with the same columns also work.
+          </p>
+          <div className="text-sm">
+            <label className="block text-gray-400 mb-1">Broker server time zone</label>
+            <input
+              list="mt-server-time-zones"
+              value={timeZoneInput ?? savedTimeZone}
+              onChange={(e) => setTimeZoneInput(e.target.value)}
+              className="w-full p-2 rounded-md bg-gray-800 border border-gray-600 text-white"
+            />
+            <datalist id="mt-server-time-zones">
+              {TIME_ZONES.map((tz) => (
+                <option key={tz} value={tz} />
+              ))}
+            </datalist>
+            <p className="text-xs text-gray-500 mt-1">
+              Statement times are in the broker's server clock (shown in MetaTrader's
+              Market Watch). Most brokers use GMT+2 / GMT+3 in summer ({DEFAULT_MT_SERVER_TIME_ZONE});
+              use e.g. Etc/GMT-2 for a fixed GMT+2 clock.
+            </p>
+          </div>
+          <input
+            type="file"
+            accept=".htm,.html,.csv,text/html,text/csv"
+            onChange={handleFile}
+            id="mt-statement-file"
+            className="hidden"
+          />
+          <label
+            htmlFor="mt-statement-file"
+            className="w-full block text-center bg-green-600 hover:bg-green-500 text-white px-4 py-2 rounded-lg font-medium cursor-pointer transition"
+          >
+            {busy ? "Reading statement..." : "Choose Statement File"}
+          </label>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {/* --- Summary --- */}
+          <div className="text-sm text-gray-300 space-y-1">
+            <p>
+              <span className="font-semibold">{fileName}</span> ({parsed.platform}):{" "}
+              {preview.trades.length} closed trades, {preview.transactions.length} balance
+              operations.
+            </p>
+            {(parsed.skipped.open > 0 || parsed.skipped.other > 0) && (
+              <p className="text-gray-400">
+                Skipped {parsed.skipped.open} open positions and {parsed.skipped.other}{" "}
+                pending/cancelled orders.
+              </p>
+            )}
+            {duplicateCount > 0 && (
+              <p className="text-yellow-400">
+                ⚠️ {duplicateCount} rows were already imported into this account (same ticket).
+              </p>
+            )}
+            {unknownCount > 0 && (
+              <p className="text-orange-400">
+                ⚠️ {unknownCount} trades use symbols that are not in the pair list. Tick them
+                to import with the broker symbol as-is.
+              </p>
+            )}
+          </div>
+
+          {/* --- Trades --- */}
+          {preview.trades.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead className="text-gray-400 text-left">
+                  <tr>
+                    <th className="p-1"></th>
+                    <th className="p-1">Ticket</th>
+                    <th className="p-1">Pair</th>
+                    <th className="p-1">Type</th>
+                    <th className="p-1">Lots</th>
+                    <th className="p-1">Open</th>
+                    <th className="p-1">Close</th>
+                    <th className="p-1">Comm.</th>
+                    <th className="p-1">Swap</th>
+                    <th className="p-1">Fees</th>
+                    <th className="p-1">Net PnL</th>
+                    <th className="p-1">Flags</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.trades.map((t) => (
+                    <tr
+                      key={t.key}
+                      className={`border-t border-gray-700 ${selected[t.key] ? "" : "opacity-50"}`}
+                    >
+                      <td className="p-1">
+                        <input
+                          type="checkbox"
+                          checked={!!selected[t.key]}
+                          onChange={() => toggle(t.key)}
+                        />
+                      </td>
+                      <td className="p-1">{t.ticket}</td>
+                      <td className="p-1">
+                        {t.row.pair}
+                        {t.row.pair !== t.symbol && (
+                          <span className="text-gray-500"> ({t.symbol})</span>
+                        )}
+                      </td>
+                      <td className="p-1">{t.row.type}</td>
+                      <td className="p-1">{t.row.lot_size}</td>
+                      <td className="p-1">{fmtDateTime(t.row.entry_date)}</td>
+                      <td className="p-1">{fmtDateTime(t.row.exit_date)}</td>
+                      <td className="p-1">{fmtMoney(t.row.commission)}</td>
+                      <td className="p-1">{fmtMoney(t.row.swap)}</td>
+                      <td className="p-1">{fmtMoney(t.row.fees)}</td>
+                      <td
+                        className={`p-1 font-semibold ${
+                          t.row.pnl_currency >= 0 ? "text-green-400" : "text-red-400"
+                        }`}
+                      >
+                        {fmtMoney(t.row.pnl_currency)}
+                      </td>
+                      <td className="p-1 space-x-1">
+                        {t.duplicate && <span className="text-yellow-400">Duplicate</span>}
+                        {t.unknownSymbol && <span className="text-orange-400">Unknown symbol</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* --- Deposits / Withdrawals --- */}
+          {preview.transactions.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold mb-2">Deposits & Withdrawals</h3>
+              <table className="w-full text-xs">
+                <tbody>
+                  {preview.transactions.map((t) => (
+                    <tr
+                      key={t.key}
+                      className={`border-t border-gray-700 ${selected[t.key] ? "" : "opacity-50"}`}
+                    >
+                      <td className="p-1">
+                        <input
+                          type="checkbox"
+                          checked={!!selected[t.key]}
+                          onChange={() => toggle(t.key)}
+                        />
+                      </td>
+                      <td className="p-1">{t.row.date}</td>
+                      <td className="p-1">{t.row.type}</td>
+                      <td className="p-1">{fmtMoney(t.row.amount)}</td>
+                      <td className="p-1 text-gray-400">{t.row.description}</td>
+                      <td className="p-1">
+                        {t.duplicate && <span className="text-yellow-400">Duplicate</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <label className="flex items-center gap-2 text-sm mt-3">
+                <input
+                  type="checkbox"
+                  checked={applyToCapital}
+                  onChange={(e) => setApplyToCapital(e.target.checked)}
+                />
+                Add imported deposits/withdrawals to the account capital
+              </label>
+              <p className="text-xs text-gray-500 mt-1">
+                Leave unticked if the account's capital already includes them.
+              </p>
+            </div>
+          )}
+
+          {/* --- Actions --- */}
+          <div className="flex justify-end gap-2 pt-2">
+            <button
+              onClick={reset}
+              disabled={busy}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded text-sm"
+            >
+              Choose Another File
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={busy || selectedCount === 0}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded text-sm disabled:opacity-50"
+            >
+              {busy ? "Importing..." : `Import ${selectedCount} Selected`}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
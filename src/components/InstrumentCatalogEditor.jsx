@@ -0,0 +1,197 @@
+// src/components/InstrumentCatalogEditor.jsx
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { useInstrumentCatalog } from "../hooks/useInstrumentCatalog";
+import { useFxRates } from "../hooks/useFxRates";
+import {
+  ASSET_CLASSES,
+  DEFAULT_INSTRUMENTS,
+  createInstrument,
+  getPipValue,
+  validateInstrument,
+} from "../utils/instruments";
+
+const NUMBER_FIELDS = ["contractSize", "pipSize", "digits", "minLot", "lotStep"];
+
+const cellClass =
+  "w-full p-1 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+
+// ------------------------------
+// Settings → Instruments: edit contract specs used by every calculator
+// ------------------------------
+export default function InstrumentCatalogEditor({ userId }) {
+  const [catalog, setCatalog, loading] = useInstrumentCatalog(userId);
+  const [draft, setDraft] = useState(catalog);
+  const [saving, setSaving] = useState(false);
+  const [rates] = useFxRates(userId);
+
+  // Pick up the saved catalog once it has loaded (or changed elsewhere)
+  useEffect(() => {
+    setDraft(catalog);
+  }, [catalog]);
+
+  const updateRow = (index, field, value) =>
+    setDraft((prev) =>
+      prev.map((row, i) =>
+        i === index
+          ? { ...row, [field]: field === "quoteCurrency" ? value.toUpperCase() : value }
+          : row
+      )
+    );
+
+  const removeRow = (index) => setDraft((prev) => prev.filter((_, i) => i !== index));
+
+  const addRow = () => setDraft((prev) => [...prev, createInstrument()]);
+
+  const handleSave = async () => {
+    const cleaned = draft.map((row) => {
+      const next = { ...row, symbol: row.symbol.trim().toUpperCase() };
+      NUMBER_FIELDS.forEach((f) => (next[f] = Number(row[f])));
+      return next;
+    });
+
+    const invalid = cleaned
+      .map((row) => ({ row, errors: validateInstrument(row, cleaned) }))
+      .find((r) => r.errors.length);
+    if (invalid) {
+      toast.error(`${invalid.row.symbol || "New instrument"}: ${invalid.errors[0]}`);
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await setCatalog(cleaned);
+    setSaving(false);
+    if (error) toast.error("Failed to save instruments");
+    else toast.success("Instrument catalog saved");
+  };
+
+  const handleResetDefaults = () => {
+    if (!window.confirm("Replace your instrument catalog with the built-in defaults?")) return;
+    setDraft(DEFAULT_INSTRUMENTS);
+  };
+
+  if (loading && !draft.length) {
+    return <p className="text-gray-400">Loading instruments...</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Contract specs used for pip values, points, lot sizing and PnL. Pip
+        value per lot = contract size × pip size in the quote currency,
+        converted with your exchange rates ($/Pip below is for a USD account).
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-400">
+              <th className="p-1">Symbol</th>
+              <th className="p-1">Class</th>
+              <th className="p-1">Contract</th>
+              <th className="p-1">Pip Size</th>
+              <th className="p-1">Digits</th>
+              <th className="p-1">Quote</th>
+              <th className="p-1">Min Lot</th>
+              <th className="p-1">Lot Step</th>
+              <th className="p-1">$/Pip</th>
+              <th className="p-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {draft.map((row, i) => (
+              <tr key={i} className="border-t border-gray-700">
+                <td className="p-1">
+                  <input
+                    value={row.symbol}
+                    onChange={(e) => updateRow(i, "symbol", e.target.value)}
+                    placeholder="EUR/USD"
+                    className={cellClass}
+                  />
+                </td>
+                <td className="p-1">
+                  <select
+                    value={row.assetClass}
+                    onChange={(e) => updateRow(i, "assetClass", e.target.value)}
+                    className={cellClass}
+                  >
+                    {ASSET_CLASSES.map((c) => (
+                      <option key={c} value={c}>
+                        {c}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                {["contractSize", "pipSize", "digits"].map((f) => (
+                  <td key={f} className="p-1">
+                    <input
+                      type="number"
+                      step="any"
+                      value={row[f]}
+                      onChange={(e) => updateRow(i, f, e.target.value)}
+                      className={cellClass}
+                    />
+                  </td>
+                ))}
+                <td className="p-1">
+                  <input
+                    value={row.quoteCurrency}
+                    maxLength={3}
+                    onChange={(e) => updateRow(i, "quoteCurrency", e.target.value)}
+                    className={cellClass}
+                  />
+                </td>
+                {["minLot", "lotStep"].map((f) => (
+                  <td key={f} className="p-1">
+                    <input
+                      type="number"
+                      step="any"
+                      value={row[f]}
+                      onChange={(e) => updateRow(i, f, e.target.value)}
+                      className={cellClass}
+                    />
+                  </td>
+                ))}
+                <td className="p-1 text-green-400">
+                  {getPipValue(row.symbol, "Standard", draft, { rates }).toFixed(2)}
+                </td>
+                <td className="p-1">
+                  <button
+                    onClick={() => removeRow(i)}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-between">
+        <div className="space-x-2">
+          <button
+            onClick={addRow}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-white"
+          >
+            + Add Instrument
+          </button>
+          <button
+            onClick={handleResetDefaults}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-white"
+          >
+            Reset to Defaults
+          </button>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-medium disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Instruments"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,16 +1,21 @@
 import React, { useState, useMemo } from "react";
-
-export default function LotSizeCalculator({ capital, accountType, getAdjustedVP }) {
-  // ----------------------------
-  // Available forex pairs list
-  // ----------------------------
-  const availablePairs = [
-    "EUR/USD", "GBP/USD", "USD/JPY", "USD/CAD",
-    "AUD/USD", "NZD/USD", "EUR/GBP", "EUR/JPY",
-    "GBP/JPY", "USD/CHF", "XAU/USD", "XAG/USD",
-    "US30", "NAS100"
-  ];
-
+import {
+  DEFAULT_INSTRUMENTS,
+  findInstrument,
+  getPipValue,
+  instrumentSymbols,
+  roundLot,
+} from "../utils/instruments";
+import { DEFAULT_FX_RATES } from "../utils/fxRates";
+
+export default function LotSizeCalculator({
+  capital,
+  accountType,
+  accountCurrency = "USD",
+  instruments = DEFAULT_INSTRUMENTS,
+  rates = DEFAULT_FX_RATES,
+  lotScale,
+}) {
   const [calcMode, setCalcMode] = useState("ForAccount");
   const [calcPair, setCalcPair] = useState("");
   const [calcPoints, setCalcPoints] = useState("");
@@ -18,12 +23,15 @@ export default function LotSizeCalculator({ capital, accountType, getAdjustedVP
   const [showExternalModal, setShowExternalModal] = useState(false);
   const [externalCapital, setExternalCapital] = useState("");
   const [externalAccountType, setExternalAccountType] = useState("Standard");
+  const [externalCurrency, setExternalCurrency] = useState("USD");
 
   // Determine which values to use based on mode
   const effectiveCapital =
     calcMode === "ForAccount" ? capital : Number(externalCapital) || 0;
   const effectiveAccountType =
     calcMode === "ForAccount" ? accountType : externalAccountType;
+  const effectiveCurrency =
+    calcMode === "ForAccount" ? accountCurrency : externalCurrency;
 
   // 💰 Risk amount
   const calcRiskAmount = useMemo(() => {
@@ -33,8 +41,14 @@ export default function LotSizeCalculator({ capital, accountType, getAdjustedVP
   // ⚙️ Pip value (live)
   const pipValue = useMemo(() => {
     if (!calcPair) return 0;
-    return getAdjustedVP(calcPair, effectiveAccountType) || 0;
-  }, [calcPair, effectiveAccountType, getAdjustedVP]);
+    return getPipValue(calcPair, effectiveAccountType, instruments, {
+      accountCurrency: effectiveCurrency,
+      rates,
+      lotScale,
+    });
+  }, [calcPair, effectiveAccountType, effectiveCurrency, instruments, rates, lotScale]);
+
+  const instrument = findInstrument(calcPair, instruments);
 
   // 🧮 Lot size calculation
   const calcLotSize = useMemo(() => {
@@ -43,8 +57,8 @@ export default function LotSizeCalculator({ capital, accountType, getAdjustedVP
     if (!vp) return 0;
     const lot =
       ((calcRiskPercent / 100) * effectiveCapital) / (vp * calcPoints);
-    return Number(lot.toFixed(2)); // ✅ Format like 0.11, 0.03, 1.25
-  }, [calcPair, calcPoints, calcRiskPercent, effectiveCapital, pipValue]);
+    return roundLot(calcPair, lot, instruments); // ✅ rounded down to the lot step
+  }, [calcPair, calcPoints, calcRiskPercent, effectiveCapital, pipValue, instruments]);
 
   return (
     <div className="bg-gray-800 border border-gray-700 rounded-2xl p-4 space-y-4 mt-6">
@@ -90,7 +104,7 @@ export default function LotSizeCalculator({ capital, accountType, getAdjustedVP
             className="w-full px-3 py-2 rounded-md bg-gray-700 text-white outline-none"
           >
             <option value="">Select Pair</option>
-            {availablePairs.map((p) => (
+            {instrumentSymbols(instruments).map((p) => (
               <option key={p} value={p}>
                 {p}
               </option>
@@ -102,7 +116,7 @@ export default function LotSizeCalculator({ capital, accountType, getAdjustedVP
             <p className="text-xs text-gray-400 mt-1">
               Pip Value:{" "}
               <span className="text-green-400 font-semibold">
-                ${pipValue.toFixed(2)}
+                {pipValue.toFixed(2)} {effectiveCurrency}
               </span>{" "}
               per pip
             </p>
@@ -112,7 +126,7 @@ export default function LotSizeCalculator({ capital, accountType, getAdjustedVP
         {/* Points */}
         <div>
           <label className="block text-sm text-gray-400">
-            Points (SL Distance)
+            SL Distance (pips)
           </label>
           <input
             type="number"
@@ -139,13 +153,13 @@ export default function LotSizeCalculator({ capital, accountType, getAdjustedVP
       {/* 📊 Output */}
       <div className="mt-4 space-y-2 text-gray-200">
         <p>
-          <strong>Capital Used:</strong> ${effectiveCapital.toLocaleString()}
+          <strong>Capital Used:</strong> {effectiveCapital.toLocaleString()} {effectiveCurrency}
         </p>
         <p>
           <strong>Account Type:</strong> {effectiveAccountType}
         </p>
         <p>
-          <strong>Risk Amount:</strong> ${calcRiskAmount}
+          <strong>Risk Amount:</strong> {calcRiskAmount} {effectiveCurrency}
         </p>
         <p>
           <strong>Lot Size:</strong>{" "}
@@ -153,6 +167,11 @@ export default function LotSizeCalculator({ capital, accountType, getAdjustedVP
             {calcLotSize || 0}
           </span>
         </p>
+        {instrument && (
+          <p className="text-xs text-gray-400">
+            Min lot {instrument.minLot}, step {instrument.lotStep}
+          </p>
+        )}
       </div>
 
       {/* ⚙️ External Settings Modal */}
@@ -190,6 +209,23 @@ export default function LotSizeCalculator({ capital, accountType, getAdjustedVP
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm text-gray-400">
+                  Account Currency
+                </label>
+                <select
+                  value={externalCurrency}
+                  onChange={(e) => setExternalCurrency(e.target.value)}
+                  className="w-full px-3 py-2 rounded-md bg-gray-700 text-white outline-none"
+                >
+                  {["USD", "USC", ...Object.keys(rates).filter((c) => c !== "USD")].map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <button
                 onClick={() => setShowExternalModal(false)}
                 className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700"
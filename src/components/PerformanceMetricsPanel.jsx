@@ -0,0 +1,67 @@
+// src/components/PerformanceMetricsPanel.jsx
+import React, { useMemo } from "react";
+import { computePerformanceMetrics } from "../utils/performanceMetrics";
+import { DEFAULT_INSTRUMENTS } from "../utils/instruments";
+
+const fmtMoney = (v) =>
+  v === null
+    ? "N/A"
+    : `${v < 0 ? "-" : ""}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const fmtRatio = (v, suffix = "") => (v === null ? "N/A" : `${v.toFixed(2)}${suffix}`);
+
+// ------------------------------
+// Performance metrics of closed trades (utils/performanceMetrics.js). The
+// Dashboard's filter bar picks the trades; `period` ({ from, to }) is its
+// date range, over which Sharpe / Sortino count days without results.
+// ------------------------------
+export default function PerformanceMetricsPanel({
+  trades = [],
+  capital = 0,
+  catalog = DEFAULT_INSTRUMENTS,
+  accountType,
+  pricing,
+  basis = "net",
+  period = {},
+}) {
+  const { from = "", to = "" } = period;
+  const m = useMemo(
+    () => computePerformanceMetrics(trades, { capital, catalog, accountType, pricing, basis, from, to }),
+    [trades, capital, catalog, accountType, pricing, basis, from, to]
+  );
+
+  const cards = [
+    ["Expectancy", fmtMoney(m.expectancy), "Average result per trade"],
+    ["Expectancy (R)", fmtRatio(m.avgR, "R"), `Average R-multiple · ${m.tradesWithRisk} trades with a known risk`],
+    ["Profit Factor", fmtRatio(m.profitFactor), "Gross wins / gross losses"],
+    ["Payoff Ratio", fmtRatio(m.payoffRatio), "Average win / average loss"],
+    ["Average Win", fmtMoney(m.avgWin), `${m.wins} winning trades`],
+    ["Average Loss", fmtMoney(m.avgLoss), `${m.losses} losing trades`],
+    ["Largest Win", fmtMoney(m.largestWin), ""],
+    ["Largest Loss", fmtMoney(m.largestLoss), ""],
+    ["Sharpe Ratio", fmtRatio(m.sharpe), `Annualized, ${m.tradingDays} trading days`],
+    ["Sortino Ratio", fmtRatio(m.sortino), "Annualized, downside deviation only"],
+    ["SQN", fmtRatio(m.sqn), "System quality number (R-based)"],
+    ["Win Rate", m.winRate === null ? "N/A" : `${m.winRate}%`, `${m.trades} trades · ${fmtMoney(m.netPnl)}`],
+  ];
+
+  return (
+    <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50 space-y-6">
+      <h2 className="text-xl font-semibold text-white">Performance Metrics</h2>
+
+      {m.trades === 0 ? (
+        <p className="text-gray-400 text-sm">No closed trades match the current filters.</p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4 text-sm">
+          {cards.map(([title, value, sub]) => (
+            <div key={title} className="p-3 bg-gray-900 rounded-lg">
+              <p className="text-gray-400">{title}</p>
+              <p className="text-lg font-semibold text-white">{value}</p>
+              {sub && <p className="text-xs text-gray-500">{sub}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
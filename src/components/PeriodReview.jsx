@@ -0,0 +1,388 @@
+// src/components/PeriodReview.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  Cell,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+} from "recharts";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { db } from "../services/storage";
+import { isExecutedTrade } from "../utils/tradeLifecycle";
+import {
+  REVIEW_PERIODS,
+  comparePeriods,
+  periodRange,
+  summarizePeriod,
+  tradesInPeriod,
+  weeksInPeriod,
+} from "../utils/periodReview";
+import CostOfTradingPanel from "./CostOfTradingPanel";
+
+const fmtMoney = (v) =>
+  Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const fmtSigned = (v) => `${v < 0 ? "-" : "+"}$${fmtMoney(Math.abs(v))}`;
+
+const fmtPct = (v) => `${Number(v || 0).toFixed(2)}%`;
+
+const pnlColor = (v) => (v > 0 ? "text-green-400" : v < 0 ? "text-red-400" : "text-gray-300");
+
+const fmtCompared = (kind, v, signed = false) => {
+  if (kind === "money") return signed ? fmtSigned(v) : `$${fmtMoney(v)}`;
+  if (kind === "percent") return `${signed && v > 0 ? "+" : ""}${fmtPct(v)}`;
+  return `${signed && v > 0 ? "+" : ""}${v}`;
+};
+
+const tooltipStyle = { backgroundColor: "#1f2937", border: "1px solid #4b5563", borderRadius: "8px" };
+
+const card = "bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-700/50";
+
+function DistributionChart({ title, data }) {
+  return (
+    <div className={card}>
+      <h4 className="text-xl font-semibold text-white mb-4">{title}</h4>
+      {data.length === 0 ? (
+        <div className="text-gray-400 h-40 flex items-center justify-center">No trades.</div>
+      ) : (
+        <ResponsiveContainer width="100%" height={Math.max(160, data.length * 36)}>
+          <BarChart data={data} layout="vertical" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" horizontal={false} />
+            <XAxis type="number" stroke="#9ca3af" allowDecimals={false} />
+            <YAxis type="category" dataKey="name" stroke="#9ca3af" axisLine={false} tickLine={false} width={90} />
+            <Tooltip
+              contentStyle={tooltipStyle}
+              formatter={(v, name, { payload }) => [`${payload.count} trades · ${fmtSigned(payload.pnl)}`, payload.name]}
+            />
+            <Bar dataKey="count" radius={[0, 10, 10, 0]}>
+              {data.map((d) => (
+                <Cell key={d.name} fill={d.pnl >= 0 ? "#818cf8" : "#f59e0b"} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
+
+// ------------------------------
+// Month / quarter / year review: WeeklyReview's figures for a longer period,
+// compared with the period before it, plus a calendar of its weeks.
+// ------------------------------
+export default function PeriodReview({ userId, accountId, capital = 10000 }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [trades, setTrades] = useState([]);
+  const [unit, setUnit] = useState("month");
+  const [offset, setOffset] = useState(0);
+  const [pnlBasis, setPnlBasis] = useState("net");
+
+  useEffect(() => {
+    let mounted = true;
+    const fetchTrades = async () => {
+      if (!userId || !accountId) {
+        setTrades([]);
+        setLoading(false);
+        return;
+      }
+      setLoading(true);
+      setError(null);
+      try {
+        const { data, error: supaErr } = await db
+          .from("trades")
+          .select("*")
+          .eq("user_id", userId)
+          .eq("account_id", accountId)
+          .order("entry_date", { ascending: true });
+        if (supaErr) throw supaErr;
+        if (mounted) setTrades((data || []).filter(isExecutedTrade));
+      } catch (err) {
+        if (mounted) setError(err.message || "Fetch error");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    };
+    fetchTrades();
+    return () => {
+      mounted = false;
+    };
+  }, [userId, accountId]);
+
+  const period = useMemo(() => periodRange(unit, offset), [unit, offset]);
+  const previousPeriod = useMemo(() => periodRange(unit, offset - 1), [unit, offset]);
+
+  const periodTrades = useMemo(() => tradesInPeriod(trades, period), [trades, period]);
+
+  const summary = useMemo(
+    () => summarizePeriod(periodTrades, { allTrades: trades, start: period.start, capital, basis: pnlBasis }),
+    [periodTrades, trades, period, capital, pnlBasis]
+  );
+  const previous = useMemo(
+    () =>
+      summarizePeriod(tradesInPeriod(trades, previousPeriod), {
+        allTrades: trades,
+        start: previousPeriod.start,
+        capital,
+        basis: pnlBasis,
+      }),
+    [trades, previousPeriod, capital, pnlBasis]
+  );
+  const comparison = useMemo(() => comparePeriods(summary, previous), [summary, previous]);
+  const weeks = useMemo(() => weeksInPeriod(periodTrades, period, pnlBasis), [periodTrades, period, pnlBasis]);
+
+  const changeUnit = (next) => {
+    setUnit(next);
+    setOffset(0);
+  };
+
+  if (loading) {
+    return <div className="p-8 text-center text-cyan-400">Loading review data...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="p-8 text-center text-red-400">
+        <p className="font-semibold text-lg mb-2">Error loading review:</p> {error}
+      </div>
+    );
+  }
+
+  const s = summary;
+  const stats = [
+    ["Opening Equity", `$${fmtMoney(s.openingEquity)}`, "", "text-gray-300"],
+    ["Closing Equity", `$${fmtMoney(s.closingEquity)}`, "", "text-gray-300"],
+    [
+      `${pnlBasis === "gross" ? "Gross" : "Net"} P&L`,
+      fmtSigned(s.totalPnL),
+      `${fmtPct(s.totalPnLPercent)} · Costs $${fmtMoney(s.totalCosts)}`,
+      pnlColor(s.totalPnL),
+    ],
+    ["Total Trades", s.totalTrades, `${s.wins} wins / ${s.losses} losses · ${s.tradingDays} days`, "text-white"],
+    ["Win Rate", fmtPct(s.winRate), `Average trade ${fmtSigned(s.avgTrade)}`, s.winRate >= 50 ? "text-green-400" : "text-amber-400"],
+    ["Status Ratio", `${s.validCount} / ${s.invalidCount}`, "Valid / Invalid trades", s.invalidCount === 0 ? "text-green-400" : "text-red-400"],
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white">
+      <div className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8 space-y-10">
+        {/* --- Header and Navigation --- */}
+        <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4 pb-4 border-b border-gray-700/50">
+          <div>
+            <h1 className="text-3xl font-extrabold text-cyan-400">{period.label} Review</h1>
+            <p className="text-base text-gray-400 pt-1">
+              Review period: <span className="font-semibold text-white">{period.start.format("DD MMM YYYY")}</span> —{" "}
+              <span className="font-semibold text-white">{period.end.format("DD MMM YYYY")}</span>
+            </p>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <div className="flex bg-gray-800 rounded-lg p-1 border border-gray-700/50">
+              {REVIEW_PERIODS.map((p) => (
+                <button
+                  key={p.value}
+                  onClick={() => changeUnit(p.value)}
+                  className={`px-3 py-1.5 rounded-md text-sm font-semibold ${unit === p.value ? "bg-cyan-600 text-white" : "text-gray-400 hover:text-white"}`}
+                >
+                  {p.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex bg-gray-800 rounded-lg p-1 border border-gray-700/50">
+              {["net", "gross"].map((basis) => (
+                <button
+                  key={basis}
+                  onClick={() => setPnlBasis(basis)}
+                  className={`px-3 py-1.5 rounded-md text-sm font-semibold capitalize ${pnlBasis === basis ? "bg-cyan-600 text-white" : "text-gray-400 hover:text-white"}`}
+                >
+                  {basis}
+                </button>
+              ))}
+            </div>
+            <button
+              className="p-2.5 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600"
+              onClick={() => setOffset((o) => o - 1)}
+              aria-label="Previous period"
+            >
+              <ChevronLeft size={18} />
+            </button>
+            <button
+              className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-500"
+              onClick={() => setOffset(0)}
+            >
+              Current
+            </button>
+            <button
+              className="p-2.5 bg-gray-700 text-gray-300 rounded-lg hover:bg-gray-600 disabled:opacity-50"
+              onClick={() => setOffset((o) => o + 1)}
+              aria-label="Next period"
+              disabled={offset >= 0}
+            >
+              <ChevronRight size={18} />
+            </button>
+          </div>
+        </div>
+
+        {/* --- Key Metrics --- */}
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-6">
+          {stats.map(([title, value, sub, color]) => (
+            <div key={title} className="bg-gray-800 p-5 rounded-2xl shadow-xl border border-gray-700/50">
+              <div className="text-sm font-medium text-gray-400 mb-1">{title}</div>
+              <div className={`text-2xl font-extrabold ${color}`}>{value}</div>
+              {sub && <div className="text-xs text-gray-500 mt-1">{sub}</div>}
+            </div>
+          ))}
+        </div>
+
+        {/* --- Comparison and equity --- */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className={card}>
+            <h4 className="text-xl font-semibold text-white mb-4">vs {previousPeriod.label}</h4>
+            <table className="w-full text-sm">
+              <thead className="text-gray-400">
+                <tr>
+                  <th className="text-left py-1"></th>
+                  <th className="text-right py-1">Now</th>
+                  <th className="text-right py-1">Before</th>
+                  <th className="text-right py-1">Change</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {comparison.map((row) => {
+                  // More invalid trades or costs is worse
+                  const worse = row.key === "invalidCount" || row.key === "totalCosts" ? row.change > 0 : row.change < 0;
+                  return (
+                    <tr key={row.key}>
+                      <td className="py-2 text-gray-300">{row.label}</td>
+                      <td className="py-2 text-right">{fmtCompared(row.kind, row.current)}</td>
+                      <td className="py-2 text-right text-gray-400">{fmtCompared(row.kind, row.previous)}</td>
+                      <td className={`py-2 text-right ${row.change === 0 ? "text-gray-400" : worse ? "text-red-400" : "text-green-400"}`}>
+                        {fmtCompared(row.kind, row.change, true)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className={`lg:col-span-2 ${card}`}>
+            <h4 className="text-xl font-semibold text-white mb-4">Equity Growth (Trade-by-Trade)</h4>
+            {s.equityCurve.length <= 1 ? (
+              <div className="text-gray-400 h-80 flex items-center justify-center">No trades in this period.</div>
+            ) : (
+              <ResponsiveContainer width="100%" height={320}>
+                <LineChart data={s.equityCurve} margin={{ top: 15, right: 10, left: 10, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="label" stroke="#9ca3af" />
+                  <YAxis stroke="#9ca3af" tickFormatter={(v) => `$${fmtMoney(v)}`} domain={["dataMin - 100", "dataMax + 100"]} />
+                  <Tooltip contentStyle={tooltipStyle} formatter={(v) => [`$${fmtMoney(v)}`, "Equity"]} />
+                  <Line type="monotone" dataKey="equity" stroke="#06b6d4" strokeWidth={3} dot={s.equityCurve.length <= 60} />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        </div>
+
+        {/* --- Calendar of weeks --- */}
+        <div className={card}>
+          <h4 className="text-xl font-semibold text-white mb-4">Weeks</h4>
+          <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 xl:grid-cols-7 gap-3 text-sm">
+            {weeks.map((w) => (
+              <div
+                key={w.start.format("YYYY-MM-DD")}
+                className={`p-3 rounded-lg border ${
+                  w.trades === 0
+                    ? "bg-gray-900 border-gray-800"
+                    : w.pnl >= 0
+                      ? "bg-green-900/30 border-green-700/50"
+                      : "bg-red-900/30 border-red-700/50"
+                }`}
+              >
+                <p className="text-gray-400 text-xs">
+                  W{w.week} · {w.start.format("D MMM")} – {w.end.format("D MMM")}
+                </p>
+                <p className={`font-semibold ${pnlColor(w.pnl)}`}>{w.trades ? fmtSigned(w.pnl) : "—"}</p>
+                <p className="text-xs text-gray-500">
+                  {w.trades ? `${w.trades} trades · ${Math.round((w.wins / w.trades) * 100)}% wins` : "No trades"}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* --- Distributions --- */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <DistributionChart title="Trade Distribution by Pair" data={s.pairDistribution} />
+          <DistributionChart title="Trade Distribution by Session" data={s.sessionDistribution} />
+        </div>
+
+        <CostOfTradingPanel trades={periodTrades.filter((t) => t.exit_date)} title={`Cost of Trading · ${period.label}`} />
+
+        {/* --- Daily breakdown --- */}
+        <div className={card}>
+          <h4 className="text-xl font-semibold text-white mb-4">Detailed Daily Performance</h4>
+          <div className="overflow-x-auto max-h-[480px] overflow-y-auto">
+            <table className="min-w-full text-sm text-left">
+              <thead className="bg-gray-700/50 text-gray-300 uppercase sticky top-0">
+                <tr>
+                  <th className="px-4 py-3">Date</th>
+                  <th className="px-4 py-3 text-center">Trades</th>
+                  <th className="px-4 py-3 text-center text-green-400">Wins</th>
+                  <th className="px-4 py-3 text-center text-red-400">Losses</th>
+                  <th className="px-4 py-3 text-center">Breakeven</th>
+                  <th className="px-4 py-3 text-right">{pnlBasis === "gross" ? "Gross" : "Net"} P&L ($)</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {s.dailyBreakdown.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="py-8 text-center text-gray-400">
+                      No trades recorded for this period.
+                    </td>
+                  </tr>
+                ) : (
+                  s.dailyBreakdown.map((d) => (
+                    <tr key={d.date} className="hover:bg-gray-700 text-gray-200">
+                      <td className="px-4 py-3 font-medium">{new Date(`${d.date}T00:00`).toDateString()}</td>
+                      <td className="px-4 py-3 text-center">{d.trades}</td>
+                      <td className="px-4 py-3 text-center text-green-400">{d.wins}</td>
+                      <td className="px-4 py-3 text-center text-red-400">{d.losses}</td>
+                      <td className="px-4 py-3 text-center text-gray-400">{d.breakeven}</td>
+                      <td className={`px-4 py-3 text-right ${pnlColor(d.pnl)}`}>{fmtSigned(d.pnl)}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* --- Key Takeaways --- */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="bg-gray-800 p-5 rounded-xl border border-gray-700/50">
+            <p className="text-gray-400 text-sm mb-1">Most Profitable:</p>
+            <p className="text-lg font-semibold text-green-400">{s.mostProfitablePair} Pair</p>
+            <p className="text-lg font-semibold text-green-400">{s.mostProfitableSession} Session</p>
+          </div>
+          <div className="bg-gray-800 p-5 rounded-xl border border-gray-700/50">
+            <p className="text-gray-400 text-sm mb-1">Highest Activity:</p>
+            <p className="text-lg font-semibold">{s.mostTradedPair} Pair (Most Traded)</p>
+          </div>
+          <div className="bg-gray-800 p-5 rounded-xl border border-gray-700/50">
+            <p className="text-gray-400 text-sm mb-1">Action Point:</p>
+            <p className="text-lg font-semibold text-amber-400">
+              {s.invalidCount > 0 ? `Review ${s.invalidCount} Invalid Trades!` : "Great Job on Trade Status!"}
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+// src/components/PlaybookEditor.jsx
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { usePlaybook } from "../hooks/usePlaybook";
+import { useInstrumentCatalog } from "../hooks/useInstrumentCatalog";
+import { useSessionSettings } from "../hooks/useSessionSettings";
+import { instrumentSymbols } from "../utils/instruments";
+import { SESSION_NAMES } from "../utils/sessionUtils";
+import { createStrategy } from "../utils/playbook";
+
+const inputClass =
+  "w-full p-2 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+
+const toLines = (text) =>
+  String(text || "")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+// Strategy → form draft (lists edited as one item per line)
+const toDraft = (s) => ({
+  ...s,
+  entryCriteria: (s.entryCriteria || []).join("\n"),
+  screenshots: (s.screenshots || []).join("\n"),
+  targetR: s.targetR ?? "",
+});
+
+function Chips({ options, selected, onToggle }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {options.map((item) => (
+        <button
+          key={item}
+          type="button"
+          onClick={() => onToggle(item)}
+          className={`px-2 py-1 rounded-full text-xs ${
+            selected.includes(item) ? "bg-purple-600 text-white" : "bg-gray-700 text-gray-300"
+          }`}
+        >
+          {item}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ------------------------------
+// Settings → Playbook: the strategies offered in the Add Trade form, with
+// their entry criteria, screenshots, pairs / sessions and target R
+// ------------------------------
+export default function PlaybookEditor({ userId }) {
+  const [playbook, setPlaybook] = usePlaybook(userId);
+  const [instruments] = useInstrumentCatalog(userId);
+  const [, , sessionOptions] = useSessionSettings(userId);
+  const [selectedId, setSelectedId] = useState("");
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Load the selected strategy into the form
+  useEffect(() => {
+    if (!selectedId) return;
+    const strategy = playbook.find((s) => s.id === selectedId);
+    setDraft(strategy ? toDraft(strategy) : null);
+  }, [selectedId, playbook]);
+
+  const update = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+
+  const toggle = (field, item) =>
+    setDraft((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(item) ? prev[field].filter((x) => x !== item) : [...prev[field], item],
+    }));
+
+  const handleNew = () => {
+    setSelectedId("");
+    setDraft(toDraft(createStrategy("New Strategy")));
+  };
+
+  const handleSave = async () => {
+    const name = draft.name?.trim();
+    if (!name) {
+      toast.error("Give the strategy a name");
+      return;
+    }
+    if (playbook.some((s) => s.name === name && s.id !== draft.id)) {
+      toast.error(`There is already a strategy called "${name}"`);
+      return;
+    }
+    if (draft.targetR !== "" && !(Number(draft.targetR) > 0)) {
+      toast.error("Target R must be greater than 0");
+      return;
+    }
+
+    const cleaned = {
+      ...draft,
+      name,
+      description: (draft.description || "").trim(),
+      entryCriteria: toLines(draft.entryCriteria),
+      screenshots: toLines(draft.screenshots),
+      targetR: draft.targetR === "" ? null : Number(draft.targetR),
+    };
+    const exists = playbook.some((s) => s.id === cleaned.id);
+    const next = exists ? playbook.map((s) => (s.id === cleaned.id ? cleaned : s)) : [...playbook, cleaned];
+
+    setSaving(true);
+    const { error } = await setPlaybook(next);
+    setSaving(false);
+    if (error) {
+      toast.error("Failed to save strategy");
+      return;
+    }
+    setSelectedId(cleaned.id);
+    toast.success(`Saved "${cleaned.name}"`);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete strategy "${draft.name}"? Trades keep their strategy name.`)) return;
+    const { error } = await setPlaybook(playbook.filter((s) => s.id !== draft.id));
+    if (error) {
+      toast.error("Failed to delete strategy");
+      return;
+    }
+    setSelectedId("");
+    setDraft(null);
+  };
+
+  const sessionNames = [...SESSION_NAMES, ...sessionOptions.custom.map((s) => s.name)];
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        The strategies you trade. They fill the Strategy dropdown of the Add
+        Trade form; a trade outside its strategy's pairs or sessions asks first
+        and records the breach. Renaming a strategy does not rename past trades.
+      </p>
+
+      <div className="flex gap-2">
+        <select
+          value={selectedId}
+          onChange={(e) => {
+            setSelectedId(e.target.value);
+            if (!e.target.value) setDraft(null);
+          }}
+          className={`${inputClass} max-w-xs`}
+        >
+          <option value="">— Select a strategy —</option>
+          {playbook.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleNew}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-white text-sm"
+        >
+          + New Strategy
+        </button>
+      </div>
+
+      {draft && (
+        <div className="space-y-4 p-4 bg-gray-900 rounded-xl border border-gray-700">
+          <div className="grid grid-cols-3 gap-3">
+            <div className="col-span-2">
+              <label className="block text-xs text-gray-400 mb-1">Name</label>
+              <input value={draft.name} onChange={(e) => update("name", e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Target R</label>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={draft.targetR}
+                onChange={(e) => update("targetR", e.target.value)}
+                placeholder="none"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Description</label>
+            <textarea
+              rows={3}
+              value={draft.description}
+              onChange={(e) => update("description", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Entry criteria (one per line)</label>
+            <textarea
+              rows={4}
+              value={draft.entryCriteria}
+              onChange={(e) => update("entryCriteria", e.target.value)}
+              placeholder={"H1 trend agrees\nBreak of structure on 5min\nEntry on 15min candle close"}
+              className={inputClass}
+            />
+            <label className="flex items-center gap-2 mt-2 text-xs text-gray-400">
+              <input
+                type="checkbox"
+                checked={draft.criteriaRequired !== false}
+                onChange={(e) => update("criteriaRequired", e.target.checked)}
+                className="accent-purple-600"
+              />
+              Must be ticked in the Add Trade checklist before saving
+            </label>
+          </div>
+
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Example screenshot URLs (one per line)</label>
+            <textarea
+              rows={2}
+              value={draft.screenshots}
+              onChange={(e) => update("screenshots", e.target.value)}
+              className={inputClass}
+            />
+            <div className="flex flex-wrap gap-2 mt-2">
+              {toLines(draft.screenshots).map((url) => (
+                <a key={url} href={url} target="_blank" rel="noreferrer">
+                  <img src={url} alt="" className="h-20 rounded border border-gray-700 object-cover" />
+                </a>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Pairs (none selected = any)</label>
+            <Chips
+              options={instrumentSymbols(instruments)}
+              selected={draft.allowedPairs}
+              onToggle={(item) => toggle("allowedPairs", item)}
+            />
+          </div>
+
+          <div>
+            <label className="block text-xs text-gray-400 mb-1">Sessions (none selected = any)</label>
+            <Chips
+              options={sessionNames}
+              selected={draft.allowedSessions}
+              onToggle={(item) => toggle("allowedSessions", item)}
+            />
+          </div>
+
+          <div className="flex justify-between">
+            {playbook.some((s) => s.id === draft.id) ? (
+              <button
+                onClick={handleDelete}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded-lg text-white text-sm"
+              >
+                Delete Strategy
+              </button>
+            ) : (
+              <span />
+            )}
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-6 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-medium disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save Strategy"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+// src/components/PnLCalendar.jsx
+import React, { useMemo, useState } from "react";
+import { ChevronLeft, ChevronRight, X } from "lucide-react";
+import { CALENDAR_METRICS, WEEKDAY_LABELS, buildPnlCalendar } from "../utils/pnlCalendar";
+import { tradeR } from "../utils/performanceMetrics";
+import { DEFAULT_INSTRUMENTS } from "../utils/instruments";
+import { tradePnl } from "../utils/tradeModel";
+import { parseViolations } from "../utils/tradingRules";
+
+const fmtMoney = (v) =>
+  `${v < 0 ? "-" : ""}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const fmtMetric = (metric, v) => {
+  if (metric === "pnl") return fmtMoney(v);
+  if (metric === "r") return `${v > 0 ? "+" : ""}${v.toFixed(2)}R`;
+  return String(v);
+};
+
+// Cell colour: green / red by sign (cyan for trade counts), stronger with size
+const shade = (metric, value, max) => {
+  if (!value || !max) return undefined;
+  const alpha = 0.15 + 0.6 * Math.min(1, Math.abs(value) / max);
+  if (metric === "count") return `rgba(6, 182, 212, ${alpha})`;
+  return value > 0 ? `rgba(34, 197, 94, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+const textColor = (v) => (v > 0 ? "text-green-400" : v < 0 ? "text-red-400" : "text-gray-400");
+
+// ------------------------------
+// One day's trades with their notes and rule violations
+// ------------------------------
+function DayDetails({ date, trades, basis, riskOpts, onClose }) {
+  const title = new Date(`${date}T00:00`).toLocaleDateString(undefined, {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+  return (
+    <div className="p-4 bg-gray-900 rounded-xl border border-gray-700 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-white">{title}</h3>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close day">
+          <X size={18} />
+        </button>
+      </div>
+      {trades.length === 0 ? (
+        <p className="text-sm text-gray-400">No trades closed on this day.</p>
+      ) : (
+        <ul className="divide-y divide-gray-800">
+          {trades.map((t, i) => {
+            const pnl = tradePnl(t, basis);
+            const r = tradeR(t, { ...riskOpts, basis });
+            const violations = parseViolations(t.rule_violations ?? t.ruleViolations);
+            return (
+              <li key={t.id ?? i} className="py-3 text-sm space-y-1">
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+                  <span className="font-semibold text-white">{t.pair || "N/A"}</span>
+                  <span className="uppercase text-xs text-gray-400">{t.type}</span>
+                  {t.session && <span className="text-xs text-gray-500">{t.session}</span>}
+                  {t.strategy && <span className="text-xs text-gray-500">{t.strategy}</span>}
+                  <span className={`ml-auto font-semibold ${textColor(pnl)}`}>{fmtMoney(pnl)}</span>
+                  <span className="text-gray-400 w-16 text-right">{r === null ? "—" : fmtMetric("r", r)}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded ${t.status === "Invalid" ? "bg-red-900/50 text-red-300" : "bg-green-900/40 text-green-300"}`}>
+                    {t.status || "Valid"}
+                  </span>
+                </div>
+                {t.note && <p className="text-gray-300 whitespace-pre-line">{t.note}</p>}
+                {violations.map((v) => (
+                  <p key={v.rule} className="text-xs text-amber-400">
+                    {v.label || v.rule}: {v.message}
+                  </p>
+                ))}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ------------------------------
+// Month calendar of daily results (utils/pnlCalendar.js) with weekly totals;
+// clicking a day lists its trades.
+// ------------------------------
+export default function PnLCalendar({
+  trades = [],
+  capital = 0,
+  catalog = DEFAULT_INSTRUMENTS,
+  accountType,
+  pricing,
+  basis = "net",
+}) {
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [metric, setMetric] = useState("pnl");
+  const [selectedDay, setSelectedDay] = useState(null); // 'YYYY-MM-DD'
+
+  const riskOpts = useMemo(
+    () => ({ capital, catalog, accountType, pricing }),
+    [capital, catalog, accountType, pricing]
+  );
+  const calendar = useMemo(
+    () => buildPnlCalendar(trades, month, { basis, ...riskOpts }),
+    [trades, month, basis, riskOpts]
+  );
+  const selected = selectedDay
+    ? calendar.weeks.flatMap((w) => w.days).find((d) => d.date === selectedDay)
+    : null;
+
+  const shiftMonth = (delta) => {
+    setMonth((m) => new Date(m.getFullYear(), m.getMonth() + delta, 1));
+    setSelectedDay(null);
+  };
+
+  return (
+    <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={() => shiftMonth(-1)} className="p-1.5 rounded bg-gray-700 hover:bg-gray-600" aria-label="Previous month">
+            <ChevronLeft size={18} />
+          </button>
+          <h2 className="text-xl font-semibold text-white w-48 text-center">
+            {month.toLocaleDateString(undefined, { month: "long", year: "numeric" })}
+          </h2>
+          <button type="button" onClick={() => shiftMonth(1)} className="p-1.5 rounded bg-gray-700 hover:bg-gray-600" aria-label="Next month">
+            <ChevronRight size={18} />
+          </button>
+        </div>
+        <div className="flex items-center gap-4">
+          <span className={`text-sm font-semibold ${metric === "count" ? "text-gray-300" : textColor(calendar.total[metric])}`}>
+            Month: {fmtMetric(metric, calendar.total[metric])}
+          </span>
+          <div className="flex bg-gray-900 rounded-lg p-1">
+            {CALENDAR_METRICS.map((m) => (
+              <button
+                key={m.value}
+                type="button"
+                onClick={() => setMetric(m.value)}
+                className={`px-3 py-1 rounded-md text-sm ${metric === m.value ? "bg-cyan-600 text-white" : "text-gray-400 hover:text-white"}`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-8 gap-1 text-xs">
+        {WEEKDAY_LABELS.map((d) => (
+          <div key={d} className="text-center text-gray-400 py-1">
+            {d}
+          </div>
+        ))}
+        <div className="text-center text-gray-400 py-1">Week</div>
+
+        {calendar.weeks.map((week) => (
+          <React.Fragment key={week.days[0].date}>
+            {week.days.map((d) => (
+              <button
+                key={d.date}
+                type="button"
+                disabled={!d.inMonth}
+                onClick={() => setSelectedDay(d.date === selectedDay ? null : d.date)}
+                style={{ backgroundColor: d.inMonth ? shade(metric, d[metric], calendar.maxAbs[metric]) : undefined }}
+                className={`h-16 p-1.5 rounded text-left flex flex-col justify-between border ${
+                  !d.inMonth
+                    ? "border-transparent opacity-40"
+                    : d.date === selectedDay
+                      ? "bg-gray-900 border-cyan-400"
+                      : "bg-gray-900 border-gray-800 hover:border-cyan-500"
+                }`}
+              >
+                <span className="text-gray-300">{d.day}</span>
+                {d.inMonth && d.count > 0 && (
+                  <span className="font-semibold text-white truncate">{fmtMetric(metric, d[metric])}</span>
+                )}
+              </button>
+            ))}
+            <div className="h-16 p-1.5 rounded bg-gray-900/60 flex flex-col justify-between">
+              <span className="text-gray-500">{week.total.count} trades</span>
+              <span className={`font-semibold truncate ${metric === "count" ? "text-gray-300" : textColor(week.total[metric])}`}>
+                {fmtMetric(metric, week.total[metric])}
+              </span>
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+
+      {selected && (
+        <DayDetails
+          date={selected.date}
+          trades={selected.trades}
+          basis={basis}
+          riskOpts={riskOpts}
+          onClose={() => setSelectedDay(null)}
+        />
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,36 @@
+// src/components/PreTradeChecklist.jsx
+import React from "react";
+import { GLOBAL_CHECKLIST } from "../utils/checklists";
+
+// ------------------------------
+// Tick list of pre-trade checklist items (utils/checklists.js), shown in the
+// Add Trade form and when a planned trade is triggered
+// ------------------------------
+export default function PreTradeChecklist({ items = [], ticked = {}, onChange }) {
+  if (!items.length) return null;
+  return (
+    <div className="p-4 rounded-xl bg-gray-800 border border-gray-600 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-200">Pre-trade checklist</span>
+        <span className="text-xs text-gray-400">
+          {items.filter((i) => ticked[i.key]).length} / {items.length} ticked
+        </span>
+      </div>
+      {items.map((item) => (
+        <label key={item.key} className="flex items-start gap-2 text-sm text-gray-200">
+          <input
+            type="checkbox"
+            checked={!!ticked[item.key]}
+            onChange={(e) => onChange({ ...ticked, [item.key]: e.target.checked })}
+            className="mt-1 accent-purple-600"
+          />
+          <span>
+            {item.text}
+            {!item.required && <span className="ml-1 text-xs text-gray-500">(optional)</span>}
+            {item.source !== GLOBAL_CHECKLIST && <span className="ml-1 text-xs text-purple-300">{item.source}</span>}
+          </span>
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+// src/components/SessionSettingsEditor.jsx
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { useSessionSettings } from "../hooks/useSessionSettings";
+import { getLocalTimeZone } from "../utils/dateUtils";
+import { MARKET_SESSIONS, SESSION_NAMES, SESSION_PRESETS, sessionHoursIn } from "../utils/sessionUtils";
+
+const TIME_ZONES =
+  typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+
+const cellClass =
+  "w-full p-1 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+
+const EMPTY_ROW = { name: "", timeZone: "UTC", start: "", end: "" };
+
+const isTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// ------------------------------
+// Settings → Sessions: the time zone trade times are entered and shown in,
+// and custom sessions (killzones) detected next to the market sessions
+// ------------------------------
+export default function SessionSettingsEditor({ userId }) {
+  const [settings, setSettings, options] = useSessionSettings(userId);
+  const [timeZone, setTimeZone] = useState(settings.timeZone);
+  const [rows, setRows] = useState(settings.custom);
+  const [saving, setSaving] = useState(false);
+
+  // Re-seed the form when the saved settings change (load / other tab)
+  const settingsKey = JSON.stringify(settings);
+  useEffect(() => {
+    const saved = JSON.parse(settingsKey);
+    setTimeZone(saved.timeZone);
+    setRows(saved.custom);
+  }, [settingsKey]);
+
+  const updateRow = (index, field, value) =>
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+
+  const addPreset = (name) => {
+    const preset = SESSION_PRESETS.find((p) => p.name === name);
+    if (preset && !rows.some((r) => r.name === name)) setRows((prev) => [...prev, { ...preset }]);
+  };
+
+  const handleSave = async () => {
+    const custom = [];
+    for (const row of rows) {
+      const name = row.name.trim();
+      if (!name) continue;
+      if (SESSION_NAMES.includes(name) || custom.some((c) => c.name === name)) {
+        toast.error(`"${name}" is already a session name`);
+        return;
+      }
+      if (name.includes("&")) {
+        toast.error(`"${name}": session names cannot contain "&"`);
+        return;
+      }
+      if (!/^\d{2}:\d{2}$/.test(row.start) || !/^\d{2}:\d{2}$/.test(row.end) || row.start === row.end) {
+        toast.error(`Enter a start and end time for ${name}`);
+        return;
+      }
+      if (!isTimeZone(row.timeZone)) {
+        toast.error(`"${row.timeZone}" is not a time zone`);
+        return;
+      }
+      custom.push({ name, timeZone: row.timeZone, start: row.start, end: row.end });
+    }
+
+    setSaving(true);
+    const { error } = await setSettings({ timeZone, custom });
+    setSaving(false);
+    if (error) toast.error("Failed to save sessions");
+    else toast.success("Sessions saved");
+  };
+
+  const today = new Date().toISOString().slice(0, 10);
+  const displayZone = timeZone || getLocalTimeZone();
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-2">
+        <label className="block text-sm text-gray-400">Display time zone</label>
+        <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)} className={`${cellClass} max-w-sm`}>
+          <option value="">Browser ({getLocalTimeZone()})</option>
+          {TIME_ZONES.map((tz) => (
+            <option key={tz} value={tz}>
+              {tz}
+            </option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500">
+          Trade times are entered in this zone. Sessions keep their home
+          hours, so daylight-saving changes move them on your clock.
+        </p>
+      </div>
+
+      <table className="w-full max-w-md text-sm">
+        <thead>
+          <tr className="text-left text-gray-400">
+            <th className="p-1">Market session</th>
+            <th className="p-1">Home hours</th>
+            <th className="p-1">Today in {displayZone}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {MARKET_SESSIONS.map((s) => (
+            <tr key={s.name} className="border-t border-gray-700">
+              <td className="p-1 text-white">{s.name}</td>
+              <td className="p-1 text-gray-400">
+                {s.start}–{s.end} {s.timeZone}
+              </td>
+              <td className="p-1 text-gray-200">{sessionHoursIn(s, displayZone, today)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="space-y-2">
+        <h3 className="text-lg font-semibold text-white">Custom sessions</h3>
+        <p className="text-sm text-gray-400">
+          Trades opened inside a custom session get its name added to their
+          session, e.g. "London &amp; London open killzone".
+        </p>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-400">
+              <th className="p-1">Name</th>
+              <th className="p-1">Time zone</th>
+              <th className="p-1">Start</th>
+              <th className="p-1">End</th>
+              <th className="p-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => (
+              <tr key={i} className="border-t border-gray-700">
+                <td className="p-1">
+                  <input value={row.name} onChange={(e) => updateRow(i, "name", e.target.value)} className={cellClass} />
+                </td>
+                <td className="p-1">
+                  <select value={row.timeZone} onChange={(e) => updateRow(i, "timeZone", e.target.value)} className={cellClass}>
+                    {!TIME_ZONES.includes(row.timeZone) && <option value={row.timeZone}>{row.timeZone}</option>}
+                    {TIME_ZONES.map((tz) => (
+                      <option key={tz} value={tz}>
+                        {tz}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="p-1">
+                  <input type="time" value={row.start} onChange={(e) => updateRow(i, "start", e.target.value)} className={cellClass} />
+                </td>
+                <td className="p-1">
+                  <input type="time" value={row.end} onChange={(e) => updateRow(i, "end", e.target.value)} className={cellClass} />
+                </td>
+                <td className="p-1">
+                  <button
+                    onClick={() => setRows((prev) => prev.filter((_, j) => j !== i))}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => setRows((prev) => [...prev, { ...EMPTY_ROW, timeZone: options.timeZone }])}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-white"
+        >
+          + Add Session
+        </button>
+        <select
+          value=""
+          onChange={(e) => addPreset(e.target.value)}
+          className="px-3 py-2 bg-gray-700 rounded-lg text-white"
+        >
+          <option value="">Add a preset…</option>
+          {SESSION_PRESETS.map((p) => (
+            <option key={p.name} value={p.name} disabled={rows.some((r) => r.name === p.name)}>
+              {p.name} ({p.start}–{p.end} {p.timeZone})
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="ml-auto px-6 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-medium disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Sessions"}
+        </button>
+      </div>
+    </div>
+  );
+}
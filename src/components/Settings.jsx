@@ -1,5 +1,15 @@
 import { useState } from "react";
 import AccountManager from "./AccountManager";
+import ImportStatementModal from "./ImportStatementModal";
+import CsvImportWizard from "./CsvImportWizard";
+import InstrumentCatalogEditor from "./InstrumentCatalogEditor";
+import FxRatesEditor from "./FxRatesEditor";
+import BrokerProfilesEditor from "./BrokerProfilesEditor";
+import TradingRulesEditor from "./TradingRulesEditor";
+import SessionSettingsEditor from "./SessionSettingsEditor";
+import PlaybookEditor from "./PlaybookEditor";
+import ChecklistEditor from "./ChecklistEditor";
+import TagColorsEditor from "./TagColorsEditor";
 
 export default function Settings({
   userId,
@@ -26,6 +36,23 @@ export default function Settings({
   setWithdrawAmount,
 }) {
   const [settingsView, setSettingsView] = useState("accountManager");
+  const [showStatementImport, setShowStatementImport] = useState(false);
+  const [showCsvImport, setShowCsvImport] = useState(false);
+
+  const currentAccount = accounts?.find((a) => a.id === currentAccountId);
+
+  // Keep capital in sync when imported deposits/withdrawals were applied
+  const handleStatementImported = ({ capitalDelta }) => {
+    if (!capitalDelta) return;
+    setCapital((prev) => (prev || 0) + capitalDelta);
+    setAccounts((prev) =>
+      prev.map((a) =>
+        a.id === currentAccountId
+          ? { ...a, capital: (a.capital || 0) + capitalDelta }
+          : a
+      )
+    );
+  };
 
   return (
     <div className="flex max-w-7xl mx-auto py-8 text-gray-200">
@@ -38,6 +65,46 @@ export default function Settings({
             active={settingsView === "accountManager"}
             onClick={() => setSettingsView("accountManager")}
           />
+          <SidebarButton
+            label="Instruments"
+            active={settingsView === "instruments"}
+            onClick={() => setSettingsView("instruments")}
+          />
+          <SidebarButton
+            label="Exchange Rates"
+            active={settingsView === "fxRates"}
+            onClick={() => setSettingsView("fxRates")}
+          />
+          <SidebarButton
+            label="Broker Profiles"
+            active={settingsView === "brokers"}
+            onClick={() => setSettingsView("brokers")}
+          />
+          <SidebarButton
+            label="Trading Rules"
+            active={settingsView === "rules"}
+            onClick={() => setSettingsView("rules")}
+          />
+          <SidebarButton
+            label="Sessions"
+            active={settingsView === "sessions"}
+            onClick={() => setSettingsView("sessions")}
+          />
+          <SidebarButton
+            label="Playbook"
+            active={settingsView === "playbook"}
+            onClick={() => setSettingsView("playbook")}
+          />
+          <SidebarButton
+            label="Checklist"
+            active={settingsView === "checklist"}
+            onClick={() => setSettingsView("checklist")}
+          />
+          <SidebarButton
+            label="Tags"
+            active={settingsView === "tags"}
+            onClick={() => setSettingsView("tags")}
+          />
           <SidebarButton
             label="Theme"
             active={settingsView === "theme"}
@@ -95,6 +162,74 @@ export default function Settings({
           </div>
         )}
 
+        {/* --- Instruments --- */}
+        {settingsView === "instruments" && (
+          <div>
+            <h2 className="text-2xl font-bold mb-6 text-white">Instruments</h2>
+            <InstrumentCatalogEditor userId={userId} />
+          </div>
+        )}
+
+        {/* --- Exchange Rates --- */}
+        {settingsView === "fxRates" && (
+          <div>
+            <h2 className="text-2xl font-bold mb-6 text-white">Exchange Rates</h2>
+            <FxRatesEditor userId={userId} />
+          </div>
+        )}
+
+        {/* --- Broker Profiles --- */}
+        {settingsView === "brokers" && (
+          <div>
+            <h2 className="text-2xl font-bold mb-6 text-white">Broker Profiles</h2>
+            <BrokerProfilesEditor userId={userId} />
+          </div>
+        )}
+
+        {/* --- Trading Rules --- */}
+        {settingsView === "rules" && (
+          <div>
+            <h2 className="text-2xl font-bold mb-6 text-white">Trading Rules</h2>
+            <TradingRulesEditor
+              userId={userId}
+              accounts={accounts}
+              currentAccountId={currentAccountId}
+            />
+          </div>
+        )}
+
+        {/* --- Sessions --- */}
+        {settingsView === "sessions" && (
+          <div>
+            <h2 className="text-2xl font-bold mb-6 text-white">Sessions</h2>
+            <SessionSettingsEditor userId={userId} />
+          </div>
+        )}
+
+        {/* --- Playbook --- */}
+        {settingsView === "playbook" && (
+          <div>
+            <h2 className="text-2xl font-bold mb-6 text-white">Playbook</h2>
+            <PlaybookEditor userId={userId} />
+          </div>
+        )}
+
+        {/* --- Checklist --- */}
+        {settingsView === "checklist" && (
+          <div>
+            <h2 className="text-2xl font-bold mb-6 text-white">Pre-trade Checklist</h2>
+            <ChecklistEditor userId={userId} />
+          </div>
+        )}
+
+        {/* --- Tags --- */}
+        {settingsView === "tags" && (
+          <div>
+            <h2 className="text-2xl font-bold mb-6 text-white">Tags</h2>
+            <TagColorsEditor userId={userId} />
+          </div>
+        )}
+
         {/* --- Theme --- */}
         {settingsView === "theme" && (
           <div>
@@ -180,6 +315,22 @@ export default function Settings({
               </label>
             </div>
 
+            <button
+              onClick={() => setShowStatementImport(true)}
+              disabled={!currentAccountId}
+              className="w-full bg-teal-600 hover:bg-teal-500 text-white px-4 py-2 rounded-lg font-medium transition disabled:opacity-50"
+            >
+              Import MT4 / MT5 Statement
+            </button>
+
+            <button
+              onClick={() => setShowCsvImport(true)}
+              disabled={!currentAccountId}
+              className="w-full bg-teal-600 hover:bg-teal-500 text-white px-4 py-2 rounded-lg font-medium transition disabled:opacity-50"
+            >
+              Import Trades from CSV (cTrader, TradingView, prop firms...)
+            </button>
+
             <button
               onClick={handleResetAccount}
               className="w-full bg-red-600 hover:bg-red-500 text-white px-4 py-2 rounded-lg font-medium transition"
@@ -189,6 +340,25 @@ export default function Settings({
           </div>
         )}
 
+        <ImportStatementModal
+          isOpen={showStatementImport}
+          onClose={() => setShowStatementImport(false)}
+          userId={userId}
+          accountId={currentAccountId}
+          account={currentAccount}
+          capital={currentAccount?.capital}
+          onImported={handleStatementImported}
+        />
+
+        <CsvImportWizard
+          isOpen={showCsvImport}
+          onClose={() => setShowCsvImport(false)}
+          userId={userId}
+          accountId={currentAccountId}
+          account={currentAccount}
+          capital={currentAccount?.capital}
+        />
+
         {/* --- Logout --- */}
         {settingsView === "logout" && (
           <div>
@@ -0,0 +1,100 @@
+// src/components/StopManagementPanel.jsx
+import React, { useMemo } from "react";
+import { analyzeStopManagement } from "../utils/stopManagement";
+import { DEFAULT_INSTRUMENTS } from "../utils/instruments";
+
+const fmtMoney = (v) =>
+  Number(v || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const signed = (v) => `${v >= 0 ? "+" : "-"}$${fmtMoney(Math.abs(v))}`;
+
+// ------------------------------
+// Stop management: on closed trades whose SL/TP was moved, how often the
+// change beat the original plan and by how much. Expects closed trades.
+// ------------------------------
+export default function StopManagementPanel({
+  trades = [],
+  catalog = DEFAULT_INSTRUMENTS,
+  accountType,
+  pricing,
+  title = "Stop Management",
+}) {
+  const summary = useMemo(
+    () => analyzeStopManagement(trades, { accountType, pricing }, catalog),
+    [trades, accountType, pricing, catalog]
+  );
+  const { managed, helped, hurt, unknown, netEffect, byKind } = summary;
+  const judged = helped + hurt;
+
+  return (
+    <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50 space-y-6">
+      <h2 className="text-xl font-semibold text-white">{title}</h2>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+        <div className="p-3 bg-gray-900 rounded-lg">
+          <p className="text-gray-400">Trades Managed</p>
+          <p className="text-lg font-semibold text-white">{managed}</p>
+        </div>
+        <div className="p-3 bg-gray-900 rounded-lg">
+          <p className="text-gray-400">Helped</p>
+          <p className="text-lg font-semibold text-green-400">
+            {helped}
+            {judged > 0 && <span className="text-xs text-gray-500"> ({((helped / judged) * 100).toFixed(0)}%)</span>}
+          </p>
+        </div>
+        <div className="p-3 bg-gray-900 rounded-lg">
+          <p className="text-gray-400">Hurt</p>
+          <p className="text-lg font-semibold text-red-400">
+            {hurt}
+            {judged > 0 && <span className="text-xs text-gray-500"> ({((hurt / judged) * 100).toFixed(0)}%)</span>}
+          </p>
+        </div>
+        <div className="p-3 bg-gray-900 rounded-lg">
+          <p className="text-gray-400">Net vs Original Plan</p>
+          <p className={`text-lg font-semibold ${netEffect >= 0 ? "text-green-400" : "text-red-400"}`}>
+            {signed(netEffect)}
+          </p>
+        </div>
+        <div className="p-3 bg-gray-900 rounded-lg">
+          <p className="text-gray-400">Plan Outcome Unknown</p>
+          <p className="text-lg font-semibold text-amber-400">{unknown}</p>
+        </div>
+      </div>
+
+      {managed === 0 ? (
+        <p className="text-gray-400 text-sm">
+          No closed trades with SL/TP changes yet. Use the SL/TP button on an active trade to record one.
+        </p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-400">
+              <th className="p-2">Change</th>
+              <th className="p-2 text-right">Trades</th>
+              <th className="p-2 text-right">Helped</th>
+              <th className="p-2 text-right">Hurt</th>
+              <th className="p-2 text-right">Net vs Plan</th>
+            </tr>
+          </thead>
+          <tbody>
+            {byKind.map((k) => (
+              <tr key={k.kind} className="border-t border-gray-700 text-gray-300">
+                <td className="p-2">{k.label}</td>
+                <td className="p-2 text-right">{k.trades}</td>
+                <td className="p-2 text-right text-green-400">{k.helped}</td>
+                <td className="p-2 text-right text-red-400">{k.hurt}</td>
+                <td className={`p-2 text-right ${k.netEffect >= 0 ? "text-green-400" : "text-red-400"}`}>
+                  {signed(k.netEffect)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="text-xs text-gray-500">
+        A change helped when the trade closed better than the original SL or TP would have (as
+        recorded when closing it).
+      </p>
+    </section>
+  );
+}
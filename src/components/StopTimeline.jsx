@@ -0,0 +1,51 @@
+// src/components/StopTimeline.jsx
+import React from "react";
+import {
+  STOP_EVENT_LABELS,
+  getStopEvents,
+  initialStop,
+  initialTarget,
+} from "../utils/stopEvents";
+
+const fmt = (v, d) => (v === null || v === undefined ? "none" : Number(v).toFixed(d));
+
+const KIND_COLORS = {
+  breakeven: "text-blue-300",
+  trailed: "text-green-400",
+  widened: "text-red-400",
+  extended: "text-green-400",
+  reduced: "text-amber-300",
+};
+
+// ------------------------------
+// SL/TP history of a trade: the opening plan followed by every recorded
+// change (utils/stopEvents.js), oldest first.
+// ------------------------------
+export default function StopTimeline({ trade, digits = 5 }) {
+  const events = getStopEvents(trade);
+
+  return (
+    <div className="space-y-2 text-xs">
+      <p className="text-gray-400">
+        Initial plan: SL {fmt(initialStop(trade), digits)} · TP {fmt(initialTarget(trade), digits)}
+      </p>
+      {events.length === 0 ? (
+        <p className="text-gray-500">No SL/TP changes recorded.</p>
+      ) : (
+        <ol className="border-l border-gray-700 pl-3 space-y-1">
+          {events.map((e) => (
+            <li key={e.id} className="text-gray-300">
+              <span className="text-gray-500">{new Date(e.time).toLocaleString()}</span>{" "}
+              <span className="font-medium">{e.field.toUpperCase()}</span>{" "}
+              {fmt(e.from, digits)} → {fmt(e.to, digits)}{" "}
+              <span className={KIND_COLORS[e.kind] || "text-gray-400"}>
+                ({STOP_EVENT_LABELS[e.kind] || e.kind})
+              </span>
+              {e.note && <span className="block text-gray-500 italic">{e.note}</span>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+// src/components/StrategyReport.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+} from "recharts";
+import { db } from "../services/storage";
+import { isExecutedTrade } from "../utils/tradeLifecycle";
+import { computeStrategyReport } from "../utils/playbook";
+import { usePlaybook } from "../hooks/usePlaybook";
+import { useAccountSpecs } from "../hooks/useAccountSpecs";
+
+const fmtMoney = (v) =>
+  `${v < 0 ? "-" : ""}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const fmtOr = (v, fmt) => (v === null || v === undefined ? "N/A" : fmt(v));
+
+const pnlColor = (v) => (v > 0 ? "text-green-400" : v < 0 ? "text-red-400" : "text-gray-300");
+
+const tooltipStyle = { backgroundColor: "#1f2937", border: "1px solid #4b5563", borderRadius: "8px" };
+
+const LINE_COLORS = ["#22d3ee", "#a78bfa", "#34d399", "#f59e0b", "#f472b6", "#60a5fa", "#facc15", "#fb7185", "#4ade80", "#c084fc"];
+
+const card = "bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-700/50";
+
+// One row per exit day, each strategy's cumulative PnL carried forward
+const mergeCurves = (rows) => {
+  const dates = [...new Set(rows.flatMap((r) => r.curve.map((p) => p.date)))].sort();
+  const last = {};
+  return dates.map((date) => {
+    const point = { date };
+    rows.forEach((r) => {
+      r.curve.filter((p) => p.date === date).forEach((p) => (last[r.name] = p.pnl));
+      if (last[r.name] !== undefined) point[r.name] = last[r.name];
+    });
+    return point;
+  });
+};
+
+// ------------------------------
+// Strategy report: playbook strategies side by side — win rate,
+// expectancy, profit factor, R against target and equity curves
+// ------------------------------
+export default function StrategyReport({ userId, accountId, account = null, capital = 10000 }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [trades, setTrades] = useState([]);
+  const [pnlBasis, setPnlBasis] = useState("net");
+  const [playbook] = usePlaybook(userId);
+  const { instruments, pricing } = useAccountSpecs(userId, account ?? undefined);
+  const accountType = account?.account_type;
+
+  useEffect(() => {
+    let mounted = true;
+    const fetchTrades = async () => {
+      if (!userId || !accountId) {
+        setTrades([]);
+        setLoading(false);
+        return;
+      }
+      setLoading(true);
+      setError(null);
+      try {
+        const { data, error: supaErr } = await db
+          .from("trades")
+          .select("*")
+          .eq("user_id", userId)
+          .eq("account_id", accountId)
+          .order("entry_date", { ascending: true });
+        if (supaErr) throw supaErr;
+        if (mounted) setTrades((data || []).filter((t) => isExecutedTrade(t) && t.exit_date));
+      } catch (err) {
+        if (mounted) setError(err.message || "Fetch error");
+      } finally {
+        if (mounted) setLoading(false);
+      }
+    };
+    fetchTrades();
+    return () => {
+      mounted = false;
+    };
+  }, [userId, accountId]);
+
+  const report = useMemo(
+    () =>
+      computeStrategyReport(trades, {
+        playbook,
+        capital,
+        catalog: instruments,
+        accountType,
+        pricing,
+        basis: pnlBasis,
+      }),
+    [trades, playbook, capital, instruments, accountType, pricing, pnlBasis]
+  );
+  const traded = useMemo(() => report.filter((r) => r.metrics.trades > 0), [report]);
+  const chartData = useMemo(() => mergeCurves(traded), [traded]);
+
+  if (loading) {
+    return <div className="p-8 text-center text-cyan-400">Loading strategy data...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="p-8 text-center text-red-400">
+        <p className="font-semibold text-lg mb-2">Error loading strategies:</p> {error}
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white">
+      <div className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8 space-y-10">
+        {/* --- Header --- */}
+        <header className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Strategy Report</h1>
+            <p className="text-gray-400 text-sm mt-1">
+              Closed trades grouped by strategy. Edit strategies under Settings → Playbook.
+            </p>
+          </div>
+          <div className="flex bg-gray-800 rounded-lg p-1">
+            {["net", "gross"].map((b) => (
+              <button
+                key={b}
+                onClick={() => setPnlBasis(b)}
+                className={`px-3 py-1 rounded-md text-sm capitalize ${
+                  pnlBasis === b ? "bg-cyan-600 text-white" : "text-gray-400 hover:text-white"
+                }`}
+              >
+                {b}
+              </button>
+            ))}
+          </div>
+        </header>
+
+        {/* --- Comparison table --- */}
+        <section className={card}>
+          <h2 className="text-xl font-semibold mb-4">Comparison</h2>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-700">
+                  <th className="py-2 pr-4">Strategy</th>
+                  <th className="py-2 pr-4 text-right">Trades</th>
+                  <th className="py-2 pr-4 text-right">Win Rate</th>
+                  <th className="py-2 pr-4 text-right">Expectancy</th>
+                  <th className="py-2 pr-4 text-right">Profit Factor</th>
+                  <th className="py-2 pr-4 text-right">Avg R / Target</th>
+                  <th className="py-2 text-right">{pnlBasis === "gross" ? "Gross" : "Net"} P&L</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.map(({ name, inPlaybook, targetR, metrics: m }) => (
+                  <tr key={name} className="border-b border-gray-700/50">
+                    <td className="py-2 pr-4">
+                      {name}
+                      {!inPlaybook && <span className="ml-2 text-xs text-gray-500">not in playbook</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-right">{m.trades}</td>
+                    <td className="py-2 pr-4 text-right">{fmtOr(m.winRate, (v) => `${v.toFixed(1)}%`)}</td>
+                    <td className={`py-2 pr-4 text-right ${pnlColor(m.expectancy)}`}>{fmtOr(m.expectancy, fmtMoney)}</td>
+                    <td className="py-2 pr-4 text-right">{fmtOr(m.profitFactor, (v) => v.toFixed(2))}</td>
+                    <td
+                      className={`py-2 pr-4 text-right ${
+                        m.avgR !== null && targetR ? (m.avgR >= targetR ? "text-green-400" : "text-amber-400") : ""
+                      }`}
+                    >
+                      {fmtOr(m.avgR, (v) => `${v.toFixed(2)}R`)}
+                      {targetR ? ` / ${targetR}R` : ""}
+                    </td>
+                    <td className={`py-2 text-right font-semibold ${pnlColor(m.netPnl)}`}>{fmtMoney(m.netPnl)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        {/* --- Equity curves --- */}
+        <section className={card}>
+          <h2 className="text-xl font-semibold mb-4">Equity Curve by Strategy</h2>
+          {chartData.length === 0 ? (
+            <div className="text-gray-400 h-40 flex items-center justify-center">No closed trades yet.</div>
+          ) : (
+            <div className="h-[360px]">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="date" stroke="#9ca3af" tick={{ fontSize: 11 }} />
+                  <YAxis stroke="#9ca3af" tickFormatter={(v) => `$${v}`} />
+                  <Tooltip contentStyle={tooltipStyle} formatter={(v, name) => [fmtMoney(v), name]} />
+                  <Legend />
+                  <ReferenceLine y={0} stroke="#6b7280" />
+                  {traded.map((r, i) => (
+                    <Line
+                      key={r.name}
+                      type="monotone"
+                      dataKey={r.name}
+                      stroke={LINE_COLORS[i % LINE_COLORS.length]}
+                      dot={false}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
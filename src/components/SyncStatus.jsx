@@ -0,0 +1,272 @@
+// src/components/SyncStatus.jsx
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import Modal from "./Modal";
+import {
+  getOutboxState,
+  subscribeOutbox,
+  flushOutbox,
+  resolveConflict,
+  retryFailedWrite,
+  discardFailedWrite,
+} from "../services/storage/outbox";
+
+// Fields shown side by side when a trade changed on both sides
+const COMPARE_FIELDS = [
+  ["pair", "Pair"],
+  ["type", "Type"],
+  ["state", "State"],
+  ["status", "Status"],
+  ["entry_price", "Entry Price"],
+  ["sl", "Stop Loss"],
+  ["tp", "Take Profit"],
+  ["lot_size", "Lot Size"],
+  ["exit_price", "Exit Price"],
+  ["pnl_currency", "PnL"],
+  ["strategy", "Strategy"],
+  ["note", "Note"],
+  ["updated_at", "Last Updated"],
+];
+
+const formatValue = (key, value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (key === "updated_at") return new Date(value).toLocaleString();
+  return String(value);
+};
+
+// ------------------------------
+// Conflict card: this device vs server
+// ------------------------------
+function ConflictCard({ conflict, onResolve, busy }) {
+  const { local, remote } = conflict;
+  const changedKeys = COMPARE_FIELDS.filter(
+    ([key]) => formatValue(key, local?.[key]) !== formatValue(key, remote?.[key])
+  );
+
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-lg p-4 mb-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold">
+          {remote?.pair || local?.pair || "Trade"}{" "}
+          <span className="text-xs text-gray-400">
+            {remote?.entry_date ? new Date(remote.entry_date).toLocaleDateString() : ""}
+          </span>
+        </h3>
+        {conflict.op === "delete" && (
+          <span className="text-xs text-red-400">Deleted on this device</span>
+        )}
+      </div>
+
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="text-gray-400 text-left">
+            <th className="py-1">Field</th>
+            <th className="py-1">This device</th>
+            <th className="py-1">Server</th>
+          </tr>
+        </thead>
+        <tbody>
+          {(changedKeys.length ? changedKeys : COMPARE_FIELDS.slice(-1)).map(
+            ([key, label]) => (
+              <tr key={key} className="border-t border-gray-800">
+                <td className="py-1 text-gray-400">{label}</td>
+                <td className="py-1 text-blue-300">
+                  {conflict.op === "delete" ? "(deleted)" : formatValue(key, local?.[key])}
+                </td>
+                <td className="py-1 text-green-300">{formatValue(key, remote?.[key])}</td>
+              </tr>
+            )
+          )}
+        </tbody>
+      </table>
+
+      <div className="flex gap-2 justify-end">
+        <button
+          disabled={busy}
+          onClick={() => onResolve(conflict.id, "local")}
+          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm disabled:opacity-50"
+        >
+          Keep this device
+        </button>
+        <button
+          disabled={busy}
+          onClick={() => onResolve(conflict.id, "remote")}
+          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm disabled:opacity-50"
+        >
+          Keep server
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------------
+// Failed card: a write the server refused
+// ------------------------------
+function FailedCard({ failure, onRetry, onDiscard, busy }) {
+  const row = failure.row || {};
+  return (
+    <div className="bg-gray-900 border border-red-800 rounded-lg p-4 mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold">
+          {row.pair || failure.table}{" "}
+          <span className="text-xs text-gray-400">
+            {failure.op === "delete" ? "delete" : "save"} ·{" "}
+            {new Date(failure.failedAt).toLocaleString()}
+          </span>
+        </h3>
+      </div>
+      <p className="text-sm text-red-300 mb-4">
+        {failure.error?.message || "Rejected by the server"}
+        {failure.error?.code ? ` (${failure.error.code})` : ""}
+      </p>
+      <div className="flex gap-2 justify-end">
+        <button
+          disabled={busy}
+          onClick={() => onRetry(failure.id)}
+          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm disabled:opacity-50"
+        >
+          Retry
+        </button>
+        <button
+          disabled={busy}
+          onClick={() => onDiscard(failure.id)}
+          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm disabled:opacity-50"
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------------
+// Header badge: pending writes + conflict resolver
+// ------------------------------
+export default function SyncStatus() {
+  const [state, setState] = useState(getOutboxState);
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [showConflicts, setShowConflicts] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = subscribeOutbox((next) => setState(next));
+    const onOnline = () => setOnline(true);
+    const onOffline = () => setOnline(false);
+    window.addEventListener("online", onOnline);
+    window.addEventListener("offline", onOffline);
+    return () => {
+      unsubscribe();
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOffline);
+    };
+  }, []);
+
+  const pendingCount = state.pending.length;
+  const conflictCount = state.conflicts.length;
+  const failedCount = state.failed.length;
+  const needsReview = conflictCount + failedCount > 0;
+
+  const handleSyncNow = async () => {
+    setBusy(true);
+    const next = await flushOutbox();
+    setBusy(false);
+    if (next.pending.length) toast.error("Some changes could not be synced yet");
+  };
+
+  const handleResolve = async (conflictId, keep) => {
+    setBusy(true);
+    await resolveConflict(conflictId, keep);
+    setBusy(false);
+    toast.success(keep === "local" ? "Kept this device's version" : "Kept server version");
+    closeIfReviewed();
+  };
+
+  const handleRetry = async (failureId) => {
+    setBusy(true);
+    const next = await retryFailedWrite(failureId);
+    setBusy(false);
+    if (next.failed.some((f) => f.id === failureId)) toast.error("The server rejected this change again");
+    else toast.success("Change sent again");
+    closeIfReviewed();
+  };
+
+  const handleDiscard = (failureId) => {
+    discardFailedWrite(failureId);
+    toast.success("Change discarded");
+    closeIfReviewed();
+  };
+
+  const closeIfReviewed = () => {
+    const next = getOutboxState();
+    if (next.conflicts.length === 0 && next.failed.length === 0) setShowConflicts(false);
+  };
+
+  let label = "✅ Synced";
+  let tone = "text-green-400";
+  if (failedCount) {
+    label = `❌ ${failedCount} failed`;
+    tone = "text-red-400";
+  } else if (conflictCount) {
+    label = `⚠️ ${conflictCount} conflict${conflictCount > 1 ? "s" : ""}`;
+    tone = "text-yellow-400";
+  } else if (!online) {
+    label = pendingCount ? `📴 Offline · ${pendingCount} pending` : "📴 Offline";
+    tone = "text-gray-400";
+  } else if (pendingCount) {
+    label = `🔄 ${pendingCount} pending`;
+    tone = "text-blue-400";
+  }
+
+  return (
+    <>
+      <div className="flex items-center gap-2 text-xs">
+        <button
+          onClick={() =>
+            needsReview ? setShowConflicts(true) : handleSyncNow()
+          }
+          disabled={busy}
+          title={needsReview ? "Review sync problems" : "Sync now"}
+          className={`px-3 py-1 rounded-full bg-gray-800 hover:bg-gray-700 ${tone}`}
+        >
+          {busy ? "Syncing..." : label}
+        </button>
+      </div>
+
+      <Modal
+        isOpen={showConflicts}
+        onClose={() => setShowConflicts(false)}
+        title="Resolve Sync Problems"
+      >
+        {failedCount > 0 && (
+          <>
+            <p className="text-sm text-gray-400 mb-4">
+              The server refused these changes, so they were not saved. Retry
+              once the cause is fixed, or discard them.
+            </p>
+            {state.failed.map((f) => (
+              <FailedCard
+                key={f.id}
+                failure={f}
+                onRetry={handleRetry}
+                onDiscard={handleDiscard}
+                busy={busy}
+              />
+            ))}
+          </>
+        )}
+        {conflictCount > 0 && (
+          <>
+            <p className="text-sm text-gray-400 mb-4">
+              These trades were changed on this device while offline and also on
+              another device. Choose which version to keep.
+            </p>
+            {state.conflicts.map((c) => (
+              <ConflictCard key={c.id} conflict={c} onResolve={handleResolve} busy={busy} />
+            ))}
+          </>
+        )}
+      </Modal>
+    </>
+  );
+}
@@ -0,0 +1,113 @@
+// src/components/TagColorsEditor.jsx
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { db } from "../services/storage";
+import { useTagColors } from "../hooks/useTagColors";
+import { collectTags, tagColor } from "../utils/tags";
+import TagList from "./TagList";
+
+// ------------------------------
+// Settings → Tags: the colour of every tag used on a trade
+// ------------------------------
+export default function TagColorsEditor({ userId }) {
+  const [colors, setColors] = useTagColors(userId);
+  const [tags, setTags] = useState([]);
+  const [draft, setDraft] = useState(colors);
+  const [saving, setSaving] = useState(false);
+
+  // Re-seed the form when the saved colours change (load / other tab)
+  const colorsKey = JSON.stringify(colors);
+  useEffect(() => {
+    setDraft(JSON.parse(colorsKey));
+  }, [colorsKey]);
+
+  // Tags in use, across all accounts
+  useEffect(() => {
+    let mounted = true;
+    const fetchTags = async () => {
+      if (!userId) return;
+      const { data, error } = await db.from("trades").select("tags").eq("user_id", userId);
+      if (error) {
+        console.error("[TagColorsEditor] Failed to load tags:", error);
+        return;
+      }
+      if (mounted) setTags(collectTags(data || []));
+    };
+    fetchTags();
+    return () => {
+      mounted = false;
+    };
+  }, [userId]);
+
+  const handleSave = async () => {
+    // Only keep colours that differ from the automatic one
+    const cleaned = Object.fromEntries(Object.entries(draft).filter(([tag, color]) => color !== tagColor(tag)));
+    setSaving(true);
+    const { error } = await setColors(cleaned);
+    setSaving(false);
+    if (error) toast.error("Failed to save tag colours");
+    else toast.success("Tag colours saved");
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Tags are added to trades in the Add Trade form and the edit dialogs.
+        Tags without a colour of their own get one picked from their name.
+      </p>
+
+      {tags.length === 0 ? (
+        <p className="text-gray-500 text-sm">No tagged trades yet.</p>
+      ) : (
+        <table className="w-full max-w-lg text-sm">
+          <thead>
+            <tr className="text-left text-gray-400">
+              <th className="p-1">Tag</th>
+              <th className="p-1 text-right">Trades</th>
+              <th className="p-1">Colour</th>
+              <th className="p-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {tags.map(({ tag, count }) => (
+              <tr key={tag} className="border-t border-gray-700">
+                <td className="p-1">
+                  <TagList tags={[tag]} colors={draft} />
+                </td>
+                <td className="p-1 text-right text-gray-300">{count}</td>
+                <td className="p-1">
+                  <input
+                    type="color"
+                    value={tagColor(tag, draft)}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, [tag]: e.target.value }))}
+                    className="h-8 w-12 bg-transparent"
+                  />
+                </td>
+                <td className="p-1">
+                  {draft[tag] && (
+                    <button
+                      onClick={() =>
+                        setDraft((prev) => Object.fromEntries(Object.entries(prev).filter(([t]) => t !== tag)))
+                      }
+                      className="text-gray-400 hover:text-white"
+                    >
+                      Reset
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button
+        onClick={handleSave}
+        disabled={saving}
+        className="px-6 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-medium disabled:opacity-50"
+      >
+        {saving ? "Saving..." : "Save Tag Colours"}
+      </button>
+    </div>
+  );
+}
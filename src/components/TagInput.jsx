@@ -0,0 +1,75 @@
+// src/components/TagInput.jsx
+import React, { useState } from "react";
+import TagList from "./TagList";
+import { normalizeTag } from "../utils/tags";
+
+// ------------------------------
+// Tag editor: Enter or comma adds the typed tag, Backspace on an empty
+// field removes the last one, and known tags are suggested as you type
+// ------------------------------
+export default function TagInput({ value = [], onChange, suggestions = [], colors = {}, className = "" }) {
+  const [text, setText] = useState("");
+  const [open, setOpen] = useState(false);
+
+  const add = (raw) => {
+    const tag = normalizeTag(raw);
+    if (tag && !value.includes(tag)) onChange([...value, tag]);
+    setText("");
+  };
+
+  const remove = (tag) => onChange(value.filter((t) => t !== tag));
+
+  const query = normalizeTag(text);
+  const matches = suggestions.filter((s) => !value.includes(s) && (!query || s.includes(query))).slice(0, 8);
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      add(text);
+    } else if (e.key === "Backspace" && !text && value.length) {
+      remove(value[value.length - 1]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className={`relative ${className}`}>
+      <div className="flex flex-wrap items-center gap-1 p-2 rounded-md bg-gray-800 border border-gray-600">
+        <TagList tags={value} colors={colors} onRemove={remove} />
+        <input
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => {
+            setOpen(false);
+            if (text.trim()) add(text);
+          }}
+          placeholder={value.length ? "" : "news, A+ setup, FOMO…"}
+          className="flex-1 min-w-[8rem] bg-transparent text-gray-200 text-sm outline-none"
+        />
+      </div>
+      {open && matches.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full max-h-48 overflow-y-auto rounded-md bg-gray-900 border border-gray-700 text-sm">
+          {matches.map((s) => (
+            <li key={s}>
+              <button
+                type="button"
+                // Keep focus in the field so its blur does not close the list first
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => add(s)}
+                className="w-full text-left px-3 py-1 text-gray-200 hover:bg-gray-700"
+              >
+                {s}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
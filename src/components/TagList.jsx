@@ -0,0 +1,28 @@
+// src/components/TagList.jsx
+import React from "react";
+import { tagColor } from "../utils/tags";
+
+// ------------------------------
+// Coloured tag chips; removable when `onRemove` is given
+// ------------------------------
+export default function TagList({ tags = [], colors = {}, onRemove, className = "" }) {
+  if (!tags.length) return null;
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          style={{ borderColor: tagColor(tag, colors), color: tagColor(tag, colors) }}
+          className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs bg-gray-900/60"
+        >
+          {tag}
+          {onRemove && (
+            <button type="button" onClick={() => onRemove(tag)} className="hover:text-white" aria-label={`Remove ${tag}`}>
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
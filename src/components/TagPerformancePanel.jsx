@@ -0,0 +1,95 @@
+// src/components/TagPerformancePanel.jsx
+import React, { useMemo } from "react";
+import { ResponsiveContainer, BarChart, Bar, Cell, CartesianGrid, XAxis, YAxis, Tooltip, ReferenceLine } from "recharts";
+import { DEFAULT_INSTRUMENTS } from "../utils/instruments";
+import { tagStats } from "../utils/tradeBreakdowns";
+import { tagColor } from "../utils/tags";
+import { useTagColors } from "../hooks/useTagColors";
+import TagList from "./TagList";
+
+const fmtMoney = (v) =>
+  `${v < 0 ? "-" : ""}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const pnlColor = (v) => (v > 0 ? "text-green-400" : v < 0 ? "text-red-400" : "text-gray-300");
+
+const tooltipStyle = { backgroundColor: "#1f2937", border: "1px solid #4b5563", borderRadius: "8px" };
+
+// ------------------------------
+// Results by trade tag: count, P&L, win rate and average R
+// ------------------------------
+export default function TagPerformancePanel({
+  userId,
+  trades = [],
+  capital = 0,
+  catalog = DEFAULT_INSTRUMENTS,
+  accountType,
+  pricing,
+  basis = "net",
+}) {
+  const [colors] = useTagColors(userId);
+  const rows = useMemo(
+    () => tagStats(trades, { capital, catalog, accountType, pricing, basis }),
+    [trades, capital, catalog, accountType, pricing, basis]
+  );
+
+  return (
+    <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50">
+      <h2 className="text-xl font-semibold text-white">Tag Performance</h2>
+      {rows.length === 0 ? (
+        <p className="text-gray-400 text-sm mt-2">No tagged closed trades match the current filters.</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-4">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-gray-700">
+                  <th className="py-2 pr-4">Tag</th>
+                  <th className="py-2 pr-4 text-right">Trades</th>
+                  <th className="py-2 pr-4 text-right">P&L</th>
+                  <th className="py-2 pr-4 text-right">Win Rate</th>
+                  <th className="py-2 text-right">Avg R</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.tag} className="border-b border-gray-700/50 text-gray-200">
+                    <td className="py-2 pr-4">
+                      <TagList tags={[r.tag]} colors={colors} />
+                    </td>
+                    <td className="py-2 pr-4 text-right">{r.count}</td>
+                    <td className={`py-2 pr-4 text-right font-semibold ${pnlColor(r.pnl)}`}>{fmtMoney(r.pnl)}</td>
+                    <td className="py-2 pr-4 text-right">{r.winRate.toFixed(1)}%</td>
+                    <td className={`py-2 text-right ${pnlColor(r.avgR ?? 0)}`}>
+                      {r.avgR === null ? "N/A" : `${r.avgR.toFixed(2)}R`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">A trade with several tags counts under each of them.</p>
+          </div>
+
+          <div className="h-[300px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={rows.slice(0, 12)} layout="vertical" margin={{ top: 5, right: 20, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" horizontal={false} />
+                <XAxis type="number" stroke="#9ca3af" tickFormatter={(v) => `$${v}`} />
+                <YAxis type="category" dataKey="tag" stroke="#9ca3af" axisLine={false} tickLine={false} width={90} />
+                <Tooltip
+                  contentStyle={tooltipStyle}
+                  formatter={(v, name, { payload }) => [`${fmtMoney(v)} · ${payload.count} trades`, payload.tag]}
+                />
+                <ReferenceLine x={0} stroke="#6b7280" />
+                <Bar dataKey="pnl" radius={[0, 6, 6, 0]}>
+                  {rows.slice(0, 12).map((r) => (
+                    <Cell key={r.tag} fill={tagColor(r.tag, colors)} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,202 @@
+// src/components/TimeAnalysisPanel.jsx
+import React, { useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  ScatterChart,
+  Scatter,
+  Bar,
+  Line,
+  Cell,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  ZAxis,
+  Tooltip,
+  ReferenceLine,
+} from "recharts";
+import { DEFAULT_INSTRUMENTS } from "../utils/instruments";
+import { WEEKDAY_LABELS } from "../utils/pnlCalendar";
+import {
+  buildHoldHistogram,
+  buildTimeOfDayHeatmap,
+  formatDuration,
+  holdVsR,
+} from "../utils/timeAnalysis";
+
+const fmtMoney = (v) =>
+  `${v < 0 ? "-" : ""}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const tooltipStyle = { backgroundColor: "#1f2937", border: "1px solid #4b5563", borderRadius: "8px" };
+
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+// Heatmap cell colour: PnL green / red by sign, win rate red → green around 50%
+const cellColor = (metric, cell, maxAbsPnl) => {
+  if (!cell.count) return undefined;
+  if (metric === "winRate") {
+    const alpha = 0.15 + 0.6 * Math.min(1, Math.abs(cell.winRate - 50) / 50);
+    return cell.winRate >= 50 ? `rgba(34, 197, 94, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+  }
+  const alpha = maxAbsPnl ? 0.15 + 0.6 * (Math.abs(cell.pnl) / maxAbsPnl) : 0.15;
+  return cell.pnl >= 0 ? `rgba(34, 197, 94, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+// ------------------------------
+// When trades make money: entry hour × weekday heatmap, hold-time
+// histogram and hold time vs R (utils/timeAnalysis.js)
+// ------------------------------
+export default function TimeAnalysisPanel({
+  trades = [],
+  capital = 0,
+  catalog = DEFAULT_INSTRUMENTS,
+  accountType,
+  pricing,
+  basis = "net",
+}) {
+  const [metric, setMetric] = useState("pnl");
+
+  const heatmap = useMemo(() => buildTimeOfDayHeatmap(trades, { basis }), [trades, basis]);
+  const hold = useMemo(() => buildHoldHistogram(trades, { basis }), [trades, basis]);
+  const points = useMemo(
+    () => holdVsR(trades, { capital, catalog, accountType, pricing, basis }),
+    [trades, capital, catalog, accountType, pricing, basis]
+  );
+
+  if (trades.length === 0) {
+    return (
+      <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50">
+        <h2 className="text-xl font-semibold text-white">Time Analysis</h2>
+        <p className="text-gray-400 text-sm mt-2">No closed trades match the current filters.</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="p-6 bg-gray-800 rounded-2xl shadow-xl border border-gray-700/50 space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-xl font-semibold text-white">Time Analysis</h2>
+        <div className="flex bg-gray-900 rounded-lg p-1">
+          {[
+            ["pnl", "P&L"],
+            ["winRate", "Win rate"],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setMetric(value)}
+              className={`px-3 py-1 rounded-md text-sm ${metric === value ? "bg-cyan-600 text-white" : "text-gray-400 hover:text-white"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Entry hour × weekday */}
+      <div className="overflow-x-auto">
+        <table className="text-[10px] border-separate" style={{ borderSpacing: 2 }}>
+          <thead>
+            <tr>
+              <th />
+              {HOURS.map((h) => (
+                <th key={h} className="w-8 text-gray-400 font-normal">
+                  {String(h).padStart(2, "0")}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {heatmap.cells.map((row, d) => (
+              <tr key={WEEKDAY_LABELS[d]}>
+                <td className="pr-2 text-gray-400 text-xs">{WEEKDAY_LABELS[d]}</td>
+                {row.map((cell, h) => (
+                  <td
+                    key={h}
+                    title={
+                      cell.count
+                        ? `${WEEKDAY_LABELS[d]} ${String(h).padStart(2, "0")}:00 · ${cell.count} trades · ${fmtMoney(cell.pnl)} · ${cell.winRate.toFixed(0)}% wins`
+                        : undefined
+                    }
+                    style={{ backgroundColor: cellColor(metric, cell, heatmap.maxAbsPnl) }}
+                    className="w-8 h-7 rounded text-center text-white bg-gray-900"
+                  >
+                    {cell.count ? (metric === "pnl" ? Math.round(cell.pnl) : `${cell.winRate.toFixed(0)}%`) : ""}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mt-2">Entry hour (trade time) by weekday. Hover a cell for details.</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Hold-time histogram */}
+        <div>
+          <h3 className="font-semibold text-white mb-1">Hold Time</h3>
+          <p className="text-xs text-gray-400 mb-3">
+            Winners held {formatDuration(hold.avgWinMinutes)} on average, losers {formatDuration(hold.avgLossMinutes)}
+            {hold.unknown > 0 && ` · ${hold.unknown} trades without a usable entry / exit time`}
+          </p>
+          <div className="h-[260px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={hold.buckets} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="label" stroke="#9ca3af" tick={{ fontSize: 11 }} />
+                <YAxis yAxisId="pnl" stroke="#9ca3af" tickFormatter={(v) => `$${v}`} />
+                <YAxis yAxisId="count" orientation="right" stroke="#9ca3af" allowDecimals={false} />
+                <Tooltip
+                  contentStyle={tooltipStyle}
+                  formatter={(value, name) => (name === "Trades" ? [value, name] : [fmtMoney(value), name])}
+                />
+                <ReferenceLine yAxisId="pnl" y={0} stroke="#6b7280" />
+                <Bar yAxisId="pnl" dataKey="pnl" name="P&L">
+                  {hold.buckets.map((b) => (
+                    <Cell key={b.label} fill={b.pnl >= 0 ? "#10b981" : "#ef4444"} />
+                  ))}
+                </Bar>
+                <Line yAxisId="count" dataKey="count" name="Trades" stroke="#38bdf8" dot />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        {/* Hold time vs R */}
+        <div>
+          <h3 className="font-semibold text-white mb-1">Hold Time vs R</h3>
+          <p className="text-xs text-gray-400 mb-3">{points.length} trades with a known risk</p>
+          <div className="h-[260px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis
+                  type="number"
+                  dataKey="hours"
+                  name="Hold"
+                  scale="log"
+                  domain={["auto", "auto"]}
+                  allowDataOverflow
+                  stroke="#9ca3af"
+                  tickFormatter={(v) => formatDuration(v * 60)}
+                />
+                <YAxis type="number" dataKey="r" name="R" stroke="#9ca3af" tickFormatter={(v) => `${v}R`} />
+                <ZAxis range={[40, 40]} />
+                <ReferenceLine y={0} stroke="#6b7280" />
+                <Tooltip
+                  contentStyle={tooltipStyle}
+                  formatter={(value, name) => (name === "Hold" ? [formatDuration(value * 60), name] : [`${value}R`, name])}
+                />
+                <Scatter data={points.map((p) => ({ ...p, hours: Math.max(p.hours, 0.01) }))}>
+                  {points.map((p, i) => (
+                    <Cell key={i} fill={p.r >= 0 ? "#10b981" : "#ef4444"} />
+                  ))}
+                </Scatter>
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -1,8 +1,16 @@
 // src/components/TradeEditModal.jsx
 import React, { useState, useEffect } from "react";
 import { getSessionForTime, getSessionColors } from "../utils/sessionUtils";
-
-const TradeEditModal = ({ trade, onClose, onSave, isOpen = true }) => {
+import { toast } from "react-hot-toast";
+import StopTimeline from "./StopTimeline";
+import TradeStatusField from "./TradeStatusField";
+import { DEFAULT_RULES, collectTradeViolations, tradeStatusFields } from "../utils/tradingRules";
+import { DEFAULT_PLAYBOOK, strategyNames } from "../utils/playbook";
+import { parseTags } from "../utils/tags";
+import { DEFAULT_INSTRUMENTS, instrumentSymbols } from "../utils/instruments";
+import TagInput from "./TagInput";
+
+const TradeEditModal = ({ trade, onClose, onSave, isOpen = true, sessionOptions = {}, playbook = DEFAULT_PLAYBOOK, instruments = DEFAULT_INSTRUMENTS, rules = DEFAULT_RULES, tagSuggestions = [], tagColors = {} }) => {
   console.log("🟢 TradeEditModal mounted/rendered", { trade, isOpen });
 
   // Initialize defaults to avoid uncontrolled → controlled warnings
@@ -17,6 +25,7 @@ const TradeEditModal = ({ trade, onClose, onSave, isOpen = true }) => {
     tp: "",
     risk: "2.0",
     strategy: "",
+    tags: [],
     beforeimage: "",
     exitDate: "",
     exitPrice: "",
@@ -24,6 +33,8 @@ const TradeEditModal = ({ trade, onClose, onSave, isOpen = true }) => {
     afterimage: "",
     note: "",
     status: "valid",
+    statusOverride: "",
+    statusReason: "",
     session: "",
   });
 
@@ -77,6 +88,7 @@ useEffect(() => {
 
       // Other Fields
       strategy: trade.strategy ?? "",
+      tags: parseTags(trade.tags),
       session: trade.session ?? "",
       beforeimage: trade.beforeimage ?? "",
       exitDate: formattedExitDate,
@@ -85,6 +97,8 @@ useEffect(() => {
       afterimage: trade.afterimage ?? "",
       note: trade.note ?? "",
       status: trade.status ?? "valid",
+      statusOverride: trade.statusOverride ?? trade.status_override ?? "",
+      statusReason: trade.statusReason ?? trade.status_reason ?? "",
     });
   }
 }, [isOpen, trade]);
@@ -95,6 +109,19 @@ useEffect(() => {
     return null;
   }
 
+  // R:R of the edited levels (the saved one while they are incomplete)
+  const entryNum = Number(formData.entryPrice);
+  const slNum = Number(formData.sl);
+  const tpNum = Number(formData.tp);
+  const ratio =
+    entryNum > 0 && slNum > 0 && tpNum > 0 && entryNum !== slNum
+      ? Math.abs(tpNum - entryNum) / Math.abs(entryNum - slNum)
+      : trade.ratio ?? null;
+
+  // Rules broken when the trade was saved, plus the trade-level rules checked
+  // against the edited pair, risk, R:R and session (see tradingRules.js)
+  const violations = collectTradeViolations({ ...trade, ...formData, ratio }, rules);
+
   // ✅ Handle form change
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -102,8 +129,9 @@ useEffect(() => {
 
     setFormData((prev) => {
       const updated = { ...prev, [name]: value };
-      if (name === "tradeTime") {
-        updated.session = getSessionForTime(value);
+      // Sessions depend on the date too (daylight saving)
+      if (name === "tradeTime" || name === "entryDate") {
+        updated.session = getSessionForTime(updated.tradeTime, { ...sessionOptions, date: updated.entryDate });
         console.log("🕒 Updated session based on tradeTime:", updated.session);
       }
       return updated;
@@ -121,9 +149,20 @@ const handleSubmit = async (e) => {
       return;
     }
 
+    // Status follows the rule violations unless overridden with a reason
+    let statusFields;
+    try {
+      statusFields = tradeStatusFields(violations, formData.statusOverride || null, formData.statusReason);
+    } catch (err) {
+      toast.error(err.message);
+      return;
+    }
+
     // Normalize data before saving
     const updatedTrade = {
       ...formData,
+      ...statusFields,
+      ratio,
       updated_at: new Date().toISOString(),
       trade_time: formData.tradeTime,
     };
@@ -154,15 +193,14 @@ const handleSubmit = async (e) => {
   };
 
   // Dropdown options
-  const pairs = ["EUR/USD", "GBP/USD", "USD/JPY", "XAU/USD", "USD/CAD", "AUD/USD", "USD/CHF"];
+  // The account's catalog, plus the trade's own symbol if it was since removed
+  const catalogPairs = instrumentSymbols(instruments);
+  const pairs =
+    formData.pair && !catalogPairs.includes(formData.pair)
+      ? [formData.pair, ...catalogPairs]
+      : catalogPairs;
   const riskOptions = Array.from({ length: 11 }, (_, i) => (2 + i * 0.1).toFixed(1));
-  const strategyOptions = [
-    "1/5min BOT, 5MCC",
-    "1/5min BOT, 15MCC",
-    "5/15min BOT, 15MCC",
-    "5/15min BOT, H1MCC",
-    "1/5min BOS, 5MCC",
-  ];
+  const strategyOptions = strategyNames(playbook, formData.strategy);
 
   // ✅ Render overlapping session tags
   const renderSessionTags = () => {
@@ -324,6 +362,17 @@ const handleSubmit = async (e) => {
             </select>
           </div>
 
+          {/* Tags */}
+          <div>
+            <label className="block mb-1">Tags</label>
+            <TagInput
+              value={formData.tags}
+              onChange={(tags) => setFormData((prev) => ({ ...prev, tags }))}
+              suggestions={tagSuggestions}
+              colors={tagColors}
+            />
+          </div>
+
           {/* Before Image */}
           <div>
             <label className="block mb-1">Before Image URL</label>
@@ -396,19 +445,24 @@ const handleSubmit = async (e) => {
           </div>
 
           {/* Status */}
-<div>
-  <label className="block mb-1">Status</label>
-  <select
-    name="status"
-    value={formData.status}
-    onChange={handleChange}
-    className="w-full p-2 rounded bg-gray-800 border border-gray-700"
-  >
-    <option value="Valid">Valid ✅</option>
-    <option value="Invalid">Invalid ❌</option>
-  </select>
-</div>
+          <div className="col-span-2">
+            <label className="block mb-1">Status</label>
+            <TradeStatusField
+              violations={violations}
+              override={formData.statusOverride}
+              reason={formData.statusReason}
+              onChange={({ override, reason }) =>
+                setFormData((prev) => ({ ...prev, statusOverride: override, statusReason: reason }))
+              }
+            />
+          </div>
+
 
+          {/* SL / TP history */}
+          <div className="col-span-2">
+            <label className="block mb-1">SL / TP History</label>
+            <StopTimeline trade={trade} />
+          </div>
 
           {/* Buttons */}
           <div className="col-span-2 flex justify-end mt-4 gap-3">
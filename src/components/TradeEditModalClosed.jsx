@@ -1,8 +1,16 @@
 // src/components/TradeEditModal.jsx
 import React, { useState, useEffect } from "react";
 import { getSessionForTime, getSessionColors } from "../utils/sessionUtils";
-
-const TradeEditModal = ({ trade, onClose, onSave, isOpen = true }) => {
+import { toast } from "react-hot-toast";
+import StopTimeline from "./StopTimeline";
+import TradeStatusField from "./TradeStatusField";
+import { DEFAULT_RULES, collectTradeViolations, tradeStatusFields } from "../utils/tradingRules";
+import { DEFAULT_PLAYBOOK, strategyNames } from "../utils/playbook";
+import { parseTags } from "../utils/tags";
+import { DEFAULT_INSTRUMENTS, instrumentSymbols } from "../utils/instruments";
+import TagInput from "./TagInput";
+
+const TradeEditModal = ({ trade, onClose, onSave, isOpen = true, sessionOptions = {}, playbook = DEFAULT_PLAYBOOK, instruments = DEFAULT_INSTRUMENTS, rules = DEFAULT_RULES, tagSuggestions = [], tagColors = {} }) => {
   console.log("🟢 TradeEditModal mounted/rendered", { trade, isOpen });
 
   // Initialize defaults to avoid uncontrolled → controlled warnings
@@ -17,13 +25,19 @@ const TradeEditModal = ({ trade, onClose, onSave, isOpen = true }) => {
     tp: "",
     risk: "2.0",
     strategy: "",
+    tags: [],
     beforeimage: "",
     exitDate: "",
     exitPrice: "",
     pnlCurrency: "",
+    commission: "",
+    swap: "",
+    fees: "",
     afterimage: "",
     note: "",
     status: "valid",
+    statusOverride: "",
+    statusReason: "",
     session: "",
   });
 
@@ -77,14 +91,20 @@ useEffect(() => {
 
       // Other Fields
       strategy: trade.strategy ?? "",
+      tags: parseTags(trade.tags),
       session: trade.session ?? "",
       beforeimage: trade.beforeimage ?? "",
       exitDate: formattedExitDate,
       exitPrice: formatValue(trade.exitPrice),
       pnlCurrency: formatValue(trade.pnlCurrency),
+      commission: formatValue(trade.commission),
+      swap: formatValue(trade.swap),
+      fees: formatValue(trade.fees),
       afterimage: trade.afterimage ?? "",
       note: trade.note ?? "",
       status: trade.status ?? "valid",
+      statusOverride: trade.statusOverride ?? trade.status_override ?? "",
+      statusReason: trade.statusReason ?? trade.status_reason ?? "",
     });
   }
 }, [isOpen, trade]);
@@ -95,6 +115,10 @@ useEffect(() => {
     return null;
   }
 
+  // Rules broken when the trade was saved / closed, plus the trade-level
+  // rules checked against the edited pair, risk and session (see tradingRules.js)
+  const violations = collectTradeViolations({ ...trade, ...formData }, rules);
+
   // ✅ Handle form change
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -102,8 +126,9 @@ useEffect(() => {
 
     setFormData((prev) => {
       const updated = { ...prev, [name]: value };
-      if (name === "tradeTime") {
-        updated.session = getSessionForTime(value);
+      // Sessions depend on the date too (daylight saving)
+      if (name === "tradeTime" || name === "entryDate") {
+        updated.session = getSessionForTime(updated.tradeTime, { ...sessionOptions, date: updated.entryDate });
         console.log("🕒 Updated session based on tradeTime:", updated.session);
       }
       return updated;
@@ -121,11 +146,24 @@ const handleSubmit = async (e) => {
       return;
     }
 
+    // Status follows the rule violations unless overridden with a reason
+    let statusFields;
+    try {
+      statusFields = tradeStatusFields(violations, formData.statusOverride || null, formData.statusReason);
+    } catch (err) {
+      toast.error(err.message);
+      return;
+    }
+
     // Normalize data before saving
     const updatedTrade = {
       ...formData,
+      ...statusFields,
       updated_at: new Date().toISOString(),
       trade_time: formData.tradeTime,
+      commission: Number(formData.commission) || 0,
+      swap: Number(formData.swap) || 0,
+      fees: Number(formData.fees) || 0,
     };
 
     console.log("✅ Calling onSave with:", updatedTrade);
@@ -154,15 +192,14 @@ const handleSubmit = async (e) => {
   };
 
   // Dropdown options
-  const pairs = ["EUR/USD", "GBP/USD", "USD/JPY", "XAU/USD", "USD/CAD", "AUD/USD", "USD/CHF"];
+  // The account's catalog, plus the trade's own symbol if it was since removed
+  const catalogPairs = instrumentSymbols(instruments);
+  const pairs =
+    formData.pair && !catalogPairs.includes(formData.pair)
+      ? [formData.pair, ...catalogPairs]
+      : catalogPairs;
   const riskOptions = Array.from({ length: 11 }, (_, i) => (2 + i * 0.1).toFixed(1));
-  const strategyOptions = [
-    "1/5min BOT, 5MCC",
-    "1/5min BOT, 15MCC",
-    "5/15min BOT, 15MCC",
-    "5/15min BOT, H1MCC",
-    "1/5min BOS, 5MCC",
-  ];
+  const strategyOptions = strategyNames(playbook, formData.strategy);
 
   // ✅ Render overlapping session tags
   const renderSessionTags = () => {
@@ -324,6 +361,17 @@ const handleSubmit = async (e) => {
             </select>
           </div>
 
+          {/* Tags */}
+          <div>
+            <label className="block mb-1">Tags</label>
+            <TagInput
+              value={formData.tags}
+              onChange={(tags) => setFormData((prev) => ({ ...prev, tags }))}
+              suggestions={tagSuggestions}
+              colors={tagColors}
+            />
+          </div>
+
           {/* Before Image */}
           <div>
             <label className="block mb-1">Before Image URL</label>
@@ -362,7 +410,7 @@ const handleSubmit = async (e) => {
 
           {/* Actual PnL */}
           <div>
-            <label className="block mb-1">Actual PnL</label>
+            <label className="block mb-1">Actual PnL (net)</label>
             <input
               type="number"
               name="pnlCurrency"
@@ -370,6 +418,36 @@ const handleSubmit = async (e) => {
               onChange={handleChange}
               className="w-full p-2 rounded bg-gray-800 border border-gray-700"
             />
+            <p className="text-xs text-gray-400 mt-1">
+              Gross:{" "}
+              {(
+                (Number(formData.pnlCurrency) || 0) -
+                (Number(formData.commission) || 0) -
+                (Number(formData.swap) || 0) -
+                (Number(formData.fees) || 0)
+              ).toFixed(2)}
+            </p>
+          </div>
+
+          {/* Commission / Swap / Fees (negative = paid, already in the net PnL) */}
+          <div className="col-span-2 grid grid-cols-3 gap-4">
+            {[
+              ["commission", "Commission"],
+              ["swap", "Swap"],
+              ["fees", "Fees"],
+            ].map(([name, label]) => (
+              <div key={name}>
+                <label className="block mb-1">{label}</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  name={name}
+                  value={formData[name]}
+                  onChange={handleChange}
+                  className="w-full p-2 rounded bg-gray-800 border border-gray-700"
+                />
+              </div>
+            ))}
           </div>
 
           {/* After Image */}
@@ -396,19 +474,24 @@ const handleSubmit = async (e) => {
           </div>
 
           {/* Status */}
-<div>
-  <label className="block mb-1">Status</label>
-  <select
-    name="status"
-    value={formData.status}
-    onChange={handleChange}
-    className="w-full p-2 rounded bg-gray-800 border border-gray-700"
-  >
-    <option value="Valid">Valid ✅</option>
-    <option value="Invalid">Invalid ❌</option>
-  </select>
-</div>
+          <div className="col-span-2">
+            <label className="block mb-1">Status</label>
+            <TradeStatusField
+              violations={violations}
+              override={formData.statusOverride}
+              reason={formData.statusReason}
+              onChange={({ override, reason }) =>
+                setFormData((prev) => ({ ...prev, statusOverride: override, statusReason: reason }))
+              }
+            />
+          </div>
+
 
+          {/* SL / TP history */}
+          <div className="col-span-2">
+            <label className="block mb-1">SL / TP History</label>
+            <StopTimeline trade={trade} />
+          </div>
 
           {/* Buttons */}
           <div className="col-span-2 flex justify-end mt-4 gap-3">
@@ -0,0 +1,111 @@
+// src/components/TradeFilterBar.jsx
+import React, { useMemo } from "react";
+import { Filter } from "lucide-react";
+import { SESSION_NAMES } from "../utils/sessionUtils";
+import {
+  DATE_PRESETS,
+  DEFAULT_TRADE_FILTERS,
+  hasActiveFilters,
+  resolveDateRange,
+} from "../utils/tradeFilters";
+
+const inputClass = "p-2 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+
+const uniqueValues = (trades, key) =>
+  [...new Set(trades.map((t) => t[key]).filter(Boolean))].sort();
+
+// Market sessions first, then custom ones found on the trades ("London & London open killzone")
+const sessionValues = (trades) => [
+  ...new Set([
+    ...SESSION_NAMES,
+    ...trades
+      .flatMap((t) => String(t.session || "").split("&"))
+      .map((s) => s.trim())
+      .filter((s) => s && s !== "Closed" && s !== "Unknown"),
+  ]),
+];
+
+// ------------------------------
+// Date range + pair / session / strategy / direction / status filters
+// shared by the Dashboard and WeeklyReview (state: hooks/useTradeFilters).
+// `allLabel` renames the unbounded range for pages with their own default.
+// ------------------------------
+export default function TradeFilterBar({ filters, onChange, trades = [], allLabel = "All time" }) {
+  const pairs = useMemo(() => uniqueValues(trades, "pair"), [trades]);
+  const strategies = useMemo(() => uniqueValues(trades, "strategy"), [trades]);
+  const sessions = useMemo(() => sessionValues(trades), [trades]);
+  const { from, to } = resolveDateRange(filters);
+
+  const set = (key) => (e) => {
+    const value = e.target.value;
+    onChange((prev) => {
+      const next = { ...prev, [key]: value };
+      // Switching to Custom starts from the range that was showing
+      if (key === "range" && value === "custom") {
+        next.from = prev.from || from;
+        next.to = prev.to || to;
+      }
+      return next;
+    });
+  };
+
+  const select = (key, allOption, options) => (
+    <select value={filters[key]} onChange={set(key)} className={inputClass}>
+      <option value="">{allOption}</option>
+      {options.map((o) => {
+        const [value, label] = Array.isArray(o) ? o : [o, o];
+        return (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        );
+      })}
+    </select>
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 p-3 bg-gray-800 rounded-xl border border-gray-700/50">
+      <Filter size={16} className="text-gray-400" />
+      <select value={filters.range} onChange={set("range")} className={inputClass}>
+        {DATE_PRESETS.map((p) => (
+          <option key={p.value} value={p.value}>
+            {p.value === "all" ? allLabel : p.label}
+          </option>
+        ))}
+      </select>
+      {filters.range === "custom" ? (
+        <>
+          <input type="date" value={filters.from} onChange={set("from")} className={inputClass} />
+          <span className="text-gray-500 text-sm">to</span>
+          <input type="date" value={filters.to} onChange={set("to")} className={inputClass} />
+        </>
+      ) : (
+        from && (
+          <span className="text-xs text-gray-400">
+            {from} → {to}
+          </span>
+        )
+      )}
+      {select("pair", "All pairs", pairs)}
+      {select("session", "All sessions", sessions)}
+      {select("strategy", "All strategies", strategies)}
+      {select("direction", "Long & short", [
+        ["long", "Long"],
+        ["short", "Short"],
+      ])}
+      {select("status", "Valid & invalid", [
+        ["Valid", "Valid"],
+        ["Invalid", "Invalid"],
+      ])}
+      {hasActiveFilters(filters) && (
+        <button
+          type="button"
+          onClick={() => onChange(DEFAULT_TRADE_FILTERS)}
+          className="px-3 py-2 text-sm rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+// src/components/TradeLegsTable.jsx
+import React from "react";
+
+const fmt = (v, d = 2) => (v === null || v === undefined ? "—" : Number(v).toFixed(d));
+
+// ------------------------------
+// Execution legs of a position with realized / unrealized PnL and R.
+// `summary` comes from summarizeLegs (utils/tradeLegs.js).
+// ------------------------------
+export default function TradeLegsTable({ summary, unrealized = null, digits = 5 }) {
+  if (!summary?.legs?.length) return null;
+  const { legs, openLots, entryLots, avgEntry, avgExit, realizedPnl, realizedR } = summary;
+
+  return (
+    <div className="mt-2 space-y-2">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-400">
+            <th className="p-1">Leg</th>
+            <th className="p-1">Time</th>
+            <th className="p-1 text-right">Lots</th>
+            <th className="p-1 text-right">Price</th>
+            <th className="p-1 text-right">Fee</th>
+          </tr>
+        </thead>
+        <tbody>
+          {legs.map((leg) => (
+            <tr key={leg.id} className="border-t border-gray-700">
+              <td className={`p-1 ${leg.kind === "entry" ? "text-blue-300" : "text-amber-300"}`}>
+                {leg.kind === "entry" ? "Entry" : "Exit"}
+              </td>
+              <td className="p-1 text-gray-300">{new Date(leg.time).toLocaleString()}</td>
+              <td className="p-1 text-right">{fmt(leg.lots)}</td>
+              <td className="p-1 text-right">{fmt(leg.price, digits)}</td>
+              <td className="p-1 text-right">{fmt(leg.fee)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-3 gap-2 text-xs text-gray-300">
+        <span>
+          Open: {fmt(openLots)} / {fmt(entryLots)} lots
+        </span>
+        <span>Avg entry: {fmt(avgEntry, digits)}</span>
+        <span>Avg exit: {fmt(avgExit, digits)}</span>
+        <span className={realizedPnl >= 0 ? "text-green-400" : "text-red-400"}>
+          Realized (gross): {fmt(realizedPnl)}
+        </span>
+        {unrealized !== null && (
+          <span className={unrealized >= 0 ? "text-green-400" : "text-red-400"}>
+            Unrealized: {fmt(unrealized)}
+          </span>
+        )}
+        <span>Realized R: {realizedR === null ? "—" : `${fmt(realizedR)}R`}</span>
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,70 @@
 // components/TradeLog.jsx
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { v4 as uuidv4 } from "uuid";
 import { Toaster, toast } from "react-hot-toast";
-import { supabase } from "./supabaseClient"; // adjust path if needed
+import { db } from "../services/storage";
+import {
+  writeThroughOutbox,
+  applyPendingWrites,
+  subscribeOutbox,
+} from "../services/storage/outbox";
 import { getSessionForTime, getSessionColors } from "../utils/sessionUtils";
+import { normalizeTradeForDB } from "../utils/tradeModel";
+import {
+  getPipValue,
+  getPointMultiplier,
+  getQuoteConversionRate,
+  priceDistanceToPips,
+  calculateLotSize,
+  calculatePnl,
+  instrumentSymbols,
+  findInstrument,
+  roundLot,
+} from "../utils/instruments";
+import { addLeg, createLeg, summarizeLegs, unrealizedPnl } from "../utils/tradeLegs";
+import { PLAN_OUTCOMES, applyStopChange, getStopEvents } from "../utils/stopEvents";
+import {
+  ORDER_TYPES,
+  PLANNED_STATES,
+  canTransition,
+  countCancellations,
+  isExecutedTrade,
+  isPastExpiry,
+  normalizeTradeState,
+  summarizeTradePlans,
+  transitionTrade,
+} from "../utils/tradeLifecycle";
+import { useAccountSpecs } from "../hooks/useAccountSpecs";
+import { useTradingRules } from "../hooks/useTradingRules";
+import { useSessionSettings } from "../hooks/useSessionSettings";
+import { usePlaybook } from "../hooks/usePlaybook";
+import { usePreTradeChecklist } from "../hooks/usePreTradeChecklist";
+import { buildChecklist, checklistAnswers, missingChecklistItems } from "../utils/checklists";
+import PreTradeChecklist from "./PreTradeChecklist";
+import { useTagColors } from "../hooks/useTagColors";
+import { collectTags, filterByTags, parseTags } from "../utils/tags";
+import { evaluateStrategyRules, findStrategy, strategyNames } from "../utils/playbook";
+import TradeStatusField from "./TradeStatusField";
+import TagInput from "./TagInput";
+import TagList from "./TagList";
+import {
+  collectTradeViolations,
+  evaluateCancelRule,
+  evaluateTradeRules,
+  parseViolations,
+  resolveTradeStatus,
+  riskTakenOn,
+  tradeStatusFields,
+} from "../utils/tradingRules";
+import { estimateTradeCosts } from "../utils/brokerProfiles";
 // If you prefer the component to be completely independent, remove the above line and rely on internal session mapping
 import TradeEditModalClosed from "./TradeEditModalClosed";
 import TradeEditModalActive from "./TradeEditModalActive"
 import LotSizeCalculator from "./LotSizeCalculator";
+import ExportTradesModal from "./ExportTradesModal";
+import TradeLegsTable from "./TradeLegsTable";
+import StopTimeline from "./StopTimeline";
 
 // ------------------------------
 // Helper Utilities (trade-specific)
@@ -24,102 +80,27 @@ const formatDate = (isoString) => {
   return isoString.split("T")[0];
 };
 
+// Longest delay setTimeout accepts (~24.8 days); later expiries re-arm from there
+const MAX_TIMER_MS = 2 ** 31 - 1;
 
+const expiryTime = (t) => {
+  const expires = t.expiresAt ?? t.expires_at;
+  return expires ? new Date(expires).getTime() : NaN;
+};
 
-const normalizeTradeForDB = (t, userId, accountId) => {
-  // Normalize trade status to consistent lifecycle values
-  const rawState = (t.state || "").toString().toLowerCase();
-
-  let state;
-  if (rawState === "active") {
-    state = "Active";
-  } else if (rawState === "closed") {
-    state = "Closed";
+// Toast for the result of an outbox write (synced / queued offline / conflict)
+const toastSyncResult = (status, savedMessage) => {
+  if (status === "queued") {
+    toast(`${savedMessage} offline — will sync when back online`, { icon: "📴" });
+  } else if (status === "conflict") {
+    toast.error("This trade was also changed on another device — review the sync conflict");
+  } else if (status === "rejected") {
+    toast.error("The server rejected this change — it was not saved (see sync status)");
   } else {
-    state = "Active"; // Default for new trades
+    toast.success(savedMessage);
   }
-
-  // Helper to safely convert a date string to full ISO format
-  const toISOTimestamp = (dateVal) => {
-    if (!dateVal) return null;
-    try {
-      return new Date(dateVal).toISOString();
-    } catch {
-      return null;
-    }
-  };
-
-  // Return normalized object ready for Supabase
-  return {
-    id: t.id,
-    user_id: userId,
-    account_id: accountId,
-    pair: t.pair ?? null,
-    type: t.type ?? null,
-    trade_time: t.tradeTime ?? t.trade_time ?? null,
-    entry_date: toISOTimestamp(t.entryDate ?? t.entry_date),
-    entry_price: t.entryPrice ?? t.entry_price ?? null,
-    sl: t.stopLoss ?? t.sl ?? null,
-    tp: t.takeProfit ?? t.tp ?? null,
-    risk: t.risk ?? 0,
-    lot_size: t.lotSize ?? t.lotsize ?? null,
-    value_per_pip: t.valuePerPip ?? t.value_per_pip ?? null,
-    state, // ✅ use normalized "Active" or "Closed"
-    status: t.status || "Valid", // ✅ fixed
-    ratio: t.ratio ?? null,
-    beforeimage: t.beforeImage ?? t.before_image ?? null,
-    afterimage: t.afterImage ?? t.after_image ?? null,
-    exit_date: toISOTimestamp(t.exitDate ?? t.exit_date),
-    exit_price: t.exitPrice ?? t.exit_price ?? null,
-    points: t.points ?? null,
-    pnl_currency: t.pnlCurrency ?? t.pnlcurrency ?? null,
-    pnl_percent: t.pnlPercent ?? t.pnlpercent ?? null,
-    session: t.session ?? "",
-    strategy: t.strategy ?? "",
-    note: t.note ?? null,
-    created_at: t.created_at ?? new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-  };
 };
 
-
-
-const denormalizeTradeRow = (r) => ({
-  id: r.id,
-  pair: r.pair,
-  type: r.type,
-  entryDate: r.entry_date ?? r.entryDate ?? "",
-  entryPrice: r.entry_price ?? r.entryPrice ?? null,
-  stopLoss: r.sl ?? r.stopLoss ?? null,
-  takeProfit: r.tp ?? r.takeProfit ?? null,
-  risk: r.risk ?? 0,
-  lotSize: r.lot_size ?? r.lotSize ?? 0,
-  valuePerPip: r.value_per_pip ?? r.valuePerPip ?? 0,
-  status: r.status ?? "Active",
-  ratio: r.ratio ?? null,
-  beforeImage: r.before_image ?? r.beforeImage ?? null,
-  afterImage: r.after_image ?? r.afterImage ?? null,
-  exitDate: r.exit_date ?? r.exitDate ?? null,
-  exitPrice: r.exit_price ?? r.exitPrice ?? null,
-  points: r.points ?? null,
-
-  // ✅ Fix: unify naming for UI
-  pnlCurrency: parseFloat(r.pnl_currency ?? r.pnlCurrency ?? 0),
-  actualPnL: parseFloat(r.pnl_currency ?? r.pnlCurrency ?? 0),
-
-  pnlPercent: parseFloat(r.pnl_percent ?? r.pnlPercent ?? 0),
-  percentagePnL: parseFloat(r.pnl_percent ?? r.pnlPercent ?? 0),
-
-  session: r.session ?? "",
-  strategy: r.strategy ?? "",
-  note: r.note ?? null,
-  state: r.state ?? "Closed",
-  created_at: r.created_at,
-  updated_at: r.updated_at,
-});
-
-
-
 const isValidUrl = (s) => {
   try {
     const url = new URL(s);
@@ -129,64 +110,18 @@ const isValidUrl = (s) => {
   }
 };
 
-// ------------------------------
-// Value per pip (vpBase) and multipliers
-// ------------------------------
-const vpBase = {
-  // Optional: you can still list specific pairs here if you ever want to override rules
-};
-
-// Rule-based value per pip logic
-const getBaseVP = (pair) => {
-  if (pair.endsWith("/USD")) return 10.0;  // includes XAU/USD, EUR/USD, GBP/USD, etc.
-  if (pair.endsWith("/JPY")) return 6.8;
-  if (pair.endsWith("/CAD")) return 7.3;
-  if (pair.endsWith("/CHF")) return 12.4;
-  // Future expansion: add other endings (e.g. /NZD, /AUD) if needed
-  return 0; // default if no rule matches
-};
-
-// ------------------------------
-// List of supported pairs for dropdown
-// ------------------------------
-const availablePairs = [
-  "EUR/USD",
-  "GBP/USD",
-  "USD/JPY",
-  "USD/CAD",
-  "AUD/USD",
-  "NZD/USD",
-  "EUR/GBP",
-  "EUR/JPY",
-  "GBP/JPY",
-  "USD/CHF",
-  "XAU/USD",
-  "XAG/USD",
-  "US30",
-  "NAS100",
-];
-
-
-const getMultiplier = (pair = "") => {
-  const p = pair.toUpperCase().trim();
-
-  if (p.endsWith("/JPY")) return 1000; // precise for JPY
-  if (p.startsWith("XAU/") || p.startsWith("XAG/") || p.startsWith("XPT/")) return 100; // metals
-  return 100000; // default for standard forex pairs
-};
-
-
-// Adjusted VP according to account type
-const getAdjustedVP = (pair, accountType) => {
-  const base = getBaseVP(pair);
-  if (!base) return 0;
-
-  if (!accountType) accountType = "Standard";
-  const acct = accountType.toLowerCase();
-
-  if (acct === "mini") return base / 10;
-  if (acct === "micro") return base / 100;
-  return base; // Standard
+// ⚠️ Trading rules a trade was saved in breach of (hover for details)
+const RuleViolationsBadge = ({ trade }) => {
+  const violations = parseViolations(trade.ruleViolations ?? trade.rule_violations);
+  if (!violations.length) return null;
+  return (
+    <span
+      title={violations.map((v) => v.message).join("\n")}
+      className="ml-2 px-2 py-0.5 rounded-full text-xs bg-amber-600/30 text-amber-300"
+    >
+      ⚠ {violations.length} rule{violations.length > 1 ? "s" : ""}
+    </span>
+  );
 };
 
 // -------------------------------------
@@ -230,11 +165,31 @@ export default function TradeLog({
   const [currentAccountId, setCurrentAccountId] = useState(propAccountId);
   const [capital, setCapital] = useState(initialCapital);
   const [accountType, setAccountType] = useState(initialAccountType);
+  const [accountCurrency, setAccountCurrency] = useState("USD");
+  const [brokerProfileId, setBrokerProfileId] = useState(null);
 
   // ✅ Derived ID fallback (just in case)
   const effectiveUserId = userId || propUserId;
   const effectiveAccountId = currentAccountId || propAccountId;
 
+  // Instrument catalog (Settings → Instruments) as specified by the account's
+  // broker profile drives pip values and points, converted into the account
+  // currency with the user's exchange rates
+  const { instruments, pricing, brokerProfile, rates: fxRates } = useAccountSpecs(effectiveUserId, {
+    currency: accountCurrency,
+    broker_profile_id: brokerProfileId,
+  });
+  const getAdjustedVP = (pair, acctType) => getPipValue(pair, acctType, instruments, pricing);
+  const getMultiplier = (pair) => getPointMultiplier(pair, instruments);
+
+  // Per-account trading rules (Settings → Trading Rules)
+  const [rules] = useTradingRules(effectiveUserId, effectiveAccountId);
+  // Display time zone + custom sessions (Settings → Sessions)
+  const [, , sessionOptions] = useSessionSettings(effectiveUserId);
+  const sessionAt = (time, date) => getSessionForTime(time, { ...sessionOptions, date });
+  // Strategy playbook (Settings → Playbook)
+  const [playbook] = usePlaybook(effectiveUserId);
+
 
   // ------------------------------
   // Auto-fetch account details from Supabase
@@ -245,9 +200,9 @@ export default function TradeLog({
 
       try {
         // Fetch the currently active account if ID is known
-        let query = supabase
+        let query = db
           .from("account")
-          .select("id, account_type, capital")
+          .select("id, account_type, capital, currency, broker_profile_id")
           .eq("user_id", userId)
           .order("created_at", { ascending: true });
 
@@ -268,6 +223,8 @@ export default function TradeLog({
         if (accountData) {
           setCurrentAccountId(accountData.id);
           setAccountType(accountData.account_type || "Standard");
+          setAccountCurrency(accountData.currency || "USD");
+          setBrokerProfileId(accountData.broker_profile_id || null);
           setCapital(accountData.capital || 0);
         }
       } catch (err) {
@@ -285,7 +242,7 @@ useEffect(() => {
  const verifyTradesSchema = async () => {
   try {
     console.log("⚙️ Verifying trades schema (simple check)...");
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("trades")
       .select("id")
       .limit(1);
@@ -306,18 +263,37 @@ useEffect(() => {
   // Trade states
   const [activeTrades, setActiveTrades] = useState([]);
   const [tradesHistory, setTradesHistory] = useState([]);
+  // 💡 Ideas, pending orders and plans that expired or were cancelled
+  const [plannedTrades, setPlannedTrades] = useState([]);
 
   // UI states
-  const [activeTab, setActiveTab] = useState("add"); // add | open | closed | daily
+  const [activeTab, setActiveTab] = useState("add"); // add | planned | open | closed | daily
   const [loading, setLoading] = useState(true);
   const [showCloseModal, setShowCloseModal] = useState(false);
   const [closeModalTradeId, setCloseModalTradeId] = useState(null);
   const [modalExitDate, setModalExitDate] = useState("");
   const [modalExitPrice, setModalExitPrice] = useState("");
   const [modalActualPnL, setModalActualPnL] = useState("");
+  // Signed costs for the close: commission, swap, other fees (strings while editing)
+  const [modalCosts, setModalCosts] = useState({ commission: "", swap: "", fees: "" });
+  // Share of the remaining position to close (100 = full close)
+  const [modalClosePercent, setModalClosePercent] = useState("100");
+  // What the original SL/TP would have done (asked only when they were moved)
+  const [modalPlanOutcome, setModalPlanOutcome] = useState("");
   const [modalAfterImage, setModalAfterImage] = useState("");
-  const [tradeStatus, setTradeStatus] = useState("Valid ");
+  const [statusOverride, setStatusOverride] = useState({ override: "", reason: "" });
   const [closeNote, setCloseNote] = useState("");
+  // ➕ Scale-in (add an entry leg to an active trade)
+  const [scaleInTradeId, setScaleInTradeId] = useState(null);
+  const [scaleInForm, setScaleInForm] = useState({ lots: "", price: "", date: "", fee: "" });
+  // 🎯 Move SL/TP (recorded as timestamped events)
+  const [stopsTradeId, setStopsTradeId] = useState(null);
+  const [stopsForm, setStopsForm] = useState({ sl: "", tp: "", note: "" });
+  // ▶️ Trigger a planned trade into Active
+  const [triggerTradeId, setTriggerTradeId] = useState(null);
+  const [triggerForm, setTriggerForm] = useState({ price: "", date: "", time: "" });
+  // Rule warnings waiting for an answer: { title, messages, action, resolve }
+  const [ruleConfirm, setRuleConfirm] = useState(null);
   // ✅ Edit Trade Modal States
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [tradeToEdit, setTradeToEdit] = useState(null);
@@ -346,7 +322,35 @@ const [confirmToast, setConfirmToast] = useState({
     beforeImage: "",
     session: "",
     strategy: "",
+    tags: [],
+    planAs: "market", // market | idea | limit | stop
+    expiresAt: "",
+    thesis: "",
   });
+  const selectedStrategy = findStrategy(playbook, formData.strategy);
+  // Tags: colours (Settings → Tags) and every tag used so far for autocomplete
+  const [tagColors] = useTagColors(effectiveUserId);
+  const tagSuggestions = useMemo(
+    () => collectTags([...activeTrades, ...tradesHistory, ...plannedTrades]).map((t) => t.tag),
+    [activeTrades, tradesHistory, plannedTrades]
+  );
+  // Pre-trade checklist (Settings → Checklist plus the strategy's entry criteria)
+  const [globalChecklist] = usePreTradeChecklist(effectiveUserId);
+  const [checklistTicks, setChecklistTicks] = useState({});
+  const checklist = useMemo(
+    () => buildChecklist(globalChecklist, selectedStrategy),
+    [globalChecklist, selectedStrategy]
+  );
+  // Plans are ticked off in the trigger modal when they are traded, not when they are saved
+  const checklistMissing =
+    (formData.planAs || "market") === "market" ? missingChecklistItems(checklist, checklistTicks) : [];
+  const [triggerTicks, setTriggerTicks] = useState({});
+  const triggerTrade = plannedTrades.find((t) => t.id === triggerTradeId) || null;
+  const triggerChecklist = useMemo(
+    () => (triggerTrade ? buildChecklist(globalChecklist, findStrategy(playbook, triggerTrade.strategy)) : []),
+    [triggerTrade, globalChecklist, playbook]
+  );
+  const triggerMissing = missingChecklistItems(triggerChecklist, triggerTicks);
   // Reusable style classes for form inputs and buttons
 const styles = {
   input: "w-full px-4 py-3 bg-gray-700 text-gray-200 border border-gray-600 rounded-xl",
@@ -379,7 +383,7 @@ const [tradeTime, setTradeTime] = useState(() => new Date().toTimeString().slice
 const fetchClosedTrades = async () => {
   if (!effectiveUserId || !effectiveAccountId) return;
 
-  const { data, error } = await supabase
+  const { data, error } = await db
     .from("trades")
     .select("*")
     .eq("user_id", effectiveUserId)
@@ -411,7 +415,7 @@ const fetchClosedTrades = async () => {
 const fetchActiveTrades = async () => {
   if (!effectiveUserId || !effectiveAccountId) return;
 
-  const { data, error } = await supabase
+  const { data, error } = await db
     .from("trades")
     .select("*")
     .eq("user_id", effectiveUserId)
@@ -439,9 +443,9 @@ const LiveCalculationBox = ({
   capital,
   accountType,
   summaryForSelectedDate,
-  DAILY_RISK_LIMIT_PERCENT,
-  getMultiplier,
-  getAdjustedVP,
+  dailyRiskLimit,
+  instruments,
+  pricing,
   fmt2,
 }) => {
   const parseNumber = (val) => {
@@ -449,54 +453,60 @@ const LiveCalculationBox = ({
     return Number.isFinite(n) ? n : 0;
   };
 
-  const stopLossPoints = useMemo(() => {
-    const entry = parseNumber(formData.price);
-    const stop = parseNumber(formData.sl);
-    if (!entry || !stop || !formData.pair) return 0;
-    const raw =
-      formData.type?.toLowerCase() === "long" ? entry - stop : stop - entry;
-    return Math.round(Math.abs(raw) * getMultiplier(formData.pair));
-  }, [formData, getMultiplier]);
-
-  const takeProfitPoints = useMemo(() => {
-    const entry = parseNumber(formData.price);
-    const tp = parseNumber(formData.tp);
-    if (!entry || !tp || !formData.pair) return 0;
-    const raw =
-      formData.type?.toLowerCase() === "long" ? tp - entry : entry - tp;
-    return Math.round(Math.abs(raw) * getMultiplier(formData.pair));
-  }, [formData, getMultiplier]);
+  const slDistance = parseNumber(formData.price) && parseNumber(formData.sl)
+    ? parseNumber(formData.price) - parseNumber(formData.sl)
+    : 0;
+  const tpDistance = parseNumber(formData.price) && parseNumber(formData.tp)
+    ? parseNumber(formData.tp) - parseNumber(formData.price)
+    : 0;
+
+  const stopLossPips = useMemo(
+    () => Number(priceDistanceToPips(formData.pair, slDistance, instruments).toFixed(1)),
+    [formData.pair, slDistance, instruments]
+  );
+
+  const takeProfitPips = useMemo(
+    () => Number(priceDistanceToPips(formData.pair, tpDistance, instruments).toFixed(1)),
+    [formData.pair, tpDistance, instruments]
+  );
 
   const valuePerPip = useMemo(
-    () => getAdjustedVP(formData.pair, formData.accountType || accountType),
-    [formData.pair, formData.accountType, accountType, getAdjustedVP]
+    () => getPipValue(formData.pair, formData.accountType || accountType, instruments, pricing),
+    [formData.pair, formData.accountType, accountType, instruments, pricing]
   );
 
   const lotSize = useMemo(() => {
     if (!capital || !formData.pair) return 0;
-    if (stopLossPoints === 0) return 0;
-    const riskDecimal = parseNumber(formData.risk) / 100;
-    const lot =
-      (riskDecimal * capital) / (valuePerPip * Math.abs(stopLossPoints));
-    return Number(lot.toFixed(2));
-  }, [capital, formData, valuePerPip, stopLossPoints]);
-
-  const estRisk = Number((lotSize * valuePerPip * stopLossPoints).toFixed(2));
+    const riskAmount = (parseNumber(formData.risk) / 100) * capital;
+    return calculateLotSize(
+      {
+        symbol: formData.pair,
+        entry: formData.price,
+        stop: formData.sl,
+        riskAmount,
+        accountType: formData.accountType || accountType,
+        ...pricing,
+      },
+      instruments
+    );
+  }, [capital, formData, accountType, instruments, pricing]);
+
+  const estRisk = Number((lotSize * valuePerPip * stopLossPips).toFixed(2));
   const estProfit = Number(
-    (lotSize * valuePerPip * takeProfitPoints).toFixed(2)
+    (lotSize * valuePerPip * takeProfitPips).toFixed(2)
   );
   const ratio =
-    stopLossPoints > 0 ? (takeProfitPoints / stopLossPoints).toFixed(2) : "N/A";
+    stopLossPips > 0 ? (takeProfitPips / stopLossPips).toFixed(2) : "N/A";
 
   return (
     <div className="mt-4 p-4 rounded-xl bg-gray-800 border border-gray-700 space-y-2 text-sm text-gray-200">
       <p>
-        <span className="font-semibold">SL Points:</span>{" "}
-        <span className="text-red-500">{stopLossPoints || 0}</span>
+        <span className="font-semibold">SL Pips:</span>{" "}
+        <span className="text-red-500">{stopLossPips || 0}</span>
       </p>
       <p>
-        <span className="font-semibold">TP Points:</span>{" "}
-        <span className="text-blue-400">{takeProfitPoints || 0}</span>
+        <span className="font-semibold">TP Pips:</span>{" "}
+        <span className="text-blue-400">{takeProfitPips || 0}</span>
       </p>
       <p>
         <span className="font-semibold">R Ratio:</span>{" "}
@@ -508,17 +518,23 @@ const LiveCalculationBox = ({
       </p>
       <p>
         <span className="font-semibold">Est. Risk:</span>{" "}
-        <span className="text-red-500">${fmt2(estRisk)}</span>
+        <span className="text-red-500">{fmt2(estRisk)} {pricing.accountCurrency}</span>
       </p>
       <p>
         <span className="font-semibold">Est. Profit:</span>{" "}
-        <span className="text-green-500">${fmt2(estProfit)}</span>
+        <span className="text-green-500">{fmt2(estProfit)} {pricing.accountCurrency}</span>
       </p>
+      {formData.pair && !valuePerPip && (
+        <p className="text-xs text-amber-400">
+          No exchange rate to convert {formData.pair} into {pricing.accountCurrency} — add
+          it in Settings → Exchange Rates.
+        </p>
+      )}
       <p>
         <span className="font-semibold">Daily Risk Used:</span>{" "}
         <span className="text-gray-300">
-          {fmt2(summaryForSelectedDate?.riskUsed)}% of{" "}
-          {fmt2(DAILY_RISK_LIMIT_PERCENT)}%
+          {fmt2(summaryForSelectedDate?.riskUsed)}%
+          {dailyRiskLimit !== null ? ` of ${fmt2(dailyRiskLimit)}%` : " (no daily limit)"}
         </span>
       </p>
     </div>
@@ -537,10 +553,8 @@ const summaryForSelectedDate = useMemo(() => {
   const activeTradesForDate = activeTrades.filter(
     (t) => (t.entryDate || "").slice(0, 10) === (entryDate || "").slice(0, 10)
   );
-  const totalRisk = activeTradesForDate.reduce(
-    (s, t) => s + Number(t.risk || 0),
-    0
-  );
+  // Same figure the daily risk rule checks
+  const totalRisk = riskTakenOn([...activeTrades, ...tradesHistory], (entryDate || "").slice(0, 10));
   return {
     totalTrades: tradesForDate.length + activeTradesForDate.length,
     riskUsed: totalRisk,
@@ -548,107 +562,7 @@ const summaryForSelectedDate = useMemo(() => {
 }, [formData.entryDate, tradesHistory, activeTrades]);
 
 
-  const PER_TRADE_LIMIT_PERCENT = 3;
-  const DAILY_RISK_LIMIT_PERCENT = 5;
-  const MAX_TRADES_PER_DAY = 3;
-  const MAX_ACTIVE_TRADES_PER_DAY = 2;
-  const MAX_CANCEL_TRADES_PER_DAY = 1;
-
-// ------------------------------
-// Robust persistJournal (REPLACE existing persistJournal)
-// ------------------------------
-const persistJournal = async (
-  activeTradesList = activeTrades,
-  historyTrades = tradesHistory
-) => {
-  if (!effectiveUserId || !effectiveAccountId) {
-    console.warn("[persistJournal] Skipping save — missing effective IDs");
-    return;
-  }
-
-  // Fix: correct spreading of arrays (no weird tokens)
-  const allTrades = [...(activeTradesList || []), ...(historyTrades || [])];
-  if (allTrades.length === 0) return;
-
-  // helper convert to ISO (reuse if you have the same above)
-  const toISOTimestamp = (dateVal) => {
-    if (!dateVal) return null;
-    try {
-      return new Date(dateVal).toISOString();
-    } catch {
-      return null;
-    }
-  };
-
-  const sanitizedTrades = allTrades.map((t) => {
-    return {
-      id: t.id,
-      user_id: effectiveUserId,
-      account_id: effectiveAccountId,
-      pair: (t.pair || "").toString().trim(),
-      type: t.type || "",
-      entry_date: t.entry_date || toISOTimestamp(t.entryDate) || null,
-      entry_price: t.entry_price ?? t.entryPrice ?? null,
-      sl: t.sl ?? t.stopLoss ?? null,
-      tp: t.tp ?? t.takeProfit ?? null,
-      risk: Number(t.risk) || 0,
-      lot_size: t.lot_size ?? t.lotSize ?? null,
-      value_per_pip: t.value_per_pip ?? t.valuePerPip ?? null,
-      state:
-        t.state && (t.state || "").toString().toLowerCase() === "closed"
-          ? "Closed"
-          : (t.state || "Active"),
-      status: t.status ?? "Valid",
-      ratio: t.ratio ?? null,
-      beforeimage: t.beforeimage ?? t.beforeImage ?? null,
-      afterimage: t.afterimage ?? t.afterImage ?? null,
-      exit_date: t.exit_date ?? toISOTimestamp(t.exitDate) ?? null,
-      exit_price: t.exit_price ?? t.exitPrice ?? null,
-      points: typeof t.points !== "undefined" ? Number(t.points) : null,
-      pnl_currency: t.pnl_currency ?? t.pnlCurrency ?? null,
-      pnl_percent: t.pnl_percent ?? t.pnlPercent ?? null,
-      session: t.session || "",
-      strategy: t.strategy || "",
-      note: t.note || "",
-      created_at: t.created_at ?? new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    };
-  });
-
-  // dedupe by id (last one wins)
-  const uniqueTrades = Object.values(
-    sanitizedTrades.reduce((acc, trade) => {
-      acc[trade.id] = trade;
-      return acc;
-    }, {})
-  );
-
-  try {
-    const { data, error } = await supabase
-      .from("trades")
-      .upsert(uniqueTrades, { onConflict: ["id"] });
-
-    if (error) {
-      console.error("[persistJournal] ❌ Supabase upsert error:", error.message || error);
-      // throw so calling code / console sees it; prevents silent failure
-      throw new Error(error.message || "persistJournal upsert failed");
-    }
-
-    console.debug(`[persistJournal] ✅ ${uniqueTrades.length} trades persisted.`, data);
-    return data;
-  } catch (err) {
-    console.error("[persistJournal] 💥 Unexpected error:", err);
-    // rethrow to make problems visible upstream
-    throw err;
-  }
-};
-
-
-
-
-
-
-
+  const dailyRiskLimit = rules.dailyRiskPercent.value;
 
 // ------------------------------
 // ✅ Load all trades directly from Supabase (no localStorage)
@@ -662,7 +576,7 @@ const loadJournalFromSupabase = async (userId, accountId) => {
       return;
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("trades")
       .select("*")
       .eq("user_id", userId)
@@ -674,17 +588,25 @@ const loadJournalFromSupabase = async (userId, accountId) => {
       return;
     }
 
-    if (!data || data.length === 0) {
+    // ✅ Keep trades written offline that haven't synced yet
+    const rows = applyPendingWrites(
+      "trades",
+      data,
+      (row) => row.user_id === userId && row.account_id === accountId
+    );
+
+    if (rows.length === 0) {
       console.warn("⚠️ No trades found in Supabase.");
       setActiveTrades([]);
       setTradesHistory([]);
+      setPlannedTrades([]);
       return;
     }
 
-    console.log(`📦 Supabase returned ${data.length} trades`);
+    console.debug(`[loadJournalFromSupabase] ${data.length} trades loaded, ${rows.length} with pending changes`);
 
     // ✅ Normalize and clean data
-    const formatted = data.map((t) => {
+    const formatted = rows.map((t) => {
       const rawState = t.state?.toLowerCase?.() || "";
       const rawStatus = t.status?.toLowerCase?.() || "";
 
@@ -706,12 +628,7 @@ const loadJournalFromSupabase = async (userId, accountId) => {
         percentagePnL: parseFloat(t.pnl_percent ?? t.pnlPercent ?? 0),
 
         // 🧭 Normalize state & status
-        state:
-          rawState === "closed"
-            ? "Closed"
-            : rawState === "active"
-            ? "Active"
-            : "Active",
+        state: normalizeTradeState(rawState),
 
         status:
           rawStatus === "invalid"
@@ -728,13 +645,15 @@ const loadJournalFromSupabase = async (userId, accountId) => {
     // ✅ Split Active vs Closed based on state
     const activeTradesList = formatted.filter((t) => t.state === "Active");
     const closedTradesList = formatted.filter((t) => t.state === "Closed");
+    const plannedTradesList = formatted.filter((t) => !isExecutedTrade(t));
 
     console.log(
-      `✅ Supabase parsed: ${activeTradesList.length} active, ${closedTradesList.length} closed`
+      `✅ Supabase parsed: ${activeTradesList.length} active, ${closedTradesList.length} closed, ${plannedTradesList.length} planned`
     );
 
     setActiveTrades(activeTradesList);
     setTradesHistory(closedTradesList);
+    setPlannedTrades(plannedTradesList);
   } catch (err) {
     console.error("💥 Unexpected error loading from Supabase:", err);
   }
@@ -745,37 +664,33 @@ const loadJournalFromSupabase = async (userId, accountId) => {
 
 
 // ------------------------------
-// updateTradeInDB: returns {data} or throws on error (REPLACE existing)
+// updateTradeInDB: queues the row in the outbox and tries to send it now.
+// `baseUpdatedAt` is the server `updated_at` the edit started from; it lets
+// the sync detect when the same trade was changed elsewhere meanwhile.
+// Returns { row, status } where status is "synced" | "queued" | "conflict" |
+// "rejected".
 // ------------------------------
-const updateTradeInDB = async (trade) => {
+const updateTradeInDB = async (trade, baseUpdatedAt = trade?.updated_at ?? null) => {
   if (!trade || !trade.id || !effectiveUserId || !effectiveAccountId) {
     console.warn("[updateTradeInDB] Missing trade, userId, or currentAccountId");
     throw new Error("Missing trade/user/account context for update");
   }
 
-  try {
-    const row = normalizeTradeForDB(trade, effectiveUserId, effectiveAccountId);
-
-    // ensure canonical naming
-    row.state = trade.state || row.state || "Active";
-    row.status = trade.status || row.status || "Valid";
+  const row = normalizeTradeForDB(trade, effectiveUserId, effectiveAccountId);
 
-    const { data, error } = await supabase
-      .from("trades")
-      .upsert([row], { onConflict: ["id"] });
+  // ensure canonical naming
+  row.state = trade.state || row.state || "Active";
+  row.status = trade.status || row.status || "Valid";
 
-    if (error) {
-      console.error("[updateTradeInDB] ❌ Supabase error:", error.message || error);
-      // throw so caller knows DB didn't persist
-      throw new Error(error.message || "Supabase updateTradeInDB upsert failed");
-    }
+  const { status } = await writeThroughOutbox({
+    table: "trades",
+    op: "upsert",
+    row,
+    baseUpdatedAt,
+  });
 
-    console.log("[updateTradeInDB] ✅ Trade updated:", row.id, data);
-    return data;
-  } catch (err) {
-    console.error("[updateTradeInDB] 💥 Unexpected error:", err);
-    throw err;
-  }
+  console.debug(`[updateTradeInDB] Trade ${status}:`, row.id);
+  return { row, status };
 };
 
 
@@ -826,15 +741,21 @@ useEffect(() => {
 
 
 // ------------------------------
-// ✅ Persist trades to Supabase only when fully ready
+// ✅ Reload when the server copy wins: a conflict settled in its favour, or a
+// rejected write that was parked, retried or discarded
 // ------------------------------
 useEffect(() => {
-  if (!userId || !currentAccountId) return;
-  if (!activeTrades && !tradesHistory) return;
+  if (!effectiveUserId || !effectiveAccountId) return;
 
-  persistJournal(activeTrades, tradesHistory);
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-}, [activeTrades, tradesHistory, userId, currentAccountId]);
+  return subscribeOutbox((_state, event) => {
+    if (
+      (event?.type === "resolved" && event.keep === "remote") ||
+      ["rejected", "retried", "discarded"].includes(event?.type)
+    ) {
+      loadJournalFromSupabase(effectiveUserId, effectiveAccountId);
+    }
+  });
+}, [effectiveUserId, effectiveAccountId]);
 
 
 // ------------------------------
@@ -842,21 +763,21 @@ useEffect(() => {
 // ------------------------------
 const calculateLotSize_live = (formData) => {
   try {
-    const vp = getAdjustedVP(formData.pair, formData.accountType);
-    const entry = parseFloat(formData.price);
-    const sl = parseFloat(formData.sl);
     const riskPercent = parseFloat(formData.risk);
     const cap = parseFloat(formData.capital || capital || 0); // ✅ safely fallback
-
-    if (!vp || !cap || !riskPercent || !entry || !sl || entry === sl) return 0;
-
-    const slDistance = Math.abs(entry - sl);
-    if (!slDistance) return 0;
-
-    const riskAmount = (riskPercent / 100) * cap;
-    const lot = riskAmount / (vp * slDistance);
-
-    return Number(lot.toFixed(2)); // ✅ e.g. 0.11, 1.25, etc.
+    if (!cap || !riskPercent) return 0;
+
+    return calculateLotSize(
+      {
+        symbol: formData.pair,
+        entry: parseFloat(formData.price),
+        stop: parseFloat(formData.sl),
+        riskAmount: (riskPercent / 100) * cap,
+        accountType: formData.accountType,
+        ...pricing,
+      },
+      instruments
+    );
   } catch (err) {
     console.error("calculateLotSize_live error:", err);
     return 0;
@@ -878,6 +799,41 @@ const calculateTakeProfitPoints_live = (formData) => {
 };
 
 
+// ------------------------------
+// 📏 Trading rules: blocking rules stop the trade, warnings need a confirm.
+// Resolves to the violations to record on the trade, or null if it must not be saved.
+// ------------------------------
+const confirmRuleWarnings = (messages, { title, action }) =>
+  new Promise((resolve) => setRuleConfirm({ title, messages, action, resolve }));
+
+const answerRuleConfirm = (ok) => {
+  ruleConfirm?.resolve(ok);
+  setRuleConfirm(null);
+};
+
+const checkTradeRules = async (candidate) => {
+  const withSession = { ...candidate, session: candidate.session || sessionAt(candidate.tradeTime, candidate.entryDate) };
+  const violations = [
+    ...evaluateTradeRules(withSession, { trades: [...activeTrades, ...tradesHistory], capital }, rules),
+    ...evaluateStrategyRules(withSession, playbook),
+  ];
+  const blocking = violations.filter((v) => v.mode === "block");
+  if (blocking.length) {
+    toast.error(`Blocked by trading rules:\n${blocking.map((v) => v.message).join("\n")}`);
+    return null;
+  }
+  if (
+    violations.length &&
+    !(await confirmRuleWarnings(
+      violations.map((v) => v.message),
+      { title: "This trade breaks your trading rules", action: "Save Anyway" }
+    ))
+  ) {
+    return null;
+  }
+  return violations.map(({ rule, label, message }) => ({ rule, label, message }));
+};
+
 // TradeLog.jsx: Corrected handleAddTrade function
 
 const handleAddTrade = async (e) => {
@@ -889,17 +845,29 @@ const handleAddTrade = async (e) => {
     return;
   }
 
+  if (checklistMissing.length) {
+    toast.error(`Tick the pre-trade checklist first:\n${checklistMissing.map((i) => i.text).join("\n")}`);
+    return;
+  }
+
   // 🔹 FIX: include the selected tradeTime or current time
   const currentTime = new Date().toTimeString().slice(0, 5); // e.g. "14:30"
   formData.tradeTime = tradeTime || formData.tradeTime || currentTime;
 
   // --- Calculations ---
+  // Pip value and the FX rate behind it are frozen onto the trade
   const vpAtSave = getAdjustedVP(formData.pair, formData.accountType);
+  const conversionRate = getQuoteConversionRate(formData.pair, pricing, instruments);
   const lot = calculateLotSize_live(formData);
   const slPoints = calculateStopLossPoints_live(formData);
   const tpPoints = calculateTakeProfitPoints_live(formData);
   const ratio = slPoints ? tpPoints / slPoints : null;
 
+  // 💡 Planned trades start as an Idea or a Pending limit/stop order
+  const planAs = formData.planAs || "market";
+  const planned = planAs !== "market";
+  const plannedState = planAs === "idea" ? "Idea" : "Pending";
+
   // --- Trade Object for Local State ---
   const stateTrade = {
     id: uuidv4(),
@@ -912,19 +880,36 @@ const handleAddTrade = async (e) => {
     entryPrice: parseFloat(formData.price) || null,
     sl: parseFloat(formData.sl) || null,
     tp: parseFloat(formData.tp) || null,
+    initialSl: parseFloat(formData.sl) || null,
+    initialTp: parseFloat(formData.tp) || null,
     risk: parseFloat(formData.risk) || 0,
     lotSize: Number(lot) || 0,
     valuePerPip: Number(vpAtSave) || 0,
+    conversionRate,
     ratio,
     beforeImage: formData.beforeImage?.trim() || null,
-    state: "Active",
+    state: planned ? plannedState : "Active",
     status: "Valid",
-    session: formData.session || "",
+    orderType: planned && planAs !== "idea" ? planAs : null,
+    expiresAt: planned && formData.expiresAt ? new Date(formData.expiresAt).toISOString() : null,
+    thesis: planned ? formData.thesis?.trim() || null : null,
+    plannedAt: planned ? new Date().toISOString() : null,
+    session: formData.session || sessionAt(formData.tradeTime, formData.entryDate),
     strategy: formData.strategy || "",
+    tags: formData.tags || [],
+    checklist: planned ? [] : checklistAnswers(checklist, checklistTicks),
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
   };
 
+  // Plans are checked when they are triggered
+  if (!planned) {
+    const violations = await checkTradeRules(stateTrade);
+    if (!violations) return;
+    stateTrade.ruleViolations = violations;
+    stateTrade.status = resolveTradeStatus(violations).status;
+  }
+
   // --- Trade Object for Supabase DB ---
   const dbTrade = {
     id: stateTrade.id,
@@ -937,35 +922,51 @@ const handleAddTrade = async (e) => {
     entry_price: stateTrade.entryPrice,
     sl: stateTrade.sl,
     tp: stateTrade.tp,
+    initial_sl: stateTrade.initialSl,
+    initial_tp: stateTrade.initialTp,
     risk: stateTrade.risk,
     lot_size: stateTrade.lotSize,
     value_per_pip: stateTrade.valuePerPip,
+    conversion_rate: stateTrade.conversionRate,
     ratio: stateTrade.ratio,
     beforeimage: stateTrade.beforeImage,
     state: stateTrade.state,
     status: stateTrade.status,
+    order_type: stateTrade.orderType,
+    expires_at: stateTrade.expiresAt,
+    thesis: stateTrade.thesis,
+    planned_at: stateTrade.plannedAt,
+    rule_violations: stateTrade.ruleViolations || [],
     session: stateTrade.session,
     strategy: stateTrade.strategy,
+    tags: stateTrade.tags,
+    checklist: stateTrade.checklist,
     created_at: stateTrade.createdAt,
     updated_at: stateTrade.updatedAt,
   };
 
   try {
-    // ✅ Use upsert to prevent duplicate conflicts
-    const { error } = await supabase.from("trades").upsert([dbTrade]);
+    // ✅ Queue in the outbox (sent now if online, replayed later otherwise)
+    const { status } = await writeThroughOutbox({
+      table: "trades",
+      op: "upsert",
+      row: dbTrade,
+      baseUpdatedAt: null,
+    });
+    console.debug(`[handleAddTrade] ✅ Trade ${status}:`, dbTrade.id);
 
-    if (error) {
-      console.error("[handleAddTrade] ❌ Supabase upsert error:", error.message);
-      throw new Error(error.message);
+    // ✅ Update local state (updated_at mirrors the row we wrote)
+    if (planned) {
+      setPlannedTrades((prev) => [{ ...stateTrade, updated_at: dbTrade.updated_at }, ...prev]);
     } else {
-      console.debug("[handleAddTrade] ✅ Trade inserted/upserted:", dbTrade.id);
+      const updatedActive = [
+        { ...stateTrade, updated_at: dbTrade.updated_at },
+        ...activeTrades,
+      ];
+      setActiveTrades(updatedActive);
+      localStorage.setItem("activeTrades", JSON.stringify(updatedActive));
     }
 
-    // ✅ Update local state after successful save
-    const updatedActive = [stateTrade, ...activeTrades];
-    setActiveTrades(updatedActive);
-    localStorage.setItem("activeTrades", JSON.stringify(updatedActive));
-
     console.debug("[handleAddTrade] Local state and storage updated.");
 
     // ✅ Reset form but keep time as current system time
@@ -982,14 +983,19 @@ const handleAddTrade = async (e) => {
       beforeImage: "",
       session: "",
       strategy: "",
+      tags: [],
+      planAs: "market",
+      expiresAt: "",
+      thesis: "",
       tradeTime: newCurrentTime, // ✅ maintain current time after each new trade
     });
 
     // also update the standalone time state if used in input binding
     setTradeTime(newCurrentTime);
+    setChecklistTicks({});
 
-    toast.success("Trade added");
-    setActiveTab("open");
+    toastSyncResult(status, planned ? `${plannedState} saved` : "Trade added");
+    setActiveTab(planned ? "planned" : "open");
   } catch (err) {
     console.error("[handleAddTrade] 💥 Error adding trade:", err);
     toast.error("Failed to add trade");
@@ -1033,10 +1039,24 @@ const openCloseModal = (tradeId) => {
   setModalExitDate(today);
   setModalExitPrice("");
   setModalActualPnL("");
+  setModalClosePercent("100");
+  setModalPlanOutcome("");
   setModalAfterImage("");
-  setTradeStatus("Valid");
+  setStatusOverride({
+    override: t.statusOverride ?? t.status_override ?? "",
+    reason: t.statusReason ?? t.status_reason ?? "",
+  });
   setCloseNote("");
 
+  // Prefill costs for the open lots from the broker profile estimate
+  const estimate = estimateCloseCosts(t, today);
+  const costs = { ...estimate, fees: 0 };
+  setModalCosts({
+    commission: String(costs.commission),
+    swap: String(costs.swap),
+    fees: "0",
+  });
+
   // Optional: Prefill exit price if TP exists
   if (t.tp ?? t.takeProfit) {
     setModalExitPrice(t.tp ?? t.takeProfit);
@@ -1046,7 +1066,7 @@ const openCloseModal = (tradeId) => {
   const exitPrice = t.tp ?? t.takeProfit;
   if (exitPrice) {
     try {
-      const previewPnL = computeExpectedCurrencyForClose(t, exitPrice);
+      const previewPnL = computeExpectedCurrencyForClose(t, exitPrice, today, costs);
       setModalActualPnL(previewPnL.toFixed(2));
     } catch (err) {
       console.warn("[openCloseModal] previewPnL error:", err);
@@ -1059,17 +1079,56 @@ const openCloseModal = (tradeId) => {
 // ------------------------------
 // ✅ Compute Expected PnL + Percent Preview
 // ------------------------------
-const computeExpectedCurrencyForClose = (trade, exitPrice) => {
-  if (!trade || !exitPrice) return 0;
+// Options for tradeLegs.js summaries (pricing for trades without a frozen pip value)
+const legOpts = { accountType, pricing };
+
+// Lots a close of `percent` % takes off the remaining position
+const closeLotsFor = (trade, percent) => {
+  const { openLots } = summarizeLegs(trade, legOpts, instruments);
+  const pct = parseNumber(percent, 100);
+  if (pct >= 100) return openLots;
+  return roundLot(trade.pair, (openLots * pct) / 100, instruments);
+};
 
-  const exit = parseNumber(exitPrice);
-  const entry = parseNumber(trade.entryPrice ?? trade.price);
-  const vp = parseNumber(trade.valuePerPip);
-  const lot = parseNumber(trade.lotSize);
-  const diff = trade.type === "long" ? exit - entry : entry - exit;
-  const pnl = diff * vp * lot;
+// Broker commission + swap for closing `lots` of `trade` at `exitDate` (defaults to now)
+const estimateCloseCosts = (trade, exitDate, lots = closeLotsFor(trade, 100)) =>
+  estimateTradeCosts(brokerProfile, {
+    symbol: trade.pair,
+    type: trade.type,
+    lots,
+    entryDate: trade.entryDate,
+    exitDate: exitDate || new Date(),
+  });
+
+// Costs entered in the close modal, as numbers
+const modalCostValues = {
+  commission: parseNumber(modalCosts.commission),
+  swap: parseNumber(modalCosts.swap),
+  fees: parseNumber(modalCosts.fees),
+};
+
+// Net PnL of the lots being closed at `exitPrice` (close % from the modal);
+// `costs` defaults to the broker estimate for those lots
+const computeExpectedCurrencyForClose = (trade, exitPrice, exitDate, costs) => {
+  if (!trade || !exitPrice) return 0;
 
-  return isFinite(pnl) ? pnl : 0;
+  // valuePerPip was frozen when the trade was opened; entry is the blended average
+  const lots = closeLotsFor(trade, modalClosePercent);
+  const gross = calculatePnl(
+    {
+      symbol: trade.pair,
+      type: trade.type,
+      entry: summarizeLegs(trade, legOpts, instruments).avgEntry,
+      exit: parseNumber(exitPrice),
+      lots,
+      accountType: trade.accountType || accountType,
+      valuePerPip: parseNumber(trade.valuePerPip),
+      ...pricing,
+    },
+    instruments
+  );
+  const { commission, swap, fees = 0 } = costs || estimateCloseCosts(trade, exitDate, lots);
+  return gross + commission + swap + fees;
 };
 
 // ------------------------------
@@ -1081,11 +1140,11 @@ useEffect(() => {
   if (!t) return;
 
   if (modalExitPrice !== "") {
-    const expected = computeExpectedCurrencyForClose(t, modalExitPrice);
+    const expected = computeExpectedCurrencyForClose(t, modalExitPrice, modalExitDate, modalCostValues);
     setModalActualPnL(Number(expected).toFixed(2));
   }
   // eslint-disable-next-line react-hooks/exhaustive-deps
-}, [modalExitPrice, closeModalTradeId]);
+}, [modalExitPrice, modalExitDate, closeModalTradeId, modalCosts, modalClosePercent]);
 
 // ------------------------------
 // ✅ Keep accountType synced
@@ -1097,7 +1156,7 @@ useEffect(() => {
 }, [accountType]);
 
 // ------------------------------
-// ✅ Handle Save Close (with percent)
+// ✅ Handle Save Close (with percent) — full or partial close as an exit leg
 // ------------------------------
 const handleSaveClose = async () => {
   console.debug("[handleSaveClose] triggered for tradeId:", closeModalTradeId);
@@ -1114,33 +1173,104 @@ const handleSaveClose = async () => {
     ? new Date(modalExitDate).toISOString()
     : new Date().toISOString();
 
-  // Compute PnL if manualPnL not provided
-  const vp = parseNumber(trade.valuePerPip);
-  const lot = parseNumber(trade.lotSize);
-  const entry = parseNumber(trade.entryPrice);
-  const diff = trade.type === "long" ? exitPriceNum - entry : entry - exitPriceNum;
-  const computedPnL = diff * vp * lot;
+  const closeLots = closeLotsFor(trade, modalClosePercent);
+  if (!(closeLots > 0)) {
+    toast.error("Close size is below the minimum lot");
+    return;
+  }
 
-  const pnlCurrency =
+  // PnL of the closed lots: manual value if provided, else computed (net of costs)
+  const costs = modalCostValues;
+  const computedPnL = computeExpectedCurrencyForClose(trade, exitPriceNum, exitTimestamp, costs);
+  const legPnL =
     manualPnLNum !== 0 ? manualPnLNum : Number(computedPnL.toFixed(2));
+
+  // Realized so far (earlier partial exits) + this leg
+  const before = summarizeLegs(trade, legOpts, instruments);
+  const realizedBefore = before.exitLots ? parseNumber(trade.pnlCurrency) : 0;
+  const pnlCurrency = Number((realizedBefore + legPnL).toFixed(2));
   const pnlPercent = capital ? (pnlCurrency / capital) * 100 : 0;
 
-  // Calculate signed points
+  const legs = addLeg(
+    trade,
+    createLeg({
+      kind: "exit",
+      lots: closeLots,
+      price: exitPriceNum,
+      time: exitTimestamp,
+      fee: costs.commission + costs.swap + costs.fees,
+    })
+  );
+  const after = summarizeLegs({ ...trade, legs }, legOpts, instruments);
+  const totals = {
+    commission: parseNumber(trade.commission) + costs.commission,
+    swap: parseNumber(trade.swap) + costs.swap,
+    fees: parseNumber(trade.fees) + costs.fees,
+  };
+
+  // ✂️ Partial close: the position stays active with the realized PnL so far
+  if (after.openLots > 0) {
+    const partial = {
+      ...trade,
+      ...totals,
+      legs,
+      pnlCurrency,
+      pnlPercent: Number(pnlPercent),
+      note: closeNote || trade.note || "",
+    };
+    setActiveTrades((prev) => prev.map((t) => (t.id === trade.id ? partial : t)));
+
+    try {
+      const { row, status } = await updateTradeInDB(partial, trade.updated_at ?? null);
+      setActiveTrades((prev) =>
+        prev.map((t) => (t.id === row.id ? { ...t, updated_at: row.updated_at } : t))
+      );
+      toastSyncResult(status, `Closed ${closeLots} lots — ${after.openLots} still open`);
+    } catch (err) {
+      console.error("[handleSaveClose] partial save error:", err);
+      toast.error("Failed to save partial close");
+    } finally {
+      resetCloseModal();
+    }
+    return;
+  }
+
+  // ✅ Valid / Invalid from the trading rules, unless overridden with a reason
+  let statusFields;
+  try {
+    statusFields = tradeStatusFields(
+      collectTradeViolations(trade, rules),
+      statusOverride.override || null,
+      statusOverride.reason
+    );
+  } catch (err) {
+    toast.error(err.message);
+    return;
+  }
+
+  // Calculate signed points from the blended entry / exit. `entryPrice`
+  // stays the first fill; the blend is always derived from the legs.
+  const entry = after.avgAllEntries;
+  const exitAvg = after.avgExit ?? exitPriceNum;
   const mult = getMultiplier(trade.pair);
-  const rawPoints = (exitPriceNum - entry) * mult;
+  const rawPoints = (exitAvg - entry) * mult;
   const pointsSigned =
     trade.type === "long" ? Math.round(rawPoints) : Math.round(-rawPoints);
 
   // Build closed trade record
   const closed = {
     ...trade,
+    ...totals,
+    legs,
+    lotSize: after.entryLots,
     exitDate: exitTimestamp,
-    exitPrice: exitPriceNum,
+    exitPrice: exitAvg,
     points: pointsSigned,
     pnlCurrency: Number(pnlCurrency),
     pnlPercent: Number(pnlPercent),
+    planOutcome: modalPlanOutcome || null,
+    ...statusFields,
     state: "Closed",
-    status: tradeStatus || "Valid",
     afterImage:
       modalAfterImage && isValidUrl(modalAfterImage)
         ? modalAfterImage.trim()
@@ -1150,42 +1280,335 @@ const handleSaveClose = async () => {
         ? trade.beforeImage.trim()
         : trade.beforeimage || null,
     note: closeNote || trade.note || "",
-    updated_at: new Date().toISOString(),
   };
 
-  const updatedActive = activeTrades.filter((t) => t.id !== trade.id);
-  const updatedHistory = [...tradesHistory, closed];
-
-  setActiveTrades(updatedActive);
-  setTradesHistory(updatedHistory);
+  setActiveTrades((prev) => prev.filter((t) => t.id !== trade.id));
+  setTradesHistory((prev) => [...prev, closed]);
 
   try {
-    await updateTradeInDB(closed);
-    await persistJournal(updatedActive, updatedHistory);
-    toast.success("Trade closed and saved");
+    const { row, status } = await updateTradeInDB(closed, trade.updated_at ?? null);
+    setTradesHistory((prev) =>
+      prev.map((t) => (t.id === row.id ? { ...t, updated_at: row.updated_at } : t))
+    );
+    toastSyncResult(status, "Trade closed and saved");
   } catch (err) {
     console.error("[handleSaveClose] save error:", err);
-    try {
-      localStorage.setItem("activeTrades", JSON.stringify(updatedActive));
-      localStorage.setItem("tradesHistory", JSON.stringify(updatedHistory));
-      console.warn("[handleSaveClose] fallback local save successful");
-      toast.success("Trade closed (saved locally)");
-    } catch (localErr) {
-      console.error("[handleSaveClose] fallback local save failed:", localErr);
-      toast.error("Failed to save closed trade");
-    }
+    toast.error("Failed to save closed trade");
   } finally {
-    setShowCloseModal(false);
-    setCloseModalTradeId(null);
-    setModalExitDate("");
-    setModalExitPrice("");
-    setModalActualPnL("");
-    setModalAfterImage("");
-    setTradeStatus("Valid");
-    setCloseNote("");
+    resetCloseModal();
+  }
+};
+
+// ------------------------------
+// ➕ Scale in: add an entry leg, re-blend entry price and total lots
+// ------------------------------
+const openScaleInModal = (tradeId) => {
+  setScaleInTradeId(tradeId);
+  setScaleInForm({ lots: "", price: "", date: new Date().toISOString().slice(0, 10), fee: "" });
+};
+
+const handleSaveScaleIn = async () => {
+  const trade = activeTrades.find((t) => t.id === scaleInTradeId);
+  if (!trade) return;
+
+  const lots = roundLot(trade.pair, parseNumber(scaleInForm.lots), instruments);
+  const price = parseNumber(scaleInForm.price);
+  if (!(lots > 0) || !(price > 0)) {
+    toast.error("Enter a lot size (at least the minimum lot) and a price");
+    return;
+  }
+
+  const fee = parseNumber(scaleInForm.fee);
+  const legs = addLeg(
+    trade,
+    createLeg({ kind: "entry", lots, price, time: scaleInForm.date || new Date(), fee })
+  );
+  const after = summarizeLegs({ ...trade, legs }, legOpts, instruments);
+  const updated = {
+    ...trade,
+    legs,
+    lotSize: after.entryLots,
+    // Risk of the whole position at the original stop, as % of capital
+    risk: capital ? Number(((after.initialRisk / capital) * 100).toFixed(2)) : trade.risk,
+    commission: parseNumber(trade.commission) + fee,
+  };
+
+  // The bigger position is checked against the trade-level rules again
+  try {
+    Object.assign(
+      updated,
+      tradeStatusFields(
+        collectTradeViolations(updated, rules),
+        trade.statusOverride ?? null,
+        trade.statusReason
+      )
+    );
+  } catch (err) {
+    toast.error(err.message);
+    return;
+  }
+
+  setActiveTrades((prev) => prev.map((t) => (t.id === trade.id ? updated : t)));
+  setScaleInTradeId(null);
+
+  try {
+    const { row, status } = await updateTradeInDB(updated, trade.updated_at ?? null);
+    setActiveTrades((prev) =>
+      prev.map((t) => (t.id === row.id ? { ...t, updated_at: row.updated_at } : t))
+    );
+    toastSyncResult(status, `Added ${lots} lots — avg entry ${after.avgEntry}`);
+  } catch (err) {
+    console.error("[handleSaveScaleIn] save error:", err);
+    toast.error("Failed to save scale-in");
+  }
+};
+
+// ------------------------------
+// 🎯 Move SL/TP: each change is kept as an event, the opening levels stay
+// ------------------------------
+const openStopsModal = (tradeId) => {
+  const trade = activeTrades.find((t) => t.id === tradeId);
+  if (!trade) return;
+  setStopsTradeId(tradeId);
+  setStopsForm({
+    sl: trade.sl ?? trade.stopLoss ?? "",
+    tp: trade.tp ?? trade.takeProfit ?? "",
+    note: "",
+  });
+};
+
+const handleSaveStops = async () => {
+  const trade = activeTrades.find((t) => t.id === stopsTradeId);
+  if (!trade) return;
+
+  const change = applyStopChange(trade, stopsForm, {
+    note: stopsForm.note.trim(),
+    catalog: instruments,
+  });
+  if (change.slTpEvents.length === getStopEvents(trade).length) {
+    toast("SL and TP are unchanged");
+    return;
+  }
+
+  const updated = { ...trade, ...change };
+  setActiveTrades((prev) => prev.map((t) => (t.id === trade.id ? updated : t)));
+  setStopsTradeId(null);
+
+  try {
+    const { row, status } = await updateTradeInDB(updated, trade.updated_at ?? null);
+    setActiveTrades((prev) =>
+      prev.map((t) => (t.id === row.id ? { ...t, updated_at: row.updated_at } : t))
+    );
+    toastSyncResult(status, "SL/TP updated");
+  } catch (err) {
+    console.error("[handleSaveStops] save error:", err);
+    toast.error("Failed to save SL/TP change");
+  }
+};
+
+// ------------------------------
+// 💡 Planned trades: place, trigger, expire or cancel
+// ------------------------------
+// `quiet` skips the toast and returns the sync status (or "failed"), for
+// callers that report several transitions at once.
+const savePlanTransition = async (trade, to, { quiet = false, ...opts } = {}) => {
+  let next;
+  try {
+    next = transitionTrade(trade, to, opts);
+  } catch (err) {
+    toast.error(err.message);
+    return;
+  }
+
+  const stamp = (rowId, updatedAt) => (list) =>
+    list.map((t) => (t.id === rowId ? { ...t, updated_at: updatedAt } : t));
+
+  if (to === "Active") {
+    const violations = await checkTradeRules(next);
+    if (!violations) return;
+    next.ruleViolations = violations;
+    next.status = resolveTradeStatus(violations).status;
+    setPlannedTrades((prev) => prev.filter((t) => t.id !== trade.id));
+    setActiveTrades((prev) => [next, ...prev]);
+  } else {
+    setPlannedTrades((prev) => prev.map((t) => (t.id === trade.id ? next : t)));
+  }
+
+  try {
+    const { row, status } = await updateTradeInDB(next, trade.updated_at ?? null);
+    (to === "Active" ? setActiveTrades : setPlannedTrades)(stamp(row.id, row.updated_at));
+    if (!quiet) toastSyncResult(status, `${trade.pair} ${to === "Active" ? "triggered" : `marked ${to}`}`);
+    return status;
+  } catch (err) {
+    console.error("[savePlanTransition] save error:", err);
+    if (!quiet) toast.error(`Failed to mark plan as ${to}`);
+    return "failed";
   }
 };
 
+const openTriggerModal = (trade) => {
+  const now = new Date();
+  setTriggerTradeId(trade.id);
+  setTriggerTicks({});
+  setTriggerForm({
+    price: trade.entryPrice ?? trade.entry_price ?? "",
+    date: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`,
+    time: now.toTimeString().slice(0, 5),
+  });
+};
+
+const handleSaveTrigger = async () => {
+  const trade = triggerTrade;
+  if (!trade) return;
+  if (triggerMissing.length) {
+    toast.error(`Tick the pre-trade checklist first:\n${triggerMissing.map((i) => i.text).join("\n")}`);
+    return;
+  }
+  const checklistDone = checklistAnswers(triggerChecklist, triggerTicks);
+  setTriggerTradeId(null);
+  // Date and time are local wall-clock values, like the Add Trade form
+  const { date, time } = triggerForm;
+  const fillPrice = parseNumber(triggerForm.price);
+  const planned = Number(trade.entryPrice ?? trade.entry_price);
+  const sized = fillPrice > 0 && fillPrice !== planned ? sizeAtFill(trade, fillPrice) : {};
+  await savePlanTransition({ ...trade, ...sized, checklist: checklistDone }, "Active", {
+    time: date ? new Date(`${date}T${time || "00:00"}`) : new Date(),
+    fillPrice,
+  });
+};
+
+// A plan is sized at its planned entry. Filled elsewhere, the stop distance
+// changes: the lots are sized again for the planned risk, and the risk and
+// R:R follow from the lots actually taken at the fill.
+const sizeAtFill = (trade, fill) => {
+  const sl = Number(trade.sl ?? trade.stopLoss);
+  const tp = Number(trade.tp ?? trade.takeProfit);
+  if (!(sl > 0) || !capital) return {};
+
+  const lotSize = calculateLotSize(
+    {
+      symbol: trade.pair,
+      entry: fill,
+      stop: sl,
+      riskAmount: ((Number(trade.risk) || 0) / 100) * capital,
+      accountType,
+      ...pricing,
+    },
+    instruments
+  );
+  const vp = Number(trade.valuePerPip ?? trade.value_per_pip) || getAdjustedVP(trade.pair, accountType);
+  const slPips = priceDistanceToPips(trade.pair, fill - sl, instruments);
+  const risk = Number((((slPips * vp * lotSize) / capital) * 100).toFixed(2));
+  const ratio = tp > 0 && fill !== sl ? Math.abs(tp - fill) / Math.abs(fill - sl) : trade.ratio ?? null;
+  return { lotSize, risk, ratio };
+};
+
+// Cancelling counts against the daily cancel limit
+const handleCancelPlan = async (trade) => {
+  const violation = evaluateCancelRule(countCancellations(plannedTrades), rules);
+  if (violation?.mode === "block") {
+    toast.error(`Blocked by trading rules: ${violation.message}`);
+    return;
+  }
+  if (
+    violation &&
+    !(await confirmRuleWarnings([violation.message], {
+      title: "Cancelling breaks your trading rules",
+      action: "Cancel Anyway",
+    }))
+  ) {
+    return;
+  }
+  await savePlanTransition(trade, "Cancelled");
+};
+
+// What the market did with a skipped plan ("tp" / "sl")
+const handleSkippedOutcome = async (trade, planOutcome) => {
+  const updated = { ...trade, planOutcome: planOutcome || null };
+  setPlannedTrades((prev) => prev.map((t) => (t.id === trade.id ? updated : t)));
+  try {
+    const { row } = await updateTradeInDB(updated, trade.updated_at ?? null);
+    setPlannedTrades((prev) =>
+      prev.map((t) => (t.id === row.id ? { ...t, updated_at: row.updated_at } : t))
+    );
+  } catch (err) {
+    console.error("[handleSkippedOutcome] save error:", err);
+    toast.error("Failed to save outcome");
+  }
+};
+
+// ⏰ Pending orders past their expiry are marked Expired — now, and by a timer
+// set for the next expiry. `expiringIds` holds plans whose Expired write is
+// still in flight so a re-render can't save them twice.
+const expiringIds = useRef(new Set());
+const savePlanTransitionRef = useRef(savePlanTransition);
+useEffect(() => {
+  savePlanTransitionRef.current = savePlanTransition;
+});
+
+useEffect(() => {
+  let timer = null;
+
+  const expireDue = () => {
+    const now = new Date();
+    const due = plannedTrades.filter(
+      (t) => isPastExpiry(t, now) && !expiringIds.current.has(t.id)
+    );
+    if (due.length) {
+      due.forEach((t) => expiringIds.current.add(t.id));
+      // One toast for everything that expired in this tick
+      Promise.all(
+        due.map((t) =>
+          savePlanTransitionRef
+            .current(t, "Expired", { time: t.expiresAt ?? t.expires_at, quiet: true })
+            .finally(() => expiringIds.current.delete(t.id))
+        )
+      ).then((statuses) => {
+        const failed = statuses.filter((st) => st === "failed").length;
+        if (failed) toast.error(`Failed to mark ${failed} expired plan${failed > 1 ? "s" : ""} as Expired`);
+        const isSaved = (st) => !!st && st !== "failed";
+        const saved = statuses.filter(isSaved);
+        if (!saved.length) return;
+        const pairs = [...new Set(due.filter((_, i) => isSaved(statuses[i])).map((t) => t.pair))];
+        const label =
+          saved.length === 1
+            ? `${pairs[0]} marked Expired`
+            : `${saved.length} pending orders expired (${pairs.join(", ")})`;
+        toastSyncResult(saved.find((st) => st !== "synced") ?? "synced", label);
+      });
+    }
+
+    const next = Math.min(
+      ...plannedTrades.map(expiryTime).filter((ms) => ms >= now.getTime())
+    );
+    if (Number.isFinite(next)) {
+      timer = setTimeout(expireDue, Math.min(next - now.getTime() + 1, MAX_TIMER_MS));
+    }
+  };
+
+  expireDue();
+  return () => clearTimeout(timer);
+}, [plannedTrades]);
+
+const planSummary = useMemo(
+  () => summarizeTradePlans([...plannedTrades, ...activeTrades, ...tradesHistory]),
+  [plannedTrades, activeTrades, tradesHistory]
+);
+
+const resetCloseModal = () => {
+  setShowCloseModal(false);
+  setCloseModalTradeId(null);
+  setModalExitDate("");
+  setModalExitPrice("");
+  setModalActualPnL("");
+  setModalClosePercent("100");
+  setModalPlanOutcome("");
+  setModalCosts({ commission: "", swap: "", fees: "" });
+  setModalAfterImage("");
+  setStatusOverride({ override: "", reason: "" });
+  setCloseNote("");
+};
+
 // ------------------------------
 // ✅ Open Edit Modal (unchanged)
 // ------------------------------
@@ -1255,26 +1678,24 @@ const handleClosedEditedTrade = async (updatedTrade) => {
   const rowForDb = normalizeTradeForDB(mergedTrade, userId, currentAccountId);
 
   try {
-    // Save updated trade to Supabase
-    const { error } = await supabase
-      .from("trades")
-      .upsert([rowForDb], { onConflict: "id" });
-
-    if (error) {
-      console.error("[handleClosedEditedTrade] ❌ Supabase error:", error);
-      toast.error("Failed to save edited trade");
-      return;
-    }
+    // Save through the outbox (conflict-checked against the version we edited)
+    const { status } = await writeThroughOutbox({
+      table: "trades",
+      op: "upsert",
+      row: rowForDb,
+      baseUpdatedAt: originalTrade.updated_at ?? null,
+    });
 
     // ✅ Replace in local tradesHistory (closed trades)
+    const savedTrade = { ...mergedTrade, updated_at: rowForDb.updated_at };
     const updatedClosedList = tradesHistory.map((t) =>
-      t.id === mergedTrade.id ? mergedTrade : t
+      t.id === savedTrade.id ? savedTrade : t
     );
 
     setTradesHistory(updatedClosedList);
     localStorage.setItem("closedTrades", JSON.stringify(updatedClosedList));
 
-    toast.success("Closed trade updated successfully!");
+    toastSyncResult(status, "Closed trade updated successfully!");
     setShowEditModal(false);
     setEditingTrade(null);
 
@@ -1299,10 +1720,11 @@ const handleActiveEditedTrade = async (updatedTrade) => {
     return;
   }
 
-  // Merge changes
+  // Merge changes (SL/TP edits are appended to the trade's stop history)
   const mergedTrade = {
     ...originalTrade,
     ...updatedTrade,
+    ...applyStopChange(originalTrade, updatedTrade, { catalog: instruments }),
     state: "Active", // ✅ ensure it's still active
     updatedAt: new Date().toISOString(),
   };
@@ -1311,26 +1733,24 @@ const handleActiveEditedTrade = async (updatedTrade) => {
   const rowForDb = normalizeTradeForDB(mergedTrade, userId, currentAccountId);
 
   try {
-    // Save to Supabase
-    const { error } = await supabase
-      .from("trades")
-      .upsert([rowForDb], { onConflict: "id" });
-
-    if (error) {
-      console.error("[handleActiveEditedTrade] ❌ Supabase error:", error);
-      toast.error("Failed to save edited trade");
-      return;
-    }
+    // Save through the outbox (conflict-checked against the version we edited)
+    const { status } = await writeThroughOutbox({
+      table: "trades",
+      op: "upsert",
+      row: rowForDb,
+      baseUpdatedAt: originalTrade.updated_at ?? null,
+    });
 
     // ✅ Replace in local active list
+    const savedTrade = { ...mergedTrade, updated_at: rowForDb.updated_at };
     const updatedActiveList = activeTrades.map((t) =>
-      t.id === mergedTrade.id ? mergedTrade : t
+      t.id === savedTrade.id ? savedTrade : t
     );
 
     setActiveTrades(updatedActiveList);
     localStorage.setItem("activeTrades", JSON.stringify(updatedActiveList));
 
-    toast.success("Active trade updated successfully!");
+    toastSyncResult(status, "Active trade updated successfully!");
     setShowEditModal(false);
     setEditingTrade(null);
 
@@ -1367,34 +1787,24 @@ const hideConfirmDelete = () => {
 };
 
 // -----------------------------------------
-// 🗄️ Delete trade directly from Supabase
+// 🗄️ Delete trade (queued in the outbox, sent now if online)
 // -----------------------------------------
-const deleteTradeFromDB = async (tradeId) => {
-  if (!tradeId || !userId || !currentAccountId) {
+const deleteTradeFromDB = async (trade) => {
+  if (!trade?.id || !userId || !currentAccountId) {
     console.warn(
       "[deleteTradeFromDB] Missing tradeId, userId, or currentAccountId — skipping delete"
     );
-    return;
+    return null;
   }
 
-  try {
-    const { error } = await supabase
-      .from("trades")
-      .delete()
-      .eq("id", tradeId)
-      .eq("user_id", userId)
-      .eq("account_id", currentAccountId);
-
-    if (error) {
-      console.error("[deleteTradeFromDB] ❌ Supabase error:", error.message);
-      toast.error("Failed to delete trade from Supabase.");
-    } else {
-      console.log("[deleteTradeFromDB] ✅ Trade deleted successfully:", tradeId);
-    }
-  } catch (err) {
-    console.error("[deleteTradeFromDB] 💥 Unexpected error:", err);
-    toast.error("Unexpected error while deleting trade.");
-  }
+  const { status } = await writeThroughOutbox({
+    table: "trades",
+    op: "delete",
+    row: { id: trade.id, user_id: userId, account_id: currentAccountId },
+    baseUpdatedAt: trade.updated_at ?? null,
+  });
+  console.debug(`[deleteTradeFromDB] Trade delete ${status}:`, trade.id);
+  return status;
 };
 
 // -----------------------------------------
@@ -1402,18 +1812,16 @@ const deleteTradeFromDB = async (tradeId) => {
 // -----------------------------------------
 const handleDeleteTrade = async (tradeId) => {
   try {
-    // Update React state first
-    const updatedHistory = tradesHistory.filter((t) => t.id !== tradeId);
-    const updatedActive = activeTrades.filter((t) => t.id !== tradeId);
+    const trade =
+      tradesHistory.find((t) => t.id === tradeId) ||
+      activeTrades.find((t) => t.id === tradeId);
 
-    setTradesHistory(updatedHistory);
-    setActiveTrades(updatedActive);
-
-    // Sync DB and journal
-    await deleteTradeFromDB(tradeId);
-    await persistJournal(updatedActive, updatedHistory);
+    // Update React state first
+    setTradesHistory((prev) => prev.filter((t) => t.id !== tradeId));
+    setActiveTrades((prev) => prev.filter((t) => t.id !== tradeId));
 
-    toast.success("Trade deleted successfully");
+    const status = await deleteTradeFromDB(trade);
+    if (status) toastSyncResult(status, "Trade deleted");
   } catch (err) {
     console.error("handleDeleteTrade error:", err);
     toast.error("Failed to delete trade");
@@ -1442,6 +1850,7 @@ const [filters, setFilters] = useState({
   pair: "all",        // all | specific pair (e.g. EURUSD)
   action: "both",     // both | L | S
   status: "both",     // both | Valid | Invalid
+  tags: [],           // trades must carry every listed tag
 });
 
 const [sortConfig, setSortConfig] = useState({
@@ -1449,6 +1858,8 @@ const [sortConfig, setSortConfig] = useState({
   direction: "desc",
 });
 
+const [showExportModal, setShowExportModal] = useState(false);
+
 // -----------------------------------------
 // 🧩 Handle Filter Changes
 // -----------------------------------------
@@ -1507,6 +1918,9 @@ const sortedFilteredHistory = useMemo(() => {
     );
   }
 
+  // 🔸 Filter by Tags (all selected tags)
+  filtered = filterByTags(filtered, filters.tags);
+
   // ⚙️ Sort according to user-selected column
   if (sortConfig?.key) {
     const { key, direction } = sortConfig;
@@ -1558,6 +1972,18 @@ const sortedFilteredHistory = useMemo(() => {
   return filtered;
 }, [tradesHistory, filters, sortConfig]);
 
+// -----------------------------------------
+// 📤 Export context (what the exported rows were filtered/sorted by)
+// -----------------------------------------
+const exportContext = [
+  ["Pair", filters.pair === "all" ? "All" : filters.pair],
+  ["Action", filters.action === "both" ? "All" : filters.action === "L" ? "Long" : "Short"],
+  ["Result", filters.profitType === "both" ? "All" : filters.profitType],
+  ["Status", filters.status === "both" ? "All" : filters.status],
+  ["Tags", filters.tags.length ? filters.tags.join(", ") : "All"],
+  ["Sorted by", sortConfig?.key ? `${sortConfig.key} (${sortConfig.direction})` : "Entry date (desc)"],
+];
+
 if (!effectiveUserId || !effectiveAccountId) {
   return (
     <div className="text-gray-400 text-center p-6">
@@ -1590,6 +2016,12 @@ if (!effectiveUserId || !effectiveAccountId) {
           >
             Add New
           </button>
+          <button
+            className={`px-4 py-2 rounded-full ${activeTab === "planned" ? "bg-purple-600" : "bg-gray-800"} text-white`}
+            onClick={() => setActiveTab("planned")}
+          >
+            Planned
+          </button>
           <button
             className={`px-4 py-2 rounded-full ${activeTab === "open" ? "bg-purple-600" : "bg-gray-800"} text-white`}
             onClick={() => setActiveTab("active")}
@@ -1623,7 +2055,10 @@ if (!effectiveUserId || !effectiveAccountId) {
         <LotSizeCalculator
           capital={capital}
           accountType={accountType}
-          getAdjustedVP={getAdjustedVP}
+          accountCurrency={accountCurrency}
+          instruments={instruments}
+          rates={fxRates}
+          lotScale={pricing.lotScale}
         />
       </div>
 
@@ -1632,6 +2067,63 @@ if (!effectiveUserId || !effectiveAccountId) {
         <h4 className="text-lg font-semibold mb-4">Add New Trade</h4>
 
         <form onSubmit={handleSaveTrade} className="space-y-4">
+          {/* Plan as: execute now, idea or pending order */}
+          <div className="flex flex-col">
+            <span className="text-sm font-medium text-gray-400 mb-1">Plan As</span>
+            <div className="flex gap-2">
+              {[
+                ["market", "Market (Active now)"],
+                ["idea", "Idea"],
+                ...ORDER_TYPES.map((o) => [o.value, `Pending ${o.label}`]),
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setFormData((prev) => ({ ...prev, planAs: value }))}
+                  className={`px-3 py-1 rounded-full text-xs ${
+                    (formData.planAs || "market") === value ? "bg-purple-600 text-white" : "bg-gray-700 text-gray-300"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {(formData.planAs || "market") !== "market" && (
+            <div className="grid grid-cols-2 gap-4">
+              {formData.planAs !== "idea" && (
+                <div className="flex flex-col">
+                  <label className="text-sm font-medium text-gray-400 mb-1" htmlFor="expiresAt">
+                    Expires
+                  </label>
+                  <input
+                    type="datetime-local"
+                    id="expiresAt"
+                    name="expiresAt"
+                    value={formData.expiresAt || ""}
+                    onChange={handleChange}
+                    className={styles.input}
+                  />
+                </div>
+              )}
+              <div className={`flex flex-col ${formData.planAs === "idea" ? "col-span-2" : ""}`}>
+                <label className="text-sm font-medium text-gray-400 mb-1" htmlFor="thesis">
+                  Thesis
+                </label>
+                <textarea
+                  id="thesis"
+                  name="thesis"
+                  value={formData.thesis || ""}
+                  onChange={handleChange}
+                  rows="2"
+                  placeholder="Why this trade, and what has to happen first?"
+                  className={styles.input}
+                />
+              </div>
+            </div>
+          )}
+
           {/* Pair / Symbol */}
           <div className="flex flex-col">
             <label
@@ -1649,7 +2141,7 @@ if (!effectiveUserId || !effectiveAccountId) {
   required
 >
   <option value="">Select Pair</option>
-  {availablePairs.map((p) => (
+  {instrumentSymbols(instruments).map((p) => (
     <option key={p} value={p}>
       {p}
     </option>
@@ -1804,9 +2296,9 @@ if (!effectiveUserId || !effectiveAccountId) {
   />
 
   {/* ✅ Colored Session Display */}
-  {getSessionForTime(tradeTime) ? (
+  {sessionAt(tradeTime, formData.entryDate) ? (
     <div className="flex flex-wrap gap-2 mt-2">
-      {getSessionForTime(tradeTime)
+      {sessionAt(tradeTime, formData.entryDate)
         .split("&")
         .map((s) => (
           <span
@@ -1841,15 +2333,29 @@ if (!effectiveUserId || !effectiveAccountId) {
               className="mt-1 block w-full rounded-md bg-gray-800 border border-gray-600 text-gray-200 p-2"
             >
               <option value="">Select Strategy</option>
-              <option value="1/5min BOT, 5MCC">1/5min BOT, 5MCC</option>
-              <option value="1/5min BOT, 15MCC">1/5min BOT, 15MCC</option>
-              <option value="5/15min BOT, 15MCC">5/15min BOT, 15MCC</option>
-              <option value="5/15min BOT, H1MCC">5/15min BOT, H1MCC</option>
-              <option value="1/5min BOS, 5MCC">1/5min BOS, 5MCC</option>
-              <option value="1/5min BOS, 15MCC">1/5min BOS, 15MCC</option>
-              <option value="5/15min BOS, 15MCC">5/15min BOS, 15MCC</option>
-              <option value="5/15min BOS, H1MCC">5/15min BOS, H1MCC</option>
+              {strategyNames(playbook, formData.strategy).map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
             </select>
+            {selectedStrategy && (
+              <div className="mt-2 text-xs text-gray-400 space-y-1">
+                {selectedStrategy.description && <p>{selectedStrategy.description}</p>}
+                {selectedStrategy.targetR && <p>Target: {selectedStrategy.targetR}R</p>}
+              </div>
+            )}
+          </div>
+
+          {/* Tags */}
+          <div className="flex flex-col">
+            <label className="text-sm font-medium text-gray-200 mb-1">Tags</label>
+            <TagInput
+              value={formData.tags || []}
+              onChange={(tags) => setFormData((prev) => ({ ...prev, tags }))}
+              suggestions={tagSuggestions}
+              colors={tagColors}
+            />
           </div>
 
           {/* Before Image */}
@@ -1879,16 +2385,30 @@ if (!effectiveUserId || !effectiveAccountId) {
   capital={capital}
   accountType={accountType}
   summaryForSelectedDate={summaryForSelectedDate}
-  DAILY_RISK_LIMIT_PERCENT={DAILY_RISK_LIMIT_PERCENT}
-  getMultiplier={getMultiplier}
-  getAdjustedVP={getAdjustedVP}
+  dailyRiskLimit={dailyRiskLimit}
+  instruments={instruments}
+  pricing={pricing}
   fmt2={fmt2}
 />
 
 
+          {/* Pre-trade checklist */}
+          {(formData.planAs || "market") === "market" && (
+            <PreTradeChecklist items={checklist} ticked={checklistTicks} onChange={setChecklistTicks} />
+          )}
+
           {/* Submit */}
-          <button type="submit" className={styles.submitButton}>
-            Submit Trade
+          <button
+            type="submit"
+            disabled={checklistMissing.length > 0}
+            title={checklistMissing.length ? `${checklistMissing.length} required checklist items left` : undefined}
+            className={`${styles.submitButton} disabled:opacity-50 disabled:cursor-not-allowed`}
+          >
+            {(formData.planAs || "market") === "market"
+              ? "Submit Trade"
+              : formData.planAs === "idea"
+              ? "Save Idea"
+              : "Save Pending Order"}
           </button>
         </form>
       </div>
@@ -1898,6 +2418,172 @@ if (!effectiveUserId || !effectiveAccountId) {
 
 
       {/* ------------------ */}
+{/* ------------------ */}
+{/* Planned Trades Tab */}
+{/* ------------------ */}
+{activeTab === "planned" && (
+  <div className="space-y-4">
+    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+      {[
+        ["Open Plans", planSummary.open, "text-white"],
+        ["Taken", planSummary.taken, "text-green-400"],
+        ["Skipped", `${planSummary.skipped} (${planSummary.expired} expired)`, "text-amber-400"],
+        ["Take Rate", planSummary.takeRate === null ? "—" : `${planSummary.takeRate}%`, "text-white"],
+        [
+          "Skipped: Missed / Avoided",
+          `${planSummary.missedWinners} / ${planSummary.avoidedLosers}`,
+          "text-white",
+        ],
+      ].map(([label, value, color]) => (
+        <div key={label} className="bg-gray-800 border border-gray-700 rounded-xl p-3">
+          <p className="text-gray-400">{label}</p>
+          <p className={`text-lg font-semibold ${color}`}>{value}</p>
+        </div>
+      ))}
+    </div>
+    {planSummary.takenClosed > 0 && (
+      <p className="text-sm text-gray-400">
+        Taken plans closed: {planSummary.takenClosed}, {planSummary.takenWins} won, PnL{" "}
+        <span className={planSummary.takenPnl >= 0 ? "text-green-400" : "text-red-400"}>
+          ${fmt2(planSummary.takenPnl)}
+        </span>
+      </p>
+    )}
+
+    <div className="bg-gray-800 border border-gray-700 rounded-2xl p-4">
+      <h4 className="text-lg font-semibold mb-4">Ideas & Pending Orders</h4>
+      {plannedTrades.filter((t) => PLANNED_STATES.includes(t.state)).length === 0 ? (
+        <div className="text-gray-400">No open plans. Use "Plan As" when adding a trade.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left">
+            <thead className="text-gray-400 text-sm">
+              <tr>
+                <th className="px-4 py-2">Pair</th>
+                <th className="px-4 py-2">Action</th>
+                <th className="px-4 py-2">State</th>
+                <th className="px-4 py-2">Entry</th>
+                <th className="px-4 py-2">SL / TP</th>
+                <th className="px-4 py-2">Expires</th>
+                <th className="px-4 py-2">Thesis</th>
+                <th className="px-4 py-2">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plannedTrades
+                .filter((t) => PLANNED_STATES.includes(t.state))
+                .map((t) => (
+                  <tr key={t.id} className="border-t border-gray-800 text-sm">
+                    <td className="px-4 py-3">{t.pair}</td>
+                    <td className="px-4 py-3">{t.type === "long" ? "Buy" : "Sell"}</td>
+                    <td className="px-4 py-3">
+                      {t.state}
+                      {(t.orderType ?? t.order_type) && (
+                        <span className="block text-xs text-gray-400 capitalize">{t.orderType ?? t.order_type}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">{t.entryPrice}</td>
+                    <td className="px-4 py-3">
+                      {t.sl ?? t.stopLoss ?? "—"} / {t.tp ?? t.takeProfit ?? "—"}
+                    </td>
+                    <td className="px-4 py-3">
+                      {(t.expiresAt ?? t.expires_at) ? new Date(t.expiresAt ?? t.expires_at).toLocaleString() : "—"}
+                    </td>
+                    <td className="px-4 py-3 max-w-xs text-gray-300">{t.thesis || "—"}</td>
+                    <td className="px-4 py-3">
+                      <div className="flex gap-2 items-center">
+                        <button
+                          className="bg-green-600 px-3 py-2 rounded-full text-white"
+                          onClick={() => openTriggerModal(t)}
+                        >
+                          Trigger
+                        </button>
+                        {canTransition(t.state, "Pending") && (
+                          <button
+                            className="bg-blue-600 px-3 py-2 rounded-full text-white"
+                            onClick={() => savePlanTransition(t, "Pending")}
+                          >
+                            Place
+                          </button>
+                        )}
+                        <button
+                          className="bg-gray-700 px-3 py-2 rounded-full text-white"
+                          onClick={() => savePlanTransition(t, "Expired")}
+                        >
+                          Expire
+                        </button>
+                        <button
+                          className="bg-red-600 px-3 py-2 rounded-full text-white"
+                          onClick={() => handleCancelPlan(t)}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+
+    <div className="bg-gray-800 border border-gray-700 rounded-2xl p-4">
+      <h4 className="text-lg font-semibold mb-1">Skipped Plans</h4>
+      <p className="text-xs text-gray-500 mb-4">
+        Record what price did afterwards to compare skipped ideas with the ones you took.
+      </p>
+      {plannedTrades.filter((t) => !PLANNED_STATES.includes(t.state)).length === 0 ? (
+        <div className="text-gray-400">No expired or cancelled plans yet</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left">
+            <thead className="text-gray-400 text-sm">
+              <tr>
+                <th className="px-4 py-2">Pair</th>
+                <th className="px-4 py-2">Action</th>
+                <th className="px-4 py-2">State</th>
+                <th className="px-4 py-2">Planned</th>
+                <th className="px-4 py-2">Resolved</th>
+                <th className="px-4 py-2">Thesis</th>
+                <th className="px-4 py-2">What Happened</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plannedTrades
+                .filter((t) => !PLANNED_STATES.includes(t.state))
+                .map((t) => (
+                  <tr key={t.id} className="border-t border-gray-800 text-sm">
+                    <td className="px-4 py-3">{t.pair}</td>
+                    <td className="px-4 py-3">{t.type === "long" ? "Buy" : "Sell"}</td>
+                    <td className="px-4 py-3">{t.state}</td>
+                    <td className="px-4 py-3">{formatDate(t.plannedAt ?? t.planned_at ?? t.created_at)}</td>
+                    <td className="px-4 py-3">{formatDate(t.resolvedAt ?? t.resolved_at)}</td>
+                    <td className="px-4 py-3 max-w-xs text-gray-300">{t.thesis || "—"}</td>
+                    <td className="px-4 py-3">
+                      <select
+                        value={t.planOutcome ?? t.plan_outcome ?? ""}
+                        onChange={(e) => handleSkippedOutcome(t, e.target.value)}
+                        className="bg-gray-700 text-gray-200 rounded px-2 py-1"
+                      >
+                        {PLAN_OUTCOMES.map((o) => (
+                          <option key={o.value} value={o.value}>
+                            {o.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  </div>
+)}
+
+
 {/* ------------------ */}
 {/* Active Trades Tab */}
 {/* ------------------ */}
@@ -1925,11 +2611,28 @@ if (!effectiveUserId || !effectiveAccountId) {
             <tbody>
               {activeTrades.map((t, i) => (
                 <tr key={t.id} className="border-t border-gray-800">
-                  <td className="px-4 py-3">{t.pair}</td>
+                  <td className="px-4 py-3">
+                    {t.pair}
+                    <RuleViolationsBadge trade={t} />
+                  </td>
                   <td className="px-4 py-3">{t.type === "long" ? "Buy" : "Sell"}</td>
                   <td className="px-4 py-3">{t.entryDate}</td>
                   <td className="px-4 py-3">{t.entryPrice}</td>
-                  <td className="px-4 py-3">{Number(t.lotSize).toFixed(2)}</td> {/* ✅ fixed */}
+                  <td className="px-4 py-3">
+                    {(() => {
+                      // Partially closed: open / total lots and realized PnL so far
+                      const legSummary = summarizeLegs(t, legOpts, instruments);
+                      if (!legSummary.exitLots) return Number(t.lotSize).toFixed(2);
+                      return (
+                        <>
+                          {fmt2(legSummary.openLots)} / {fmt2(legSummary.entryLots)}
+                          <span className={`block text-xs ${parseNumber(t.pnlCurrency) >= 0 ? "text-green-400" : "text-red-400"}`}>
+                            Realized {fmt2(t.pnlCurrency)}
+                          </span>
+                        </>
+                      );
+                    })()}
+                  </td>
                   <td className="px-4 py-3">{fmt2(t.risk)}%</td>
                   <td className="px-4 py-3">
                     <div className="flex gap-2 items-center">
@@ -1939,6 +2642,18 @@ if (!effectiveUserId || !effectiveAccountId) {
                       >
                         Close
                       </button>
+                      <button
+                        className="bg-blue-600 px-3 py-2 rounded-full text-white"
+                        onClick={() => openScaleInModal(t.id)}
+                      >
+                        Add
+                      </button>
+                      <button
+                        className="bg-amber-600 px-3 py-2 rounded-full text-white"
+                        onClick={() => openStopsModal(t.id)}
+                      >
+                        SL/TP
+                      </button>
                       <button
                         className="bg-gray-700 px-3 py-2 rounded-full text-white"
                         onClick={() => handleEditTrade(t, "active")}
@@ -2048,6 +2763,32 @@ if (!effectiveUserId || !effectiveAccountId) {
                             </span>
                         </div>
 
+                        {/* Tag Filter */}
+                        <select
+                            value=""
+                            onChange={(e) =>
+                                e.target.value &&
+                                handleFilterChange("tags", [...filters.tags, e.target.value])
+                            }
+                            className="bg-gray-900 text-white rounded-lg px-3 py-1 border border-gray-700"
+                        >
+                            <option value="">{filters.tags.length ? "Add Tag" : "All Tags"}</option>
+                            {collectTags(tradesHistory)
+                                .filter(({ tag }) => !filters.tags.includes(tag))
+                                .map(({ tag, count }) => (
+                                    <option key={tag} value={tag}>
+                                        {tag} ({count})
+                                    </option>
+                                ))}
+                        </select>
+                        <TagList
+                            tags={filters.tags}
+                            colors={tagColors}
+                            onRemove={(tag) =>
+                                handleFilterChange("tags", filters.tags.filter((t) => t !== tag))
+                            }
+                        />
+
                         {/* 🔄 Reset Filters Button */}
                         <button
                             onClick={() =>
@@ -2056,15 +2797,34 @@ if (!effectiveUserId || !effectiveAccountId) {
                                     pair: "all",
                                     action: "both",
                                     status: "both",
+                                    tags: [],
                                 })
                             }
                             className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1 rounded-lg border border-gray-600 transition"
                         >
                             Reset Filters
                         </button>
+
+                        {/* 📤 Export filtered trades */}
+                        <button
+                            onClick={() => setShowExportModal(true)}
+                            disabled={sortedFilteredHistory.length === 0}
+                            className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg transition disabled:opacity-50"
+                        >
+                            Export
+                        </button>
                     </div>
                 </div>
 
+                <ExportTradesModal
+                    isOpen={showExportModal}
+                    onClose={() => setShowExportModal(false)}
+                    userId={effectiveUserId}
+                    trades={sortedFilteredHistory}
+                    context={exportContext}
+                    fileBaseName={`closed-trades-${new Date().toISOString().slice(0, 10)}`}
+                />
+
                 {/* 📊 Closed Trades Table */}
                 <div className="overflow-x-auto">
                     <table className="min-w-full bg-gray-900 rounded-lg overflow-hidden">
@@ -2102,7 +2862,11 @@ if (!effectiveUserId || !effectiveAccountId) {
                                         exit={{ opacity: 0, y: 6 }}
                                         className="border-t border-gray-800"
                                     >
-                                        <td className="px-4 py-3">{t.pair}</td>
+                                        <td className="px-4 py-3">
+                                            {t.pair}
+                                            <RuleViolationsBadge trade={t} />
+                                            <TagList tags={parseTags(t.tags)} colors={tagColors} className="mt-1" />
+                                        </td>
                                         <td className="px-4 py-3">
                                             {t.type === "long" ? "Buy" : "Sell"}
                                         </td>
@@ -2177,6 +2941,10 @@ if (!effectiveUserId || !effectiveAccountId) {
       {activeTab === "daily" && (
         <div className="bg-gray-800 border border-gray-700 rounded-2xl p-6">
           <h4 className="text-lg font-semibold mb-4">Daily Limit</h4>
+          <p className="text-sm text-gray-400 mb-4">
+            Plans cancelled today: {countCancellations(plannedTrades)}
+            {rules.maxCancelsPerDay.value !== null && ` / ${rules.maxCancelsPerDay.value}`}
+          </p>
           {dailyRiskData.length === 0 ? (
             <div className="text-gray-400">No daily data yet</div>
           ) : (
@@ -2185,7 +2953,9 @@ if (!effectiveUserId || !effectiveAccountId) {
                 <div key={d.date} className="bg-gray-900 border border-gray-700 rounded-xl p-4">
                   <div className="font-semibold">{d.date}</div>
                   <div className="text-sm text-gray-400">Risk used: {fmt2(d.risk)}%</div>
-                  <div className="text-sm mt-2">Daily limit: {DAILY_RISK_LIMIT_PERCENT}%</div>
+                  <div className="text-sm mt-2">
+                    Daily limit: {dailyRiskLimit !== null ? `${dailyRiskLimit}%` : "off"}
+                  </div>
                 </div>
               ))}
             </div>
@@ -2240,7 +3010,7 @@ if (!effectiveUserId || !effectiveAccountId) {
 
               const trade = activeTrades.find((t) => t.id === closeModalTradeId);
               if (trade && val) {
-                const expectedPnL = computeExpectedCurrencyForClose(trade, val);
+                const expectedPnL = computeExpectedCurrencyForClose(trade, val, modalExitDate, modalCostValues);
                 setModalActualPnL(expectedPnL.toFixed(2));
               }
             }}
@@ -2257,7 +3027,7 @@ if (!effectiveUserId || !effectiveAccountId) {
                 const slValue = trade.sl ?? trade.stopLoss;
                 if (slValue) {
                   setModalExitPrice(slValue);
-                  const expectedPnL = computeExpectedCurrencyForClose(trade, slValue);
+                  const expectedPnL = computeExpectedCurrencyForClose(trade, slValue, modalExitDate, modalCostValues);
                   setModalActualPnL(expectedPnL.toFixed(2));
                   toast("SL Applied", { type: "info" });
                 } else {
@@ -2279,7 +3049,7 @@ if (!effectiveUserId || !effectiveAccountId) {
                 const tpValue = trade.tp ?? trade.takeProfit;
                 if (tpValue) {
                   setModalExitPrice(tpValue);
-                  const expectedPnL = computeExpectedCurrencyForClose(trade, tpValue);
+                  const expectedPnL = computeExpectedCurrencyForClose(trade, tpValue, modalExitDate, modalCostValues);
                   setModalActualPnL(expectedPnL.toFixed(2));
                   toast("TP Applied", { type: "info" });
                 } else {
@@ -2313,6 +3083,12 @@ if (!effectiveUserId || !effectiveAccountId) {
                 : ""}
             </p>
 
+            {/* Costs included in the estimate */}
+            <p className="text-xs text-gray-400">
+              incl. commission {modalCostValues.commission.toFixed(2)} / swap{" "}
+              {modalCostValues.swap.toFixed(2)} / fees {modalCostValues.fees.toFixed(2)}
+            </p>
+
             {/* TP/SL hit label */}
             {(() => {
               const trade = activeTrades.find((t) => t.id === closeModalTradeId);
@@ -2337,13 +3113,156 @@ if (!effectiveUserId || !effectiveAccountId) {
         )}
       </div>
 
+      {/* Close % of the remaining position + legs so far */}
+      {(() => {
+        const trade = activeTrades.find((t) => t.id === closeModalTradeId);
+        if (!trade) return null;
+        const legSummary = summarizeLegs(trade, legOpts, instruments);
+        const closeLots = closeLotsFor(trade, modalClosePercent);
+        const setPercent = (value) => {
+          setModalClosePercent(value);
+          const { commission, swap } = estimateCloseCosts(trade, modalExitDate, closeLotsFor(trade, value));
+          setModalCosts((prev) => ({ ...prev, commission: String(commission), swap: String(swap) }));
+        };
+        return (
+          <div className="flex flex-col">
+            <label
+              htmlFor="modalClosePercent"
+              className="text-sm font-medium text-gray-400 mb-1"
+            >
+              Close % of Position
+            </label>
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                id="modalClosePercent"
+                min="1"
+                max="100"
+                step="1"
+                value={modalClosePercent}
+                onChange={(e) => setPercent(e.target.value)}
+                className={`${styles.input} w-24`}
+              />
+              {["25", "50", "75", "100"].map((pct) => (
+                <button
+                  key={pct}
+                  type="button"
+                  onClick={() => setPercent(pct)}
+                  className={`px-3 py-1 rounded-md text-sm transition ${
+                    modalClosePercent === pct
+                      ? "bg-purple-600 text-white"
+                      : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+                  }`}
+                >
+                  {pct}%
+                </button>
+              ))}
+            </div>
+            <p className={`text-xs mt-1 ${closeLots > 0 ? "text-gray-400" : "text-red-400"}`}>
+              Closing {closeLots} of {legSummary.openLots} open lots
+              {closeLots > 0 ? "" : " — below the minimum lot"}
+            </p>
+            {legSummary.legs.length > 1 && (
+              <TradeLegsTable
+                summary={legSummary}
+                unrealized={
+                  modalExitPrice !== ""
+                    ? unrealizedPnl(trade, modalExitPrice, legOpts, instruments)
+                    : null
+                }
+                digits={findInstrument(trade.pair, instruments)?.digits ?? 5}
+              />
+            )}
+          </div>
+        );
+      })()}
+
+      {/* Commission / Swap / Fees (negative = paid) */}
+      <div className="flex flex-col">
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-sm font-medium text-gray-400">
+            Costs ($, negative = paid)
+          </span>
+          {brokerProfile && (
+            <button
+              type="button"
+              onClick={() => {
+                const trade = activeTrades.find((t) => t.id === closeModalTradeId);
+                if (!trade) return;
+                const { commission, swap } = estimateCloseCosts(
+                  trade,
+                  modalExitDate,
+                  closeLotsFor(trade, modalClosePercent)
+                );
+                setModalCosts((prev) => ({ ...prev, commission: String(commission), swap: String(swap) }));
+              }}
+              className="text-xs text-purple-400 hover:text-purple-300"
+            >
+              Estimate from {brokerProfile.name}
+            </button>
+          )}
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          {[
+            ["commission", "Commission"],
+            ["swap", "Swap"],
+            ["fees", "Fees"],
+          ].map(([key, label]) => (
+            <div key={key}>
+              <span className="text-xs text-gray-500">{label}</span>
+              <input
+                type="number"
+                value={modalCosts[key]}
+                onChange={(e) => setModalCosts((prev) => ({ ...prev, [key]: e.target.value }))}
+                className={styles.input}
+                step="0.01"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Original plan outcome (only when SL/TP were moved) */}
+      {(() => {
+        const trade = activeTrades.find((t) => t.id === closeModalTradeId);
+        if (!trade || !getStopEvents(trade).length) return null;
+        return (
+          <div className="flex flex-col">
+            <label
+              htmlFor="modalPlanOutcome"
+              className="text-sm font-medium text-gray-400 mb-1"
+            >
+              Without the SL/TP changes, what would have happened?
+            </label>
+            <select
+              id="modalPlanOutcome"
+              value={modalPlanOutcome}
+              onChange={(e) => setModalPlanOutcome(e.target.value)}
+              className={styles.input}
+            >
+              {PLAN_OUTCOMES.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <div className="mt-2">
+              <StopTimeline
+                trade={trade}
+                digits={findInstrument(trade.pair, instruments)?.digits ?? 5}
+              />
+            </div>
+          </div>
+        );
+      })()}
+
       {/* Actual PnL */}
       <div className="flex flex-col">
         <label
           htmlFor="modalActualPnL"
           className="text-sm font-medium text-gray-400 mb-1"
         >
-          Actual P&L ($)
+          Actual Net P&L of Closed Lots ($)
         </label>
         <input
           type="number"
@@ -2388,24 +3307,23 @@ if (!effectiveUserId || !effectiveAccountId) {
         />
       </div>
 
-      {/* Trade Status */}
-      <div className="flex flex-col">
-        <label
-          htmlFor="tradeStatus"
-          className="text-sm font-medium text-gray-400 mb-1"
-        >
-          Status
-        </label>
-        <select
-          id="tradeStatus"
-          value={tradeStatus}
-          onChange={(e) => setTradeStatus(e.target.value)}
-          className={styles.input}
-        >
-          <option value="Valid">Valid</option>
-          <option value="Invalid">Invalid</option>
-        </select>
-      </div>
+      {/* Trade Status (from the trading rules, overridable) */}
+      {(() => {
+        const trade = activeTrades.find((t) => t.id === closeModalTradeId);
+        if (!trade) return null;
+        return (
+          <div className="flex flex-col">
+            <label className="text-sm font-medium text-gray-400 mb-1">Status</label>
+            <TradeStatusField
+              violations={collectTradeViolations(trade, rules)}
+              override={statusOverride.override}
+              reason={statusOverride.reason}
+              onChange={setStatusOverride}
+              inputClass={styles.input}
+            />
+          </div>
+        );
+      })()}
 
       {/* Save Button */}
       <button
@@ -2413,7 +3331,6 @@ if (!effectiveUserId || !effectiveAccountId) {
         onClick={() =>
           handleSaveClose({
             state: "Closed",
-            status: tradeStatus,
             exitDate: modalExitDate,
             exitPrice: modalExitPrice,
             actualPnL: modalActualPnL,
@@ -2423,12 +3340,184 @@ if (!effectiveUserId || !effectiveAccountId) {
         }
         className={styles.submitButton}
       >
-        Save and Close Trade
+        {parseNumber(modalClosePercent, 100) < 100 ? "Save Partial Close" : "Save and Close Trade"}
+      </button>
+    </form>
+  </Modal>
+)}
+
+
+{/* ➕ Scale-in Modal */}
+{scaleInTradeId && (
+  <Modal
+    isOpen={!!scaleInTradeId}
+    onClose={() => setScaleInTradeId(null)}
+    title="Add to Position"
+  >
+    <form className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        {[
+          ["lots", "Lots", "number"],
+          ["price", "Entry Price", "number"],
+          ["date", "Date", "date"],
+          ["fee", "Fee ($, negative = paid)", "number"],
+        ].map(([key, label, type]) => (
+          <div key={key} className="flex flex-col">
+            <label className="text-sm font-medium text-gray-400 mb-1">{label}</label>
+            <input
+              type={type}
+              step="any"
+              value={scaleInForm[key]}
+              onChange={(e) => setScaleInForm((prev) => ({ ...prev, [key]: e.target.value }))}
+              className={styles.input}
+            />
+          </div>
+        ))}
+      </div>
+      {(() => {
+        const trade = activeTrades.find((t) => t.id === scaleInTradeId);
+        if (!trade) return null;
+        return (
+          <TradeLegsTable
+            summary={summarizeLegs(trade, legOpts, instruments)}
+            digits={findInstrument(trade.pair, instruments)?.digits ?? 5}
+          />
+        );
+      })()}
+      <button type="button" onClick={handleSaveScaleIn} className={styles.submitButton}>
+        Add Entry Leg
       </button>
     </form>
   </Modal>
 )}
 
+{/* ▶️ Trigger Plan Modal */}
+{triggerTradeId && (
+  <Modal
+    isOpen={!!triggerTradeId}
+    onClose={() => setTriggerTradeId(null)}
+    title="Trigger Planned Trade"
+  >
+    <form className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        {[
+          ["price", "Fill Price", "number"],
+          ["date", "Date", "date"],
+          ["time", "Time", "time"],
+        ].map(([key, label, type]) => (
+          <div key={key} className="flex flex-col">
+            <label className="text-sm font-medium text-gray-400 mb-1">{label}</label>
+            <input
+              type={type}
+              step="any"
+              value={triggerForm[key]}
+              onChange={(e) => setTriggerForm((prev) => ({ ...prev, [key]: e.target.value }))}
+              className={styles.input}
+            />
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        The trade moves to Active with the lot size it was planned with.
+      </p>
+      <PreTradeChecklist items={triggerChecklist} ticked={triggerTicks} onChange={setTriggerTicks} />
+      <button
+        type="button"
+        onClick={handleSaveTrigger}
+        disabled={triggerMissing.length > 0}
+        title={triggerMissing.length ? `${triggerMissing.length} required checklist items left` : undefined}
+        className={`${styles.submitButton} disabled:opacity-50 disabled:cursor-not-allowed`}
+      >
+        Trigger Trade
+      </button>
+    </form>
+  </Modal>
+)}
+
+{/* 📏 Trading rule warnings */}
+{ruleConfirm && (
+  <Modal isOpen={!!ruleConfirm} onClose={() => answerRuleConfirm(false)} title={ruleConfirm.title}>
+    <div className="space-y-4">
+      <ul className="list-disc pl-5 space-y-1 text-sm text-yellow-300">
+        {ruleConfirm.messages.map((message) => (
+          <li key={message}>{message}</li>
+        ))}
+      </ul>
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={() => answerRuleConfirm(false)}
+          className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-3 px-6 rounded-xl"
+        >
+          Go Back
+        </button>
+        <button type="button" onClick={() => answerRuleConfirm(true)} className={styles.submitButton}>
+          {ruleConfirm.action}
+        </button>
+      </div>
+    </div>
+  </Modal>
+)}
+
+{/* 🎯 Move SL/TP Modal */}
+{stopsTradeId && (
+  <Modal
+    isOpen={!!stopsTradeId}
+    onClose={() => setStopsTradeId(null)}
+    title="Move SL / TP"
+  >
+    {(() => {
+      const trade = activeTrades.find((t) => t.id === stopsTradeId);
+      if (!trade) return null;
+      const digits = findInstrument(trade.pair, instruments)?.digits ?? 5;
+      const breakeven = summarizeLegs(trade, legOpts, instruments).avgEntry || trade.entryPrice;
+      return (
+        <form className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            {[
+              ["sl", "Stop Loss"],
+              ["tp", "Take Profit"],
+            ].map(([key, label]) => (
+              <div key={key} className="flex flex-col">
+                <label className="text-sm font-medium text-gray-400 mb-1">{label}</label>
+                <input
+                  type="number"
+                  step="any"
+                  value={stopsForm[key]}
+                  onChange={(e) => setStopsForm((prev) => ({ ...prev, [key]: e.target.value }))}
+                  className={styles.input}
+                />
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() =>
+              setStopsForm((prev) => ({ ...prev, sl: Number(breakeven).toFixed(digits) }))
+            }
+            className="text-xs text-blue-400 hover:text-blue-300"
+          >
+            Move SL to breakeven ({Number(breakeven).toFixed(digits)})
+          </button>
+          <div className="flex flex-col">
+            <label className="text-sm font-medium text-gray-400 mb-1">Reason (optional)</label>
+            <input
+              type="text"
+              value={stopsForm.note}
+              onChange={(e) => setStopsForm((prev) => ({ ...prev, note: e.target.value }))}
+              placeholder="e.g. trailed below the last swing low"
+              className={styles.input}
+            />
+          </div>
+          <StopTimeline trade={trade} digits={digits} />
+          <button type="button" onClick={handleSaveStops} className={styles.submitButton}>
+            Save SL / TP
+          </button>
+        </form>
+      );
+    })()}
+  </Modal>
+)}
 
 {/* ✅ Edit Trade Modal */}
 {isEditModalOpen && tradeToEdit && (
@@ -2440,6 +3529,12 @@ if (!effectiveUserId || !effectiveAccountId) {
         onClose={() => setIsEditModalOpen(false)}
         trade={tradeToEdit}
         onSave={handleActiveEditedTrade}
+        sessionOptions={sessionOptions}
+        playbook={playbook}
+        instruments={instruments}
+        rules={rules}
+        tagSuggestions={tagSuggestions}
+        tagColors={tagColors}
       />
     ) : (
       // 🔹 Closed trade edit uses full Close+Entry form
@@ -2448,6 +3543,12 @@ if (!effectiveUserId || !effectiveAccountId) {
         onClose={() => setIsEditModalOpen(false)}
         trade={tradeToEdit}
         onSave={handleClosedEditedTrade}
+        sessionOptions={sessionOptions}
+        playbook={playbook}
+        instruments={instruments}
+        rules={rules}
+        tagSuggestions={tagSuggestions}
+        tagColors={tagColors}
       />
     )}
   </>
@@ -0,0 +1,67 @@
+// src/components/TradeStatusField.jsx
+import React from "react";
+import { TRADE_STATUSES, resolveTradeStatus } from "../utils/tradingRules";
+
+const defaultInputClass = "w-full p-2 rounded bg-gray-800 border border-gray-700 text-white";
+
+// ------------------------------
+// Valid / Invalid status of a trade: worked out from the rules it broke,
+// with an optional manual override that needs a reason.
+// ------------------------------
+export default function TradeStatusField({
+  violations = [],
+  override = "",
+  reason = "",
+  onChange,
+  inputClass = defaultInputClass,
+}) {
+  const { status, auto, overridden } = resolveTradeStatus(violations, override || null);
+
+  return (
+    <div className="space-y-2 text-sm">
+      <p className="text-gray-300">
+        Status:{" "}
+        <span className={status === "Valid" ? "text-green-400 font-semibold" : "text-red-400 font-semibold"}>
+          {status === "Valid" ? "Valid ✅" : "Invalid ❌"}
+        </span>{" "}
+        <span className="text-gray-500">{overridden ? `(overridden, rules say ${auto})` : "(from trading rules)"}</span>
+      </p>
+
+      {violations.length > 0 ? (
+        <ul className="list-disc pl-5 text-xs text-amber-300 space-y-0.5">
+          {violations.map((v) => (
+            <li key={v.rule}>
+              <span className="font-medium">{v.label}:</span> {v.message}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-gray-500">No trading rules broken.</p>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={override || ""}
+          onChange={(e) => onChange?.({ override: e.target.value, reason })}
+          className={inputClass}
+        >
+          <option value="">Automatic</option>
+          {TRADE_STATUSES.map((s) => (
+            <option key={s} value={s}>
+              Override: {s}
+            </option>
+          ))}
+        </select>
+        {override && (
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => onChange?.({ override, reason: e.target.value })}
+            placeholder="Reason for override (required)"
+            className={inputClass}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
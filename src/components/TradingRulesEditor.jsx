@@ -0,0 +1,171 @@
+// src/components/TradingRulesEditor.jsx
+import React, { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { useTradingRules } from "../hooks/useTradingRules";
+import { useInstrumentCatalog } from "../hooks/useInstrumentCatalog";
+import { instrumentSymbols } from "../utils/instruments";
+import { SESSION_NAMES } from "../utils/sessionUtils";
+import { RULE_DEFINITIONS, RULE_MODES } from "../utils/tradingRules";
+
+const inputClass =
+  "w-full p-2 rounded bg-gray-900 border border-gray-700 text-white text-sm";
+
+// Number inputs edit strings; blank switches the rule off
+const toDraft = (rules) =>
+  Object.fromEntries(
+    Object.entries(rules).map(([key, rule]) => [
+      key,
+      { ...rule, value: Array.isArray(rule.value) ? rule.value : rule.value ?? "" },
+    ])
+  );
+
+// ------------------------------
+// Settings → Trading Rules: per-account limits checked when adding a trade
+// ------------------------------
+export default function TradingRulesEditor({ userId, accounts = [], currentAccountId }) {
+  const [accountId, setAccountId] = useState(currentAccountId || "");
+  const [rules, setRules] = useTradingRules(userId, accountId);
+  const [instruments] = useInstrumentCatalog(userId);
+  const [draft, setDraft] = useState(() => toDraft(rules));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!accountId && currentAccountId) setAccountId(currentAccountId);
+  }, [accountId, currentAccountId]);
+
+  // Re-seed the form when the saved rules change (account switch / load)
+  const rulesKey = JSON.stringify(rules);
+  useEffect(() => {
+    setDraft(toDraft(JSON.parse(rulesKey)));
+  }, [rulesKey]);
+
+  const update = (key, field, value) =>
+    setDraft((prev) => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+
+  const toggleListValue = (key, item) => {
+    const list = draft[key].value;
+    update(key, "value", list.includes(item) ? list.filter((v) => v !== item) : [...list, item]);
+  };
+
+  const handleSave = async () => {
+    const next = {};
+    for (const { key, label, kind } of RULE_DEFINITIONS) {
+      const { value, mode } = draft[key];
+      if (kind === "number" && value !== "" && !(Number(value) >= 0)) {
+        toast.error(`${label} must be a number of 0 or more`);
+        return;
+      }
+      next[key] = { mode, value: kind === "list" ? value : value === "" ? null : Number(value) };
+    }
+
+    setSaving(true);
+    const { error } = await setRules(next);
+    setSaving(false);
+    if (error) toast.error("Failed to save trading rules");
+    else toast.success("Trading rules saved");
+  };
+
+  if (!accountId) {
+    return <p className="text-sm text-gray-400">Select or create an account first.</p>;
+  }
+
+  const listOptions = {
+    allowedSessions: SESSION_NAMES,
+    allowedPairs: instrumentSymbols(instruments),
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Checked when you add or trigger a trade. Blocking rules stop the trade
+        from being saved; warnings ask first and are recorded on the trade.
+        Leave a limit blank (or a list empty) to switch the rule off.
+      </p>
+
+      <select
+        value={accountId}
+        onChange={(e) => setAccountId(e.target.value)}
+        className={`${inputClass} max-w-xs`}
+      >
+        {accounts.map((a) => (
+          <option key={a.id} value={a.id}>
+            {a.account_name || a.id}
+          </option>
+        ))}
+      </select>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-400">
+            <th className="p-2">Rule</th>
+            <th className="p-2">Limit</th>
+            <th className="p-2">When broken</th>
+          </tr>
+        </thead>
+        <tbody>
+          {RULE_DEFINITIONS.map(({ key, label, unit, kind }) => (
+            <tr key={key} className="border-t border-gray-700 align-top">
+              <td className="p-2 text-gray-300">{label}</td>
+              <td className="p-2">
+                {kind === "number" ? (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      value={draft[key]?.value ?? ""}
+                      onChange={(e) => update(key, "value", e.target.value)}
+                      placeholder="off"
+                      className={`${inputClass} max-w-[8rem]`}
+                    />
+                    <span className="text-gray-500">{unit}</span>
+                  </div>
+                ) : (
+                  <div className="flex flex-wrap gap-1">
+                    {listOptions[key].map((item) => (
+                      <button
+                        key={item}
+                        type="button"
+                        onClick={() => toggleListValue(key, item)}
+                        className={`px-2 py-1 rounded-full text-xs ${
+                          draft[key]?.value.includes(item)
+                            ? "bg-purple-600 text-white"
+                            : "bg-gray-700 text-gray-300"
+                        }`}
+                      >
+                        {item}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </td>
+              <td className="p-2">
+                <select
+                  value={draft[key]?.mode}
+                  onChange={(e) => update(key, "mode", e.target.value)}
+                  className={inputClass}
+                >
+                  {RULE_MODES.map((m) => (
+                    <option key={m} value={m}>
+                      {m === "block" ? "Block" : "Warn"}
+                    </option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-white font-medium disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Rules"}
+        </button>
+      </div>
+    </div>
+  );
+}
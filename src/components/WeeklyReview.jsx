@@ -21,8 +21,14 @@ import {
 } from "recharts";
 import { ArrowUpCircle, ArrowDownCircle, AlertTriangle, TrendingUp, DollarSign, Zap, RefreshCw, Percent, Calendar } from "lucide-react"; 
 
-// 🛑 IMPORTANT: This path MUST be correct for your actual Supabase client file.
-import { supabase } from './supabaseClient'; 
+import { db } from '../services/storage';
+import { tradeCosts, tradePnl } from '../utils/tradeModel';
+import CostOfTradingPanel from './CostOfTradingPanel';
+import { isExecutedTrade } from '../utils/tradeLifecycle';
+import { countViolationsByRule } from '../utils/tradingRules';
+import TradeFilterBar from './TradeFilterBar';
+import { useTradeFilters } from '../hooks/useTradeFilters';
+import { applyTradeFilters, resolveDateRange } from '../utils/tradeFilters';
 
 dayjs.extend(isoWeek);
 dayjs.extend(isBetween);
@@ -91,6 +97,9 @@ function normalizeTrade(t) {
     value_per_pip: t.value_per_pip !== undefined ? Number(t.value_per_pip) : Number(t.valuePerPip || 0),
     lot_size: t.lot_size !== undefined ? Number(t.lot_size) : Number(t.lotSize || 0),
     risk: t.risk !== undefined ? Number(t.risk) : Number(t.risk || 0),
+    commission: Number(t.commission || 0),
+    swap: Number(t.swap || 0),
+    fees: Number(t.fees || 0),
     status: t.status || "Valid", 
   };
 }
@@ -147,6 +156,8 @@ export default function WeeklyReview({ userId, accountId, capital = 10000 }) {
   const [rawTrades, setRawTrades] = useState([]); // all fetched trades (normalized)
   const [weekOffset, setWeekOffset] = useState(0); 
   const [refreshTick, setRefreshTick] = useState(0);
+  // "net" (after commission, swap and fees) or "gross"
+  const [pnlBasis, setPnlBasis] = useState("net");
 
  // Load trades - CORRECTED TO USE REAL SUPABASE
   useEffect(() => {
@@ -171,7 +182,7 @@ export default function WeeklyReview({ userId, accountId, capital = 10000 }) {
       
       try {
         // 🛑 This is the correct Supabase fetch
-        const { data, error: supaErr } = await supabase
+        const { data, error: supaErr } = await db
           .from("trades")
           .select("*")
           .eq("user_id", userId)
@@ -183,7 +194,7 @@ export default function WeeklyReview({ userId, accountId, capital = 10000 }) {
           return;
         }
         
-        const normalized = (data || []).map(normalizeTrade);
+        const normalized = (data || []).filter(isExecutedTrade).map(normalizeTrade); // never-traded plans excluded
         if (mounted) {
           setRawTrades(normalized);
           saveCache(userId, accountId, normalized);
@@ -205,12 +216,17 @@ export default function WeeklyReview({ userId, accountId, capital = 10000 }) {
   }, [userId, accountId, refreshTick]);
 
   /* ===========================
-      Filtering: Finds trades *entered* in the current week range
+      Filtering: Finds trades *entered* in the review period — the shared
+      filter bar's date range, or the selected week when it has none
       =========================== */
+  const [filters, setFilters] = useTradeFilters();
+  const byWeek = filters.range === "all";
+
   const { start: weekStart, end: weekEnd } = useMemo(() => {
-    const r = getWeekRange(weekOffset);
+    const { from, to } = resolveDateRange(filters);
+    const r = !byWeek && from && to ? { start: dayjs(from), end: dayjs(to) } : getWeekRange(weekOffset);
     return { start: r.start.startOf("day"), end: r.end.endOf("day") };
-  }, [weekOffset]);
+  }, [filters, byWeek, weekOffset]);
 
 const weeklyTrades = useMemo(() => {
     if (!rawTrades || !rawTrades.length) return [];
@@ -218,7 +234,7 @@ const weeklyTrades = useMemo(() => {
     const start = dayjs(weekStart);
     const end = dayjs(weekEnd);
     
-    return rawTrades.filter((t) => {
+    return applyTradeFilters(rawTrades, filters, { dates: false }).filter((t) => {
       // Must have an entry date
       if (!t.entry_date) return false;
       
@@ -230,7 +246,7 @@ const weeklyTrades = useMemo(() => {
 
       return isAfterStart && isBeforeEnd; 
     });
- }, [rawTrades, weekStart, weekEnd]);
+ }, [rawTrades, filters, weekStart, weekEnd]);
 
   /* ===========================
       Pre-computations for weekly analytics
@@ -238,27 +254,34 @@ const weeklyTrades = useMemo(() => {
 
   const analytics = useMemo(() => {
     const trades = weeklyTrades || [];
+    const pnlOf = (t) => tradePnl(t, pnlBasis);
 
     // totals
     const totalTrades = trades.length;
     const validCount = trades.filter((t) => (t.status || "Valid") === "Valid").length;
     const invalidCount = trades.filter((t) => (t.status || "Valid") === "Invalid").length;
-    const breakevenCount = trades.filter((t) => Number(t.pnl_currency || 0) === 0).length;
-
-    const totalPnL = trades.reduce((s, t) => s + Number(t.pnl_currency || 0), 0);
-    const totalPnLPercent = trades.reduce((s, t) => s + Number(t.pnl_percent || 0), 0);
+    // Status comes from the trading rules; overrides are set by hand with a reason
+    const overriddenCount = trades.filter((t) => t.status_override ?? t.statusOverride).length;
+    const topViolations = countViolationsByRule(trades.filter((t) => t.status === "Invalid")).slice(0, 3);
+    const breakevenCount = trades.filter((t) => pnlOf(t) === 0).length;
+
+    const totalPnL = trades.reduce((s, t) => s + pnlOf(t), 0);
+    const totalPnLPercent = pnlBasis === "gross"
+      ? (capital ? (totalPnL / capital) * 100 : 0)
+      : trades.reduce((s, t) => s + Number(t.pnl_percent || 0), 0);
     const PnLColor = totalPnL >= 0 ? "text-green-400" : "text-red-400";
     const PnLSign = totalPnL >= 0 ? "+" : "";
 
     // opening equity for the week:
     const priorClosed = rawTrades.filter((t) => t.entry_date && t.exit_date && dayjs(t.entry_date).isBefore(weekStart, "day"));
-    const priorPnL = priorClosed.reduce((s, t) => s + Number(t.pnl_currency || 0), 0);
+    const priorPnL = priorClosed.reduce((s, t) => s + tradePnl(t), 0);
     const openingEquity = Number(capital || 0) + priorPnL;
-    const closingEquity = openingEquity + totalPnL;
+    const totalCosts = trades.reduce((s, t) => s + tradeCosts(t), 0);
+    const closingEquity = openingEquity + trades.reduce((s, t) => s + tradePnl(t), 0);
 
     // win/loss stats
-    const wins = trades.filter((t) => Number(t.pnl_currency || 0) > 0).length;
-    const losses = trades.filter((t) => Number(t.pnl_currency || 0) < 0).length;
+    const wins = trades.filter((t) => pnlOf(t) > 0).length;
+    const losses = trades.filter((t) => pnlOf(t) < 0).length;
     const winRate = totalTrades ? (wins / totalTrades) * 100 : 0;
     const lossRate = totalTrades ? (losses / totalTrades) * 100 : 0;
 
@@ -267,7 +290,7 @@ const weeklyTrades = useMemo(() => {
     const sessionMap = {};
     const dowMap = {}; 
     trades.forEach((t) => {
-      const pnl = Number(t.pnl_currency || 0);
+      const pnl = pnlOf(t);
 
       const pair = t.pair || "N/A";
       pairMap[pair] = pairMap[pair] || { pnl: 0, count: 0 };
@@ -308,7 +331,7 @@ const weeklyTrades = useMemo(() => {
       const key = dayjs(t.entry_date).format("YYYY-MM-DD");
       if (!daily[key]) daily[key] = { date: key, trades: 0, pnl: 0, wins: 0, losses: 0, breakeven: 0 };
       daily[key].trades += 1;
-      const pnl = Number(t.pnl_currency || 0);
+      const pnl = pnlOf(t);
       daily[key].pnl += pnl;
       if (pnl > 0) daily[key].wins += 1;
       else if (pnl < 0) daily[key].losses += 1;
@@ -323,11 +346,11 @@ const weeklyTrades = useMemo(() => {
       .slice()
       .sort((a, b) => new Date(a.entry_date) - new Date(b.entry_date))
       .forEach((t, i) => {
-        running += Number(t.pnl_currency || 0);
+        running += tradePnl(t);
         equityCurve.push({
           label: `${dayjs(t.entry_date).format("ddd D")}`,
           equity: Number(running.toFixed(2)),
-          pnl: Number(t.pnl_currency || 0),
+          pnl: pnlOf(t),
         });
       });
 
@@ -351,9 +374,12 @@ const weeklyTrades = useMemo(() => {
       totalTrades,
       validCount,
       invalidCount,
+      overriddenCount,
+      topViolations,
       breakevenCount,
       totalPnL,
       totalPnLPercent,
+      totalCosts,
       PnLColor,
       PnLSign,
       openingEquity,
@@ -372,7 +398,7 @@ const weeklyTrades = useMemo(() => {
       equityCurve,
       dailyRiskArray,
     };
-  }, [weeklyTrades, rawTrades, capital]);
+  }, [weeklyTrades, rawTrades, capital, pnlBasis]);
 
   /* ===========================
       Render / UI
@@ -440,33 +466,52 @@ const weeklyTrades = useMemo(() => {
                 </div>
 
                 <div className="flex items-center space-x-3">
-                    <button
-                        className="p-2.5 bg-gray-700 text-gray-300 rounded-lg shadow-md hover:bg-gray-600 transition duration-150"
-                        onClick={() => setWeekOffset((w) => w - 1)}
-                        aria-label="Previous Week"
-                    >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7"></path></svg>
-                    </button>
-                    <button
-                        className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-lg hover:bg-indigo-500 transition duration-150"
-                        onClick={() => {
-                            setWeekOffset(0);
-                            setRefreshTick((t) => t + 1); // force refresh
-                        }}
-                    >
-                        Current Week
-                    </button>
-                    <button
-                        className="p-2.5 bg-gray-700 text-gray-300 rounded-lg shadow-md hover:bg-gray-600 transition duration-150"
-                        onClick={() => setWeekOffset((w) => w + 1)}
-                        aria-label="Next Week"
-                        disabled={weekOffset >= 0}
-                    >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7"></path></svg>
-                    </button>
+                    {/* Net / Gross P&L basis */}
+                    <div className="flex bg-gray-800 rounded-lg p-1 border border-gray-700/50">
+                        {["net", "gross"].map((basis) => (
+                            <button
+                                key={basis}
+                                onClick={() => setPnlBasis(basis)}
+                                className={`px-3 py-1.5 rounded-md text-sm font-semibold capitalize ${pnlBasis === basis ? "bg-cyan-600 text-white" : "text-gray-400 hover:text-white"}`}
+                            >
+                                {basis}
+                            </button>
+                        ))}
+                    </div>
+                    {/* Week stepping only when the filter bar sets no range */}
+                    {byWeek && (
+                        <>
+                            <button
+                                className="p-2.5 bg-gray-700 text-gray-300 rounded-lg shadow-md hover:bg-gray-600 transition duration-150"
+                                onClick={() => setWeekOffset((w) => w - 1)}
+                                aria-label="Previous Week"
+                            >
+                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7"></path></svg>
+                            </button>
+                            <button
+                                className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-lg hover:bg-indigo-500 transition duration-150"
+                                onClick={() => {
+                                    setWeekOffset(0);
+                                    setRefreshTick((t) => t + 1); // force refresh
+                                }}
+                            >
+                                Current Week
+                            </button>
+                            <button
+                                className="p-2.5 bg-gray-700 text-gray-300 rounded-lg shadow-md hover:bg-gray-600 transition duration-150"
+                                onClick={() => setWeekOffset((w) => w + 1)}
+                                aria-label="Next Week"
+                                disabled={weekOffset >= 0}
+                            >
+                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7"></path></svg>
+                            </button>
+                        </>
+                    )}
                 </div>
             </div>
 
+            <TradeFilterBar filters={filters} onChange={setFilters} trades={rawTrades} allLabel="Week by week" />
+
             {/* --- Key Metrics / P&L Summary --- */}
             <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-6">
                 <StatCard 
@@ -480,9 +525,9 @@ const weeklyTrades = useMemo(() => {
                     colorClass="text-gray-300"
                 />
                 <StatCard 
-                    title="Net P&L (Currency)" 
+                    title={pnlBasis === "gross" ? "Gross P&L (Currency)" : "Net P&L (Currency)"} 
                     value={`${a.PnLSign}$${fmtMoney(a.totalPnL)}`} 
-                    subValue={fmtPct(a.totalPnLPercent)}
+                    subValue={`${fmtPct(a.totalPnLPercent)} · Costs $${fmtMoney(a.totalCosts)}`}
                     colorClass={a.PnLColor}
                 />
                 <StatCard 
@@ -650,6 +695,9 @@ const weeklyTrades = useMemo(() => {
                 </div>
             </div>
 
+            {/* --- Cost of Trading (closed trades this week) --- */}
+            <CostOfTradingPanel trades={weeklyTrades.filter((t) => t.exit_date)} title="Cost of Trading This Week" />
+
             {/* --- Section 4: Detailed Daily Breakdown Table --- */}
             <div className="bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-700/50">
                 <h4 className="text-xl font-semibold text-white mb-4">Detailed Daily Performance</h4>
@@ -662,7 +710,7 @@ const weeklyTrades = useMemo(() => {
                                 <th className="px-4 py-3 text-center text-green-400">Wins</th>
                                 <th className="px-4 py-3 text-center text-red-400">Losses</th>
                                 <th className="px-4 py-3 text-center">Breakeven</th>
-                                <th className="px-4 py-3 text-right">Net P&L ($)</th>
+                                <th className="px-4 py-3 text-right">{pnlBasis === "gross" ? "Gross" : "Net"} P&L ($)</th>
                                 <th className="px-4 py-3 text-right rounded-tr-xl">P&L (%)</th>
                             </tr>
                         </thead>
@@ -708,6 +756,12 @@ const weeklyTrades = useMemo(() => {
                     <div className="bg-gray-800 p-5 rounded-xl shadow-lg border border-gray-700/50">
                         <p className="text-gray-400 text-sm mb-1">Action Point:</p>
                         <p className="text-lg font-semibold text-amber-400">{a.invalidCount > 0 ? `Review ${a.invalidCount} Invalid Trades!` : 'Great Job on Trade Status!'}</p>
+                        {a.topViolations.map((v) => (
+                            <p key={v.rule} className="text-sm text-gray-300">{v.label}: {v.count}×</p>
+                        ))}
+                        {a.overriddenCount > 0 && (
+                            <p className="text-xs text-gray-500 mt-1">{a.overriddenCount} status override{a.overriddenCount > 1 ? 's' : ''} this week</p>
+                        )}
                     </div>
                 </div>
             </div>
@@ -3,6 +3,12 @@
 // so the path must be adjusted based on where you place this file.
 // Assuming it's in src/components/, it should point to src/components/supabaseClient.js
 import { supabase } from "./supabaseClient"; 
+import { db, setStorageBackend, STORAGE_BACKENDS } from "../services/storage";
+
+// Cloud auth calls below require a configured Supabase project.
+const missingSupabaseError = () => ({
+  message: "Cloud sync is not configured for this build. Use the local journal instead.",
+});
 
 /**
  * Handles user sign-up using email and password.
@@ -11,7 +17,9 @@ import { supabase } from "./supabaseClient";
  * @returns {Promise<{data: object | null, error: object | null}>}
  */
 export const signUp = async (email, password) => {
+  if (!supabase) return { data: null, error: missingSupabaseError() };
   try {
+    setStorageBackend(STORAGE_BACKENDS.SUPABASE);
     // Supabase auth.signUp returns the user and session data on success.
     const { data, error } = await supabase.auth.signUp({
       email,
@@ -31,7 +39,9 @@ export const signUp = async (email, password) => {
  * @returns {Promise<{data: object | null, error: object | null}>}
  */
 export const signIn = async (email, password) => {
+  if (!supabase) return { data: null, error: missingSupabaseError() };
   try {
+    setStorageBackend(STORAGE_BACKENDS.SUPABASE);
     const { data, error } = await supabase.auth.signInWithPassword({
       email,
       password,
@@ -48,7 +58,9 @@ export const signIn = async (email, password) => {
  * @returns {Promise<{data: object | null, error: object | null}>}
  */
 export const signInWithGoogle = async () => {
+  if (!supabase) return { data: null, error: missingSupabaseError() };
   try {
+    setStorageBackend(STORAGE_BACKENDS.SUPABASE);
     // This function triggers a redirect to the Google login page.
     const { data, error } = await supabase.auth.signInWithOAuth({
       provider: "google",
@@ -66,12 +78,12 @@ export const signInWithGoogle = async () => {
 
 
 /**
- * Logs the current user out.
+ * Logs the current user out of whichever backend is active.
  * @returns {Promise<{error: object | null}>}
  */
 export const signOut = async () => {
   try {
-    const { error } = await supabase.auth.signOut();
+    const { error } = await db.auth.signOut();
     return { error };
   } catch (err) {
     console.error("Supabase SignOut error:", err);
@@ -85,7 +97,7 @@ export const signOut = async () => {
  */
 export const getCurrentSession = async () => {
   try {
-    const { data, error } = await supabase.auth.getSession();
+    const { data, error } = await db.auth.getSession();
     return { data, error };
   } catch (err) {
     console.error("Supabase GetSession error:", err);
@@ -100,7 +112,7 @@ export const getCurrentSession = async () => {
  */
 export const onAuthStateChange = (callback) => {
   // onAuthStateChange returns a subscription object { data: { subscription } }
-  const { data } = supabase.auth.onAuthStateChange((_event, session) => {
+  const { data } = db.auth.onAuthStateChange((_event, session) => {
     // Pass the user object (or null if no session) to the provided callback
     callback(session?.user ?? null);
   });
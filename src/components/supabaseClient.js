@@ -4,9 +4,12 @@ const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
 if (!supabaseUrl || !supabaseAnonKey) {
-  console.error("❌ Supabase env variables are missing!");
+  console.error("❌ Supabase env variables are missing! Only the local journal is available.");
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+// null when the build has no Supabase project — the storage layer then
+// falls back to the local backend (see src/services/storage).
+export const supabase =
+  supabaseUrl && supabaseAnonKey ? createClient(supabaseUrl, supabaseAnonKey) : null;
 console.log("Supabase URL (Vercel):", import.meta.env.VITE_SUPABASE_URL);
 console.log("Supabase Key defined?", !!import.meta.env.VITE_SUPABASE_ANON_KEY);
@@ -0,0 +1,38 @@
+// src/hooks/useAccountSpecs.js
+import { useMemo } from "react";
+import { useInstrumentCatalog } from "./useInstrumentCatalog";
+import { useFxRates } from "./useFxRates";
+import { useBrokerProfiles } from "./useBrokerProfiles";
+import {
+  applyBrokerProfile,
+  brokerPricing,
+  brokerSymbolAliases,
+  findBrokerProfile,
+} from "../utils/brokerProfiles";
+
+/**
+ * Contract specs for one account: the instrument catalog as the account's
+ * broker profile defines it, plus pricing options (account currency, FX
+ * rates, lot scale) for the instruments.js calculators.
+ *
+ * @param {string} userId
+ * @param {object} account - { currency, broker_profile_id }
+ * @returns {{ instruments: Array<object>, pricing: object, brokerProfile: object|null, brokerAliases: Object<string, string>, rates: Object<string, number> }}
+ */
+export function useAccountSpecs(userId, { currency, broker_profile_id } = {}) {
+  const [catalog] = useInstrumentCatalog(userId);
+  const [rates] = useFxRates(userId);
+  const [profiles] = useBrokerProfiles(userId);
+  const brokerProfile = findBrokerProfile(profiles, broker_profile_id);
+
+  return useMemo(() => {
+    const instruments = applyBrokerProfile(catalog, brokerProfile);
+    return {
+      instruments,
+      rates,
+      brokerProfile,
+      pricing: brokerPricing(brokerProfile, currency || "USD", rates),
+      brokerAliases: brokerSymbolAliases(brokerProfile, instruments),
+    };
+  }, [catalog, rates, brokerProfile, currency]);
+}
@@ -0,0 +1,12 @@
+// src/hooks/useBrokerProfiles.js
+import { useUserSetting } from "./useUserSetting";
+
+/**
+ * The user's broker contract-spec profiles (Settings → Broker Profiles).
+ *
+ * @returns {[Array<object>, Function, boolean]} [profiles, setProfiles, loading]
+ */
+export function useBrokerProfiles(userId) {
+  const [profiles, setProfiles, loading] = useUserSetting(userId, "brokerProfiles", []);
+  return [Array.isArray(profiles) ? profiles : [], setProfiles, loading];
+}
@@ -0,0 +1,19 @@
+// src/hooks/useFxRates.js
+import { useMemo } from "react";
+import { useUserSetting } from "./useUserSetting";
+import { DEFAULT_FX_RATES } from "../utils/fxRates";
+
+const EMPTY = { rates: {}, updatedAt: null };
+
+/**
+ * The user's exchange-rate table (Settings → Exchange Rates) layered over
+ * the built-in defaults.
+ *
+ * @returns {[Object<string, number>, Function, boolean, string|null]}
+ *   [rates, setTable, loading, updatedAt] — `setTable` takes `{ rates, updatedAt }`.
+ */
+export function useFxRates(userId) {
+  const [table, setTable, loading] = useUserSetting(userId, "fxRates", EMPTY);
+  const rates = useMemo(() => ({ ...DEFAULT_FX_RATES, ...(table?.rates || {}) }), [table]);
+  return [rates, setTable, loading, table?.updatedAt || null];
+}
@@ -0,0 +1,15 @@
+// src/hooks/useInstrumentCatalog.js
+import { useUserSetting } from "./useUserSetting";
+import { DEFAULT_INSTRUMENTS } from "../utils/instruments";
+
+/**
+ * The user's instrument catalog (Settings → Instruments), falling back to the
+ * built-in defaults until they save their own.
+ *
+ * @returns {[Array<object>, Function, boolean]} [catalog, setCatalog, loading]
+ */
+export function useInstrumentCatalog(userId) {
+  const [catalog, setCatalog, loading] = useUserSetting(userId, "instruments", DEFAULT_INSTRUMENTS);
+  const list = Array.isArray(catalog) && catalog.length ? catalog : DEFAULT_INSTRUMENTS;
+  return [list, setCatalog, loading];
+}
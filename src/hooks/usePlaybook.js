@@ -0,0 +1,13 @@
+// src/hooks/usePlaybook.js
+import { useUserSetting } from "./useUserSetting";
+import { DEFAULT_PLAYBOOK } from "../utils/playbook";
+
+/**
+ * The user's strategy playbook (Settings → Playbook).
+ *
+ * @returns {[Array<object>, Function, boolean]} [playbook, setPlaybook, loading]
+ */
+export function usePlaybook(userId) {
+  const [playbook, setPlaybook, loading] = useUserSetting(userId, "playbook", DEFAULT_PLAYBOOK);
+  return [Array.isArray(playbook) ? playbook : DEFAULT_PLAYBOOK, setPlaybook, loading];
+}
@@ -0,0 +1,15 @@
+// src/hooks/usePreTradeChecklist.js
+import { useUserSetting } from "./useUserSetting";
+
+const EMPTY = [];
+
+/**
+ * The global pre-trade checklist (Settings → Checklist).
+ *
+ * @returns {[Array<{ id: string, text: string, required: boolean }>, Function, boolean]}
+ *   [items, setItems, loading]
+ */
+export function usePreTradeChecklist(userId) {
+  const [items, setItems, loading] = useUserSetting(userId, "preTradeChecklist", EMPTY);
+  return [Array.isArray(items) ? items : EMPTY, setItems, loading];
+}
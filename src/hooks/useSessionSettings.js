@@ -0,0 +1,17 @@
+// src/hooks/useSessionSettings.js
+import { useMemo } from "react";
+import { useUserSetting } from "./useUserSetting";
+import { DEFAULT_SESSION_SETTINGS, sessionOptions } from "../utils/sessionUtils";
+
+/**
+ * The user's session settings (Settings → Sessions): display time zone and
+ * custom sessions, plus the matching getSessionForTime options.
+ *
+ * @returns {[object, Function, object, boolean]} [settings, setSettings, options, loading]
+ */
+export function useSessionSettings(userId) {
+  const [saved, setSettings, loading] = useUserSetting(userId, "sessionSettings", DEFAULT_SESSION_SETTINGS);
+  const settings = useMemo(() => ({ ...DEFAULT_SESSION_SETTINGS, ...saved }), [saved]);
+  const options = useMemo(() => sessionOptions(settings), [settings]);
+  return [settings, setSettings, options, loading];
+}
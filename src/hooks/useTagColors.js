@@ -0,0 +1,14 @@
+// src/hooks/useTagColors.js
+import { useUserSetting } from "./useUserSetting";
+
+const EMPTY = {};
+
+/**
+ * The user's tag colours (Settings → Tags), tag → hex colour.
+ *
+ * @returns {[object, Function, boolean]} [colors, setColors, loading]
+ */
+export function useTagColors(userId) {
+  const [colors, setColors, loading] = useUserSetting(userId, "tagColors", EMPTY);
+  return [colors && typeof colors === "object" ? colors : EMPTY, setColors, loading];
+}
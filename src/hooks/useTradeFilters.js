@@ -0,0 +1,29 @@
+// src/hooks/useTradeFilters.js
+import { useEffect, useState } from "react";
+import { filtersFromSearch, filtersToSearch } from "../utils/tradeFilters";
+
+/**
+ * The shared trade filters (TradeFilterBar), read from and written back to
+ * the URL query. The URL is replaced rather than pushed, so filtering does
+ * not add browser history entries.
+ *
+ * @returns {[object, Function]} [filters, setFilters]
+ */
+export function useTradeFilters() {
+  const [filters, setFilters] = useState(() => filtersFromSearch(window.location.search));
+
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    const next = filtersToSearch(filters, search);
+    if (next !== search) window.history.replaceState(window.history.state, "", `${pathname}${next}${hash}`);
+  }, [filters]);
+
+  // Back / forward to a bookmarked or earlier URL
+  useEffect(() => {
+    const onPopState = () => setFilters(filtersFromSearch(window.location.search));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  return [filters, setFilters];
+}
@@ -0,0 +1,18 @@
+// src/hooks/useTradingRules.js
+import { useMemo } from "react";
+import { useUserSetting } from "./useUserSetting";
+import { mergeRules, rulesSettingKey } from "../utils/tradingRules";
+
+const EMPTY = {};
+
+/**
+ * The trading rules of one account (Settings → Trading Rules), merged with
+ * the defaults.
+ *
+ * @returns {[object, Function, boolean]} [rules, setRules, loading]
+ */
+export function useTradingRules(userId, accountId) {
+  const [saved, setRules, loading] = useUserSetting(userId, rulesSettingKey(accountId), EMPTY);
+  const rules = useMemo(() => mergeRules(saved), [saved]);
+  return [rules, setRules, loading];
+}
@@ -0,0 +1,55 @@
+// src/hooks/useUserSetting.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  readCachedSetting,
+  loadSetting,
+  saveSetting,
+  subscribeSettings,
+} from "../services/settingsStore";
+
+/**
+ * useState-like access to a persisted per-user setting.
+ * Starts from the cached value, refreshes from the backend, and stays in
+ * sync with saves made by other components.
+ *
+ * @returns {[any, Function, boolean]} [value, setValue, loading]
+ */
+export function useUserSetting(userId, key, defaultValue) {
+  const defaultRef = useRef(defaultValue);
+  const [value, setValue] = useState(() => readCachedSetting(userId, key, defaultValue));
+  const [loading, setLoading] = useState(true);
+  const valueRef = useRef(value);
+  valueRef.current = value;
+
+  useEffect(() => {
+    let cancelled = false;
+    setValue(readCachedSetting(userId, key, defaultRef.current));
+    setLoading(true);
+
+    loadSetting(userId, key, defaultRef.current).then((loaded) => {
+      if (cancelled) return;
+      setValue(loaded);
+      setLoading(false);
+    });
+
+    const unsubscribe = subscribeSettings((uid, k, next) => {
+      if (uid === userId && k === key) setValue(next);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [userId, key]);
+
+  const update = useCallback(
+    (next) => {
+      const resolved = typeof next === "function" ? next(valueRef.current) : next;
+      setValue(resolved);
+      return saveSetting(userId, key, resolved);
+    },
+    [userId, key]
+  );
+
+  return [value, update, loading];
+}
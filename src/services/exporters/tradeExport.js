@@ -0,0 +1,166 @@
+// src/services/exporters/tradeExport.js
+// Spreadsheet exports of closed trades (CSV, and XLSX with a summary sheet).
+import { toCsv } from "../../utils/csvUtils";
+import { tradeCosts, tradeGrossPnl } from "../../utils/tradeModel";
+
+const dateOnly = (v) => (v ? new Date(v).toISOString().slice(0, 10) : "");
+const num = (v) => (v === null || v === undefined || v === "" || isNaN(Number(v)) ? "" : Number(v));
+
+/**
+ * Columns available for export. `get` reads a UI trade object
+ * (as held in TradeLog state).
+ */
+export const EXPORT_COLUMNS = [
+  { key: "ticket", label: "Ticket", get: (t) => t.ticket ?? "" },
+  { key: "pair", label: "Pair", get: (t) => t.pair ?? "" },
+  { key: "type", label: "Direction", get: (t) => t.type ?? "" },
+  { key: "entryDate", label: "Entry Date", get: (t) => dateOnly(t.entryDate ?? t.entry_date) },
+  { key: "tradeTime", label: "Entry Time", get: (t) => t.tradeTime ?? t.trade_time ?? "" },
+  { key: "entryPrice", label: "Entry Price", get: (t) => num(t.entryPrice ?? t.entry_price) },
+  { key: "stopLoss", label: "Stop Loss", get: (t) => num(t.stopLoss ?? t.sl) },
+  { key: "takeProfit", label: "Take Profit", get: (t) => num(t.takeProfit ?? t.tp) },
+  { key: "lotSize", label: "Lot Size", get: (t) => num(t.lotSize ?? t.lot_size) },
+  { key: "risk", label: "Risk %", get: (t) => num(t.risk) },
+  { key: "ratio", label: "R:R", get: (t) => num(t.ratio) },
+  { key: "exitDate", label: "Exit Date", get: (t) => dateOnly(t.exitDate ?? t.exit_date) },
+  { key: "exitPrice", label: "Exit Price", get: (t) => num(t.exitPrice ?? t.exit_price) },
+  { key: "points", label: "Points", get: (t) => num(t.points) },
+  { key: "pnlCurrency", label: "PnL", get: (t) => num(t.pnlCurrency ?? t.pnl_currency) },
+  { key: "grossPnl", label: "Gross PnL", get: (t) => num(tradeGrossPnl(t).toFixed(2)) },
+  { key: "pnlPercent", label: "PnL %", get: (t) => num(t.pnlPercent ?? t.pnl_percent) },
+  { key: "commission", label: "Commission", get: (t) => num(t.commission) },
+  { key: "swap", label: "Swap", get: (t) => num(t.swap) },
+  { key: "fees", label: "Fees", get: (t) => num(t.fees) },
+  { key: "status", label: "Status", get: (t) => t.status ?? "" },
+  { key: "session", label: "Session", get: (t) => t.session ?? "" },
+  { key: "strategy", label: "Strategy", get: (t) => t.strategy ?? "" },
+  { key: "note", label: "Note", get: (t) => t.note ?? "" },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.map((c) => c.key).filter(
+  (k) => !["ticket", "points", "grossPnl", "commission", "swap", "fees"].includes(k)
+);
+
+const pickColumns = (keys) => EXPORT_COLUMNS.filter((c) => keys.includes(c.key));
+
+/**
+ * Header + value rows for the chosen columns.
+ */
+export function buildTradeRows(trades = [], columnKeys = DEFAULT_EXPORT_COLUMNS) {
+  const columns = pickColumns(columnKeys);
+  return [columns.map((c) => c.label), ...trades.map((t) => columns.map((c) => c.get(t)))];
+}
+
+/**
+ * Headline numbers for the summary sheet.
+ */
+export function summarizeTrades(trades = []) {
+  const pnls = trades.map((t) => Number(t.pnlCurrency ?? t.pnl_currency) || 0);
+  const wins = pnls.filter((p) => p > 0);
+  const losses = pnls.filter((p) => p < 0);
+  const grossProfit = wins.reduce((s, p) => s + p, 0);
+  const grossLoss = losses.reduce((s, p) => s + p, 0);
+  const round = (n) => Number(n.toFixed(2));
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length ? round((wins.length / trades.length) * 100) : 0,
+    netPnl: round(grossProfit + grossLoss),
+    grossProfit: round(grossProfit),
+    grossLoss: round(grossLoss),
+    profitFactor: grossLoss ? round(grossProfit / Math.abs(grossLoss)) : null,
+    averageWin: wins.length ? round(grossProfit / wins.length) : 0,
+    averageLoss: losses.length ? round(grossLoss / losses.length) : 0,
+    largestWin: wins.length ? round(Math.max(...wins)) : 0,
+    largestLoss: losses.length ? round(Math.min(...losses)) : 0,
+    commission: round(trades.reduce((s, t) => s + (Number(t.commission) || 0), 0)),
+    swap: round(trades.reduce((s, t) => s + (Number(t.swap) || 0), 0)),
+    fees: round(trades.reduce((s, t) => s + (Number(t.fees) || 0), 0)),
+    totalCosts: round(trades.reduce((s, t) => s + tradeCosts(t), 0)),
+  };
+}
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download trades as CSV.
+ */
+export function exportTradesCsv(trades, columnKeys, fileName = "closed-trades.csv") {
+  const csv = toCsv(buildTradeRows(trades, columnKeys));
+  downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), fileName);
+}
+
+// Sheet rows for write-excel-file: empty cells are null. Text is written
+// as is: the writer only makes a formula of cells typed "Formula".
+const toSheetData = (rows) =>
+  rows.map((row) =>
+    row.map((cell) => (cell === "" || cell === null || cell === undefined ? null : cell))
+  );
+
+/**
+ * Download trades as an XLSX workbook: "Trades", "Summary" and "By Pair".
+ * The writer is loaded on demand so it never weighs on the main bundle.
+ *
+ * @param {Array<object>} trades
+ * @param {Array<string>} columnKeys
+ * @param {object} [meta]
+ * @param {Array<[string, string]>} [meta.context] - Extra label/value lines for the summary (filters, sort...).
+ * @param {string} [meta.fileName]
+ */
+export async function exportTradesXlsx(trades, columnKeys, { context = [], fileName = "closed-trades.xlsx" } = {}) {
+  const { default: writeXlsxFile } = await import("write-excel-file/browser");
+
+  const s = summarizeTrades(trades);
+  const summaryRows = [
+    ["Generated", new Date().toLocaleString()],
+    ...context,
+    [],
+    ["Trades", s.trades],
+    ["Wins", s.wins],
+    ["Losses", s.losses],
+    ["Win Rate %", s.winRate],
+    ["Net PnL", s.netPnl],
+    ["Gross Profit", s.grossProfit],
+    ["Gross Loss", s.grossLoss],
+    ["Profit Factor", s.profitFactor ?? "—"],
+    ["Average Win", s.averageWin],
+    ["Average Loss", s.averageLoss],
+    ["Largest Win", s.largestWin],
+    ["Largest Loss", s.largestLoss],
+    ["Commission", s.commission],
+    ["Swap", s.swap],
+    ["Fees", s.fees],
+    ["Total Costs", s.totalCosts],
+  ];
+
+  const byPair = {};
+  trades.forEach((t) => {
+    const pair = t.pair || "Unknown";
+    (byPair[pair] = byPair[pair] || []).push(t);
+  });
+  const pairRows = [
+    ["Pair", "Trades", "Win Rate %", "Net PnL"],
+    ...Object.entries(byPair)
+      .map(([pair, list]) => {
+        const ps = summarizeTrades(list);
+        return [pair, ps.trades, ps.winRate, ps.netPnl];
+      })
+      .sort((a, b) => b[3] - a[3]),
+  ];
+
+  const blob = await writeXlsxFile([
+    { data: toSheetData(buildTradeRows(trades, columnKeys)), sheet: "Trades", stickyRowsCount: 1 },
+    { data: toSheetData(summaryRows), sheet: "Summary" },
+    { data: toSheetData(pairRows), sheet: "By Pair", stickyRowsCount: 1 },
+  ]).toBlob();
+  downloadBlob(blob, fileName);
+}
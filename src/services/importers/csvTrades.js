@@ -0,0 +1,347 @@
+// src/services/importers/csvTrades.js
+// Generic CSV trade import (cTrader, TradingView, prop-firm dashboards...).
+// A mapping profile says which CSV column feeds which trade field, how dates
+// are written and which time zone they are in.
+import { db } from "../storage";
+import { parseReportNumber } from "../../utils/csvUtils";
+import { zonedTimeToUtc, getLocalTimeZone } from "../../utils/dateUtils";
+import { normalizeTradeForDB } from "../../utils/tradeModel";
+import { DEFAULT_INSTRUMENTS, calculatePnl, instrumentSymbols } from "../../utils/instruments";
+import { estimateTradeCosts } from "../../utils/brokerProfiles";
+import { getSessionAt } from "../../utils/sessionUtils";
+import { importRiskPercent, importRowId, importStatusFields, matchSymbol } from "./mtStatement";
+
+/**
+ * Trade fields a CSV column can be mapped to (see normalizeTradeForDB).
+ * Separate time columns are combined with their date column.
+ */
+export const CSV_TRADE_FIELDS = [
+  { key: "ticket", label: "Ticket / ID" },
+  { key: "pair", label: "Pair / Symbol", required: true },
+  { key: "type", label: "Direction", required: true },
+  { key: "entry_date", label: "Entry Date", required: true },
+  { key: "entry_time", label: "Entry Time" },
+  { key: "entry_price", label: "Entry Price", required: true },
+  { key: "sl", label: "Stop Loss" },
+  { key: "tp", label: "Take Profit" },
+  { key: "lot_size", label: "Lot Size" },
+  { key: "exit_date", label: "Exit Date" },
+  { key: "exit_time", label: "Exit Time" },
+  { key: "exit_price", label: "Exit Price" },
+  { key: "pnl_currency", label: "PnL (net)" },
+  { key: "commission", label: "Commission" },
+  { key: "swap", label: "Swap" },
+  { key: "fees", label: "Other Fees" },
+  { key: "session", label: "Session" },
+  { key: "strategy", label: "Strategy" },
+  { key: "note", label: "Note" },
+];
+
+export const DATE_FORMATS = [
+  { value: "auto", label: "Auto (ISO 8601)" },
+  { value: "YYYY-MM-DD", label: "YYYY-MM-DD HH:mm" },
+  { value: "YYYY.MM.DD", label: "YYYY.MM.DD HH:mm" },
+  { value: "DD/MM/YYYY", label: "DD/MM/YYYY HH:mm" },
+  { value: "MM/DD/YYYY", label: "MM/DD/YYYY HH:mm" },
+  { value: "DD.MM.YYYY", label: "DD.MM.YYYY HH:mm" },
+  { value: "unix", label: "Unix seconds" },
+  { value: "unix_ms", label: "Unix milliseconds" },
+];
+
+// Header names we recognise when guessing a mapping
+const FIELD_ALIASES = {
+  ticket: ["ticket", "id", "position", "positionid", "orderid", "tradeid", "deal"],
+  pair: ["pair", "symbol", "instrument", "market", "item", "asset"],
+  type: ["type", "side", "direction", "action", "buysell"],
+  entry_date: ["entrydate", "opentime", "opendate", "entrytime", "openingtime", "time", "date", "opened"],
+  entry_time: ["entryhour"],
+  entry_price: ["entryprice", "openprice", "openingprice", "price", "entry"],
+  sl: ["sl", "s/l", "stoploss", "stop"],
+  tp: ["tp", "t/p", "takeprofit", "target"],
+  lot_size: ["lots", "lot", "lotsize", "size", "volume", "quantity", "qty"],
+  exit_date: ["exitdate", "closetime", "closedate", "closingtime", "exittime", "closed"],
+  exit_time: ["exithour"],
+  exit_price: ["exitprice", "closeprice", "closingprice", "exit"],
+  pnl_currency: ["pnl", "profit", "netprofit", "profitloss", "p/l", "realizedpnl", "net"],
+  commission: ["commission", "commissions", "comm"],
+  swap: ["swap", "swaps", "rollover", "financing"],
+  fees: ["fee", "fees", "taxes", "spreadcost"],
+  session: ["session"],
+  strategy: ["strategy", "setup"],
+  note: ["note", "notes", "comment", "comments", "label"],
+};
+
+const headerKey = (h) => (h || "").toLowerCase().replace(/[\s_\-()$]/g, "");
+
+/**
+ * A blank mapping profile for a new source.
+ */
+export const createEmptyProfile = (name = "") => ({
+  name,
+  hasHeader: true,
+  mapping: {},
+  dateFormat: "auto",
+  timeZone: getLocalTimeZone(),
+  longValues: "buy, long, b",
+  shortValues: "sell, short, s",
+});
+
+/**
+ * Guess column → field mapping from header names.
+ * @returns {Object<string, number>} field key → column index
+ */
+export function guessMapping(headers = []) {
+  const keys = headers.map(headerKey);
+  const used = new Set();
+  const mapping = {};
+
+  CSV_TRADE_FIELDS.forEach(({ key }) => {
+    const aliases = FIELD_ALIASES[key] || [];
+    const idx = keys.findIndex((k, i) => !used.has(i) && aliases.includes(k));
+    if (idx >= 0) {
+      mapping[key] = idx;
+      used.add(idx);
+    }
+  });
+
+  return mapping;
+}
+
+// ------------------------------
+// Date parsing
+// ------------------------------
+const TIME_RE = /(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?/i;
+
+const parseTimeParts = (text = "") => {
+  const m = String(text).match(TIME_RE);
+  if (!m) return { hour: 0, minute: 0, second: 0 };
+  let hour = Number(m[1]);
+  const ampm = (m[4] || "").toLowerCase();
+  if (ampm === "pm" && hour < 12) hour += 12;
+  if (ampm === "am" && hour === 12) hour = 0;
+  return { hour, minute: Number(m[2]), second: Number(m[3] || 0) };
+};
+
+/**
+ * Parse a date (plus optional separate time) written in `format`, as wall
+ * time in `timeZone`. Values carrying their own offset ("Z", "+02:00") and
+ * unix timestamps are absolute and ignore the time zone.
+ * @returns {Date|null}
+ */
+export function parseDateValue(value, format = "auto", timeZone = "UTC", timeValue = "") {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  if (format === "unix" || format === "unix_ms") {
+    const n = Number(text);
+    if (!Number.isFinite(n)) return null;
+    return new Date(format === "unix" ? n * 1000 : n);
+  }
+
+  if (format === "auto" && /(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const d = new Date(text);
+    return isNaN(d) ? null : d;
+  }
+
+  const nums = text.match(/^(\d{1,4})[-./](\d{1,2})[-./](\d{1,4})/);
+  if (!nums) return null;
+  // Auto only accepts year-first dates; day/month order needs an explicit format
+  if (format === "auto" && nums[1].length !== 4) return null;
+
+  let year;
+  let month;
+  let day;
+  const [, a, b, c] = nums.map(Number);
+  if (format === "DD/MM/YYYY" || format === "DD.MM.YYYY") {
+    [day, month, year] = [a, b, c];
+  } else if (format === "MM/DD/YYYY") {
+    [month, day, year] = [a, b, c];
+  } else {
+    [year, month, day] = [a, b, c];
+  }
+  if (year < 100) year += 2000;
+  if (!year || month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const rest = text.slice(nums[0].length);
+  const time = parseTimeParts(timeValue || rest);
+  return zonedTimeToUtc({ year, month, day, ...time }, timeZone);
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// "HH:mm" in the browser's zone, matching how trade_time is entered by hand
+const toTradeTime = (d) => (d ? `${pad2(d.getHours())}:${pad2(d.getMinutes())}` : null);
+
+const splitValues = (s = "") =>
+  s
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+// ------------------------------
+// Preview
+// ------------------------------
+
+/**
+ * Validate and convert CSV rows with a mapping profile.
+ *
+ * @param {Array<Array<string>>} dataRows - CSV rows without the header.
+ * @param {object} profile - See createEmptyProfile.
+ * @param {object} ctx - { userId, accountId, capital, accountType, knownPairs },
+ *   plus the account's broker specs: `instruments` (catalog with the broker profile
+ *   applied), `pricing` (see brokerPricing), `brokerProfile` and `brokerAliases`.
+ *   Closed rows without a PnL column get their PnL from these specs.
+ *   `customSessions` (Settings → Sessions) are detected next to the market sessions.
+ *   `rules` (the account's trading rules) set each trade's Valid / Invalid status.
+ * @returns {Promise<Array<{key: string, line: number, row: object|null, errors: string[], warnings: string[], duplicate: boolean}>>}
+ */
+export async function buildCsvPreview(
+  dataRows,
+  profile,
+  {
+    userId,
+    accountId,
+    capital = 0,
+    accountType = "Standard",
+    instruments = DEFAULT_INSTRUMENTS,
+    knownPairs = instrumentSymbols(instruments),
+    pricing = {},
+    brokerProfile = null,
+    brokerAliases = {},
+    customSessions = [],
+    rules = {},
+  }
+) {
+  const { mapping, dateFormat, timeZone } = profile;
+  const longValues = splitValues(profile.longValues);
+  const shortValues = splitValues(profile.shortValues);
+  const firstLine = profile.hasHeader ? 2 : 1;
+
+  const preview = dataRows.map((cells, i) => {
+    const get = (field) =>
+      mapping[field] === undefined || mapping[field] === "" ? "" : (cells[mapping[field]] ?? "").trim();
+    const num = (field) => parseReportNumber(get(field));
+
+    const errors = [];
+    const warnings = [];
+
+    const rawPair = get("pair");
+    const pair = matchSymbol(rawPair, knownPairs, brokerAliases);
+    if (!rawPair) errors.push("Missing pair");
+    else if (!pair) warnings.push(`Unknown symbol "${rawPair}"`);
+
+    const rawType = get("type").toLowerCase();
+    const type = longValues.includes(rawType) ? "long" : shortValues.includes(rawType) ? "short" : null;
+    if (!type) errors.push(`Unrecognised direction "${get("type")}"`);
+
+    const entryDate = parseDateValue(get("entry_date"), dateFormat, timeZone, get("entry_time"));
+    if (!entryDate) errors.push(`Invalid entry date "${get("entry_date")}"`);
+
+    const exitDate = get("exit_date")
+      ? parseDateValue(get("exit_date"), dateFormat, timeZone, get("exit_time"))
+      : null;
+    if (get("exit_date") && !exitDate) errors.push(`Invalid exit date "${get("exit_date")}"`);
+    if (entryDate && exitDate && exitDate < entryDate) errors.push("Exit is before entry");
+
+    const entryPrice = num("entry_price");
+    if (entryPrice === null) errors.push("Missing entry price");
+
+    ["sl", "tp", "lot_size", "exit_price", "pnl_currency", "commission", "swap", "fees"].forEach((f) => {
+      if (get(f) && num(f) === null) errors.push(`"${get(f)}" is not a number (${f})`);
+    });
+
+    const exitPrice = num("exit_price");
+    const closed = !!exitDate && (exitPrice !== null || num("pnl_currency") !== null);
+    if (exitDate && !closed) warnings.push("Exit date without exit price or PnL — imported as active");
+
+    // Cost columns win over broker estimates; commission and fees are always charges
+    const mappedCosts = ["commission", "swap", "fees"].some((f) => get(f) !== "");
+    let costs = {
+      commission: -Math.abs(num("commission") || 0),
+      swap: num("swap") || 0,
+      fees: -Math.abs(num("fees") || 0),
+    };
+
+    // No PnL column: price it with the account's broker specs
+    let pnl = num("pnl_currency");
+    if (closed && pnl === null && pair && num("lot_size") && type) {
+      const lots = num("lot_size");
+      const gross = calculatePnl(
+        { symbol: pair, type, entry: entryPrice, exit: exitPrice, lots, accountType, ...pricing },
+        instruments
+      );
+      if (!mappedCosts) {
+        costs = { ...estimateTradeCosts(brokerProfile, { symbol: pair, type, lots, entryDate, exitDate }), fees: 0 };
+      }
+      pnl = Number((gross + costs.commission + costs.swap + costs.fees).toFixed(2));
+      warnings.push("PnL calculated from contract specs");
+    }
+
+    if (errors.length) {
+      return { key: `line:${firstLine + i}`, line: firstLine + i, row: null, errors, warnings, duplicate: false };
+    }
+
+    const ticket = get("ticket") || null;
+    const fingerprint =
+      ticket || [pair || rawPair, type, entryDate.toISOString(), entryPrice, num("lot_size")].join("|");
+    const sl = num("sl");
+    const tp = num("tp");
+    const tradeTime = toTradeTime(entryDate);
+    // No R:R when the stop sits on the entry (or either is missing)
+    const slDistance = sl && entryPrice !== null ? Math.abs(entryPrice - sl) : 0;
+
+    const trade = {
+      id: importRowId(accountId, "csv", fingerprint),
+      ticket,
+      pair: pair || rawPair,
+      type,
+      tradeTime,
+      entryDate,
+      entryPrice,
+      stopLoss: sl,
+      takeProfit: tp,
+      risk: importRiskPercent(
+        { symbol: pair, type, entry: entryPrice, stop: sl, lots: num("lot_size"), capital },
+        { accountType, ...pricing },
+        instruments
+      ),
+      lotSize: num("lot_size"),
+      exitDate: closed ? exitDate : null,
+      exitPrice: closed ? exitPrice : null,
+      pnlCurrency: closed ? pnl : null,
+      commission: costs.commission,
+      swap: costs.swap,
+      fees: costs.fees,
+      pnlPercent: closed && pnl !== null && capital ? Number(((pnl / capital) * 100).toFixed(2)) : null,
+      ratio: tp && slDistance > 0 ? Number((Math.abs(tp - entryPrice) / slDistance).toFixed(2)) : null,
+      state: closed ? "Closed" : "Active",
+      session: get("session") || getSessionAt(entryDate, { custom: customSessions }),
+      strategy: get("strategy"),
+      note: get("note") || `Imported from ${profile.name || "CSV"}`,
+    };
+    const row = normalizeTradeForDB(
+      { ...trade, ...importStatusFields(trade, rules) },
+      userId,
+      accountId
+    );
+
+    return { key: `line:${firstLine + i}`, line: firstLine + i, row, errors, warnings, duplicate: false };
+  });
+
+  // Flag rows already imported into this account
+  const ids = preview.filter((p) => p.row).map((p) => p.row.id);
+  const existing = new Set();
+  for (let i = 0; i < ids.length; i += 100) {
+    const { data, error } = await db.from("trades").select("id").in("id", ids.slice(i, i + 100));
+    if (error) throw error;
+    (data || []).forEach((r) => existing.add(r.id));
+  }
+
+  const seen = new Set();
+  return preview.map((p) => {
+    if (!p.row) return p;
+    const duplicate = existing.has(p.row.id) || seen.has(p.row.id);
+    seen.add(p.row.id);
+    return { ...p, duplicate };
+  });
+}
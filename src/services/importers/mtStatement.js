@@ -0,0 +1,517 @@
+// src/services/importers/mtStatement.js
+// MetaTrader 4/5 "Account History" importer. Reads the HTML report saved from
+// the terminal (or a CSV export with the same columns), maps closed positions
+// onto our trade model and balance operations onto `transactions`.
+import dayjs from "dayjs";
+import { v5 as uuidv5 } from "uuid";
+import { db } from "../storage";
+import { writeManyThroughOutbox } from "../storage/outbox";
+import { parseCsv, parseReportNumber } from "../../utils/csvUtils";
+import { normalizeTradeForDB } from "../../utils/tradeModel";
+import { DEFAULT_INSTRUMENTS, calculatePnl, instrumentSymbols } from "../../utils/instruments";
+import { collectTradeViolations, tradeStatusFields } from "../../utils/tradingRules";
+import { getSessionAt } from "../../utils/sessionUtils";
+import { zonedTimeToUtc } from "../../utils/dateUtils";
+
+// Namespace for deterministic ids: the same ticket imported twice into the
+// same account always maps to the same row.
+const IMPORT_NAMESPACE = "6f1c2b8e-4d1a-4c57-9a53-2f0d7c9e8b14";
+const BATCH_SIZE = 100;
+
+// Report times are the broker's server clock, not the reader's. Most MT
+// brokers run it at GMT+2 (GMT+3 in summer), i.e. Eastern European time.
+export const DEFAULT_MT_SERVER_TIME_ZONE = "Europe/Athens";
+
+// Common broker names for instruments we list without a 6-letter code
+const SYMBOL_ALIASES = {
+  GOLD: "XAU/USD",
+  SILVER: "XAG/USD",
+  DJ30: "US30",
+  WS30: "US30",
+  USA30: "US30",
+  DJI: "US30",
+  USTEC: "NAS100",
+  US100: "NAS100",
+  NDX100: "NAS100",
+  NQ100: "NAS100",
+};
+
+// ------------------------------
+// Header mapping
+// ------------------------------
+const headerKey = (h) => (h || "").toLowerCase().replace(/[\s_]/g, "");
+
+const HEADER_FIELDS = {
+  ticket: "ticket",
+  position: "ticket",
+  deal: "ticket",
+  order: "order",
+  opentime: "openTime",
+  closetime: "closeTime",
+  type: "type",
+  direction: "direction",
+  size: "lots",
+  volume: "lots",
+  lots: "lots",
+  item: "symbol",
+  symbol: "symbol",
+  openprice: "openPrice",
+  closeprice: "closePrice",
+  "s/l": "sl",
+  sl: "sl",
+  stoploss: "sl",
+  "t/p": "tp",
+  tp: "tp",
+  takeprofit: "tp",
+  commission: "commission",
+  taxes: "taxes",
+  fee: "taxes",
+  swap: "swap",
+  profit: "profit",
+  comment: "comment",
+};
+
+/**
+ * Map a header row to field names. MetaTrader repeats "Time" and "Price"
+ * for open and close, so the first occurrence is the open, the second the close.
+ * @returns {Array<string|null>} field name per column
+ */
+const mapHeader = (cells) => {
+  let timeSeen = 0;
+  let priceSeen = 0;
+  return cells.map((cell) => {
+    const key = headerKey(cell);
+    if (key === "time") return timeSeen++ === 0 ? "openTime" : "closeTime";
+    if (key === "price") return priceSeen++ === 0 ? "openPrice" : "closePrice";
+    return HEADER_FIELDS[key] || null;
+  });
+};
+
+const isHeaderRow = (cells) => {
+  const fields = mapHeader(cells);
+  return fields.includes("ticket") && fields.includes("type") && fields.includes("profit");
+};
+
+// "2024.03.01 14:05:33" (or with dashes/slashes, seconds optional) -> fields
+const matchMtDateTime = (value) => {
+  const m = String(value || "")
+    .trim()
+    .match(/^(\d{4})[./-](\d{1,2})[./-](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!m) return null;
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = m.map((v) =>
+    v === undefined ? v : Number(v)
+  );
+  return { year, month, day, hour, minute, second };
+};
+
+/**
+ * Parse "2024.03.01 14:05:33" (or with dashes/slashes, seconds optional)
+ * as broker server time in `timeZone` (an IANA zone, e.g. "Etc/GMT-2" for a
+ * fixed GMT+2 clock).
+ * @returns {Date|null}
+ */
+export const parseMtDateTime = (value, timeZone = DEFAULT_MT_SERVER_TIME_ZONE) => {
+  const fields = matchMtDateTime(value);
+  return fields ? zonedTimeToUtc(fields, timeZone) : null;
+};
+
+/**
+ * The calendar day ("YYYY-MM-DD") a report timestamp falls on in server
+ * time, which is the day the broker books the operation on.
+ * @returns {string|null}
+ */
+export const mtServerDay = (value) => {
+  const fields = matchMtDateTime(value);
+  if (!fields) return null;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${fields.year}-${pad(fields.month)}-${pad(fields.day)}`;
+};
+
+/**
+ * Match a broker symbol (EURUSD, EURUSD.m, XAUUSDpro, GOLD, USTEC...) to one
+ * of our pairs. `brokerAliases` (see brokerSymbolAliases) are checked first.
+ * Returns null when unknown.
+ */
+export const matchSymbol = (raw, knownPairs = instrumentSymbols(), brokerAliases = {}) => {
+  const clean = String(raw || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  if (!clean) return null;
+  if (knownPairs.includes(brokerAliases[clean])) return brokerAliases[clean];
+
+  const candidates = knownPairs
+    .map((pair) => ({ pair, compact: pair.toUpperCase().replace(/[^A-Z0-9]/g, "") }))
+    .filter(({ compact }) => clean === compact || clean.startsWith(compact))
+    .sort((a, b) => b.compact.length - a.compact.length);
+  if (candidates.length) return candidates[0].pair;
+
+  const alias = Object.keys(SYMBOL_ALIASES).find((a) => clean.startsWith(a));
+  if (alias && knownPairs.includes(SYMBOL_ALIASES[alias])) return SYMBOL_ALIASES[alias];
+  return null;
+};
+
+// ------------------------------
+// Row interpretation
+// ------------------------------
+
+/**
+ * Turn one mapped report row into a closed trade, a balance operation or null.
+ */
+const interpretRow = (fields, cells, skipped, timeZone) => {
+  const get = (name) => {
+    const idx = fields.indexOf(name);
+    return idx >= 0 ? (cells[idx] ?? "").trim() : "";
+  };
+
+  const type = get("type").toLowerCase();
+  const ticket = get("ticket");
+  if (!ticket || !type) return null;
+
+  if (type === "balance") {
+    const amount = parseReportNumber(get("profit"));
+    if (!amount) return null;
+    // MT4 has no comment column: it sits in a wide cell right after the type
+    const comment = get("comment") || (cells[fields.indexOf("type") + 1] || "").trim();
+    return {
+      kind: "transaction",
+      ticket,
+      time: parseMtDateTime(get("openTime"), timeZone),
+      day: mtServerDay(get("openTime")),
+      type: amount > 0 ? "Deposit" : "Withdrawal",
+      amount: Math.abs(amount),
+      comment,
+    };
+  }
+
+  if (type !== "buy" && type !== "sell") {
+    // pending orders, credits, cancelled orders...
+    skipped.other += 1;
+    return null;
+  }
+
+  // Deals tables list every buy/sell execution; positions are taken from the
+  // positions table instead.
+  if (!fields.includes("closeTime")) {
+    if (!fields.includes("direction")) skipped.open += 1;
+    return null;
+  }
+
+  const closeTime = parseMtDateTime(get("closeTime"), timeZone);
+  if (!closeTime) {
+    skipped.open += 1;
+    return null;
+  }
+
+  return {
+    kind: "trade",
+    ticket,
+    symbol: get("symbol"),
+    side: type === "buy" ? "long" : "short",
+    lots: parseReportNumber(get("lots")),
+    openTime: parseMtDateTime(get("openTime"), timeZone),
+    closeTime,
+    openPrice: parseReportNumber(get("openPrice")),
+    closePrice: parseReportNumber(get("closePrice")),
+    sl: parseReportNumber(get("sl")) || null,
+    tp: parseReportNumber(get("tp")) || null,
+    commission: parseReportNumber(get("commission")) || 0,
+    swap: parseReportNumber(get("swap")) || 0,
+    fees: parseReportNumber(get("taxes")) || 0,
+    profit: parseReportNumber(get("profit")) || 0,
+  };
+};
+
+const interpretTable = (rows, timeZone) => {
+  const items = [];
+  const skipped = { open: 0, other: 0 };
+  let fields = null;
+
+  rows.forEach((cells) => {
+    if (isHeaderRow(cells)) {
+      fields = mapHeader(cells);
+      return;
+    }
+    // A single-cell row is a section title ("Open Trades:", "Orders"...);
+    // the next table brings its own header.
+    if (cells.filter((c) => c.trim()).length <= 1) {
+      fields = null;
+      return;
+    }
+    if (!fields) return;
+
+    const item = interpretRow(fields, cells, skipped, timeZone);
+    if (item) items.push(item);
+  });
+
+  return { items, skipped };
+};
+
+// Flatten an HTML report into rows of cell text, expanding colspans so
+// cells line up with the header columns.
+const htmlToRows = (html) => {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return Array.from(doc.querySelectorAll("tr")).map((tr) => {
+    const cells = [];
+    Array.from(tr.children).forEach((td) => {
+      const text = (td.textContent || "").replace(/\u00a0/g, " ").trim();
+      cells.push(text);
+      const span = Number(td.getAttribute("colspan")) || 1;
+      for (let i = 1; i < span; i++) cells.push("");
+    });
+    return cells;
+  });
+};
+
+/**
+ * Parse an MT4/MT5 account history statement.
+ * @param {string} text - File contents (HTML or CSV).
+ * @param {string} [fileName]
+ * @param {{serverTimeZone?: string}} [options] - Time zone of the broker's server clock.
+ * @returns {{platform: string, serverTimeZone: string, trades: Array<object>, transactions: Array<object>, skipped: {open: number, other: number}}}
+ */
+export function parseMtStatement(text, fileName = "", { serverTimeZone = DEFAULT_MT_SERVER_TIME_ZONE } = {}) {
+  const isHtml = /<table|<html/i.test(text) || /\.html?$/i.test(fileName);
+  const rows = isHtml ? htmlToRows(text) : parseCsv(text);
+
+  if (!rows.some(isHeaderRow)) {
+    throw new Error("No MetaTrader history table found in this file");
+  }
+
+  const { items, skipped } = interpretTable(rows, serverTimeZone);
+  const platform =
+    /metatrader\s*5|trade history report/i.test(text) ||
+    rows.some((r) => r.some((c) => headerKey(c) === "position"))
+      ? "MT5"
+      : "MT4";
+
+  // The same balance deal can appear in more than one MT5 table
+  const seen = new Set();
+  const unique = items.filter((it) => {
+    const key = `${it.kind}:${it.ticket}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return {
+    platform,
+    serverTimeZone,
+    trades: unique.filter((it) => it.kind === "trade"),
+    transactions: unique.filter((it) => it.kind === "transaction"),
+    skipped,
+  };
+}
+
+// ------------------------------
+// Preview
+// ------------------------------
+const pad2 = (n) => String(n).padStart(2, "0");
+const toTimeString = (d) => (d ? `${pad2(d.getHours())}:${pad2(d.getMinutes())}` : null);
+
+/** Deterministic row id for an imported ticket. */
+export const importRowId = (accountId, kind, ticket) =>
+  uuidv5(`${accountId}:${kind}:${ticket}`, IMPORT_NAMESPACE);
+
+/**
+ * Risk (% of capital) an imported trade had at its stop; 0 without a stop,
+ * lots or capital. `opts` holds accountType and pricing, as for calculatePnl.
+ */
+export const importRiskPercent = (
+  { symbol, type, entry, stop, lots, capital },
+  opts = {},
+  catalog = DEFAULT_INSTRUMENTS
+) => {
+  if (!stop || !lots || !capital) return 0;
+  const loss = calculatePnl({ symbol, type, entry, exit: stop, lots, ...opts }, catalog);
+  return Number(((Math.abs(loss) / capital) * 100).toFixed(2));
+};
+
+/**
+ * Valid / Invalid status of an imported trade from the account's trading
+ * rules. Only the trade-level rules apply: the rest of the day or week was
+ * not known when it was traded.
+ */
+export const importStatusFields = (trade, rules = {}) =>
+  tradeStatusFields(collectTradeViolations(trade, rules));
+
+const fetchExistingIds = async (table, ids) => {
+  const existing = new Set();
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const { data, error } = await db
+      .from(table)
+      .select("id")
+      .in("id", ids.slice(i, i + BATCH_SIZE));
+    if (error) throw error;
+    (data || []).forEach((r) => existing.add(r.id));
+  }
+  return existing;
+};
+
+/**
+ * Build preview rows for a parsed statement: DB-ready rows flagged as
+ * duplicate (ticket already imported into this account) or unknown symbol.
+ *
+ * @param {object} parsed - Output of parseMtStatement.
+ * @param {object} ctx
+ * @param {string} ctx.userId
+ * @param {string} ctx.accountId
+ * @param {number} [ctx.capital] - Used for pnl_percent and risk.
+ * @param {string} [ctx.accountType]
+ * @param {Array<object>} [ctx.instruments] - The account's catalog, to price the risk.
+ * @param {Array<string>} [ctx.knownPairs]
+ * @param {object} [ctx.pricing] - { accountCurrency, rates, lotScale }.
+ * @param {object} [ctx.rules] - The account's trading rules, for the status.
+ * @param {Object<string, string>} [ctx.brokerAliases] - Broker symbol names of the account's broker profile.
+ * @param {Array<object>} [ctx.customSessions] - Custom sessions (Settings → Sessions) to detect.
+ * @returns {Promise<{trades: Array<object>, transactions: Array<object>}>}
+ */
+export async function buildImportPreview(
+  parsed,
+  {
+    userId,
+    accountId,
+    capital = 0,
+    accountType = "Standard",
+    instruments = DEFAULT_INSTRUMENTS,
+    knownPairs = instrumentSymbols(instruments),
+    pricing = {},
+    rules = {},
+    brokerAliases = {},
+    customSessions = [],
+  }
+) {
+  const source = parsed.platform;
+
+  const trades = parsed.trades.map((t) => {
+    const pair = matchSymbol(t.symbol, knownPairs, brokerAliases);
+    const net = t.profit + t.commission + t.swap + t.fees;
+    const slDist = t.sl ? Math.abs(t.openPrice - t.sl) : 0;
+    const tpDist = t.tp ? Math.abs(t.tp - t.openPrice) : 0;
+    const tradeTime = toTimeString(t.openTime);
+
+    const trade = {
+      id: importRowId(accountId, "trade", t.ticket),
+      ticket: t.ticket,
+      pair: pair || t.symbol,
+      type: t.side,
+      tradeTime,
+      entryDate: t.openTime,
+      entryPrice: t.openPrice,
+      stopLoss: t.sl,
+      takeProfit: t.tp,
+      risk: importRiskPercent(
+        { symbol: pair, type: t.side, entry: t.openPrice, stop: t.sl, lots: t.lots, capital },
+        { accountType, ...pricing },
+        instruments
+      ),
+      lotSize: t.lots,
+      exitDate: t.closeTime,
+      exitPrice: t.closePrice,
+      pnlCurrency: Number(net.toFixed(2)),
+      pnlPercent: capital ? Number(((net / capital) * 100).toFixed(2)) : null,
+      commission: t.commission,
+      swap: t.swap,
+      fees: t.fees,
+      ratio: slDist && tpDist ? Number((tpDist / slDist).toFixed(2)) : null,
+      state: "Closed",
+      session: t.openTime ? getSessionAt(t.openTime, { custom: customSessions }) : "",
+      note: `Imported from ${source} statement`,
+    };
+    const row = normalizeTradeForDB(
+      { ...trade, ...importStatusFields(trade, rules) },
+      userId,
+      accountId
+    );
+
+    return { key: `trade:${t.ticket}`, ticket: t.ticket, symbol: t.symbol, unknownSymbol: !pair, row };
+  });
+
+  const transactions = parsed.transactions.map((tx) => ({
+    key: `transaction:${tx.ticket}`,
+    ticket: tx.ticket,
+    row: {
+      id: importRowId(accountId, "transaction", tx.ticket),
+      account_id: accountId,
+      user_id: userId,
+      type: tx.type,
+      amount: tx.amount,
+      date: tx.day || dayjs().format("YYYY-MM-DD"),
+      description: `${tx.comment || tx.type} (${source} #${tx.ticket})`,
+      created_at: new Date().toISOString(),
+    },
+  }));
+
+  const [existingTrades, existingTx] = await Promise.all([
+    fetchExistingIds("trades", trades.map((t) => t.row.id)),
+    fetchExistingIds("transactions", transactions.map((t) => t.row.id)),
+  ]);
+
+  return {
+    trades: trades.map((t) => ({ ...t, duplicate: existingTrades.has(t.row.id) })),
+    transactions: transactions.map((t) => ({ ...t, duplicate: existingTx.has(t.row.id) })),
+  };
+}
+
+// ------------------------------
+// Commit
+// ------------------------------
+// Rows go through the sync outbox like a manual save, so an import made
+// offline is queued and a re-imported row edited elsewhere surfaces as a sync
+// conflict. All rows are queued first and the outbox replayed once. Returns
+// the outbox status per row.
+const writeRows = async (table, rows) => {
+  const results = await writeManyThroughOutbox(
+    rows.map((row) => ({ table, op: "upsert", row }))
+  );
+  return results.map((r) => r.status);
+};
+
+/**
+ * Write the selected preview rows. Optionally applies the net of the
+ * imported deposits/withdrawals to the account's capital, the same way a
+ * manual deposit in Account Manager does; only operations the server took
+ * right away count, since queued ones may still conflict or be rejected.
+ *
+ * @returns {Promise<{trades: number, transactions: number, queued: number, conflicts: number, rejected: number, capitalDelta: number, unappliedTransactions: number}>}
+ */
+export async function commitStatementImport({ accountId, trades = [], transactions = [], applyToCapital = false }) {
+  const tradeStatuses = await writeRows("trades", trades);
+  const txStatuses = await writeRows("transactions", transactions);
+  const count = (status) => [...tradeStatuses, ...txStatuses].filter((s) => s === status).length;
+
+  const synced = transactions.filter((_, i) => txStatuses[i] === "synced");
+  let capitalDelta = 0;
+  if (applyToCapital && synced.length) {
+    const net = synced.reduce(
+      (sum, tx) => sum + (tx.type === "Deposit" ? tx.amount : -tx.amount),
+      0
+    );
+
+    const { data: account, error: accErr } = await db
+      .from("account")
+      .select("capital, profit")
+      .eq("id", accountId)
+      .single();
+    if (accErr) throw accErr;
+
+    const newCapital = (account?.capital || 0) + net;
+    const { error: updErr } = await db
+      .from("account")
+      .update({
+        capital: newCapital,
+        equity: newCapital + (account?.profit || 0),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", accountId);
+    if (updErr) throw updErr;
+    capitalDelta = net;
+  }
+
+  return {
+    trades: trades.length,
+    transactions: transactions.length,
+    queued: count("queued"),
+    conflicts: count("conflict"),
+    rejected: count("rejected"),
+    capitalDelta,
+    unappliedTransactions: applyToCapital ? transactions.length - synced.length : 0,
+  };
+}
@@ -1,5 +1,5 @@
 // src/services/persistence.js
-import { supabase } from '../components/supabaseClient';
+import { db } from './storage';
 
 /**
  * Persist trading journal to `trading_journals`.
@@ -26,7 +26,7 @@ export async function persistJournal(
   };
 
   try {
-    const { data, error } = await supabase.from('trading_journals').upsert(payload).select();
+    const { data, error } = await db.from('trading_journals').upsert(payload).select();
     if (error) throw error;
     return data?.[0] ?? null;
   } catch (err) {
@@ -42,7 +42,7 @@ export async function persistJournal(
 export async function loadJournalFromSupabase(userId, accountId) {
   if (!userId || !accountId) return null;
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('trading_journals')
       .select('*')
       .eq('user_id', userId)
@@ -62,7 +62,7 @@ export async function loadJournalFromSupabase(userId, accountId) {
 export async function persistAccountState(accountId, accountData = {}) {
   if (!accountId) return null;
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from('accounts')
       .update(accountData)
       .eq('id', accountId)
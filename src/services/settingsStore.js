@@ -0,0 +1,96 @@
+// src/services/settingsStore.js
+// Per-user key/value settings (import profiles, catalogs, rule sets...).
+// Rows live in the `user_settings` table so they follow the user across
+// devices; a localStorage copy makes reads instant and works offline.
+import { v5 as uuidv5 } from "uuid";
+import { db } from "./storage";
+
+const TABLE = "user_settings";
+const SETTINGS_NAMESPACE = "b3a0f5e2-7c4d-4e8a-9f61-0d2c5a7e9b31";
+
+const listeners = new Set();
+
+const cacheKey = (userId, key) => `setting:${userId || "anon"}:${key}`;
+
+/** Stable row id so a (user, key) pair is always the same row. */
+const settingRowId = (userId, key) => uuidv5(`${userId}:${key}`, SETTINGS_NAMESPACE);
+
+const writeCache = (userId, key, value) => {
+  try {
+    localStorage.setItem(cacheKey(userId, key), JSON.stringify(value));
+  } catch (err) {
+    console.warn("[settingsStore] cache write failed:", err);
+  }
+};
+
+/**
+ * Synchronous read of the last known value.
+ */
+export function readCachedSetting(userId, key, fallback = null) {
+  try {
+    const raw = localStorage.getItem(cacheKey(userId, key));
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Fetch a setting from the backend (falls back to the cached value offline).
+ * @returns {Promise<any>}
+ */
+export async function loadSetting(userId, key, fallback = null) {
+  if (!userId) return readCachedSetting(userId, key, fallback);
+
+  const { data, error } = await db
+    .from(TABLE)
+    .select("value")
+    .eq("id", settingRowId(userId, key))
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`[settingsStore] load "${key}" failed, using cache:`, error.message);
+    return readCachedSetting(userId, key, fallback);
+  }
+  if (!data) return readCachedSetting(userId, key, fallback);
+
+  writeCache(userId, key, data.value);
+  return data.value;
+}
+
+/**
+ * Save a setting. The cache is updated first so the UI never waits on the network.
+ * @returns {Promise<{error: object | null}>}
+ */
+export async function saveSetting(userId, key, value) {
+  writeCache(userId, key, value);
+  listeners.forEach((fn) => fn(userId, key, value));
+
+  if (!userId) return { error: null };
+
+  const { error } = await db.from(TABLE).upsert(
+    [
+      {
+        id: settingRowId(userId, key),
+        user_id: userId,
+        key,
+        value,
+        updated_at: new Date().toISOString(),
+      },
+    ],
+    { onConflict: "id" }
+  );
+
+  if (error) console.error(`[settingsStore] save "${key}" failed:`, error.message);
+  return { error: error ?? null };
+}
+
+/**
+ * Listen for saves made anywhere in the app.
+ * @param {Function} listener - `(userId, key, value) => void`
+ * @returns {Function} unsubscribe
+ */
+export function subscribeSettings(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,74 @@
+// src/services/storage/index.js
+// Storage repository entry point. Import `db` instead of the Supabase client:
+// it forwards `from(...)` and `auth` to whichever backend the user picked at
+// login — the hosted Supabase project or the on-device journal.
+import { supabase } from "../../components/supabaseClient";
+import { createLocalClient } from "./localClient";
+import { createIndexedDbDriver } from "./indexedDbDriver";
+import { createSqliteDriver } from "./sqliteDriver";
+
+export const STORAGE_BACKENDS = {
+  SUPABASE: "supabase",
+  LOCAL: "local",
+};
+
+const BACKEND_KEY = "storageBackend";
+
+/** True when running inside the Tauri desktop shell. */
+export const isTauri = () =>
+  typeof window !== "undefined" && !!window.__TAURI_INTERNALS__;
+
+let localClient = null;
+const getLocalClient = () => {
+  if (!localClient) {
+    localClient = createLocalClient(
+      isTauri() ? createSqliteDriver() : createIndexedDbDriver()
+    );
+  }
+  return localClient;
+};
+
+/** Whether the hosted backend is configured for this build. */
+export const isSupabaseAvailable = () => !!supabase;
+
+/**
+ * The backend chosen at login ("supabase" | "local").
+ * Falls back to local when no Supabase project is configured.
+ */
+export function getStorageBackend() {
+  const stored = localStorage.getItem(BACKEND_KEY);
+  if (stored === STORAGE_BACKENDS.LOCAL || !isSupabaseAvailable()) {
+    return STORAGE_BACKENDS.LOCAL;
+  }
+  return STORAGE_BACKENDS.SUPABASE;
+}
+
+/** Persist the backend choice. Takes effect on the next `db` call. */
+export function setStorageBackend(backend) {
+  if (!Object.values(STORAGE_BACKENDS).includes(backend)) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+  localStorage.setItem(BACKEND_KEY, backend);
+}
+
+const activeClient = () =>
+  getStorageBackend() === STORAGE_BACKENDS.LOCAL ? getLocalClient() : supabase;
+
+/**
+ * Backend-agnostic client with the Supabase surface the app relies on.
+ */
+export const db = {
+  from: (table) => activeClient().from(table),
+  get auth() {
+    return activeClient().auth;
+  },
+};
+
+/**
+ * Open the on-device journal and sign in as the local profile.
+ * @returns {Promise<{data: object | null, error: object | null}>}
+ */
+export async function signInLocally() {
+  setStorageBackend(STORAGE_BACKENDS.LOCAL);
+  return getLocalClient().auth.signIn();
+}
@@ -0,0 +1,73 @@
+// src/services/storage/indexedDbDriver.js
+// Browser driver for the local client. Every table lives in one object store
+// keyed by [table, id], so adding a table never needs a schema upgrade.
+
+const DB_NAME = "trade-journal";
+const DB_VERSION = 1;
+const STORE = "rows";
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Create an IndexedDB-backed driver.
+ * @returns {{getAll: Function, putMany: Function, deleteMany: Function}}
+ */
+export function createIndexedDbDriver() {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, {
+          keyPath: ["table", "id"],
+        });
+        store.createIndex("by_table", "table");
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await open();
+    const tx = db.transaction(STORE, mode);
+    const result = fn(tx.objectStore(STORE));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  };
+
+  return {
+    async getAll(table) {
+      const db = await open();
+      const index = db
+        .transaction(STORE, "readonly")
+        .objectStore(STORE)
+        .index("by_table");
+      const records = await promisify(index.getAll(table));
+      return records.map((r) => r.data);
+    },
+
+    async putMany(table, rows) {
+      if (!rows.length) return;
+      await withStore("readwrite", (store) => {
+        rows.forEach((row) => store.put({ table, id: row.id, data: row }));
+      });
+    },
+
+    async deleteMany(table, ids) {
+      if (!ids.length) return;
+      await withStore("readwrite", (store) => {
+        ids.forEach((id) => store.delete([table, id]));
+      });
+    },
+  };
+}
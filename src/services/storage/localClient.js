@@ -0,0 +1,323 @@
+// src/services/storage/localClient.js
+// A Supabase-shaped client that keeps every table on this device.
+// Components call `from(table).select().eq()...` exactly like they would on
+// the hosted client, so they never need to know which backend is active.
+import { v4 as uuidv4 } from "uuid";
+
+const LOCAL_USER_KEY = "localUser";
+const LOCAL_SESSION_KEY = "localSessionActive";
+
+/**
+ * Error shape returned by the local client. Mirrors the fields the rest of
+ * the app reads from Supabase errors (`message`, `details`, `hint`, `code`).
+ */
+const localError = (message, code = "LOCAL") => ({
+  message,
+  details: null,
+  hint: null,
+  code,
+});
+
+/**
+ * Chainable query against a local driver. Supports the subset of the
+ * PostgREST builder this app uses: select / insert / upsert / update /
+ * delete, eq / neq / in / gt / gte / lt / lte / is filters, order, limit,
+ * single and maybeSingle. Awaiting the builder resolves `{ data, error }`.
+ */
+class LocalQuery {
+  constructor(driver, table) {
+    this.driver = driver;
+    this.table = table;
+    this.action = "select";
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.returning = false;
+    this.singleMode = null; // "single" | "maybeSingle"
+  }
+
+  // --- Actions ---
+  select() {
+    if (this.action !== "select") this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.payload = [].concat(rows || []);
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = "upsert";
+    this.payload = [].concat(rows || []);
+    this.options = options;
+    return this;
+  }
+
+  update(patch) {
+    this.action = "update";
+    this.payload = patch || {};
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  // --- Filters ---
+  eq(column, value) {
+    this.filters.push((r) => r[column] === value);
+    return this;
+  }
+
+  neq(column, value) {
+    this.filters.push((r) => r[column] !== value);
+    return this;
+  }
+
+  in(column, values = []) {
+    this.filters.push((r) => values.includes(r[column]));
+    return this;
+  }
+
+  gt(column, value) {
+    this.filters.push((r) => r[column] > value);
+    return this;
+  }
+
+  gte(column, value) {
+    this.filters.push((r) => r[column] >= value);
+    return this;
+  }
+
+  lt(column, value) {
+    this.filters.push((r) => r[column] < value);
+    return this;
+  }
+
+  lte(column, value) {
+    this.filters.push((r) => r[column] <= value);
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push((r) => (r[column] ?? null) === value);
+    return this;
+  }
+
+  // --- Modifiers ---
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, dir: ascending ? 1 : -1 });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = "maybeSingle";
+    return this;
+  }
+
+  // Makes the builder awaitable, like the Supabase client.
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  // --- Execution ---
+  matches(row) {
+    return this.filters.every((f) => f(row));
+  }
+
+  sortRows(rows) {
+    if (!this.orders.length) return rows;
+    return [...rows].sort((a, b) => {
+      for (const { column, dir } of this.orders) {
+        const av = a[column] ?? null;
+        const bv = b[column] ?? null;
+        if (av === bv) continue;
+        if (av === null) return 1; // nulls last, like Postgres ASC
+        if (bv === null) return -1;
+        return av < bv ? -dir : dir;
+      }
+      return 0;
+    });
+  }
+
+  shape(rows) {
+    if (this.singleMode === "single") {
+      if (rows.length !== 1) {
+        return {
+          data: null,
+          error: localError(
+            "JSON object requested, multiple (or no) rows returned",
+            "PGRST116"
+          ),
+        };
+      }
+      return { data: rows[0], error: null };
+    }
+    if (this.singleMode === "maybeSingle") {
+      if (rows.length > 1) {
+        return {
+          data: null,
+          error: localError(
+            "JSON object requested, multiple rows returned",
+            "PGRST116"
+          ),
+        };
+      }
+      return { data: rows[0] ?? null, error: null };
+    }
+    return { data: rows, error: null };
+  }
+
+  async execute() {
+    try {
+      const existing = await this.driver.getAll(this.table);
+
+      if (this.action === "select") {
+        let rows = this.sortRows(existing.filter((r) => this.matches(r)));
+        if (this.limitCount != null) rows = rows.slice(0, this.limitCount);
+        return this.shape(rows);
+      }
+
+      if (this.action === "insert" || this.action === "upsert") {
+        const conflictKey = [].concat(this.options.onConflict || "id")[0];
+        const now = new Date().toISOString();
+        const written = this.payload.map((row) => {
+          const current =
+            row[conflictKey] != null
+              ? existing.find((r) => r[conflictKey] === row[conflictKey])
+              : null;
+          if (current && this.action === "insert") {
+            throw localError(
+              `duplicate key value violates unique constraint on "${conflictKey}"`,
+              "23505"
+            );
+          }
+          return {
+            created_at: now,
+            ...(current || {}),
+            ...row,
+            id: row.id ?? current?.id ?? uuidv4(),
+          };
+        });
+        await this.driver.putMany(this.table, written);
+        return this.returning ? this.shape(written) : { data: null, error: null };
+      }
+
+      if (this.action === "update") {
+        const written = existing
+          .filter((r) => this.matches(r))
+          .map((r) => ({ ...r, ...this.payload }));
+        await this.driver.putMany(this.table, written);
+        return this.returning ? this.shape(written) : { data: null, error: null };
+      }
+
+      if (this.action === "delete") {
+        const removed = existing.filter((r) => this.matches(r));
+        await this.driver.deleteMany(
+          this.table,
+          removed.map((r) => r.id)
+        );
+        return this.returning ? this.shape(removed) : { data: null, error: null };
+      }
+
+      return { data: null, error: localError(`Unknown action ${this.action}`) };
+    } catch (err) {
+      if (err?.code) return { data: null, error: err };
+      console.error(`[localClient] ${this.action} on "${this.table}" failed:`, err);
+      return { data: null, error: localError(err?.message || String(err)) };
+    }
+  }
+}
+
+/**
+ * The single on-device profile. Created the first time the local journal is
+ * opened and kept so trades stay attached to the same user id.
+ */
+export function getLocalUser() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LOCAL_USER_KEY));
+    if (stored?.id) return stored;
+  } catch {
+    // fall through and create a fresh profile
+  }
+  const user = {
+    id: uuidv4(),
+    email: "Local journal",
+    created_at: new Date().toISOString(),
+  };
+  localStorage.setItem(LOCAL_USER_KEY, JSON.stringify(user));
+  return user;
+}
+
+/**
+ * Build a local client around a driver exposing
+ * `getAll(table)`, `putMany(table, rows)` and `deleteMany(table, ids)`.
+ */
+export function createLocalClient(driver) {
+  const listeners = new Set();
+
+  const currentSession = () =>
+    localStorage.getItem(LOCAL_SESSION_KEY) === "1"
+      ? { user: getLocalUser() }
+      : null;
+
+  const notify = (event, session) => {
+    listeners.forEach((cb) => {
+      try {
+        cb(event, session);
+      } catch (err) {
+        console.error("[localClient] auth listener failed:", err);
+      }
+    });
+  };
+
+  const auth = {
+    getSession: async () => ({
+      data: { session: currentSession() },
+      error: null,
+    }),
+    getUser: async () => ({
+      data: { user: currentSession()?.user ?? null },
+      error: null,
+    }),
+    signIn: async () => {
+      localStorage.setItem(LOCAL_SESSION_KEY, "1");
+      const session = currentSession();
+      notify("SIGNED_IN", session);
+      return { data: { user: session.user, session }, error: null };
+    },
+    signOut: async () => {
+      localStorage.removeItem(LOCAL_SESSION_KEY);
+      notify("SIGNED_OUT", null);
+      return { error: null };
+    },
+    onAuthStateChange: (callback) => {
+      listeners.add(callback);
+      return {
+        data: {
+          subscription: { unsubscribe: () => listeners.delete(callback) },
+        },
+      };
+    },
+  };
+
+  return {
+    from: (table) => new LocalQuery(driver, table),
+    auth,
+  };
+}
@@ -0,0 +1,435 @@
+// src/services/storage/outbox.js
+// Offline-first write queue. Every create/update/delete is recorded here
+// before it is sent, so a trade is never lost to a dropped connection.
+// Entries are replayed in order when connectivity returns; if the server copy
+// changed since the version we edited (by `updated_at`), the entry is parked
+// as a conflict for the user to resolve. Writes the server refuses (schema,
+// permission or constraint errors) are moved to a failed list instead of
+// blocking the queue; only transport failures are retried.
+//
+// The stores are kept per backend and user, and only the session started
+// with `startOutboxSync` is read or replayed, so a logout, user switch or
+// Local <-> Cloud switch never sends one account's rows to another.
+import { v4 as uuidv4 } from "uuid";
+import { db, getStorageBackend } from "./index";
+
+const OUTBOX_KEY = "syncOutbox";
+const CONFLICTS_KEY = "syncConflicts";
+const FAILED_KEY = "syncFailed";
+const DEFAULT_SYNC_INTERVAL_MS = 1000 * 60; // 1 minute
+
+const listeners = new Set();
+let flushing = null;
+let flushAgain = null;
+let scope = null; // { backend, userId } of the running session
+
+// ------------------------------
+// Persistence helpers
+// ------------------------------
+const storeKey = (base, inScope) =>
+  inScope ? `${base}:${inScope.backend}:${inScope.userId}` : null;
+
+const readList = (base, inScope = scope) => {
+  const key = storeKey(base, inScope);
+  if (!key) return [];
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeList = (base, list, inScope = scope) => {
+  const key = storeKey(base, inScope);
+  if (key) localStorage.setItem(key, JSON.stringify(list));
+};
+
+const isOnline = () =>
+  typeof navigator === "undefined" || navigator.onLine !== false;
+
+const toTime = (v) => (v ? new Date(v).getTime() : 0);
+
+// A dropped connection, timeout or server outage: worth retrying later.
+// Anything else the backend answered with an error code (schema mismatch,
+// RLS denial, constraint violation) fails the same way on every retry.
+const isTransportFailure = (error, status) =>
+  !isOnline() ||
+  !error?.code ||
+  status === 0 ||
+  status === 408 ||
+  status === 429 ||
+  status >= 500;
+
+const emit = (event = null) => {
+  const state = getOutboxState();
+  listeners.forEach((fn) => {
+    try {
+      fn(state, event);
+    } catch (err) {
+      console.error("[outbox] listener failed:", err);
+    }
+  });
+};
+
+/**
+ * Current queue snapshot.
+ * @returns {{pending: Array<object>, conflicts: Array<object>, failed: Array<object>}}
+ */
+export function getOutboxState() {
+  return {
+    pending: readList(OUTBOX_KEY),
+    conflicts: readList(CONFLICTS_KEY),
+    failed: readList(FAILED_KEY),
+  };
+}
+
+/**
+ * Listen for queue changes. The listener receives `(state, event)` where
+ * event is `{ type: "synced" | "queued" | "conflict" | "rejected" | "retried" | "discarded" | "resolved", ... }`.
+ * @returns {Function} unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// ------------------------------
+// Queueing
+// ------------------------------
+
+/**
+ * Record a write in the outbox. Pending writes for the same row are
+ * coalesced: the newest row wins, but the original `baseUpdatedAt` (the
+ * server version the edits started from) is kept for conflict detection.
+ *
+ * @param {object} write
+ * @param {string} write.table - Table name, e.g. "trades".
+ * @param {"upsert"|"delete"} write.op
+ * @param {object} write.row - Full DB row for upserts, at least `{ id }` for deletes.
+ * @param {string|null} [write.baseUpdatedAt] - `updated_at` of the server copy we edited.
+ * @returns {object} The queued entry.
+ */
+export function enqueueWrite(write) {
+  return enqueueWrites([write])[0];
+}
+
+/**
+ * Record several writes at once (e.g. an import), reading and saving the
+ * queue a single time. Same coalescing as enqueueWrite.
+ * @param {Array<object>} writes - As for enqueueWrite.
+ * @returns {Array<object>} The queued entries, in order.
+ */
+export function enqueueWrites(writes) {
+  if (!scope) throw new Error("No signed-in session to queue the write for");
+  if (writes.some((w) => !w.row?.id)) throw new Error("enqueueWrite requires a row with an id");
+
+  let pending = readList(OUTBOX_KEY);
+  const entries = writes.map(({ table, op, row, baseUpdatedAt = null }) => {
+    const previous = pending.find((e) => e.table === table && e.rowId === row.id);
+    const entry = {
+      id: uuidv4(),
+      table,
+      op,
+      rowId: row.id,
+      row,
+      baseUpdatedAt: previous ? previous.baseUpdatedAt : baseUpdatedAt,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+    };
+    pending = [...pending.filter((e) => e !== previous), entry];
+    return entry;
+  });
+
+  writeList(OUTBOX_KEY, pending);
+  emit(entries.length === 1 ? { type: "queued", entry: entries[0] } : { type: "queued", entries });
+  return entries;
+}
+
+/**
+ * Overlay queued writes onto rows fetched from the server, so changes made
+ * offline survive a reload before they are synced.
+ * @param {string} table
+ * @param {Array<object>} rows - Rows as returned by the server.
+ * @param {Function} [filter] - Only pending upserts passing this are added (e.g. same account).
+ * @returns {Array<object>}
+ */
+export function applyPendingWrites(table, rows, filter = () => true) {
+  let result = [...(rows || [])];
+  readList(OUTBOX_KEY)
+    .filter((e) => e.table === table)
+    .forEach((entry) => {
+      result = result.filter((r) => r.id !== entry.rowId);
+      if (entry.op === "upsert" && filter(entry.row)) result.push(entry.row);
+    });
+  return result;
+}
+
+// ------------------------------
+// Replay
+// ------------------------------
+// Owner columns a delete carries along with the id, so it can only ever
+// touch the row in the account it was queued for.
+const SCOPE_COLUMNS = ["user_id", "account_id"];
+
+const scopedQuery = (query, entry) =>
+  SCOPE_COLUMNS.reduce(
+    (q, col) => (entry.op === "delete" && entry.row?.[col] ? q.eq(col, entry.row[col]) : q),
+    query.eq("id", entry.rowId)
+  );
+
+const pushEntry = async (entry) => {
+  if (entry.op === "delete") {
+    return scopedQuery(db.from(entry.table).delete(), entry);
+  }
+  return db.from(entry.table).upsert([entry.row], { onConflict: "id" });
+};
+
+const replayEntry = async (entry) => {
+  // Compare against the server copy before overwriting it.
+  const { data: remote, error: fetchError, status: fetchStatus } = await scopedQuery(
+    db.from(entry.table).select("*"),
+    entry
+  ).maybeSingle();
+
+  if (fetchError) return { status: "failed", error: fetchError, httpStatus: fetchStatus };
+
+  // An earlier push landed but its response was lost: the server already
+  // holds this very version, so there is nothing to conflict with.
+  if (
+    entry.op === "upsert" &&
+    remote &&
+    entry.row?.updated_at &&
+    toTime(remote.updated_at) === toTime(entry.row.updated_at)
+  ) {
+    return { status: "synced" };
+  }
+
+  const remoteChanged =
+    remote && toTime(remote.updated_at) > toTime(entry.baseUpdatedAt);
+
+  if (remoteChanged) return { status: "conflict", remote };
+
+  const { error, status } = await pushEntry(entry);
+  if (error) return { status: "failed", error, httpStatus: status };
+  return { status: "synced" };
+};
+
+/**
+ * Replay queued writes in order. Stops at the first transport failure so
+ * later edits never overtake earlier ones; a write the server rejects is
+ * moved to the failed list and the replay carries on. Called while a replay is
+ * running, it runs once more after it: the running pass only sees the
+ * entries queued before it started.
+ * @returns {Promise<{pending: Array<object>, conflicts: Array<object>, failed: Array<object>}>}
+ */
+export function flushOutbox() {
+  if (flushing) {
+    flushAgain =
+      flushAgain ||
+      flushing.then(() => {
+        flushAgain = null;
+        return flushOutbox();
+      });
+    return flushAgain;
+  }
+
+  // Pin the session for the whole pass: entries read from one user's
+  // queue are only ever written back to it, even if the user signs out
+  // while a request is in flight.
+  const runScope = scope;
+
+  // Cleared once the pass settles, never from inside it: a pass with nothing
+  // to send finishes synchronously, before `flushing` is even assigned.
+  flushing = (async () => {
+    if (!isOnline() || !runScope || getStorageBackend() !== runScope.backend) {
+      return getOutboxState();
+    }
+
+    for (const entry of readList(OUTBOX_KEY, runScope)) {
+      const result = await replayEntry(entry);
+
+      if (result.status === "failed" && !isTransportFailure(result.error, result.httpStatus)) {
+        const failure = {
+          id: entry.id,
+          table: entry.table,
+          rowId: entry.rowId,
+          op: entry.op,
+          row: entry.row,
+          baseUpdatedAt: entry.baseUpdatedAt,
+          error: { message: result.error.message, code: result.error.code },
+          failedAt: new Date().toISOString(),
+        };
+        writeList(OUTBOX_KEY, readList(OUTBOX_KEY, runScope).filter((e) => e.id !== entry.id), runScope);
+        writeList(
+          FAILED_KEY,
+          [...readList(FAILED_KEY, runScope).filter((f) => f.rowId !== entry.rowId), failure],
+          runScope
+        );
+        emit({ type: "rejected", failure });
+        continue;
+      }
+
+      if (result.status === "failed") {
+        console.warn("[outbox] replay failed, will retry:", result.error?.message || result.error);
+        writeList(
+          OUTBOX_KEY,
+          readList(OUTBOX_KEY, runScope).map((e) =>
+            e.id === entry.id ? { ...e, attempts: e.attempts + 1 } : e
+          ),
+          runScope
+        );
+        break;
+      }
+
+      writeList(
+        OUTBOX_KEY,
+        readList(OUTBOX_KEY, runScope).filter((e) => e.id !== entry.id),
+        runScope
+      );
+
+      if (result.status === "conflict") {
+        const conflict = {
+          id: entry.id,
+          table: entry.table,
+          rowId: entry.rowId,
+          op: entry.op,
+          local: entry.row,
+          remote: result.remote,
+          detectedAt: new Date().toISOString(),
+        };
+        writeList(
+          CONFLICTS_KEY,
+          [...readList(CONFLICTS_KEY, runScope).filter((c) => c.rowId !== entry.rowId), conflict],
+          runScope
+        );
+        emit({ type: "conflict", conflict });
+      } else {
+        emit({ type: "synced", entry });
+      }
+    }
+    return getOutboxState();
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+}
+
+/**
+ * Queue a write and try to send it right away. "queued" means it will be
+ * retried; "rejected" means the server refused it (see the failed list).
+ * @returns {Promise<{status: "synced" | "queued" | "conflict" | "rejected", error?: object}>}
+ */
+export async function writeThroughOutbox(write) {
+  const [result] = await writeManyThroughOutbox([write]);
+  return result;
+}
+
+/**
+ * Queue several writes, then replay the outbox once for all of them.
+ * @returns {Promise<Array<{status: "synced" | "queued" | "conflict" | "rejected", error?: object}>>}
+ *   One result per write, in order.
+ */
+export async function writeManyThroughOutbox(writes) {
+  if (!writes.length) return [];
+  const entries = enqueueWrites(writes);
+  const state = await flushOutbox();
+
+  return entries.map((entry) => {
+    const failure = state.failed.find((f) => f.id === entry.id);
+    if (failure) return { status: "rejected", error: failure.error };
+    if (state.conflicts.some((c) => c.id === entry.id)) return { status: "conflict" };
+    if (state.pending.some((e) => e.id === entry.id)) return { status: "queued" };
+    return { status: "synced" };
+  });
+}
+
+/**
+ * Settle a conflict by keeping either this device's version or the server's.
+ * @param {string} conflictId
+ * @param {"local"|"remote"} keep
+ * @returns {Promise<{error: object | null}>}
+ */
+export async function resolveConflict(conflictId, keep) {
+  const conflict = readList(CONFLICTS_KEY).find((c) => c.id === conflictId);
+  if (!conflict) return { error: null };
+
+  if (keep === "local") {
+    // Re-queue on top of the server version we just looked at.
+    enqueueWrite({
+      table: conflict.table,
+      op: conflict.op,
+      row:
+        conflict.op === "delete"
+          ? conflict.local
+          : { ...conflict.local, updated_at: new Date().toISOString() },
+      baseUpdatedAt: conflict.remote?.updated_at ?? null,
+    });
+  }
+
+  writeList(
+    CONFLICTS_KEY,
+    readList(CONFLICTS_KEY).filter((c) => c.id !== conflictId)
+  );
+  emit({ type: "resolved", conflict, keep });
+
+  if (keep === "local") await flushOutbox();
+  return { error: null };
+}
+
+/**
+ * Put a rejected write back on the queue (e.g. after applying a missing
+ * migration) and try it again.
+ * @returns {Promise<{pending: Array<object>, conflicts: Array<object>, failed: Array<object>}>}
+ */
+export async function retryFailedWrite(failureId) {
+  const failure = readList(FAILED_KEY).find((f) => f.id === failureId);
+  if (!failure) return getOutboxState();
+  writeList(FAILED_KEY, readList(FAILED_KEY).filter((f) => f.id !== failureId));
+  enqueueWrite({
+    table: failure.table,
+    op: failure.op,
+    row: failure.row,
+    baseUpdatedAt: failure.baseUpdatedAt,
+  });
+  const state = await flushOutbox();
+  emit({ type: "retried", failure });
+  return state;
+}
+
+/**
+ * Drop a rejected write for good; the server copy stays as it is.
+ */
+export function discardFailedWrite(failureId) {
+  const failure = readList(FAILED_KEY).find((f) => f.id === failureId);
+  writeList(FAILED_KEY, readList(FAILED_KEY).filter((f) => f.id !== failureId));
+  if (failure) emit({ type: "discarded", failure });
+}
+
+/**
+ * Replay the outbox whenever the browser comes back online, and on a timer
+ * as a safety net. Call once after login with the signed-in user; only that
+ * user's queue on the current backend is shown and replayed until `stop`.
+ * @returns {Function} stop
+ */
+export function startOutboxSync({ userId, intervalMs = DEFAULT_SYNC_INTERVAL_MS }) {
+  const session = { backend: getStorageBackend(), userId };
+  scope = session;
+  emit();
+
+  const onOnline = () => flushOutbox();
+  window.addEventListener("online", onOnline);
+  const timer = setInterval(() => {
+    if (readList(OUTBOX_KEY).length) flushOutbox();
+  }, intervalMs);
+  flushOutbox();
+
+  return () => {
+    window.removeEventListener("online", onOnline);
+    clearInterval(timer);
+    if (scope === session) {
+      scope = null;
+      emit();
+    }
+  };
+}
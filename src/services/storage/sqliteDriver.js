@@ -0,0 +1,63 @@
+// src/services/storage/sqliteDriver.js
+// Desktop (Tauri) driver for the local client. Rows are stored as JSON
+// documents in a single SQLite table inside the app data directory.
+
+const DB_URL = "sqlite:trade-journal.db";
+
+/**
+ * Create a SQLite-backed driver using @tauri-apps/plugin-sql.
+ * The plugin is imported lazily so the web build never loads it.
+ * @returns {{getAll: Function, putMany: Function, deleteMany: Function}}
+ */
+export function createSqliteDriver() {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = (async () => {
+        const { default: Database } = await import("@tauri-apps/plugin-sql");
+        const db = await Database.load(DB_URL);
+        await db.execute(
+          `CREATE TABLE IF NOT EXISTS rows (
+             tbl  TEXT NOT NULL,
+             id   TEXT NOT NULL,
+             data TEXT NOT NULL,
+             PRIMARY KEY (tbl, id)
+           )`
+        );
+        return db;
+      })();
+    }
+    return dbPromise;
+  };
+
+  return {
+    async getAll(table) {
+      const db = await open();
+      const records = await db.select("SELECT data FROM rows WHERE tbl = $1", [
+        table,
+      ]);
+      return records.map((r) => JSON.parse(r.data));
+    },
+
+    async putMany(table, rows) {
+      const db = await open();
+      for (const row of rows) {
+        await db.execute(
+          "INSERT OR REPLACE INTO rows (tbl, id, data) VALUES ($1, $2, $3)",
+          [table, String(row.id), JSON.stringify(row)]
+        );
+      }
+    },
+
+    async deleteMany(table, ids) {
+      const db = await open();
+      for (const id of ids) {
+        await db.execute("DELETE FROM rows WHERE tbl = $1 AND id = $2", [
+          table,
+          String(id),
+        ]);
+      }
+    },
+  };
+}
@@ -0,0 +1,113 @@
+// src/utils/brokerProfiles.js
+// Broker contract specifications. A profile overrides the instrument catalog
+// for one broker (contract sizes, lot steps, symbol names) and carries its
+// lot scale per account type, commission and swap rates. Accounts link to a
+// profile through `account.broker_profile_id`.
+import { v4 as uuidv4 } from "uuid";
+import { DEFAULT_LOT_SCALE } from "./instruments";
+
+// Catalog fields a broker may override per symbol
+export const BROKER_SYMBOL_FIELDS = ["contractSize", "minLot", "lotStep"];
+
+/**
+ * A new profile with no overrides (behaves like the plain catalog).
+ */
+export const createBrokerProfile = (name = "") => ({
+  id: uuidv4(),
+  name,
+  symbolSuffix: "",
+  lotScale: { ...DEFAULT_LOT_SCALE },
+  commissionPerLot: 0,
+  symbols: {},
+});
+
+export const findBrokerProfile = (profiles, id) =>
+  (id && Array.isArray(profiles) && profiles.find((p) => p.id === id)) || null;
+
+/**
+ * The instrument catalog as this broker specifies it.
+ */
+export function applyBrokerProfile(catalog, profile) {
+  if (!profile?.symbols) return catalog;
+  return catalog.map((inst) => {
+    const spec = profile.symbols[inst.symbol];
+    if (!spec) return inst;
+    const next = { ...inst };
+    BROKER_SYMBOL_FIELDS.forEach((f) => {
+      if (Number(spec[f]) > 0) next[f] = Number(spec[f]);
+    });
+    return next;
+  });
+}
+
+/**
+ * Pricing options for instruments.js calculators: account currency, FX
+ * rates and the broker's lot scale.
+ */
+export const brokerPricing = (profile, accountCurrency, rates) => ({
+  accountCurrency,
+  rates,
+  lotScale: profile?.lotScale || DEFAULT_LOT_SCALE,
+});
+
+/**
+ * Broker symbol names → catalog symbols, for matching imported rows.
+ * Includes explicit names ("GOLD") and catalog symbols with the profile
+ * suffix ("EURUSD.m"). Keys are upper-case with punctuation removed.
+ */
+export function brokerSymbolAliases(profile, catalog) {
+  const aliases = {};
+  if (!profile) return aliases;
+  const compact = (s) => String(s || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+  catalog.forEach(({ symbol }) => {
+    if (profile.symbolSuffix) aliases[compact(symbol + profile.symbolSuffix)] = symbol;
+    const brokerSymbol = profile.symbols?.[symbol]?.brokerSymbol;
+    if (brokerSymbol) aliases[compact(brokerSymbol)] = symbol;
+  });
+  return aliases;
+}
+
+/**
+ * Name of a catalog symbol on this broker's platform.
+ */
+export function toBrokerSymbol(profile, symbol) {
+  const explicit = profile?.symbols?.[symbol]?.brokerSymbol;
+  if (explicit) return explicit;
+  return `${String(symbol).replace("/", "")}${profile?.symbolSuffix || ""}`;
+}
+
+// Rollovers between two dates; Wednesday's rollover is charged triple
+const countSwapNights = (entryDate, exitDate) => {
+  if (!entryDate || !exitDate) return 0;
+  const day = (d) => {
+    const x = new Date(d);
+    return Date.UTC(x.getUTCFullYear(), x.getUTCMonth(), x.getUTCDate());
+  };
+  let nights = 0;
+  for (let t = day(entryDate); t < day(exitDate); t += 86400000) {
+    const weekday = new Date(t).getUTCDay();
+    if (weekday === 3) nights += 3;
+    else if (weekday !== 0 && weekday !== 6) nights += 1;
+  }
+  return nights;
+};
+
+/**
+ * Estimated commission (round turn) and swap for a position, in the account
+ * currency. Costs are negative, matching `trades.commission` / `trades.swap`.
+ */
+export function estimateTradeCosts(profile, { symbol, type, lots, entryDate, exitDate }) {
+  if (!profile) return { commission: 0, swap: 0 };
+  const size = Number(lots) || 0;
+  const commission = -(Number(profile.commissionPerLot) || 0) * size;
+
+  const spec = profile.symbols?.[symbol] || {};
+  const swapRate = Number(type === "short" ? spec.swapShort : spec.swapLong) || 0;
+  const swap = swapRate * size * countSwapNights(entryDate, exitDate);
+
+  return {
+    commission: Number(commission.toFixed(2)),
+    swap: Number(swap.toFixed(2)),
+  };
+}
@@ -0,0 +1,219 @@
+// src/utils/challenge.js
+// Prop-firm challenge rules for an account, stored on the account row as
+// `challenge` (the profit target stays in `target`). Progress is measured on
+// realized trades: the balance is the net deposits plus the net PnL of the
+// trades closed since the phase started. Days (daily loss, trading days, the
+// phase start) are counted in the broker's server time zone when one is set,
+// since that is when prop firms reset the daily loss, else in the local zone.
+// Dates saved without a time (UTC midnight from the close form) keep their
+// own day in every zone, as in the PnL calendar.
+import { dayInTimeZone } from "./dateUtils";
+
+export const CHALLENGE_PHASES = [
+  { value: "phase1", label: "Phase 1" },
+  { value: "phase2", label: "Phase 2" },
+  { value: "funded", label: "Funded" },
+];
+
+export const DRAWDOWN_MODES = [
+  { value: "static", label: "Static (from starting balance)" },
+  { value: "trailing", label: "Trailing (from balance high)" },
+];
+
+export const DEFAULT_CHALLENGE = {
+  phase: "phase1",
+  maxDailyLossPercent: 5,
+  maxDrawdownPercent: 10,
+  drawdownMode: "static",
+  minTradingDays: null,
+  timeLimitDays: null,
+  startDate: null,
+  startingBalance: null,
+  timeZone: "",
+};
+
+const toNumberOrNull = (v) =>
+  v === "" || v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number(v);
+
+// The stored `challenge` object (JSON text in older rows), or null
+const savedChallenge = (account) => {
+  let saved = account?.challenge || null;
+  if (typeof saved === "string") {
+    try {
+      saved = JSON.parse(saved);
+    } catch {
+      saved = null;
+    }
+  }
+  return saved && typeof saved === "object" ? saved : null;
+};
+
+/**
+ * True when the account has challenge rules saved. Accounts from before
+ * challenges (plan "Target" without rules) only get them once edited and
+ * saved in the account form.
+ */
+export const isChallengeAccount = (account) => !!savedChallenge(account);
+
+/**
+ * The account's challenge rules over the defaults. `profitTargetPercent`
+ * comes from the account's `target` and is ignored once funded; the phase
+ * starts when the account was created unless `startDate` is set.
+ */
+export function challengeFromAccount(account) {
+  const c = { ...DEFAULT_CHALLENGE, ...(savedChallenge(account) || {}) };
+  return {
+    phase: CHALLENGE_PHASES.some((p) => p.value === c.phase) ? c.phase : "phase1",
+    profitTargetPercent: c.phase === "funded" ? null : toNumberOrNull(account?.target),
+    maxDailyLossPercent: toNumberOrNull(c.maxDailyLossPercent),
+    maxDrawdownPercent: toNumberOrNull(c.maxDrawdownPercent),
+    drawdownMode: c.drawdownMode === "trailing" ? "trailing" : "static",
+    minTradingDays: toNumberOrNull(c.minTradingDays),
+    timeLimitDays: toNumberOrNull(c.timeLimitDays),
+    startDate: c.startDate || dayInTimeZone(account?.created_at, c.timeZone) || null,
+    startingBalance: toNumberOrNull(c.startingBalance),
+    timeZone: c.timeZone || "",
+  };
+}
+
+const signedAmount = (tx) =>
+  (Number(tx.amount) || 0) * (String(tx.type).toLowerCase() === "withdrawal" ? -1 : 1);
+
+/**
+ * Live status of a challenge.
+ *
+ * @param {object} challenge - From challengeFromAccount().
+ * @param {{ trades: Array<object>, transactions: Array<object>, now?: Date }} data -
+ *   Executed trades (`pnl_currency`, `entry_date`, `exit_date`) and the
+ *   account's deposits / withdrawals.
+ * @returns {{ status: "active"|"passed"|"failed", reasons: string[],
+ *   startingBalance: number, balance: number, profit: number,
+ *   target: object|null, dailyLoss: object|null, drawdown: object|null,
+ *   tradingDays: object, timeLimit: object|null }}
+ *   Each limit reports its `limit` ($ or days), how much is `used` and what
+ *   is `left`.
+ */
+export function evaluateChallenge(challenge, { trades = [], transactions = [], now = new Date() } = {}) {
+  // Same day bucketing as the PnL calendar (date-only values keep their day)
+  const dayOf = (v) => dayInTimeZone(v, challenge.timeZone);
+  const start = challenge.startDate ? dayOf(challenge.startDate) : "";
+  const inPhase = (d) => !!d && (!start || dayOf(d) >= start);
+
+  // Starting balance: as configured, else the net deposits made before the phase
+  const depositsBefore = transactions
+    .filter((tx) => !start || dayOf(tx.date) <= start)
+    .reduce((s, tx) => s + signedAmount(tx), 0);
+  const startingBalance = challenge.startingBalance ?? depositsBefore;
+
+  const closed = trades
+    .filter((t) => inPhase(t.exit_date))
+    .sort((a, b) => new Date(a.exit_date) - new Date(b.exit_date));
+
+  // Walk the closed trades tracking balance, its high and each day's result.
+  // The drawdown floor is the starting balance less the allowance (static),
+  // or the highest balance so far less the same amount (trailing); touching
+  // it at any point fails the challenge.
+  const staticFloor = startingBalance * (1 - (challenge.maxDrawdownPercent ?? 0) / 100);
+  const ddAmount = (startingBalance * (challenge.maxDrawdownPercent ?? 0)) / 100;
+  let balance = startingBalance;
+  let peak = startingBalance;
+  let lowestRoom = Infinity;
+  const byDay = {};
+
+  closed.forEach((t) => {
+    const pnl = Number(t.pnl_currency) || 0;
+    balance += pnl;
+    peak = Math.max(peak, balance);
+    const day = dayOf(t.exit_date);
+    byDay[day] = (byDay[day] || 0) + pnl;
+    const floor = challenge.drawdownMode === "trailing" ? peak - ddAmount : staticFloor;
+    lowestRoom = Math.min(lowestRoom, balance - floor);
+  });
+
+  const profit = balance - startingBalance;
+  const today = dayOf(now);
+  const reasons = [];
+  let failed = false;
+
+  // Profit target
+  let target = null;
+  if (challenge.profitTargetPercent !== null) {
+    const limit = (startingBalance * challenge.profitTargetPercent) / 100;
+    target = { limit, used: profit, left: Math.max(0, limit - profit), reached: profit >= limit };
+  }
+
+  // Daily loss: worst closed-trade day against the starting balance
+  let dailyLoss = null;
+  if (challenge.maxDailyLossPercent !== null) {
+    const limit = (startingBalance * challenge.maxDailyLossPercent) / 100;
+    const worstDay = Object.entries(byDay).reduce(
+      (w, [day, pnl]) => (pnl < w.pnl ? { day, pnl } : w),
+      { day: null, pnl: 0 }
+    );
+    const usedToday = Math.max(0, -(byDay[today] || 0));
+    const breached = -worstDay.pnl >= limit && limit > 0;
+    if (breached) {
+      failed = true;
+      reasons.push(`Daily loss limit hit on ${worstDay.day}`);
+    }
+    dailyLoss = { limit, used: usedToday, left: Math.max(0, limit - usedToday), worstDay, breached };
+  }
+
+  // Overall drawdown
+  let drawdown = null;
+  if (challenge.maxDrawdownPercent !== null) {
+    const floor = challenge.drawdownMode === "trailing" ? peak - ddAmount : staticFloor;
+    const breached = closed.length > 0 && lowestRoom <= 0 && ddAmount > 0;
+    if (breached) {
+      failed = true;
+      reasons.push(`Max ${challenge.drawdownMode} drawdown breached`);
+    }
+    drawdown = {
+      limit: ddAmount,
+      floor,
+      used: Math.max(0, ddAmount - (balance - floor)),
+      left: Math.max(0, balance - floor),
+      mode: challenge.drawdownMode,
+      breached,
+    };
+  }
+
+  // Trading days: distinct entry days since the phase started
+  const days = new Set(trades.filter((t) => inPhase(t.entry_date)).map((t) => dayOf(t.entry_date)));
+  const tradingDays = {
+    limit: challenge.minTradingDays,
+    used: days.size,
+    left: challenge.minTradingDays === null ? 0 : Math.max(0, challenge.minTradingDays - days.size),
+  };
+
+  // Time limit
+  let timeLimit = null;
+  if (challenge.timeLimitDays !== null && start) {
+    const elapsed = Math.floor((new Date(today) - new Date(start)) / 86400000);
+    timeLimit = {
+      limit: challenge.timeLimitDays,
+      used: elapsed,
+      left: Math.max(0, challenge.timeLimitDays - elapsed),
+    };
+  }
+
+  const passed = !failed && !!target?.reached && tradingDays.left === 0;
+  if (!failed && !passed && timeLimit && timeLimit.used > timeLimit.limit) {
+    failed = true;
+    reasons.push("Time limit ran out before the target was reached");
+  }
+  if (passed) reasons.push("Profit target reached");
+
+  return {
+    status: failed ? "failed" : passed ? "passed" : "active",
+    reasons,
+    startingBalance,
+    balance,
+    profit,
+    target,
+    dailyLoss,
+    drawdown,
+    tradingDays,
+    timeLimit,
+  };
+}
@@ -0,0 +1,57 @@
+// src/utils/checklists.js
+// Pre-trade checklists. The global checklist (Settings → Checklist, user
+// setting `preTradeChecklist`) applies to every trade; a strategy's entry
+// criteria (Settings → Playbook) are added when it is selected. Required
+// items must be ticked before a market trade is saved or a planned trade is
+// triggered. The answers are stored on the trade (`checklist`);
+// tradeBreakdowns.checklistItemStats compares results by item.
+import { v4 as uuidv4 } from "uuid";
+
+export const GLOBAL_CHECKLIST = "Global";
+
+export const createChecklistItem = (text = "", required = true) => ({ id: uuidv4(), text, required });
+
+/**
+ * The items to tick for a trade: the global checklist, then the selected
+ * strategy's entry criteria (required unless the strategy says otherwise).
+ *
+ * @param {Array<{ id: string, text: string, required?: boolean }>} globalItems
+ * @param {object|null} strategy - Playbook strategy (see playbook.js).
+ * @returns {Array<{ key: string, text: string, source: string, required: boolean }>}
+ */
+export function buildChecklist(globalItems = [], strategy = null) {
+  const items = globalItems
+    .filter((i) => i.text?.trim())
+    .map((i) => ({ key: `${GLOBAL_CHECKLIST}:${i.text.trim()}`, text: i.text.trim(), source: GLOBAL_CHECKLIST, required: i.required !== false }));
+  (strategy?.entryCriteria || []).forEach((text) => {
+    items.push({ key: `${strategy.name}:${text}`, text, source: strategy.name, required: strategy.criteriaRequired !== false });
+  });
+  return items;
+}
+
+/**
+ * Required items that are not ticked; the trade may be saved when empty.
+ */
+export const missingChecklistItems = (items = [], ticked = {}) => items.filter((i) => i.required && !ticked[i.key]);
+
+/**
+ * The answers to store on the trade.
+ *
+ * @returns {Array<{ text: string, source: string, required: boolean, checked: boolean }>}
+ */
+export const checklistAnswers = (items = [], ticked = {}) =>
+  items.map(({ key, text, source, required }) => ({ text, source, required, checked: !!ticked[key] }));
+
+/**
+ * The stored `checklist` of a trade: an array, or JSON text of one.
+ */
+export function parseChecklist(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string" || !value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,136 @@
+// src/utils/csvUtils.js
+// Small CSV reader/writer used by the importers and exports.
+
+/**
+ * Guess the delimiter from the first line (comma, semicolon or tab).
+ */
+export function detectDelimiter(text = "") {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ * Blank lines are dropped.
+ */
+export function parseCsv(text = "", delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM written by Excel
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Parse a number as written in broker reports, in English or European
+ * notation. Returns null for blanks or non-numeric text.
+ *
+ * When both "." and "," occur, the last one is the decimal separator. A
+ * separator repeated between groups of three digits is a thousands
+ * separator. A lone "," followed by exactly three digits is read as
+ * thousands too ("1,234" but not "0,123"); any other lone separator is
+ * the decimal point.
+ *
+ * @example
+ * parseReportNumber("1,234.56");   // 1234.56
+ * parseReportNumber("1.234,56");   // 1234.56
+ * parseReportNumber("1 234,56");   // 1234.56
+ * parseReportNumber("1,234");      // 1234
+ * parseReportNumber("1.234.567");  // 1234567
+ * parseReportNumber("12,5");       // 12.5
+ * parseReportNumber("151.234");    // 151.234
+ */
+export function parseReportNumber(value) {
+  if (value === null || value === undefined) return null;
+  let s = String(value).replace(/[\s\u00a0\u202f']/g, "");
+  if (s === "" || s === "-") return null;
+
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+  let decimal = null;
+  if (lastDot >= 0 && lastComma >= 0) {
+    decimal = lastDot > lastComma ? "." : ",";
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const sep = lastDot >= 0 ? "." : ",";
+    const parts = s.split(sep);
+    if (parts.length > 2) {
+      if (!parts.slice(1).every((p) => /^\d{3}$/.test(p))) return null;
+    } else if (!(sep === "," && /^-?[1-9]\d{0,2}$/.test(parts[0]) && /^\d{3}$/.test(parts[1]))) {
+      decimal = sep;
+    }
+  }
+
+  // Drop every separator but the decimal one, which becomes "."
+  s = s.replace(/[.,]/g, (ch, i) => (ch === decimal && i === Math.max(lastDot, lastComma) ? "." : ""));
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Prefix text a spreadsheet would evaluate as a formula (starting with `=`,
+ * `+`, `-`, `@`, tab or CR) with an apostrophe, so opening an export can
+ * never run a cell. Numbers pass through untouched. CSV only: XLSX cells
+ * are typed, so their text is never evaluated.
+ */
+const neutralizeFormula = (value) =>
+  typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+const escapeCsvCell = (value, delimiter) => {
+  if (value === null || value === undefined) return "";
+  const s = String(neutralizeFormula(value));
+  return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Serialize rows (arrays of values) to CSV that Excel opens cleanly:
+ * CRLF line endings and a UTF-8 BOM so non-ASCII text survives.
+ */
+export function toCsv(rows = [], delimiter = ",") {
+  const body = rows
+    .map((row) => row.map((cell) => escapeCsvCell(cell, delimiter)).join(delimiter))
+    .join("\r\n");
+  return "\uFEFF" + body;
+}
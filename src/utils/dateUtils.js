@@ -20,3 +20,80 @@ export function getDayName(dateString) {
 export function weekLabel(weekNum, year = new Date().getFullYear()) {
   return `Week ${weekNum} (${year})`;
 }
+
+/**
+ * Offset (ms) of `timeZone` from UTC at the given instant, DST included.
+ * e.g. Europe/London in July → 3600000
+ */
+export function getTimeZoneOffset(date, timeZone = 'UTC') {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Interpret a wall-clock time in `timeZone` and return the matching instant.
+ * The offset is looked up for that date, so DST is applied correctly.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = 'UTC') {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstGuess = getTimeZoneOffset(new Date(wallAsUtc), timeZone);
+  // Re-check at the corrected instant in case a DST switch lies in between
+  const offset = getTimeZoneOffset(new Date(wallAsUtc - firstGuess), timeZone);
+  return new Date(wallAsUtc - offset);
+}
+
+/**
+ * The browser's IANA time zone (e.g. "Africa/Lagos").
+ */
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// A stored date without a time: "YYYY-MM-DD", or that day at UTC midnight
+// (how date inputs end up once saved with toISOString)
+const DATE_ONLY = /^(\d{4}-\d{2}-\d{2})(?:T00:00(?::00(?:\.0+)?)?(?:Z|[+-]00:?00))?$/;
+
+/**
+ * Calendar day (YYYY-MM-DD) of an instant in `timeZone`, the browser's zone
+ * by default. Date-only strings (a plain day, or a day stored as UTC
+ * midnight) already name the day and are returned as is, so they do not
+ * shift back a day west of UTC.
+ */
+export function dayInTimeZone(value, timeZone = getLocalTimeZone()) {
+  const dateOnly = typeof value === 'string' && value.match(DATE_ONLY);
+  if (dateOnly) return dateOnly[1];
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date)) return '';
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || getLocalTimeZone(),
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
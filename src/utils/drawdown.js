@@ -0,0 +1,99 @@
+// src/utils/drawdown.js
+// Drawdown ("underwater") analytics over an account's equity history.
+// Deposits and withdrawals move the running peak along with the equity, so
+// only trading results create or recover a drawdown.
+
+const DAY_MS = 86400000;
+
+const daysBetween = (from, to) =>
+  from && to ? Math.max(0, Math.round((new Date(to) - new Date(from)) / DAY_MS)) : 0;
+
+/**
+ * Drawdown series and summary.
+ *
+ * @param {Array<{ date: string, amount: number, isTrade: boolean }>} movements -
+ *   Trade results and cash movements (withdrawals negative), any order.
+ * @param {number} startingEquity - Equity before the first movement.
+ * @param {Date} [now] - End of an ongoing drawdown.
+ * @returns {{ series: Array<{ date: string, equity: number, peak: number,
+ *   drawdown: number, drawdownPercent: number }>,
+ *   maxDrawdown: number, maxDrawdownPercent: number, maxDrawdownDate: string|null,
+ *   longestDurationDays: number, currentDrawdown: number, currentDrawdownPercent: number,
+ *   currentSince: string|null, netProfit: number, recoveryFactor: number|null }}
+ *   Drawdowns are amounts below the peak and percentages are of the peak;
+ *   the series' `drawdownPercent` is negative, ready for an underwater chart.
+ */
+export function computeDrawdown(movements = [], startingEquity = 0, now = new Date()) {
+  const sorted = [...movements]
+    .filter((m) => m.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let equity = Number(startingEquity) || 0;
+  let peak = equity;
+  let peakDate = sorted[0]?.date ?? null;
+  let underwaterSince = null;
+  let netProfit = 0;
+  let longestDurationDays = 0;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  let maxDrawdownDate = null;
+  const series = [];
+
+  sorted.forEach((m) => {
+    const amount = Number(m.amount) || 0;
+    equity += amount;
+
+    if (m.isTrade) {
+      netProfit += amount;
+    } else {
+      // Cash in/out shifts the peak too: not a gain or a loss
+      peak += amount;
+    }
+
+    if (equity >= peak) {
+      if (underwaterSince) {
+        longestDurationDays = Math.max(longestDurationDays, daysBetween(underwaterSince, m.date));
+        underwaterSince = null;
+      }
+      peak = equity;
+      peakDate = m.date;
+    } else if (!underwaterSince) {
+      underwaterSince = peakDate;
+    }
+
+    const drawdown = peak - equity;
+    const drawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+    if (drawdownPercent > maxDrawdownPercent) {
+      maxDrawdownPercent = drawdownPercent;
+      maxDrawdownDate = m.date;
+    }
+
+    series.push({
+      date: m.date,
+      equity: Number(equity.toFixed(2)),
+      peak: Number(peak.toFixed(2)),
+      drawdown: Number(drawdown.toFixed(2)),
+      drawdownPercent: Number((-drawdownPercent).toFixed(2)),
+    });
+  });
+
+  // A drawdown still open counts up to now
+  if (underwaterSince) {
+    longestDurationDays = Math.max(longestDurationDays, daysBetween(underwaterSince, now));
+  }
+
+  const currentDrawdown = Math.max(0, peak - equity);
+  return {
+    series,
+    maxDrawdown: Number(maxDrawdown.toFixed(2)),
+    maxDrawdownPercent: Number(maxDrawdownPercent.toFixed(2)),
+    maxDrawdownDate,
+    longestDurationDays,
+    currentDrawdown: Number(currentDrawdown.toFixed(2)),
+    currentDrawdownPercent: peak > 0 ? Number(((currentDrawdown / peak) * 100).toFixed(2)) : 0,
+    currentSince: underwaterSince,
+    netProfit: Number(netProfit.toFixed(2)),
+    recoveryFactor: maxDrawdown > 0 ? Number((netProfit / maxDrawdown).toFixed(2)) : null,
+  };
+}
@@ -0,0 +1,94 @@
+// src/utils/fxRates.js
+// Local exchange-rate table used to convert pip values and PnL from an
+// instrument's quote currency into the account currency. Rates are stored
+// as "USD per 1 unit" and edited in Settings → Exchange Rates.
+import { detectDelimiter, parseCsv, parseReportNumber } from "./csvUtils";
+
+/**
+ * Starting rates (USD per unit) until the user enters their own.
+ */
+export const DEFAULT_FX_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  JPY: 0.0068,
+  CAD: 0.73,
+  CHF: 1.24,
+  AUD: 0.66,
+  NZD: 0.61,
+};
+
+// Cent accounts: balances are kept in 1/100 of the base currency
+const SUB_UNIT_CURRENCIES = {
+  USC: { base: "USD", factor: 100 },
+  EUC: { base: "EUR", factor: 100 },
+};
+
+const usdPerUnit = (currency, rates) => {
+  const code = String(currency || "").toUpperCase();
+  const sub = SUB_UNIT_CURRENCIES[code];
+  if (sub) {
+    const base = usdPerUnit(sub.base, rates);
+    return base ? base / sub.factor : null;
+  }
+  const rate = Number(rates?.[code]);
+  return rate > 0 ? rate : null;
+};
+
+/**
+ * Units of `to` for 1 unit of `from`. Returns null when either currency has
+ * no rate in the table.
+ *
+ * @example getConversionRate("JPY", "GBP", rates) // ≈ 0.0054
+ * @example getConversionRate("USD", "USC", rates) // 100
+ */
+export function getConversionRate(from, to, rates = DEFAULT_FX_RATES) {
+  if (!from || !to) return null;
+  if (String(from).toUpperCase() === String(to).toUpperCase()) return 1;
+  const fromUsd = usdPerUnit(from, rates);
+  const toUsd = usdPerUnit(to, rates);
+  if (!fromUsd || !toUsd) return null;
+  return fromUsd / toUsd;
+}
+
+/**
+ * Convert an amount between currencies (null when a rate is missing).
+ */
+export function convertAmount(amount, from, to, rates = DEFAULT_FX_RATES) {
+  const rate = getConversionRate(from, to, rates);
+  return rate === null ? null : Number(amount) * rate;
+}
+
+/**
+ * Parse a CSV of rates. Each line is either a currency and its USD value
+ * ("EUR,1.08") or a quoted pair ("EURUSD,1.08", "USD/JPY,147.2") where one
+ * side is USD. A header line is skipped.
+ *
+ * @returns {{ rates: Object<string, number>, errors: string[] }}
+ */
+export function parseFxRatesCsv(text) {
+  const rows = parseCsv(text, detectDelimiter(text));
+  const rates = {};
+  const errors = [];
+
+  rows.forEach((cells, i) => {
+    const code = String(cells[0] || "").toUpperCase().replace(/[^A-Z]/g, "");
+    const value = parseReportNumber(cells[1]);
+    if (value === null || !(value > 0)) {
+      if (i > 0) errors.push(`Line ${i + 1}: "${cells[1] ?? ""}" is not a valid rate`);
+      return;
+    }
+
+    if (code.length === 3) {
+      rates[code] = value;
+    } else if (code.length === 6 && code.endsWith("USD")) {
+      rates[code.slice(0, 3)] = value;
+    } else if (code.length === 6 && code.startsWith("USD")) {
+      rates[code.slice(3)] = 1 / value;
+    } else {
+      errors.push(`Line ${i + 1}: "${cells[0]}" is not a currency or USD pair`);
+    }
+  });
+
+  return { rates, errors };
+}
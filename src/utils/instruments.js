@@ -0,0 +1,231 @@
+// src/utils/instruments.js
+// Instrument catalog: the single source for tradable symbols and their
+// contract specs. Every calculator (lot size, pip value, points, PnL) reads
+// from here; users can edit their own copy in Settings → Instruments.
+import { DEFAULT_FX_RATES, getConversionRate } from "./fxRates";
+
+export const ASSET_CLASSES = ["forex", "metal", "index", "crypto", "commodity", "stock"];
+
+/**
+ * Share of a standard contract traded per lot on each account type. Broker
+ * profiles can override this (see brokerProfiles.js).
+ */
+export const DEFAULT_LOT_SCALE = { standard: 1, mini: 0.1, micro: 0.01 };
+
+const fx = (symbol) => {
+  const quote = symbol.split("/")[1];
+  const jpy = quote === "JPY";
+  return {
+    symbol,
+    assetClass: "forex",
+    contractSize: 100000,
+    pipSize: jpy ? 0.01 : 0.0001,
+    digits: jpy ? 3 : 5,
+    quoteCurrency: quote,
+    minLot: 0.01,
+    lotStep: 0.01,
+  };
+};
+
+/**
+ * Built-in catalog. `pipSize` is the price move of one pip; one point is the
+ * smallest quoted increment (10^-digits).
+ */
+export const DEFAULT_INSTRUMENTS = [
+  fx("EUR/USD"),
+  fx("GBP/USD"),
+  fx("USD/JPY"),
+  fx("USD/CAD"),
+  fx("AUD/USD"),
+  fx("NZD/USD"),
+  fx("EUR/GBP"),
+  fx("EUR/JPY"),
+  fx("GBP/JPY"),
+  fx("USD/CHF"),
+  {
+    symbol: "XAU/USD",
+    assetClass: "metal",
+    contractSize: 100,
+    pipSize: 0.1,
+    digits: 2,
+    quoteCurrency: "USD",
+    minLot: 0.01,
+    lotStep: 0.01,
+  },
+  {
+    symbol: "XAG/USD",
+    assetClass: "metal",
+    contractSize: 5000,
+    pipSize: 0.01,
+    digits: 3,
+    quoteCurrency: "USD",
+    minLot: 0.01,
+    lotStep: 0.01,
+  },
+  {
+    symbol: "US30",
+    assetClass: "index",
+    contractSize: 1,
+    pipSize: 1,
+    digits: 2,
+    quoteCurrency: "USD",
+    minLot: 0.1,
+    lotStep: 0.1,
+  },
+  {
+    symbol: "NAS100",
+    assetClass: "index",
+    contractSize: 1,
+    pipSize: 1,
+    digits: 2,
+    quoteCurrency: "USD",
+    minLot: 0.1,
+    lotStep: 0.1,
+  },
+];
+
+/**
+ * Blank row for the Settings editor.
+ */
+export const createInstrument = (symbol = "") => ({
+  symbol,
+  assetClass: "forex",
+  contractSize: 100000,
+  pipSize: 0.0001,
+  digits: 5,
+  quoteCurrency: "USD",
+  minLot: 0.01,
+  lotStep: 0.01,
+});
+
+/**
+ * Symbols in catalog order (for dropdowns and import matching).
+ */
+export const instrumentSymbols = (catalog = DEFAULT_INSTRUMENTS) =>
+  catalog.map((i) => i.symbol);
+
+/**
+ * Look up an instrument by symbol (case-insensitive). Returns null if unknown.
+ */
+export function findInstrument(symbol, catalog = DEFAULT_INSTRUMENTS) {
+  if (!symbol) return null;
+  const s = String(symbol).trim().toUpperCase();
+  return catalog.find((i) => i.symbol.toUpperCase() === s) || null;
+}
+
+/**
+ * Validation messages for one catalog row (empty array when valid).
+ */
+export function validateInstrument(inst, catalog = []) {
+  const errors = [];
+  if (!inst.symbol?.trim()) errors.push("Symbol is required");
+  if (catalog.filter((i) => i.symbol.toUpperCase() === inst.symbol?.trim().toUpperCase()).length > 1) {
+    errors.push("Duplicate symbol");
+  }
+  ["contractSize", "pipSize", "minLot", "lotStep"].forEach((k) => {
+    if (!(Number(inst[k]) > 0)) errors.push(`${k} must be greater than 0`);
+  });
+  if (!Number.isInteger(Number(inst.digits)) || Number(inst.digits) < 0) {
+    errors.push("digits must be a whole number");
+  }
+  if (!/^[A-Z]{3}$/.test(inst.quoteCurrency || "")) errors.push("Quote currency must be a 3-letter code");
+  return errors;
+}
+
+const lotScaleFor = (accountType, lotScale = DEFAULT_LOT_SCALE) => {
+  const key = (accountType || "standard").toLowerCase();
+  return Number(lotScale?.[key]) || DEFAULT_LOT_SCALE[key] || 1;
+};
+
+/**
+ * Rate from the instrument's quote currency to the account currency, or null
+ * when the rate table has no entry for one of them.
+ */
+export function getQuoteConversionRate(
+  symbol,
+  { accountCurrency = "USD", rates = DEFAULT_FX_RATES } = {},
+  catalog = DEFAULT_INSTRUMENTS
+) {
+  const inst = findInstrument(symbol, catalog);
+  if (!inst) return null;
+  return getConversionRate(inst.quoteCurrency, accountCurrency, rates);
+}
+
+/**
+ * Value of a one-pip move for 1 lot in the account currency, scaled for
+ * Mini/Micro accounts. Returns 0 for unknown symbols or missing rates.
+ *
+ * @param {string} symbol
+ * @param {string} accountType - Standard | Mini | Micro
+ * @param {Array<object>} [catalog]
+ * @param {object} [pricing] - { accountCurrency, rates, lotScale } (defaults to USD, DEFAULT_LOT_SCALE)
+ */
+export function getPipValue(symbol, accountType, catalog = DEFAULT_INSTRUMENTS, pricing = {}) {
+  const inst = findInstrument(symbol, catalog);
+  const rate = getQuoteConversionRate(symbol, pricing, catalog);
+  if (!inst || !rate) return 0;
+  const inQuote = Number(inst.contractSize) * Number(inst.pipSize);
+  return inQuote * rate * lotScaleFor(accountType, pricing.lotScale);
+}
+
+/**
+ * Multiplier from a price difference to points (10^digits).
+ */
+export function getPointMultiplier(symbol, catalog = DEFAULT_INSTRUMENTS) {
+  const inst = findInstrument(symbol, catalog);
+  return inst ? Math.pow(10, Number(inst.digits)) : 1;
+}
+
+/**
+ * Convert a price distance into pips.
+ */
+export function priceDistanceToPips(symbol, distance, catalog = DEFAULT_INSTRUMENTS) {
+  const inst = findInstrument(symbol, catalog);
+  if (!inst || !distance) return 0;
+  return Math.abs(Number(distance)) / Number(inst.pipSize);
+}
+
+/**
+ * Round a lot size down to the instrument's lot step. Below the minimum lot
+ * the position cannot be opened, so 0 is returned.
+ */
+export function roundLot(symbol, lots, catalog = DEFAULT_INSTRUMENTS) {
+  const inst = findInstrument(symbol, catalog);
+  if (!inst || !(lots > 0)) return 0;
+  const step = Number(inst.lotStep);
+  const decimals = Math.max(0, Math.ceil(-Math.log10(step)));
+  // small epsilon so 0.3 / 0.1 does not floor to 2
+  const rounded = Number((Math.floor(lots / step + 1e-9) * step).toFixed(decimals));
+  return rounded < Number(inst.minLot) ? 0 : rounded;
+}
+
+/**
+ * Lot size that risks `riskAmount` (account currency) if the stop is hit.
+ */
+export function calculateLotSize(
+  { symbol, entry, stop, riskAmount, accountType, accountCurrency, rates, lotScale },
+  catalog = DEFAULT_INSTRUMENTS
+) {
+  const pips = priceDistanceToPips(symbol, Number(entry) - Number(stop), catalog);
+  const pipValue = getPipValue(symbol, accountType, catalog, { accountCurrency, rates, lotScale });
+  if (!pips || !pipValue || !(riskAmount > 0)) return 0;
+  return roundLot(symbol, riskAmount / (pips * pipValue), catalog);
+}
+
+/**
+ * Profit or loss in the account currency. `valuePerPip` (as frozen on a
+ * trade) takes precedence over the catalog value and current rates.
+ */
+export function calculatePnl(
+  { symbol, type, entry, exit, lots, accountType, valuePerPip, accountCurrency, rates, lotScale },
+  catalog = DEFAULT_INSTRUMENTS
+) {
+  const inst = findInstrument(symbol, catalog);
+  if (!inst) return 0;
+  const diff = type === "short" ? Number(entry) - Number(exit) : Number(exit) - Number(entry);
+  const vp =
+    Number(valuePerPip) ||
+    getPipValue(symbol, accountType, catalog, { accountCurrency, rates, lotScale });
+  const pnl = (diff / Number(inst.pipSize)) * vp * Number(lots || 0);
+  return Number.isFinite(pnl) ? pnl : 0;
+}
@@ -0,0 +1,158 @@
+// src/utils/performanceMetrics.js
+// Trading performance statistics over closed trades: expectancy, profit
+// factor, payoff, R-multiples, Sharpe / Sortino and SQN. Results by
+// checklist item and by tag are in tradeBreakdowns.js.
+import { DEFAULT_INSTRUMENTS } from "./instruments";
+import { summarizeLegs } from "./tradeLegs";
+import { tradePnl } from "./tradeModel";
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+const mean = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0);
+
+// Sample standard deviation
+const stdDev = (xs) => {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((s, x) => s + (x - m) ** 2, 0) / (xs.length - 1));
+};
+
+const round = (n, d = 2) => (n === null || !Number.isFinite(n) ? null : Number(n.toFixed(d)));
+
+const ymd = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+// Local calendar day, matching the Dashboard's date filters (tradeFilters.js)
+const dayOf = (v) => {
+  const d = v ? new Date(v) : null;
+  return d && !isNaN(d) ? ymd(d) : "";
+};
+
+/**
+ * Every trading day (Monday to Friday, plus any other day with a result)
+ * from `from` to `to`, inclusive.
+ */
+const tradingDays = (from, to, resultDays) => {
+  const days = [];
+  const end = new Date(`${to}T00:00:00`);
+  for (let d = new Date(`${from}T00:00:00`); d <= end; d.setDate(d.getDate() + 1)) {
+    const day = ymd(d);
+    if ((d.getDay() !== 0 && d.getDay() !== 6) || resultDays.has(day)) days.push(day);
+  }
+  return days;
+};
+
+/**
+ * Currency the trade risked at its original stop, falling back to its risk
+ * percent of `capital` when no stop was set. `accountType` and `pricing`
+ * (see useAccountSpecs) price trades that have no frozen pip value, such as
+ * imports.
+ */
+export function tradeRiskAmount(trade, { capital = 0, catalog = DEFAULT_INSTRUMENTS, accountType, pricing } = {}) {
+  const { initialRisk } = summarizeLegs(trade, { accountType, pricing }, catalog);
+  if (initialRisk > 0) return initialRisk;
+  const riskPercent = Number(trade.risk) || 0;
+  return riskPercent > 0 && capital > 0 ? (riskPercent / 100) * capital : 0;
+}
+
+/**
+ * The trade's result in R (null when its risk is unknown).
+ */
+export function tradeR(trade, { capital = 0, catalog = DEFAULT_INSTRUMENTS, accountType, pricing, basis = "net" } = {}) {
+  const risk = tradeRiskAmount(trade, { capital, catalog, accountType, pricing });
+  return risk > 0 ? tradePnl(trade, basis) / risk : null;
+}
+
+/**
+ * Performance statistics of closed trades.
+ *
+ * Daily returns are each trading day's PnL over the equity at the start of
+ * that day (capital plus earlier results). Every weekday of the period
+ * counts, with a zero return when nothing closed; the period is `from`..`to`
+ * (YYYY-MM-DD, e.g. the Dashboard's date filter, never past today) widened
+ * to the first and last exit, or just the first to the last exit when open.
+ * Sharpe and Sortino are annualized over 252 trading days with a zero
+ * risk-free rate. SQN is √N × mean(R) / σ(R) over the trades with a known
+ * risk.
+ *
+ * @param {Array<object>} trades - Closed trades, either shape.
+ * @param {{ capital?: number, catalog?: Array<object>, accountType?: string,
+ *   pricing?: object, basis?: "net"|"gross", from?: string, to?: string,
+ *   now?: Date }} [opts] - See tradeRiskAmount().
+ * @returns {object} Counts, currency figures, R figures and ratios; ratios
+ *   that cannot be computed are null.
+ */
+export function computePerformanceMetrics(
+  trades = [],
+  { capital = 0, catalog = DEFAULT_INSTRUMENTS, accountType, pricing, basis = "net", from = "", to = "", now = new Date() } = {}
+) {
+  const rows = trades
+    .map((t) => ({
+      pnl: tradePnl(t, basis),
+      risk: tradeRiskAmount(t, { capital, catalog, accountType, pricing }),
+      day: dayOf(t.exit_date ?? t.exitDate),
+    }))
+    .sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0));
+
+  const pnls = rows.map((r) => r.pnl);
+  const wins = pnls.filter((p) => p > 0);
+  const losses = pnls.filter((p) => p < 0);
+  const grossWin = wins.reduce((s, p) => s + p, 0);
+  const grossLoss = losses.reduce((s, p) => s + p, 0);
+  const avgWin = mean(wins);
+  const avgLoss = mean(losses);
+
+  // R-multiples
+  const rs = rows.filter((r) => r.risk > 0).map((r) => r.pnl / r.risk);
+  const avgR = rs.length ? mean(rs) : null;
+  const sdR = stdDev(rs);
+  const sqn = rs.length >= 2 && sdR > 0 ? (Math.sqrt(rs.length) * mean(rs)) / sdR : null;
+
+  // Daily returns
+  const byDay = {};
+  rows.forEach((r) => {
+    if (r.day) byDay[r.day] = (byDay[r.day] || 0) + r.pnl;
+  });
+  const resultDays = Object.keys(byDay).sort();
+  let equity = Number(capital) || 0;
+  const returns = [];
+  if (resultDays.length) {
+    const today = ymd(now);
+    const firstResult = resultDays[0];
+    const lastResult = resultDays[resultDays.length - 1];
+    const periodEnd = to && to < today ? to : today;
+    const first = from && from < firstResult ? from : firstResult;
+    const last = to && periodEnd > lastResult ? periodEnd : lastResult;
+    tradingDays(first, last, new Set(resultDays)).forEach((day) => {
+      const pnl = byDay[day] || 0;
+      if (equity > 0) returns.push(pnl / equity);
+      equity += pnl;
+    });
+  }
+  const sdDaily = stdDev(returns);
+  const downside = returns.length
+    ? Math.sqrt(returns.reduce((s, r) => s + Math.min(0, r) ** 2, 0) / returns.length)
+    : 0;
+  const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  return {
+    trades: rows.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: rows.length ? round((wins.length / rows.length) * 100) : null,
+    netPnl: round(pnls.reduce((s, p) => s + p, 0)),
+    expectancy: rows.length ? round(mean(pnls)) : null,
+    profitFactor: grossLoss < 0 ? round(grossWin / -grossLoss) : null,
+    avgWin: wins.length ? round(avgWin) : null,
+    avgLoss: losses.length ? round(avgLoss) : null,
+    payoffRatio: wins.length && losses.length ? round(avgWin / -avgLoss) : null,
+    largestWin: wins.length ? round(Math.max(...wins)) : null,
+    largestLoss: losses.length ? round(Math.min(...losses)) : null,
+    avgR: round(avgR), // = expectancy in R
+    tradesWithRisk: rs.length,
+    sharpe: returns.length >= 2 && sdDaily > 0 ? round((mean(returns) / sdDaily) * annualize) : null,
+    sortino: returns.length >= 2 && downside > 0 ? round((mean(returns) / downside) * annualize) : null,
+    sqn: round(sqn),
+    tradingDays: returns.length,
+  };
+}
@@ -0,0 +1,189 @@
+// src/utils/periodReview.js
+// Month / quarter / year reviews (PeriodReview): the period's trades, their
+// summary against the previous period and the weeks the period spans.
+// Trades belong to the period they were entered in, as in WeeklyReview.
+import dayjs from "dayjs";
+import isoWeek from "dayjs/plugin/isoWeek";
+import quarterOfYear from "dayjs/plugin/quarterOfYear";
+import { tradeCosts, tradePnl } from "./tradeModel";
+
+dayjs.extend(isoWeek);
+dayjs.extend(quarterOfYear);
+
+export const REVIEW_PERIODS = [
+  { value: "month", label: "Monthly" },
+  { value: "quarter", label: "Quarterly" },
+  { value: "year", label: "Yearly" },
+];
+
+const entryOf = (t) => t.entry_date ?? t.entryDate;
+
+/**
+ * The period `offset` units away from the one containing `now`.
+ *
+ * @param {"month"|"quarter"|"year"} unit
+ * @returns {{ start: dayjs.Dayjs, end: dayjs.Dayjs, label: string }}
+ */
+export function periodRange(unit = "month", offset = 0, now = new Date()) {
+  const start = dayjs(now).startOf(unit).add(offset, unit);
+  const end = start.endOf(unit);
+  const label =
+    unit === "year"
+      ? start.format("YYYY")
+      : unit === "quarter"
+        ? `Q${start.quarter()} ${start.format("YYYY")}`
+        : start.format("MMMM YYYY");
+  return { start, end, label };
+}
+
+/**
+ * Trades entered between `start` and `end` (inclusive).
+ */
+export function tradesInPeriod(trades = [], { start, end }) {
+  return trades.filter((t) => {
+    const e = entryOf(t) ? dayjs(entryOf(t)) : null;
+    return e && e.isValid() && !e.isBefore(start) && !e.isAfter(end);
+  });
+}
+
+const tally = (map, key, pnl) => {
+  map[key] = map[key] || { name: key, count: 0, pnl: 0 };
+  map[key].count += 1;
+  map[key].pnl += pnl;
+};
+
+const best = (rows, field) =>
+  rows.length ? rows.reduce((a, b) => (b[field] > a[field] ? b : a)).name : "—";
+
+/**
+ * Summary of one period's trades.
+ *
+ * Opening equity is `capital` plus the net result of every trade entered
+ * before `start` (WeeklyReview's convention); equity always moves by net
+ * results, while the PnL figures follow `basis`.
+ *
+ * @param {Array<object>} trades - The period's trades (tradesInPeriod).
+ * @param {{ allTrades: Array<object>, start: dayjs.Dayjs, capital?: number,
+ *   basis?: "net"|"gross" }} opts
+ * @returns {object} Totals, win/loss counts, equity, pair / session
+ *   distributions, daily breakdown and a trade-by-trade equity curve.
+ */
+export function summarizePeriod(trades = [], { allTrades = [], start, capital = 0, basis = "net" }) {
+  const pnlOf = (t) => tradePnl(t, basis);
+  const sorted = [...trades].sort((a, b) => new Date(entryOf(a)) - new Date(entryOf(b)));
+
+  const priorPnl = allTrades
+    .filter((t) => entryOf(t) && dayjs(entryOf(t)).isBefore(start))
+    .reduce((s, t) => s + tradePnl(t), 0);
+  const openingEquity = (Number(capital) || 0) + priorPnl;
+
+  const pairs = {};
+  const sessions = {};
+  const daily = {};
+  let equity = openingEquity;
+  const equityCurve = [{ label: "Start", equity: Number(equity.toFixed(2)) }];
+  let totalPnL = 0;
+  let wins = 0;
+  let losses = 0;
+
+  sorted.forEach((t) => {
+    const pnl = pnlOf(t);
+    totalPnL += pnl;
+    if (pnl > 0) wins += 1;
+    else if (pnl < 0) losses += 1;
+
+    tally(pairs, t.pair || "N/A", pnl);
+    tally(sessions, t.session || "N/A", pnl);
+
+    const day = dayjs(entryOf(t)).format("YYYY-MM-DD");
+    daily[day] = daily[day] || { date: day, trades: 0, pnl: 0, wins: 0, losses: 0, breakeven: 0 };
+    daily[day].trades += 1;
+    daily[day].pnl += pnl;
+    if (pnl > 0) daily[day].wins += 1;
+    else if (pnl < 0) daily[day].losses += 1;
+    else daily[day].breakeven += 1;
+
+    equity += tradePnl(t);
+    equityCurve.push({ label: dayjs(entryOf(t)).format("D MMM"), equity: Number(equity.toFixed(2)) });
+  });
+
+  const totalTrades = sorted.length;
+  const invalidCount = sorted.filter((t) => t.status === "Invalid").length;
+  const pairDistribution = Object.values(pairs).sort((a, b) => b.count - a.count);
+  const sessionDistribution = Object.values(sessions).sort((a, b) => b.count - a.count);
+
+  return {
+    totalTrades,
+    wins,
+    losses,
+    breakeven: totalTrades - wins - losses,
+    winRate: totalTrades ? (wins / totalTrades) * 100 : 0,
+    totalPnL,
+    totalPnLPercent: openingEquity ? (totalPnL / openingEquity) * 100 : 0,
+    avgTrade: totalTrades ? totalPnL / totalTrades : 0,
+    totalCosts: sorted.reduce((s, t) => s + tradeCosts(t), 0),
+    validCount: totalTrades - invalidCount,
+    invalidCount,
+    openingEquity,
+    closingEquity: equity,
+    tradingDays: Object.keys(daily).length,
+    mostProfitablePair: best(Object.values(pairs), "pnl"),
+    mostTradedPair: best(Object.values(pairs), "count"),
+    mostProfitableSession: best(Object.values(sessions), "pnl"),
+    pairDistribution,
+    sessionDistribution,
+    dailyBreakdown: Object.values(daily).sort((a, b) => (a.date < b.date ? -1 : 1)),
+    equityCurve,
+  };
+}
+
+// Summary fields compared period over period
+const COMPARED = [
+  { key: "totalPnL", label: "P&L", kind: "money" },
+  { key: "totalPnLPercent", label: "Return", kind: "percent" },
+  { key: "totalTrades", label: "Trades", kind: "count" },
+  { key: "winRate", label: "Win Rate", kind: "percent" },
+  { key: "avgTrade", label: "Average Trade", kind: "money" },
+  { key: "totalCosts", label: "Costs", kind: "money" },
+  { key: "invalidCount", label: "Invalid Trades", kind: "count" },
+  { key: "closingEquity", label: "Closing Equity", kind: "money" },
+];
+
+/**
+ * Period-over-period rows `{ key, label, kind, current, previous, change }`
+ * from two summarizePeriod results.
+ */
+export function comparePeriods(current, previous) {
+  return COMPARED.map(({ key, label, kind }) => ({
+    key,
+    label,
+    kind,
+    current: current[key],
+    previous: previous[key],
+    change: current[key] - previous[key],
+  }));
+}
+
+/**
+ * The ISO weeks (Monday to Sunday) overlapping the period with the results
+ * of the period's trades entered in each, for the week calendar.
+ *
+ * @returns {Array<{ start: dayjs.Dayjs, end: dayjs.Dayjs, week: number,
+ *   trades: number, wins: number, pnl: number }>}
+ */
+export function weeksInPeriod(trades = [], { start, end }, basis = "net") {
+  const weeks = [];
+  for (let w = start.startOf("isoWeek"); !w.isAfter(end); w = w.add(1, "week")) {
+    const weekEnd = w.endOf("isoWeek");
+    const inWeek = tradesInPeriod(trades, { start: w, end: weekEnd });
+    weeks.push({
+      start: w,
+      end: weekEnd,
+      week: w.isoWeek(),
+      trades: inWeek.length,
+      wins: inWeek.filter((t) => tradePnl(t, basis) > 0).length,
+      pnl: inWeek.reduce((s, t) => s + tradePnl(t, basis), 0),
+    });
+  }
+  return weeks;
+}
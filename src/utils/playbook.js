@@ -0,0 +1,128 @@
+// src/utils/playbook.js
+// Strategy playbook. Each strategy has a description, entry criteria,
+// example screenshots, the pairs / sessions it is traded in and a target R.
+// Entry criteria are ticked off in the Add Trade checklist (checklists.js).
+// Trades link to a strategy by name through their `strategy` field.
+import { v4 as uuidv4 } from "uuid";
+import { DEFAULT_INSTRUMENTS } from "./instruments";
+import { computePerformanceMetrics } from "./performanceMetrics";
+import { tradePnl } from "./tradeModel";
+
+/**
+ * A new strategy with no restrictions.
+ */
+export const createStrategy = (name = "", id = uuidv4()) => ({
+  id,
+  name,
+  description: "",
+  entryCriteria: [],
+  criteriaRequired: true,
+  screenshots: [],
+  allowedPairs: [],
+  allowedSessions: [],
+  targetR: null,
+});
+
+// The strategies the Add Trade form offered before the playbook existed
+export const DEFAULT_PLAYBOOK = [
+  "1/5min BOT, 5MCC",
+  "1/5min BOT, 15MCC",
+  "5/15min BOT, 15MCC",
+  "5/15min BOT, H1MCC",
+  "1/5min BOS, 5MCC",
+  "1/5min BOS, 15MCC",
+  "5/15min BOS, 15MCC",
+  "5/15min BOS, H1MCC",
+].map((name, i) => createStrategy(name, `default-${i + 1}`));
+
+export const findStrategy = (playbook, name) =>
+  (name && Array.isArray(playbook) && playbook.find((s) => s.name === name)) || null;
+
+/**
+ * Strategy names for a dropdown, keeping `current` when it is not in the
+ * playbook (older trades or a since-renamed strategy).
+ */
+export function strategyNames(playbook = [], current = "") {
+  const names = playbook.map((s) => s.name);
+  return current && !names.includes(current) ? [...names, current] : names;
+}
+
+/**
+ * Warn-mode violations (trading rules shape) of a trade that leaves its
+ * strategy's pairs or sessions.
+ *
+ * @param {{ strategy?: string, pair?: string, session?: string }} candidate
+ * @returns {Array<{ rule: string, label: string, mode: string, message: string }>}
+ */
+export function evaluateStrategyRules(candidate, playbook = []) {
+  const strategy = findStrategy(playbook, candidate.strategy);
+  if (!strategy) return [];
+  const violations = [];
+  const pairs = strategy.allowedPairs || [];
+  if (pairs.length && candidate.pair && !pairs.includes(candidate.pair)) {
+    violations.push({
+      rule: "strategyPairs",
+      label: "Strategy pairs",
+      mode: "warn",
+      message: `${candidate.pair} is not a pair of "${strategy.name}" (${pairs.join(", ")})`,
+    });
+  }
+  const sessions = strategy.allowedSessions || [];
+  if (sessions.length) {
+    const parts = String(candidate.session || "").split("&").map((s) => s.trim()).filter(Boolean);
+    if (!parts.some((s) => sessions.includes(s))) {
+      violations.push({
+        rule: "strategySessions",
+        label: "Strategy sessions",
+        mode: "warn",
+        message: `Session "${candidate.session || "Unknown"}" is not a session of "${strategy.name}" (${sessions.join(", ")})`,
+      });
+    }
+  }
+  return violations;
+}
+
+const NO_STRATEGY = "No strategy";
+
+const exitOf = (t) => t.exit_date ?? t.exitDate ?? "";
+
+/**
+ * Performance per strategy: computePerformanceMetrics of each strategy's
+ * closed trades, its cumulative PnL curve and its target R. Playbook
+ * strategies come first (also without trades), then other names found on
+ * trades, then trades without a strategy.
+ *
+ * @returns {Array<{ name: string, inPlaybook: boolean, targetR: number|null,
+ *   metrics: object, curve: Array<{ date: string, pnl: number }> }>}
+ */
+export function computeStrategyReport(
+  trades = [],
+  { playbook = [], capital = 0, catalog = DEFAULT_INSTRUMENTS, accountType, pricing, basis = "net" } = {}
+) {
+  const groups = new Map(playbook.map((s) => [s.name, []]));
+  trades.forEach((t) => {
+    const name = t.strategy || NO_STRATEGY;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(t);
+  });
+
+  return [...groups.entries()]
+    .filter(([name, group]) => group.length || findStrategy(playbook, name))
+    .sort(([a], [b]) => (a === NO_STRATEGY) - (b === NO_STRATEGY))
+    .map(([name, group]) => {
+      let running = 0;
+      const curve = [...group]
+        .sort((a, b) => new Date(exitOf(a)) - new Date(exitOf(b)))
+        .map((t) => {
+          running += tradePnl(t, basis);
+          return { date: String(exitOf(t)).slice(0, 10), pnl: Number(running.toFixed(2)) };
+        });
+      return {
+        name,
+        inPlaybook: !!findStrategy(playbook, name),
+        targetR: findStrategy(playbook, name)?.targetR ?? null,
+        metrics: computePerformanceMetrics(group, { capital, catalog, accountType, pricing, basis }),
+        curve,
+      };
+    });
+}
@@ -0,0 +1,84 @@
+// src/utils/pnlCalendar.js
+// Month grid of daily results for the Dashboard calendar (PnLCalendar).
+// Closed trades count on the day they were exited.
+import { DEFAULT_INSTRUMENTS } from "./instruments";
+import { tradePnl } from "./tradeModel";
+import { tradeR } from "./performanceMetrics";
+import { dayInTimeZone } from "./dateUtils";
+
+export const CALENDAR_METRICS = [
+  { value: "pnl", label: "P&L" },
+  { value: "r", label: "R" },
+  { value: "count", label: "Trades" },
+];
+
+export const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Local calendar day as YYYY-MM-DD
+const ymd = (d) => dayInTimeZone(d);
+
+const exitDayOf = (t) => dayInTimeZone(t.exit_date ?? t.exitDate);
+
+const emptyTotals = () => ({ pnl: 0, r: 0, count: 0 });
+
+/**
+ * Monday-first weeks covering the month of `month`, each day with its
+ * closed trades and totals, and a total per week.
+ *
+ * @param {Array<object>} trades - Either shape; open trades are ignored.
+ * @param {Date} month - Any day in the month to show.
+ * @param {{ basis?: "net"|"gross", capital?: number, catalog?: Array<object>,
+ *   accountType?: string, pricing?: object }} [opts] - R as in tradeR().
+ * @returns {{ weeks: Array<{ days: Array<{ date: string, day: number,
+ *   inMonth: boolean, trades: Array<object>, pnl: number, r: number,
+ *   count: number }>, total: { pnl: number, r: number, count: number } }>,
+ *   total: { pnl: number, r: number, count: number },
+ *   maxAbs: { pnl: number, r: number, count: number } }}
+ *   `maxAbs` is the largest in-month day magnitude per metric, for shading.
+ */
+export function buildPnlCalendar(
+  trades = [],
+  month = new Date(),
+  { basis = "net", capital = 0, catalog = DEFAULT_INSTRUMENTS, accountType, pricing } = {}
+) {
+  const byDay = {};
+  trades.forEach((t) => {
+    const day = exitDayOf(t);
+    if (!day) return;
+    (byDay[day] = byDay[day] || []).push(t);
+  });
+
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const last = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+  const cursor = new Date(first);
+  cursor.setDate(first.getDate() - ((first.getDay() + 6) % 7));
+
+  const weeks = [];
+  const total = emptyTotals();
+  const maxAbs = emptyTotals();
+  while (cursor <= last) {
+    const week = { days: [], total: emptyTotals() };
+    for (let i = 0; i < 7; i += 1) {
+      const date = ymd(cursor);
+      const inMonth = cursor.getMonth() === month.getMonth();
+      const dayTrades = byDay[date] || [];
+      const cell = { date, day: cursor.getDate(), inMonth, trades: dayTrades, ...emptyTotals() };
+      dayTrades.forEach((t) => {
+        cell.pnl += tradePnl(t, basis);
+        cell.r += tradeR(t, { capital, catalog, accountType, pricing, basis }) ?? 0;
+        cell.count += 1;
+      });
+      if (inMonth) {
+        ["pnl", "r", "count"].forEach((k) => {
+          week.total[k] += cell[k];
+          total[k] += cell[k];
+          maxAbs[k] = Math.max(maxAbs[k], Math.abs(cell[k]));
+        });
+      }
+      week.days.push(cell);
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    weeks.push(week);
+  }
+  return { weeks, total, maxAbs };
+}
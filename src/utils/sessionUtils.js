@@ -1,39 +1,136 @@
 // src/utils/sessionUtils.js
+import { getLocalTimeZone, getTimeZoneOffset, zonedTimeToUtc } from "./dateUtils";
 
 /**
- * Forex trading session time ranges (in minutes from 00:00)
- * All times assumed to be in local time — adjust to UTC if you need UTC.
+ * Forex trading sessions, each in its home time zone so daylight saving is
+ * applied per date (London opens at 08:00 London time in both GMT and BST).
+ * Times are "HH:mm"; a session whose end is before its start runs overnight.
  */
-const sessions = [
-  { name: "Sydney", start: 22 * 60, end: 7 * 60 },   // 22:00 – 07:00 (overnight)
-  { name: "Tokyo", start: 0 * 60, end: 9 * 60 },     // 00:00 – 09:00
-  { name: "London", start: 7 * 60, end: 16 * 60 },   // 07:00 – 16:00
-  { name: "New York", start: 12 * 60, end: 21 * 60 } // 12:00 – 21:00
+export const MARKET_SESSIONS = [
+  { name: "Sydney", timeZone: "Australia/Sydney", start: "07:00", end: "16:00" },
+  { name: "Tokyo", timeZone: "Asia/Tokyo", start: "09:00", end: "18:00" },
+  { name: "London", timeZone: "Europe/London", start: "08:00", end: "17:00" },
+  { name: "New York", timeZone: "America/New_York", start: "08:00", end: "17:00" },
 ];
 
+export const SESSION_NAMES = MARKET_SESSIONS.map((s) => s.name);
+
+/**
+ * Ready-made custom sessions offered in Settings.
+ */
+export const SESSION_PRESETS = [
+  { name: "Asian range", timeZone: "Asia/Tokyo", start: "09:00", end: "15:00" },
+  { name: "London open killzone", timeZone: "Europe/London", start: "07:00", end: "10:00" },
+  { name: "New York open killzone", timeZone: "America/New_York", start: "07:00", end: "10:00" },
+  { name: "London close killzone", timeZone: "Europe/London", start: "15:00", end: "17:00" },
+];
+
+/**
+ * Per-user session settings (user setting "sessionSettings"). An empty
+ * `timeZone` means the browser's; `custom` holds user-defined sessions
+ * shaped like MARKET_SESSIONS.
+ */
+export const DEFAULT_SESSION_SETTINGS = { timeZone: "", custom: [] };
+
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm || "").split(":").map((n) => parseInt(n, 10));
+  return isNaN(h) || isNaN(m) ? null : h * 60 + m;
+};
+
 function isWithin(time, start, end) {
   if (start < end) return time >= start && time < end;
-  // overnight wrap (e.g. Sydney)
+  // overnight wrap
   return time >= start || time < end;
 }
 
+// Minutes past midnight of `instant` on the wall clock of `timeZone`
+function wallMinutes(instant, timeZone) {
+  const local = new Date(instant.getTime() + getTimeZoneOffset(instant, timeZone));
+  return local.getUTCHours() * 60 + local.getUTCMinutes();
+}
+
+/**
+ * getSessionForTime options from the session settings: the display time
+ * zone (the browser's when unset) and the custom sessions.
+ */
+export const sessionOptions = (settings = DEFAULT_SESSION_SETTINGS) => ({
+  timeZone: settings.timeZone || getLocalTimeZone(),
+  custom: settings.custom || [],
+});
+
+/**
+ * Names of the market sessions, then the custom ones, open at `instant`.
+ *
+ * @param {Date} instant
+ * @param {Array<{name: string, timeZone: string, start: string, end: string}>} [custom]
+ * @returns {Array<string>}
+ */
+export function getActiveSessions(instant, custom = []) {
+  if (!(instant instanceof Date) || isNaN(instant)) return [];
+  return [...MARKET_SESSIONS, ...custom]
+    .filter((s) => {
+      const start = toMinutes(s.start);
+      const end = toMinutes(s.end);
+      if (!s.name || start === null || end === null || start === end) return false;
+      try {
+        return isWithin(wallMinutes(instant, s.timeZone || "UTC"), start, end);
+      } catch {
+        return false; // unknown time zone
+      }
+    })
+    .map((s) => s.name);
+}
+
+/**
+ * getSessionAt
+ * @param {Date} instant
+ * @param {{ custom?: Array<object> }} [opts]
+ * @returns {string} - "London", "London & New York" or "Closed"
+ */
+export function getSessionAt(instant, { custom = [] } = {}) {
+  const active = getActiveSessions(instant, custom);
+  return active.length ? active.join(" & ") : "Closed";
+}
+
 /**
  * getSessionForTime
- * @param {string} time - "HH:mm"
+ * @param {string} time - "HH:mm" on the wall clock of `timeZone`
+ * @param {{ date?: string, timeZone?: string, custom?: Array<object> }} [opts] -
+ *   `date` (YYYY-MM-DD, default today) decides which DST offsets apply;
+ *   `timeZone` defaults to the browser's.
  * @returns {string} - "London" or "London & New York" or "Closed" / "Unknown"
  */
-export function getSessionForTime(time) {
+export function getSessionForTime(time, { date, timeZone, custom = [] } = {}) {
   if (!time || typeof time !== "string") return "Unknown";
-  const [hStr, mStr] = time.split(":");
-  const h = parseInt(hStr, 10);
-  const m = parseInt(mStr, 10);
-  if (isNaN(h) || isNaN(m)) return "Unknown";
+  const [hour, minute] = time.split(":").map((n) => parseInt(n, 10));
+  if (isNaN(hour) || isNaN(minute)) return "Unknown";
+
+  const today = new Date();
+  const [year, month, day] = /^\d{4}-\d{2}-\d{2}/.test(date || "")
+    ? date.slice(0, 10).split("-").map(Number)
+    : [today.getFullYear(), today.getMonth() + 1, today.getDate()];
 
-  const total = h * 60 + m;
-  const active = sessions.filter((s) => isWithin(total, s.start, s.end)).map(s => s.name);
+  try {
+    const instant = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone || getLocalTimeZone());
+    return getSessionAt(instant, { custom });
+  } catch {
+    return "Unknown"; // unknown time zone
+  }
+}
 
-  if (active.length === 0) return "Closed";
-  return active.join(" & ");
+/**
+ * A session's opening hours on `date` (YYYY-MM-DD) shown on the wall clock
+ * of `timeZone`, e.g. "09:00–18:00".
+ */
+export function sessionHoursIn(session, timeZone, date = new Date().toISOString().slice(0, 10)) {
+  const [year, month, day] = date.split("-").map(Number);
+  const fmt = (hhmm) => {
+    const [hour, minute] = hhmm.split(":").map(Number);
+    const instant = zonedTimeToUtc({ year, month, day, hour, minute }, session.timeZone || "UTC");
+    const mins = wallMinutes(instant, timeZone);
+    return `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+  };
+  return `${fmt(session.start)}–${fmt(session.end)}`;
 }
 
 /**
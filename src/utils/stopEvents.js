@@ -0,0 +1,144 @@
+// src/utils/stopEvents.js
+// Stop-loss / take-profit modification history. Every change to an open
+// trade's SL or TP is stored as a timestamped event in `sl_tp_events` (JSON)
+// and the levels the trade was opened with are kept in `initial_sl` /
+// `initial_tp`, so R multiples and "what if I had left it" comparisons keep
+// using the original plan.
+import { v4 as uuidv4 } from "uuid";
+import { DEFAULT_INSTRUMENTS, findInstrument } from "./instruments";
+
+export const STOP_EVENT_LABELS = {
+  set: "Set",
+  removed: "Removed",
+  breakeven: "Moved to breakeven",
+  trailed: "Trailed",
+  widened: "Widened",
+  extended: "Target extended",
+  reduced: "Target reduced",
+};
+
+// What the original plan would have produced (recorded when closing a
+// managed trade, or afterwards for a skipped plan)
+export const PLAN_OUTCOMES = [
+  { value: "", label: "Unknown" },
+  { value: "tp", label: "TP would have hit" },
+  { value: "sl", label: "SL would have hit" },
+];
+
+const hasValue = (v) => v !== null && v !== undefined && v !== "" && Number.isFinite(Number(v));
+const toLevel = (v) => (hasValue(v) ? Number(v) : null);
+
+/**
+ * Stored events as an array (rows may hold them as a JSON string).
+ */
+export function parseStopEvents(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string" || !value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export const getStopEvents = (trade) => parseStopEvents(trade?.slTpEvents ?? trade?.sl_tp_events);
+
+// Current levels, either shape (edit modals use sl/tp, loaded rows carry both)
+export const currentStop = (trade) => toLevel(trade?.sl ?? trade?.stopLoss);
+export const currentTarget = (trade) => toLevel(trade?.tp ?? trade?.takeProfit);
+
+/**
+ * The stop the trade was opened with: the stored initial level, else the
+ * first recorded change's starting point, else the current stop.
+ */
+export function initialStop(trade) {
+  const stored = toLevel(trade?.initialSl ?? trade?.initial_sl);
+  if (stored !== null) return stored;
+  const first = getStopEvents(trade).find((e) => e.field === "sl");
+  return first ? toLevel(first.from) : currentStop(trade);
+}
+
+/**
+ * The take-profit the trade was opened with (same fallbacks as initialStop).
+ */
+export function initialTarget(trade) {
+  const stored = toLevel(trade?.initialTp ?? trade?.initial_tp);
+  if (stored !== null) return stored;
+  const first = getStopEvents(trade).find((e) => e.field === "tp");
+  return first ? toLevel(first.from) : currentTarget(trade);
+}
+
+/**
+ * Kind of an SL or TP change. A stop within one pip of the entry counts as
+ * breakeven; otherwise moving it in the trade's direction is a trail and
+ * moving it away is a widening.
+ *
+ * @param {{ field: "sl"|"tp", from: number|null, to: number|null, type: string,
+ *   entryPrice: number, pair: string }} change
+ * @param {Array<object>} [catalog]
+ * @returns {string} One of the STOP_EVENT_LABELS keys.
+ */
+export function classifyStopChange({ field, from, to, type, entryPrice, pair }, catalog = DEFAULT_INSTRUMENTS) {
+  if (to === null) return "removed";
+  if (from === null) return "set";
+
+  const long = String(type).toLowerCase() !== "short";
+  const favourable = long ? to > from : to < from;
+
+  if (field === "tp") {
+    return favourable ? "extended" : "reduced";
+  }
+
+  const pipSize = Number(findInstrument(pair, catalog)?.pipSize) || 0.0001;
+  if (hasValue(entryPrice) && Math.abs(to - Number(entryPrice)) <= pipSize) return "breakeven";
+  return favourable ? "trailed" : "widened";
+}
+
+/**
+ * Events for the SL/TP differences between `trade` and `next` (empty when
+ * neither level changed).
+ *
+ * @param {object} trade - The trade as it was.
+ * @param {object} next - The edited values (sl/tp or stopLoss/takeProfit).
+ * @param {object} [opts] - `time` (defaults to now), `note`, `catalog`.
+ */
+export function diffStopLevels(trade, next, { time, note = "", catalog = DEFAULT_INSTRUMENTS } = {}) {
+  const at = time ? new Date(time).toISOString() : new Date().toISOString();
+  const entryPrice = trade.entryPrice ?? trade.entry_price;
+
+  return [
+    ["sl", currentStop(trade), currentStop(next)],
+    ["tp", currentTarget(trade), currentTarget(next)],
+  ]
+    .filter(([, from, to]) => from !== to)
+    .map(([field, from, to]) => ({
+      id: uuidv4(),
+      time: at,
+      field,
+      from,
+      to,
+      kind: classifyStopChange({ field, from, to, type: trade.type, entryPrice, pair: trade.pair }, catalog),
+      note,
+    }));
+}
+
+/**
+ * The fields to merge into an active trade when its SL/TP changes: the new
+ * levels in both shapes, the appended history and the initial levels
+ * (captured on the first change for trades opened before they were stored).
+ */
+export function applyStopChange(trade, next, opts = {}) {
+  const events = diffStopLevels(trade, next, opts);
+  const sl = currentStop(next);
+  const tp = currentTarget(next);
+  return {
+    sl,
+    tp,
+    stopLoss: sl,
+    takeProfit: tp,
+    initialSl: initialStop(trade),
+    initialTp: initialTarget(trade),
+    slTpEvents: [...getStopEvents(trade), ...events],
+  };
+}
@@ -0,0 +1,79 @@
+// src/utils/stopManagement.js
+// Analytics on SL/TP management: did moving the stop or target on a closed
+// trade beat what the original plan would have made?
+import { DEFAULT_INSTRUMENTS, calculatePnl } from "./instruments";
+import { tradeCosts, tradeNetPnl } from "./tradeModel";
+import { STOP_EVENT_LABELS, getStopEvents, initialStop, initialTarget } from "./stopEvents";
+import { summarizeLegs } from "./tradeLegs";
+
+/**
+ * How moving stops and targets worked out on closed trades. Only trades
+ * with recorded SL/TP changes count. The original plan's result is priced
+ * from the trade's `planOutcome` ("tp" or "sl", recorded at close) at the
+ * initial level with the full entered size at its blended entry; trades
+ * without one are counted as `unknown`. Results are net, so the plan is
+ * charged the same costs.
+ *
+ * @returns {{ managed: number, helped: number, hurt: number, unknown: number,
+ *   netEffect: number, byKind: Array<{ kind, label, trades, helped, hurt, netEffect }> }}
+ */
+export function analyzeStopManagement(trades = [], opts = {}, catalog = DEFAULT_INSTRUMENTS) {
+  const kinds = {};
+  const summary = { managed: 0, helped: 0, hurt: 0, unknown: 0, netEffect: 0 };
+
+  trades.forEach((t) => {
+    const events = getStopEvents(t);
+    if (!events.length) return;
+    summary.managed += 1;
+
+    const outcome = t.planOutcome ?? t.plan_outcome;
+    const level = outcome === "tp" ? initialTarget(t) : outcome === "sl" ? initialStop(t) : null;
+    let delta = null;
+    if (level !== null) {
+      const { avgAllEntries, entryLots } = summarizeLegs(t, opts, catalog);
+      const planned =
+        calculatePnl(
+          {
+            symbol: t.pair,
+            type: t.type,
+            entry: avgAllEntries,
+            exit: level,
+            lots: entryLots,
+            accountType: opts.accountType,
+            valuePerPip: Number(t.valuePerPip ?? t.value_per_pip) || 0,
+            ...opts.pricing,
+          },
+          catalog
+        ) + tradeCosts(t);
+      delta = tradeNetPnl(t) - planned;
+    }
+
+    const verdict = delta === null ? "unknown" : delta > 0 ? "helped" : delta < 0 ? "hurt" : null;
+    if (verdict) summary[verdict] += 1;
+    if (delta !== null) summary.netEffect += delta;
+
+    // A trade counts once per kind of change made to it
+    new Set(events.map((e) => e.kind)).forEach((kind) => {
+      const k = (kinds[kind] = kinds[kind] || {
+        kind,
+        label: STOP_EVENT_LABELS[kind] || kind,
+        trades: 0,
+        helped: 0,
+        hurt: 0,
+        netEffect: 0,
+      });
+      k.trades += 1;
+      if (verdict === "helped" || verdict === "hurt") k[verdict] += 1;
+      if (delta !== null) k.netEffect += delta;
+    });
+  });
+
+  const round = (n) => Number(n.toFixed(2));
+  return {
+    ...summary,
+    netEffect: round(summary.netEffect),
+    byKind: Object.values(kinds)
+      .map((k) => ({ ...k, netEffect: round(k.netEffect) }))
+      .sort((a, b) => b.trades - a.trades),
+  };
+}
@@ -0,0 +1,75 @@
+// src/utils/tags.js
+// Free-form trade tags ("news", "revenge", "A+ setup", ...) stored on the
+// trade as a list (`tags`). Colours are a user setting (`tagColors`, tag →
+// hex); tags without one get a stable colour from TAG_PALETTE.
+
+export const TAG_PALETTE = [
+  "#22d3ee",
+  "#a78bfa",
+  "#34d399",
+  "#f59e0b",
+  "#f472b6",
+  "#60a5fa",
+  "#facc15",
+  "#fb7185",
+  "#4ade80",
+  "#c084fc",
+];
+
+/**
+ * Trims and lowercases a tag; tags compare case-insensitively.
+ */
+export const normalizeTag = (tag) => String(tag ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * The stored `tags` of a trade: an array, JSON text of one or a
+ * comma-separated string. Normalized, without duplicates.
+ */
+export function parseTags(value) {
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch {
+      list = value.split(",");
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+const tagsOf = (t) => parseTags(t.tags);
+
+/**
+ * Every tag used on `trades` with how often, most used first (autocomplete).
+ *
+ * @returns {Array<{ tag: string, count: number }>}
+ */
+export function collectTags(trades = []) {
+  const counts = {};
+  trades.forEach((t) => tagsOf(t).forEach((tag) => (counts[tag] = (counts[tag] || 0) + 1)));
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Trades carrying every tag in `tags` (all trades when empty).
+ */
+export function filterByTags(trades = [], tags = []) {
+  if (!tags.length) return trades;
+  return trades.filter((t) => {
+    const own = tagsOf(t);
+    return tags.every((tag) => own.includes(tag));
+  });
+}
+
+/**
+ * The colour of a tag: the user's choice, else one picked from the tag's name.
+ */
+export function tagColor(tag, colors = {}) {
+  if (colors?.[tag]) return colors[tag];
+  let hash = 0;
+  for (const ch of String(tag)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return TAG_PALETTE[hash % TAG_PALETTE.length];
+}
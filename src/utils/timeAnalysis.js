@@ -0,0 +1,152 @@
+// src/utils/timeAnalysis.js
+// When trades make money: hour-of-day × weekday results and hold-time
+// buckets, from entry_date + trade_time and exit_date.
+import { DEFAULT_INSTRUMENTS } from "./instruments";
+import { tradePnl } from "./tradeModel";
+import { tradeR } from "./performanceMetrics";
+
+const MINUTE_MS = 60000;
+
+/**
+ * Hold-duration buckets: upper bounds in minutes (the last is open-ended).
+ */
+export const HOLD_BUCKETS = [
+  { label: "< 5m", max: 5 },
+  { label: "5–15m", max: 15 },
+  { label: "15–60m", max: 60 },
+  { label: "1–4h", max: 240 },
+  { label: "4–24h", max: 1440 },
+  { label: "1–3d", max: 4320 },
+  { label: "3–7d", max: 10080 },
+  { label: "> 7d", max: Infinity },
+];
+
+/**
+ * When the trade was entered: `entry_date` as stored when it carries a
+ * time, otherwise its day at `trade_time` (local, midnight without one).
+ * Null when unknown.
+ */
+export function tradeEntryTime(t) {
+  const date = t.entry_date ?? t.entryDate;
+  if (!date) return null;
+  const time = t.trade_time ?? t.tradeTime;
+  const day = String(date).slice(0, 10);
+  const clock = /^\d{2}:\d{2}/.test(time || "") ? time.slice(0, 5) : "00:00";
+  const d = String(date).includes("T") ? new Date(date) : new Date(`${day}T${clock}`);
+  return isNaN(d) ? null : d;
+}
+
+/**
+ * Minutes between entry and exit; null while open, or when the exit is
+ * recorded before the entry (date-only exits of intraday trades).
+ */
+export function holdMinutes(t) {
+  const entry = tradeEntryTime(t);
+  const exitValue = t.exit_date ?? t.exitDate;
+  const exit = exitValue ? new Date(exitValue) : null;
+  if (!entry || !exit || isNaN(exit)) return null;
+  const minutes = (exit - entry) / MINUTE_MS;
+  return minutes >= 0 ? minutes : null;
+}
+
+const entryHour = (t, entry) => {
+  const time = t.trade_time ?? t.tradeTime;
+  const h = /^\d{2}:\d{2}/.test(time || "") ? parseInt(time, 10) : entry.getHours();
+  return Math.min(23, Math.max(0, h));
+};
+
+/**
+ * Results by weekday (Monday first) and entry hour.
+ *
+ * @param {Array<object>} trades - Closed trades, either shape.
+ * @param {{ basis?: "net"|"gross" }} [opts]
+ * @returns {{ cells: Array<Array<{ pnl: number, count: number, wins: number,
+ *   winRate: number|null }>>, maxAbsPnl: number }} `cells[weekday][hour]`
+ */
+export function buildTimeOfDayHeatmap(trades = [], { basis = "net" } = {}) {
+  const cells = Array.from({ length: 7 }, () =>
+    Array.from({ length: 24 }, () => ({ pnl: 0, count: 0, wins: 0, winRate: null }))
+  );
+  trades.forEach((t) => {
+    const entry = tradeEntryTime(t);
+    if (!entry) return;
+    const cell = cells[(entry.getDay() + 6) % 7][entryHour(t, entry)];
+    const pnl = tradePnl(t, basis);
+    cell.pnl += pnl;
+    cell.count += 1;
+    if (pnl > 0) cell.wins += 1;
+  });
+
+  let maxAbsPnl = 0;
+  cells.flat().forEach((c) => {
+    if (c.count) c.winRate = (c.wins / c.count) * 100;
+    maxAbsPnl = Math.max(maxAbsPnl, Math.abs(c.pnl));
+  });
+  return { cells, maxAbsPnl };
+}
+
+/**
+ * Trades per hold-duration bucket with their PnL and win rate, plus the
+ * average hold of winners and losers (cutting winners early shows as
+ * winners held much shorter than losers).
+ *
+ * @returns {{ buckets: Array<{ label: string, count: number, pnl: number,
+ *   avgPnl: number, winRate: number|null }>, avgWinMinutes: number|null,
+ *   avgLossMinutes: number|null, unknown: number }}
+ */
+export function buildHoldHistogram(trades = [], { basis = "net" } = {}) {
+  const buckets = HOLD_BUCKETS.map((b) => ({ label: b.label, count: 0, pnl: 0, wins: 0, avgPnl: 0, winRate: null }));
+  const winHolds = [];
+  const lossHolds = [];
+  let unknown = 0;
+
+  trades.forEach((t) => {
+    const minutes = holdMinutes(t);
+    if (minutes === null) {
+      unknown += 1;
+      return;
+    }
+    const pnl = tradePnl(t, basis);
+    const bucket = buckets[HOLD_BUCKETS.findIndex((b) => minutes < b.max)];
+    bucket.count += 1;
+    bucket.pnl += pnl;
+    if (pnl > 0) {
+      bucket.wins += 1;
+      winHolds.push(minutes);
+    } else if (pnl < 0) {
+      lossHolds.push(minutes);
+    }
+  });
+
+  buckets.forEach((b) => {
+    if (!b.count) return;
+    b.avgPnl = b.pnl / b.count;
+    b.winRate = (b.wins / b.count) * 100;
+  });
+  const avg = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : null);
+  return { buckets, avgWinMinutes: avg(winHolds), avgLossMinutes: avg(lossHolds), unknown };
+}
+
+/**
+ * Hold time (hours) against result in R, one point per trade with both known.
+ *
+ * @returns {Array<{ hours: number, r: number, pnl: number, pair: string }>}
+ */
+export function holdVsR(trades = [], { capital = 0, catalog = DEFAULT_INSTRUMENTS, accountType, pricing, basis = "net" } = {}) {
+  return trades.flatMap((t) => {
+    const minutes = holdMinutes(t);
+    const r = tradeR(t, { capital, catalog, accountType, pricing, basis });
+    if (minutes === null || r === null) return [];
+    return [{ hours: Number((minutes / 60).toFixed(2)), r: Number(r.toFixed(2)), pnl: tradePnl(t, basis), pair: t.pair || "" }];
+  });
+}
+
+/**
+ * "45m", "3.5h" or "2.1d".
+ */
+export function formatDuration(minutes) {
+  if (minutes === null || minutes === undefined) return "N/A";
+  if (minutes < 60) return `${Math.round(minutes)}m`;
+  if (minutes < 1440) return `${(minutes / 60).toFixed(1)}h`;
+  return `${(minutes / 1440).toFixed(1)}d`;
+}
@@ -0,0 +1,84 @@
+// src/utils/tradeBreakdowns.js
+// Results of closed trades broken down by what was recorded on them: each
+// pre-trade checklist item (ticked vs skipped) and each tag. Kept apart from
+// checklists.js and tags.js, which tradeModel imports, so those stay free of
+// trade pricing.
+import { DEFAULT_INSTRUMENTS } from "./instruments";
+import { tradePnl } from "./tradeModel";
+import { tradeR } from "./performanceMetrics";
+import { GLOBAL_CHECKLIST, parseChecklist } from "./checklists";
+import { parseTags } from "./tags";
+
+const mean = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0);
+
+const round = (n, d = 2) => (n === null || !Number.isFinite(n) ? null : Number(n.toFixed(d)));
+
+const emptyItemStats = () => ({ count: 0, wins: 0, pnl: 0, winRate: null });
+
+const addItemResult = (stats, pnl) => {
+  stats.count += 1;
+  stats.pnl += pnl;
+  if (pnl > 0) stats.wins += 1;
+  stats.winRate = (stats.wins / stats.count) * 100;
+};
+
+/**
+ * Results of closed trades by checklist item, split into trades where the
+ * item was ticked and trades where it was skipped. Only trades saved with a
+ * checklist count; items are matched by source and text.
+ *
+ * @returns {Array<{ text: string, source: string, satisfied: { count: number,
+ *   wins: number, pnl: number, winRate: number|null }, skipped: { count: number,
+ *   wins: number, pnl: number, winRate: number|null } }>} Most answered first.
+ */
+export function checklistItemStats(trades = [], { basis = "net" } = {}) {
+  const byItem = new Map();
+  trades.forEach((t) => {
+    const answers = parseChecklist(t.checklist);
+    if (!answers.length) return;
+    const pnl = tradePnl(t, basis);
+    answers.forEach(({ text, source = GLOBAL_CHECKLIST, checked }) => {
+      if (!text) return;
+      const key = `${source}:${text}`;
+      if (!byItem.has(key)) byItem.set(key, { text, source, satisfied: emptyItemStats(), skipped: emptyItemStats() });
+      addItemResult(byItem.get(key)[checked ? "satisfied" : "skipped"], pnl);
+    });
+  });
+  return [...byItem.values()].sort(
+    (a, b) => b.satisfied.count + b.skipped.count - (a.satisfied.count + a.skipped.count)
+  );
+}
+
+/**
+ * Results of closed trades by tag. A trade with several tags counts under
+ * each of them; untagged trades are left out.
+ *
+ * @returns {Array<{ tag: string, count: number, wins: number, pnl: number,
+ *   winRate: number, avgR: number|null, tradesWithRisk: number }>} Most
+ *   traded first.
+ */
+export function tagStats(trades = [], { capital = 0, catalog = DEFAULT_INSTRUMENTS, accountType, pricing, basis = "net" } = {}) {
+  const byTag = {};
+  trades.forEach((t) => {
+    const tags = parseTags(t.tags);
+    if (!tags.length) return;
+    const pnl = tradePnl(t, basis);
+    const r = tradeR(t, { capital, catalog, accountType, pricing, basis });
+    tags.forEach((tag) => {
+      const row = (byTag[tag] = byTag[tag] || { tag, count: 0, wins: 0, pnl: 0, rs: [] });
+      row.count += 1;
+      row.pnl += pnl;
+      if (pnl > 0) row.wins += 1;
+      if (r !== null) row.rs.push(r);
+    });
+  });
+  return Object.values(byTag)
+    .map(({ rs, ...row }) => ({
+      ...row,
+      pnl: round(row.pnl),
+      winRate: round((row.wins / row.count) * 100),
+      avgR: rs.length ? round(mean(rs)) : null,
+      tradesWithRisk: rs.length,
+    }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
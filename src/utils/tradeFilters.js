@@ -0,0 +1,160 @@
+// src/utils/tradeFilters.js
+// Filters shared by the Dashboard and WeeklyReview (TradeFilterBar): a date
+// range preset plus pair / session / strategy / direction / status. They
+// live in the URL query so a filtered view can be bookmarked.
+
+export const DATE_PRESETS = [
+  { value: "all", label: "All time" },
+  { value: "thisWeek", label: "This week" },
+  { value: "lastWeek", label: "Last week" },
+  { value: "thisMonth", label: "This month" },
+  { value: "lastMonth", label: "Last month" },
+  { value: "thisQuarter", label: "This quarter" },
+  { value: "ytd", label: "Year to date" },
+  { value: "last30", label: "Last 30 days" },
+  { value: "custom", label: "Custom" },
+];
+
+export const DEFAULT_TRADE_FILTERS = {
+  range: "all",
+  from: "",
+  to: "",
+  pair: "",
+  session: "",
+  strategy: "",
+  direction: "",
+  status: "",
+};
+
+// Filter key → URL query parameter
+const QUERY_KEYS = {
+  range: "range",
+  from: "from",
+  to: "to",
+  pair: "pair",
+  session: "session",
+  strategy: "strategy",
+  direction: "dir",
+  status: "status",
+};
+
+// Local calendar day as YYYY-MM-DD
+const ymd = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+const dayOf = (v) => {
+  const d = v ? new Date(v) : null;
+  return d && !isNaN(d) ? ymd(d) : "";
+};
+
+/**
+ * The `{ from, to }` days (YYYY-MM-DD, inclusive) the filters cover; empty
+ * strings mean unbounded. Weeks start on Monday.
+ */
+export function resolveDateRange(filters = DEFAULT_TRADE_FILTERS, now = new Date()) {
+  const y = now.getFullYear();
+  const m = now.getMonth();
+  const d = now.getDate();
+  const mondayOffset = (now.getDay() + 6) % 7;
+  const at = (year, month, day) => ymd(new Date(year, month, day));
+
+  switch (filters.range) {
+    case "thisWeek":
+      return { from: at(y, m, d - mondayOffset), to: at(y, m, d - mondayOffset + 6) };
+    case "lastWeek":
+      return { from: at(y, m, d - mondayOffset - 7), to: at(y, m, d - mondayOffset - 1) };
+    case "thisMonth":
+      return { from: at(y, m, 1), to: at(y, m + 1, 0) };
+    case "lastMonth":
+      return { from: at(y, m - 1, 1), to: at(y, m, 0) };
+    case "thisQuarter": {
+      const q = Math.floor(m / 3) * 3;
+      return { from: at(y, q, 1), to: at(y, q + 3, 0) };
+    }
+    case "ytd":
+      return { from: at(y, 0, 1), to: ymd(now) };
+    case "last30":
+      return { from: at(y, m, d - 29), to: ymd(now) };
+    case "custom":
+      return { from: filters.from || "", to: filters.to || "" };
+    default:
+      return { from: "", to: "" };
+  }
+}
+
+const directionOf = (t) => {
+  const type = String(t.type || "").toLowerCase();
+  if (type === "long" || type === "buy") return "long";
+  if (type === "short" || type === "sell") return "short";
+  return type;
+};
+
+/**
+ * True when the trade matches the pair / session / strategy / direction /
+ * status filters (dates are not checked). Either trade shape.
+ */
+export function matchesTradeFilters(t, filters = DEFAULT_TRADE_FILTERS) {
+  if (filters.pair && t.pair !== filters.pair) return false;
+  if (filters.session && !String(t.session || "").includes(filters.session)) return false;
+  if (filters.strategy && t.strategy !== filters.strategy) return false;
+  if (filters.direction && directionOf(t) !== filters.direction) return false;
+  if (filters.status && String(t.status || "Valid").toLowerCase() !== filters.status.toLowerCase()) return false;
+  return true;
+}
+
+/**
+ * Trades matching all filters, dated by entry date.
+ *
+ * @param {Array<object>} trades
+ * @param {object} filters
+ * @param {{ now?: Date, dates?: boolean }} [opts] - `dates: false` skips the
+ *   date range (for views with their own period).
+ */
+export function applyTradeFilters(trades = [], filters = DEFAULT_TRADE_FILTERS, { now = new Date(), dates = true } = {}) {
+  const { from, to } = dates ? resolveDateRange(filters, now) : { from: "", to: "" };
+  return trades.filter((t) => {
+    if (from || to) {
+      const day = dayOf(t.entry_date ?? t.entryDate);
+      if (!day || (from && day < from) || (to && day > to)) return false;
+    }
+    return matchesTradeFilters(t, filters);
+  });
+}
+
+/**
+ * True when any filter differs from the defaults.
+ */
+export const hasActiveFilters = (filters) =>
+  Object.keys(DEFAULT_TRADE_FILTERS).some((key) => (filters[key] || "") !== DEFAULT_TRADE_FILTERS[key]);
+
+/**
+ * Filters read from a URL query string (unknown or missing values fall back
+ * to the defaults).
+ */
+export function filtersFromSearch(search = "") {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_TRADE_FILTERS };
+  Object.entries(QUERY_KEYS).forEach(([key, param]) => {
+    const value = params.get(param);
+    if (value) filters[key] = value;
+  });
+  if (!DATE_PRESETS.some((p) => p.value === filters.range)) filters.range = "all";
+  return filters;
+}
+
+/**
+ * `search` with the filter parameters replaced by `filters` (defaults are
+ * left out; other parameters are kept).
+ */
+export function filtersToSearch(filters, search = "") {
+  const params = new URLSearchParams(search);
+  Object.entries(QUERY_KEYS).forEach(([key, param]) => {
+    const value = filters[key] || "";
+    const isDefault = value === DEFAULT_TRADE_FILTERS[key];
+    const unusedDate = (key === "from" || key === "to") && filters.range !== "custom";
+    if (!value || isDefault || unusedDate) params.delete(param);
+    else params.set(param, value);
+  });
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
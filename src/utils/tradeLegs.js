@@ -0,0 +1,180 @@
+// src/utils/tradeLegs.js
+// Execution legs of a position: the opening fill, scale-ins and partial
+// exits, each with its own lots, price, time and fee. Stored on the trade as
+// `legs` (JSON). Trades saved before legs existed get one entry leg (and one
+// exit leg when closed) derived from their single entry/exit fields.
+import { v4 as uuidv4 } from "uuid";
+import { DEFAULT_INSTRUMENTS, calculatePnl } from "./instruments";
+import { initialStop } from "./stopEvents";
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+const toIso = (v) => (v ? new Date(v).toISOString() : new Date().toISOString());
+
+/**
+ * A new leg. `fee` is signed like trade costs (negative = paid).
+ */
+export const createLeg = ({ kind = "entry", lots, price, time, fee = 0 }) => ({
+  id: uuidv4(),
+  kind,
+  lots: num(lots),
+  price: num(price),
+  time: toIso(time),
+  fee: num(fee),
+});
+
+/**
+ * Stored legs as an array (rows may hold them as a JSON string).
+ */
+export function parseLegs(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string" || !value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The trade's legs in the order they were recorded (derived for trades
+ * without stored legs). Recorded order is kept rather than sorting by time:
+ * legs entered with a date only would otherwise tie or land before the
+ * opening fill.
+ */
+export function getTradeLegs(trade) {
+  if (!trade) return [];
+  const stored = parseLegs(trade.legs);
+  if (stored.length) return stored;
+
+  const lots = num(trade.lotSize ?? trade.lot_size);
+  const entryPrice = trade.entryPrice ?? trade.entry_price;
+  if (!lots || entryPrice === null || entryPrice === undefined) return [];
+
+  const legs = [
+    {
+      id: `${trade.id}-entry`,
+      kind: "entry",
+      lots,
+      price: num(entryPrice),
+      time: toIso(trade.entryDate ?? trade.entry_date),
+      fee: 0,
+    },
+  ];
+  const exitPrice = trade.exitPrice ?? trade.exit_price;
+  const closed = String(trade.state || "").toLowerCase() === "closed";
+  if (closed && exitPrice !== null && exitPrice !== undefined && exitPrice !== "") {
+    legs.push({
+      id: `${trade.id}-exit`,
+      kind: "exit",
+      lots,
+      price: num(exitPrice),
+      time: toIso(trade.exitDate ?? trade.exit_date),
+      fee: 0,
+    });
+  }
+  return legs;
+}
+
+/**
+ * Position figures from the legs. Exits are matched against the running
+ * average entry (average-cost method), so scale-ins after a partial exit
+ * only affect later exits.
+ *
+ * @param {object} trade - Needs pair, type, valuePerPip, stop levels and legs (or entry/exit fields).
+ * @param {object} [opts] - accountType and pricing ({accountCurrency, rates, lotScale}) for trades without a frozen pip value.
+ * @param {Array<object>} [catalog]
+ * @returns {{ legs, entryLots, exitLots, openLots, avgEntry, avgExit,
+ *   avgAllEntries, realizedPnl, legFees, initialRisk, realizedR }}
+ */
+export function summarizeLegs(trade, opts = {}, catalog = DEFAULT_INSTRUMENTS) {
+  const legs = getTradeLegs(trade);
+  const pnlFor = (entry, exit, lots) =>
+    calculatePnl(
+      {
+        symbol: trade.pair,
+        type: trade.type,
+        entry,
+        exit,
+        lots,
+        accountType: opts.accountType,
+        valuePerPip: num(trade.valuePerPip ?? trade.value_per_pip),
+        ...opts.pricing,
+      },
+      catalog
+    );
+
+  let openLots = 0;
+  let avgEntry = 0;
+  let entryLots = 0;
+  let entryCost = 0;
+  let exitLots = 0;
+  let exitValue = 0;
+  let realizedPnl = 0;
+  let legFees = 0;
+
+  legs.forEach((leg) => {
+    const lots = num(leg.lots);
+    legFees += num(leg.fee);
+    if (leg.kind === "entry") {
+      avgEntry = openLots + lots > 0 ? (avgEntry * openLots + num(leg.price) * lots) / (openLots + lots) : 0;
+      openLots += lots;
+      entryLots += lots;
+      entryCost += num(leg.price) * lots;
+    } else {
+      const closing = Math.min(lots, openLots);
+      realizedPnl += pnlFor(avgEntry, num(leg.price), closing);
+      openLots -= closing;
+      exitLots += closing;
+      exitValue += num(leg.price) * closing;
+    }
+  });
+
+  // Risk the full position would have lost at the original stop (moving
+  // the stop later does not change the R the trade is measured in)
+  const stop = initialStop(trade);
+  const avgAllEntries = entryLots ? entryCost / entryLots : 0;
+  const initialRisk =
+    stop !== null && entryLots ? Math.abs(pnlFor(avgAllEntries, stop, entryLots)) : 0;
+
+  const round = (n, d = 2) => Number(n.toFixed(d));
+  return {
+    legs,
+    entryLots: round(entryLots),
+    exitLots: round(exitLots),
+    openLots: round(Math.max(0, openLots)),
+    avgEntry: round(avgEntry, 6),
+    avgAllEntries: round(avgAllEntries, 6),
+    avgExit: exitLots ? round(exitValue / exitLots, 6) : null,
+    realizedPnl: round(realizedPnl),
+    legFees: round(legFees),
+    initialRisk: round(initialRisk),
+    realizedR: initialRisk ? round(realizedPnl / initialRisk) : null,
+  };
+}
+
+/**
+ * Floating PnL of the still-open lots at `price`.
+ */
+export function unrealizedPnl(trade, price, opts = {}, catalog = DEFAULT_INSTRUMENTS) {
+  const { openLots, avgEntry } = summarizeLegs(trade, opts, catalog);
+  if (!openLots || price === "" || price === null || price === undefined) return 0;
+  return calculatePnl(
+    {
+      symbol: trade.pair,
+      type: trade.type,
+      entry: avgEntry,
+      exit: num(price),
+      lots: openLots,
+      accountType: opts.accountType,
+      valuePerPip: num(trade.valuePerPip ?? trade.value_per_pip),
+      ...opts.pricing,
+    },
+    catalog
+  );
+}
+
+/**
+ * The trade's legs with `leg` appended.
+ */
+export const addLeg = (trade, leg) => [...getTradeLegs(trade), leg];
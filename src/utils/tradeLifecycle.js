@@ -0,0 +1,146 @@
+// src/utils/tradeLifecycle.js
+// Trade lifecycle before and after execution. A trade can start as a plan:
+// an "Idea" (no order placed) or a "Pending" limit/stop order. Plans are
+// triggered into "Active", or end as "Expired" / "Cancelled" without ever
+// being traded. `planned_at` marks trades that started as a plan and
+// `resolved_at` when the plan was triggered, expired or cancelled.
+import dayjs from "dayjs";
+
+export const TRADE_STATES = ["Idea", "Pending", "Active", "Closed", "Expired", "Cancelled"];
+export const PLANNED_STATES = ["Idea", "Pending"];
+export const SKIPPED_STATES = ["Expired", "Cancelled"];
+
+export const ORDER_TYPES = [
+  { value: "limit", label: "Limit" },
+  { value: "stop", label: "Stop" },
+];
+
+// Allowed moves out of each planned state
+const TRANSITIONS = {
+  Idea: ["Pending", "Active", "Expired", "Cancelled"],
+  Pending: ["Active", "Expired", "Cancelled"],
+};
+
+/**
+ * Canonical state name for any casing; unknown values fall back to `fallback`.
+ */
+export function normalizeTradeState(raw, fallback = "Active") {
+  const s = String(raw || "").toLowerCase();
+  return TRADE_STATES.find((state) => state.toLowerCase() === s) || fallback;
+}
+
+const stateOf = (t) => normalizeTradeState(t?.state);
+
+export const isPlannedTrade = (t) => PLANNED_STATES.includes(stateOf(t));
+export const isSkippedTrade = (t) => SKIPPED_STATES.includes(stateOf(t));
+
+/**
+ * True for trades that were actually executed (Active or Closed), the only
+ * ones PnL, risk and performance figures should include.
+ */
+export const isExecutedTrade = (t) => !isPlannedTrade(t) && !isSkippedTrade(t);
+
+// Calendar day in the user's time zone, so "today" matches their trading day
+const localDay = (value) => dayjs(value).format("YYYY-MM-DD");
+
+export const canTransition = (from, to) =>
+  (TRANSITIONS[normalizeTradeState(from)] || []).includes(to);
+
+/**
+ * The trade moved to `to` at `time`. Triggering into Active takes the
+ * trigger time as the entry date and time (local), and the fill price when
+ * given.
+ *
+ * @throws {Error} When the move is not allowed from the trade's state.
+ */
+export function transitionTrade(trade, to, { time = new Date(), fillPrice } = {}) {
+  const from = stateOf(trade);
+  if (!canTransition(from, to)) {
+    throw new Error(`Cannot move a trade from ${from} to ${to}`);
+  }
+  const at = new Date(time).toISOString();
+  const next = { ...trade, state: to, resolvedAt: at };
+  if (to === "Pending") delete next.resolvedAt;
+  if (to === "Active") {
+    next.entryDate = localDay(time);
+    next.tradeTime = dayjs(time).format("HH:mm");
+    if (Number(fillPrice) > 0) next.entryPrice = Number(fillPrice);
+  }
+  return next;
+}
+
+/**
+ * True for a pending order whose expiry has passed.
+ */
+export function isPastExpiry(trade, now = new Date()) {
+  const expires = trade?.expiresAt ?? trade?.expires_at;
+  return stateOf(trade) === "Pending" && !!expires && new Date(expires) < now;
+}
+
+const resolvedOn = (t, day) => {
+  const at = t.resolvedAt ?? t.resolved_at;
+  return !!at && localDay(at) === day;
+};
+
+/**
+ * Number of plans cancelled on `day` (YYYY-MM-DD, local time).
+ */
+export const countCancellations = (trades = [], day = localDay()) =>
+  trades.filter((t) => stateOf(t) === "Cancelled" && resolvedOn(t, day)).length;
+
+/**
+ * Taken vs skipped plans. Taken plans are executed trades that started as a
+ * plan; skipped ones expired or were cancelled. `planOutcome` on a skipped
+ * plan ("tp" / "sl") records what the market did without us.
+ *
+ * @returns {{ open: number, taken: number, skipped: number, expired: number,
+ *   cancelled: number, takeRate: number|null, takenClosed: number, takenWins: number,
+ *   takenPnl: number, missedWinners: number, avoidedLosers: number, skippedUnknown: number }}
+ */
+export function summarizeTradePlans(trades = []) {
+  const out = {
+    open: 0,
+    taken: 0,
+    skipped: 0,
+    expired: 0,
+    cancelled: 0,
+    takenClosed: 0,
+    takenWins: 0,
+    takenPnl: 0,
+    missedWinners: 0,
+    avoidedLosers: 0,
+    skippedUnknown: 0,
+  };
+
+  trades.forEach((t) => {
+    const state = stateOf(t);
+    if (PLANNED_STATES.includes(state)) {
+      out.open += 1;
+      return;
+    }
+    if (SKIPPED_STATES.includes(state)) {
+      out.skipped += 1;
+      out[state === "Expired" ? "expired" : "cancelled"] += 1;
+      const outcome = t.planOutcome ?? t.plan_outcome;
+      if (outcome === "tp") out.missedWinners += 1;
+      else if (outcome === "sl") out.avoidedLosers += 1;
+      else out.skippedUnknown += 1;
+      return;
+    }
+    if (!(t.plannedAt ?? t.planned_at)) return;
+    out.taken += 1;
+    if (state === "Closed") {
+      const pnl = Number(t.pnlCurrency ?? t.pnl_currency) || 0;
+      out.takenClosed += 1;
+      out.takenPnl += pnl;
+      if (pnl > 0) out.takenWins += 1;
+    }
+  });
+
+  const resolved = out.taken + out.skipped;
+  return {
+    ...out,
+    takenPnl: Number(out.takenPnl.toFixed(2)),
+    takeRate: resolved ? Number(((out.taken / resolved) * 100).toFixed(1)) : null,
+  };
+}
@@ -0,0 +1,185 @@
+// src/utils/tradeModel.js
+// Canonical trade shape shared by the trade log, sync and importers:
+// UI objects use camelCase, `trades` table rows use snake_case.
+import { parseLegs } from "./tradeLegs";
+import { parseStopEvents } from "./stopEvents";
+import { normalizeTradeState } from "./tradeLifecycle";
+import { parseViolations } from "./tradingRules";
+import { parseChecklist } from "./checklists";
+import { parseTags } from "./tags";
+
+// Safely convert a date value to a full ISO timestamp
+const toISOTimestamp = (dateVal) => {
+  if (!dateVal) return null;
+  try {
+    return new Date(dateVal).toISOString();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Convert a trade (camelCase or snake_case) into a `trades` row.
+ * `pnl_currency` is the net result; `commission`, `swap` and `fees` (spread
+ * or other charges) are the signed costs already included in it. `value_per_pip` is in the account currency and
+ * `conversion_rate` is the quote → account rate it was computed with.
+ * `legs` holds the executions (see tradeLegs.js); `lot_size` is then the
+ * total entered lots, while `entry_price` stays the first fill (the blended
+ * entry comes from summarizeLegs).
+ * `sl` / `tp` are the current levels; `initial_sl` / `initial_tp` keep the
+ * opening plan and `sl_tp_events` the changes in between (see stopEvents.js).
+ * `state` also covers planned trades (Idea / Pending) and plans that were
+ * never traded (Expired / Cancelled); see tradeLifecycle.js.
+ * `rule_violations` lists the trading rules the trade was saved in breach
+ * of (see tradingRules.js); `status` follows from them unless
+ * `status_override` is set, with its `status_reason`. `checklist` holds
+ * the pre-trade checklist answers (see checklists.js) and `tags` the
+ * trade's tags (see tags.js).
+ */
+export const normalizeTradeForDB = (t, userId, accountId) => {
+  // Normalize trade state to consistent lifecycle values (new trades default to Active)
+  const state = normalizeTradeState(t.state);
+
+  const legs = parseLegs(t.legs);
+  const slTpEvents = parseStopEvents(t.slTpEvents ?? t.sl_tp_events);
+  const sl = t.stopLoss ?? t.sl ?? null;
+  const tp = t.takeProfit ?? t.tp ?? null;
+
+  // Return normalized object ready for Supabase
+  return {
+    id: t.id,
+    user_id: userId,
+    account_id: accountId,
+    ticket: t.ticket ?? null,
+    pair: t.pair ?? null,
+    type: t.type ?? null,
+    trade_time: t.tradeTime ?? t.trade_time ?? null,
+    entry_date: toISOTimestamp(t.entryDate ?? t.entry_date),
+    entry_price: t.entryPrice ?? t.entry_price ?? null,
+    sl,
+    tp,
+    initial_sl: t.initialSl ?? t.initial_sl ?? sl,
+    initial_tp: t.initialTp ?? t.initial_tp ?? tp,
+    sl_tp_events: slTpEvents.length ? slTpEvents : null,
+    plan_outcome: t.planOutcome ?? t.plan_outcome ?? null,
+    risk: t.risk ?? 0,
+    lot_size: t.lotSize ?? t.lot_size ?? t.lotsize ?? null,
+    value_per_pip: t.valuePerPip ?? t.value_per_pip ?? null,
+    conversion_rate: t.conversionRate ?? t.conversion_rate ?? null,
+    state, // ✅ use normalized lifecycle state
+    status: t.status || "Valid", // ✅ fixed
+    ratio: t.ratio ?? null,
+    beforeimage: t.beforeImage ?? t.beforeimage ?? null,
+    afterimage: t.afterImage ?? t.afterimage ?? null,
+    exit_date: toISOTimestamp(t.exitDate ?? t.exit_date),
+    exit_price: t.exitPrice ?? t.exit_price ?? null,
+    points: t.points ?? null,
+    pnl_currency: t.pnlCurrency ?? t.pnl_currency ?? t.pnlcurrency ?? null,
+    pnl_percent: t.pnlPercent ?? t.pnl_percent ?? t.pnlpercent ?? null,
+    commission: t.commission ?? 0,
+    swap: t.swap ?? 0,
+    fees: t.fees ?? 0,
+    legs: legs.length ? legs : null,
+    order_type: t.orderType ?? t.order_type ?? null,
+    expires_at: toISOTimestamp(t.expiresAt ?? t.expires_at),
+    thesis: t.thesis ?? null,
+    planned_at: toISOTimestamp(t.plannedAt ?? t.planned_at),
+    resolved_at: toISOTimestamp(t.resolvedAt ?? t.resolved_at),
+    rule_violations: parseViolations(t.ruleViolations ?? t.rule_violations),
+    status_override: t.statusOverride ?? t.status_override ?? null,
+    status_reason: t.statusReason ?? t.status_reason ?? null,
+    checklist: parseChecklist(t.checklist),
+    session: t.session ?? "",
+    strategy: t.strategy ?? "",
+    tags: parseTags(t.tags),
+    note: t.note ?? null,
+    created_at: t.created_at ?? new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  };
+};
+
+/**
+ * Convert a `trades` row back into the camelCase shape used by the UI.
+ */
+export const denormalizeTradeRow = (r) => ({
+  id: r.id,
+  ticket: r.ticket ?? null,
+  pair: r.pair,
+  type: r.type,
+  entryDate: r.entry_date ?? r.entryDate ?? "",
+  entryPrice: r.entry_price ?? r.entryPrice ?? null,
+  stopLoss: r.sl ?? r.stopLoss ?? null,
+  takeProfit: r.tp ?? r.takeProfit ?? null,
+  initialSl: r.initial_sl ?? r.initialSl ?? null,
+  initialTp: r.initial_tp ?? r.initialTp ?? null,
+  slTpEvents: parseStopEvents(r.sl_tp_events ?? r.slTpEvents),
+  planOutcome: r.plan_outcome ?? r.planOutcome ?? null,
+  risk: r.risk ?? 0,
+  lotSize: r.lot_size ?? r.lotSize ?? 0,
+  valuePerPip: r.value_per_pip ?? r.valuePerPip ?? 0,
+  conversionRate: r.conversion_rate ?? r.conversionRate ?? null,
+  status: r.status ?? "Active",
+  ratio: r.ratio ?? null,
+  beforeImage: r.beforeimage ?? r.beforeImage ?? null,
+  afterImage: r.afterimage ?? r.afterImage ?? null,
+  exitDate: r.exit_date ?? r.exitDate ?? null,
+  exitPrice: r.exit_price ?? r.exitPrice ?? null,
+  points: r.points ?? null,
+
+  // ✅ Fix: unify naming for UI
+  pnlCurrency: parseFloat(r.pnl_currency ?? r.pnlCurrency ?? 0),
+  actualPnL: parseFloat(r.pnl_currency ?? r.pnlCurrency ?? 0),
+
+  pnlPercent: parseFloat(r.pnl_percent ?? r.pnlPercent ?? 0),
+  percentagePnL: parseFloat(r.pnl_percent ?? r.pnlPercent ?? 0),
+
+  commission: parseFloat(r.commission ?? 0),
+  swap: parseFloat(r.swap ?? 0),
+  fees: parseFloat(r.fees ?? 0),
+  legs: parseLegs(r.legs),
+
+  orderType: r.order_type ?? r.orderType ?? null,
+  expiresAt: r.expires_at ?? r.expiresAt ?? null,
+  thesis: r.thesis ?? null,
+  plannedAt: r.planned_at ?? r.plannedAt ?? null,
+  resolvedAt: r.resolved_at ?? r.resolvedAt ?? null,
+  ruleViolations: parseViolations(r.rule_violations ?? r.ruleViolations),
+  statusOverride: r.status_override ?? r.statusOverride ?? null,
+  statusReason: r.status_reason ?? r.statusReason ?? null,
+  checklist: parseChecklist(r.checklist),
+
+  session: r.session ?? "",
+  strategy: r.strategy ?? "",
+  tags: parseTags(r.tags),
+  note: r.note ?? null,
+  state: normalizeTradeState(r.state, "Closed"),
+  created_at: r.created_at,
+  updated_at: r.updated_at,
+});
+
+const toNumber = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Signed trading costs of a trade (commission + swap + fees), either shape.
+ * Costs are usually negative; a positive swap is a credit.
+ */
+export const tradeCosts = (t) => toNumber(t.commission) + toNumber(t.swap) + toNumber(t.fees);
+
+/**
+ * Net PnL (what hit the balance), either shape.
+ */
+export const tradeNetPnl = (t) => toNumber(t.pnl_currency ?? t.pnlCurrency);
+
+/**
+ * PnL before commission, swap and fees.
+ */
+export const tradeGrossPnl = (t) => tradeNetPnl(t) - tradeCosts(t);
+
+/**
+ * PnL on the chosen basis: "net" (default) or "gross".
+ */
+export const tradePnl = (t, basis = "net") =>
+  basis === "gross" ? tradeGrossPnl(t) : tradeNetPnl(t);
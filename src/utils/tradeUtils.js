@@ -1,16 +1,13 @@
 // src/utils/tradeUtils.js
 // Utility helpers for trade and performance calculations
+import { getSessionAt } from './sessionUtils';
 
 /**
- * Returns the current Forex session based on UTC hour.
- * London: 7–16, New York: 12–21, Tokyo: 0–9, Sydney: 21–6
+ * Returns the Forex session(s) open at `date`, overlaps included
+ * (e.g. "London & New York"); see sessionUtils.
  */
-export function detectSession(date = new Date()) {
-  const hour = date.getUTCHours();
-  if (hour >= 7 && hour < 16) return 'London';
-  if (hour >= 12 && hour < 21) return 'New York';
-  if (hour >= 0 && hour < 9) return 'Tokyo';
-  return 'Sydney';
+export function detectSession(date = new Date(), custom = []) {
+  return getSessionAt(date, { custom });
 }
 
 /**
@@ -0,0 +1,77 @@
+// src/utils/tradingCosts.js
+// "Cost of trading" breakdowns for closed trades: commission, swap and fees
+// per pair and per month, and how much of the gross profit they consume.
+import { tradeCosts, tradeGrossPnl, tradeNetPnl } from "./tradeModel";
+
+const round = (n) => Number(n.toFixed(2));
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+const emptyBucket = (key) => ({
+  key,
+  trades: 0,
+  commission: 0,
+  swap: 0,
+  fees: 0,
+  total: 0,
+  grossPnl: 0,
+  netPnl: 0,
+});
+
+const addTrade = (bucket, t) => {
+  bucket.trades += 1;
+  bucket.commission += num(t.commission);
+  bucket.swap += num(t.swap);
+  bucket.fees += num(t.fees);
+  bucket.total += tradeCosts(t);
+  bucket.grossPnl += tradeGrossPnl(t);
+  bucket.netPnl += tradeNetPnl(t);
+};
+
+const roundBucket = (b) => ({
+  ...b,
+  commission: round(b.commission),
+  swap: round(b.swap),
+  fees: round(b.fees),
+  total: round(b.total),
+  grossPnl: round(b.grossPnl),
+  netPnl: round(b.netPnl),
+});
+
+/**
+ * Cost totals and breakdowns for closed trades (either shape).
+ * Costs keep their sign (negative = paid). `shareOfGrossProfit` is the
+ * percentage of gross profit (sum of winning trades before costs) spent on
+ * costs, or null when there was no gross profit.
+ *
+ * @returns {{ totals: object, grossProfit: number, shareOfGrossProfit: number|null,
+ *   byPair: Array<object>, byMonth: Array<object> }}
+ */
+export function summarizeTradingCosts(trades = []) {
+  const totals = emptyBucket("all");
+  const pairs = {};
+  const months = {};
+  let grossProfit = 0;
+
+  trades.forEach((t) => {
+    addTrade(totals, t);
+
+    const pair = t.pair || "Unknown";
+    addTrade((pairs[pair] = pairs[pair] || emptyBucket(pair)), t);
+
+    const closedAt = t.exit_date ?? t.exitDate ?? t.entry_date ?? t.entryDate;
+    const month = closedAt ? new Date(closedAt).toISOString().slice(0, 7) : "Unknown";
+    addTrade((months[month] = months[month] || emptyBucket(month)), t);
+
+    const gross = tradeGrossPnl(t);
+    if (gross > 0) grossProfit += gross;
+  });
+
+  return {
+    totals: roundBucket(totals),
+    grossProfit: round(grossProfit),
+    shareOfGrossProfit: grossProfit > 0 ? round((-totals.total / grossProfit) * 100) : null,
+    // Most expensive first
+    byPair: Object.values(pairs).map(roundBucket).sort((a, b) => a.total - b.total),
+    byMonth: Object.values(months).map(roundBucket).sort((a, b) => a.key.localeCompare(b.key)),
+  };
+}
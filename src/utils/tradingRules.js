@@ -0,0 +1,268 @@
+// src/utils/tradingRules.js
+// Per-account trading rules (Settings → Trading Rules), stored as the user
+// setting `rules:<accountId>`. Each rule has a limit (`value`; null or an
+// empty list switches it off) and a `mode`: "block" stops the trade from
+// being saved, "warn" asks for confirmation and records the violation on
+// the trade (`rule_violations`). A trade is "Invalid" when it broke any
+// rule, unless overridden by hand (`status_override`, with a `status_reason`).
+import { isExecutedTrade } from "./tradeLifecycle";
+
+export const RULE_MODES = ["block", "warn"];
+
+/**
+ * Rule catalog. `kind` is "number" (a limit) or "list" (allowed values).
+ */
+export const RULE_DEFINITIONS = [
+  { key: "perTradeRiskPercent", label: "Max risk per trade", unit: "%", kind: "number" },
+  { key: "dailyRiskPercent", label: "Max risk per day", unit: "%", kind: "number" },
+  { key: "weeklyRiskPercent", label: "Max risk per week", unit: "%", kind: "number" },
+  { key: "dailyLossPercent", label: "Daily loss cap", unit: "%", kind: "number" },
+  { key: "weeklyLossPercent", label: "Weekly loss cap", unit: "%", kind: "number" },
+  { key: "maxTradesPerDay", label: "Max trades per day", unit: "", kind: "number" },
+  { key: "maxOpenTrades", label: "Max open trades", unit: "", kind: "number" },
+  { key: "maxCancelsPerDay", label: "Max cancelled plans per day", unit: "", kind: "number" },
+  { key: "minRiskReward", label: "Min reward:risk", unit: "R", kind: "number" },
+  { key: "allowedSessions", label: "Allowed sessions", unit: "", kind: "list" },
+  { key: "allowedPairs", label: "Allowed pairs", unit: "", kind: "list" },
+];
+
+// The limits the trade log used to hardcode
+export const DEFAULT_RULES = {
+  perTradeRiskPercent: { value: 3, mode: "block" },
+  dailyRiskPercent: { value: 5, mode: "block" },
+  weeklyRiskPercent: { value: null, mode: "warn" },
+  dailyLossPercent: { value: null, mode: "block" },
+  weeklyLossPercent: { value: null, mode: "warn" },
+  maxTradesPerDay: { value: 3, mode: "warn" },
+  maxOpenTrades: { value: 2, mode: "warn" },
+  maxCancelsPerDay: { value: 1, mode: "warn" },
+  minRiskReward: { value: null, mode: "warn" },
+  allowedSessions: { value: [], mode: "warn" },
+  allowedPairs: { value: [], mode: "warn" },
+};
+
+export const rulesSettingKey = (accountId) => `rules:${accountId}`;
+
+/**
+ * Saved rules layered over the defaults, one entry per known rule.
+ */
+export function mergeRules(saved = {}) {
+  const out = {};
+  RULE_DEFINITIONS.forEach(({ key, kind }) => {
+    const rule = { ...DEFAULT_RULES[key], ...(saved?.[key] || {}) };
+    if (kind === "list") rule.value = Array.isArray(rule.value) ? rule.value : [];
+    else rule.value = rule.value === "" || rule.value === null || !Number.isFinite(Number(rule.value)) ? null : Number(rule.value);
+    rule.mode = RULE_MODES.includes(rule.mode) ? rule.mode : "warn";
+    out[key] = rule;
+  });
+  return out;
+}
+
+const dayOf = (v) => (v ? String(v).slice(0, 10) : "");
+
+// Monday of the ISO week containing `day` (YYYY-MM-DD)
+const weekStartOf = (day) => {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+};
+
+const inWeekOf = (value, day) => {
+  const v = dayOf(value);
+  return !!v && weekStartOf(v) === weekStartOf(day);
+};
+
+const entryDay = (t) => dayOf(t.entryDate ?? t.entry_date);
+const exitDay = (t) => dayOf(t.exitDate ?? t.exit_date);
+const sumRisk = (list) => list.reduce((s, t) => s + (Number(t.risk) || 0), 0);
+const sumPnl = (list) => list.reduce((s, t) => s + (Number(t.pnlCurrency ?? t.pnl_currency) || 0), 0);
+
+/**
+ * Risk (% of capital) of executed trades entered on `day`.
+ */
+export const riskTakenOn = (trades = [], day) =>
+  sumRisk(trades.filter((t) => isExecutedTrade(t) && entryDay(t) === day));
+
+/**
+ * Rules the candidate trade would break, given the account's other trades.
+ *
+ * @param {object} candidate - pair, entryDate, risk (%), ratio, session.
+ * @param {{ trades: Array<object>, capital: number }} context - Executed trades
+ *   (active and closed, either shape) and the account capital for loss caps.
+ * @param {object} rules - Saved rules (merged with the defaults here).
+ * @returns {Array<{ rule: string, label: string, mode: string, message: string }>}
+ */
+export function evaluateTradeRules(candidate, { trades = [], capital = 0 } = {}, rules = {}) {
+  const r = mergeRules(rules);
+  const day = dayOf(candidate.entryDate) || new Date().toISOString().slice(0, 10);
+  const executed = trades.filter(isExecutedTrade);
+  const risk = Number(candidate.risk) || 0;
+  const violations = [];
+
+  const add = (key, message) => {
+    const def = RULE_DEFINITIONS.find((d) => d.key === key);
+    violations.push({ rule: key, label: def.label, mode: r[key].mode, message });
+  };
+  const limit = (key) => r[key].value;
+
+  if (limit("perTradeRiskPercent") !== null && risk > limit("perTradeRiskPercent")) {
+    add("perTradeRiskPercent", `Risk ${risk}% is above the ${limit("perTradeRiskPercent")}% per-trade limit`);
+  }
+
+  const dayTrades = executed.filter((t) => entryDay(t) === day);
+  const dayRisk = sumRisk(dayTrades) + risk;
+  if (limit("dailyRiskPercent") !== null && dayRisk > limit("dailyRiskPercent")) {
+    add("dailyRiskPercent", `Daily risk would be ${dayRisk.toFixed(2)}% (limit ${limit("dailyRiskPercent")}%)`);
+  }
+
+  const weekRisk = sumRisk(executed.filter((t) => inWeekOf(entryDay(t), day))) + risk;
+  if (limit("weeklyRiskPercent") !== null && weekRisk > limit("weeklyRiskPercent")) {
+    add("weeklyRiskPercent", `Weekly risk would be ${weekRisk.toFixed(2)}% (limit ${limit("weeklyRiskPercent")}%)`);
+  }
+
+  // Loss caps: realized net PnL of trades closed today / this week
+  if (capital > 0) {
+    const dayLoss = (-sumPnl(executed.filter((t) => exitDay(t) === day)) / capital) * 100;
+    if (limit("dailyLossPercent") !== null && dayLoss >= limit("dailyLossPercent")) {
+      add("dailyLossPercent", `Down ${dayLoss.toFixed(2)}% today (cap ${limit("dailyLossPercent")}%)`);
+    }
+    const weekLoss = (-sumPnl(executed.filter((t) => inWeekOf(exitDay(t), day))) / capital) * 100;
+    if (limit("weeklyLossPercent") !== null && weekLoss >= limit("weeklyLossPercent")) {
+      add("weeklyLossPercent", `Down ${weekLoss.toFixed(2)}% this week (cap ${limit("weeklyLossPercent")}%)`);
+    }
+  }
+
+  if (limit("maxTradesPerDay") !== null && dayTrades.length + 1 > limit("maxTradesPerDay")) {
+    add("maxTradesPerDay", `Trade ${dayTrades.length + 1} of the day (limit ${limit("maxTradesPerDay")})`);
+  }
+
+  const open = executed.filter((t) => String(t.state).toLowerCase() === "active").length;
+  if (limit("maxOpenTrades") !== null && open + 1 > limit("maxOpenTrades")) {
+    add("maxOpenTrades", `${open + 1} open trades (limit ${limit("maxOpenTrades")})`);
+  }
+
+  const ratio = candidate.ratio === null || candidate.ratio === undefined ? NaN : Number(candidate.ratio);
+  if (limit("minRiskReward") !== null && Number.isFinite(ratio) && ratio < limit("minRiskReward")) {
+    add("minRiskReward", `Reward:risk ${ratio.toFixed(2)} is below ${limit("minRiskReward")}`);
+  }
+
+  const sessions = r.allowedSessions.value;
+  if (sessions.length) {
+    const parts = String(candidate.session || "").split("&").map((s) => s.trim()).filter(Boolean);
+    if (!parts.some((s) => sessions.includes(s))) {
+      add("allowedSessions", `Session "${candidate.session || "Unknown"}" is not an allowed session (${sessions.join(", ")})`);
+    }
+  }
+
+  const pairs = r.allowedPairs.value;
+  if (pairs.length && !pairs.includes(candidate.pair)) {
+    add("allowedPairs", `${candidate.pair} is not an allowed pair`);
+  }
+
+  return violations;
+}
+
+/**
+ * Violation for cancelling one more plan today, or null.
+ */
+export function evaluateCancelRule(cancelledToday, rules = {}) {
+  const r = mergeRules(rules).maxCancelsPerDay;
+  if (r.value === null || cancelledToday + 1 <= r.value) return null;
+  return {
+    rule: "maxCancelsPerDay",
+    label: "Max cancelled plans per day",
+    mode: r.mode,
+    message: `${cancelledToday + 1} cancellations today (limit ${r.value})`,
+  };
+}
+
+/**
+ * Stored violations as an array (rows may hold them as a JSON string).
+ */
+export function parseViolations(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string" || !value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// ------------------------------
+// Valid / Invalid status
+// ------------------------------
+
+export const TRADE_STATUSES = ["Valid", "Invalid"];
+
+// Rules that depend only on the trade itself, not on the rest of the day or week
+const TRADE_LEVEL_RULES = ["perTradeRiskPercent", "minRiskReward", "allowedSessions", "allowedPairs"];
+
+/**
+ * Violations of a trade as executed. The trade-level rules (risk, R:R,
+ * session, pair) are checked again against the trade as it is now, so an
+ * edit or a scale-in can add or clear them; imported trades were never
+ * checked. Recorded violations of the rules that depend on other trades
+ * (daily / weekly limits, open trades) are kept as saved. One entry per rule.
+ */
+export function collectTradeViolations(trade, rules = {}) {
+  const recorded = parseViolations(trade.ruleViolations ?? trade.rule_violations).filter(
+    (v) => !TRADE_LEVEL_RULES.includes(v.rule)
+  );
+  const candidate = {
+    pair: trade.pair,
+    entryDate: trade.entryDate ?? trade.entry_date,
+    risk: trade.risk,
+    ratio: trade.ratio,
+    session: trade.session,
+  };
+  const current = evaluateTradeRules(candidate, {}, rules)
+    .filter((v) => TRADE_LEVEL_RULES.includes(v.rule))
+    .map(({ rule, label, message }) => ({ rule, label, message }));
+  return [...recorded, ...current];
+}
+
+/**
+ * Status from the violations ("Invalid" when any), unless a manual override
+ * ("Valid" / "Invalid") is set.
+ *
+ * @returns {{ status: string, auto: string, overridden: boolean }}
+ */
+export function resolveTradeStatus(violations = [], override = null) {
+  const auto = violations.length ? "Invalid" : "Valid";
+  const overridden = TRADE_STATUSES.includes(override) && override !== auto;
+  return { status: overridden ? override : auto, auto, overridden };
+}
+
+/**
+ * Status fields to save on a trade. An override that matches the automatic
+ * status is dropped.
+ *
+ * @throws {Error} When the status is overridden without a reason.
+ */
+export function tradeStatusFields(violations = [], override = null, reason = "") {
+  const { status, overridden } = resolveTradeStatus(violations, override);
+  const why = String(reason || "").trim();
+  if (overridden && !why) throw new Error("Give a reason for overriding the status");
+  return {
+    status,
+    ruleViolations: violations,
+    statusOverride: overridden ? override : null,
+    statusReason: overridden ? why : null,
+  };
+}
+
+/**
+ * How often each rule was broken across `trades`, most broken first.
+ */
+export function countViolationsByRule(trades = []) {
+  const counts = {};
+  trades.forEach((t) => {
+    parseViolations(t.ruleViolations ?? t.rule_violations).forEach(({ rule, label }) => {
+      counts[rule] = counts[rule] || { rule, label: label || rule, count: 0 };
+      counts[rule].count += 1;
+    });
+  });
+  return Object.values(counts).sort((a, b) => b.count - a.count);
+}
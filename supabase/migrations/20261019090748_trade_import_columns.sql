@@ -0,0 +1,13 @@
+-- MT4/MT5 statement import: broker ticket and trading costs per trade.
+-- The ticket is kept for reference; duplicates are detected through the
+-- deterministic trade id derived from it.
+alter table public.trades
+  add column if not exists ticket text,
+  add column if not exists commission numeric not null default 0,
+  add column if not exists swap numeric not null default 0;
+
+-- Written by the Add Trade form before imports existed; added here in case
+-- the table predates them.
+alter table public.trades
+  add column if not exists trade_time text,
+  add column if not exists strategy text;
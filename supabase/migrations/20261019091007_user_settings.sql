@@ -0,0 +1,30 @@
+-- Per-user key/value settings (import profiles, instrument catalog, FX
+-- rates, rule sets, ...). `id` is a uuid v5 of "<user_id>:<key>" so every
+-- client writes the same row for a key.
+create table if not exists public.user_settings (
+  id uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  key text not null,
+  value jsonb,
+  updated_at timestamptz not null default now(),
+  unique (user_id, key)
+);
+
+alter table public.user_settings enable row level security;
+
+create policy "Users read their own settings"
+  on public.user_settings for select
+  using (auth.uid() = user_id);
+
+create policy "Users insert their own settings"
+  on public.user_settings for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users update their own settings"
+  on public.user_settings for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users delete their own settings"
+  on public.user_settings for delete
+  using (auth.uid() = user_id);
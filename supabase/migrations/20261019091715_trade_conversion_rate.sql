@@ -0,0 +1,3 @@
+-- Exchange rate (quote → account currency) used for the trade's pip value.
+alter table public.trades
+  add column if not exists conversion_rate numeric;
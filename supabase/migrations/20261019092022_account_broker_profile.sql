@@ -0,0 +1,4 @@
+-- Broker contract-spec profile of the account. Profiles live in the
+-- "brokerProfiles" user setting, so this is a plain id, not a foreign key.
+alter table public.account
+  add column if not exists broker_profile_id text;
@@ -0,0 +1,3 @@
+-- Other trading costs (taxes, platform fees), signed like commission and swap.
+alter table public.trades
+  add column if not exists fees numeric not null default 0;
@@ -0,0 +1,4 @@
+-- Scale-ins and partial closes of a position: [{ id, kind, time, price, lots, fee, note }].
+-- Null for a single entry and exit.
+alter table public.trades
+  add column if not exists legs jsonb;
@@ -0,0 +1,8 @@
+-- Stop management: the opening SL/TP, the timestamped changes since
+-- ([{ id, time, field, from, to, kind, note }], null when none) and the
+-- result the original plan would have had.
+alter table public.trades
+  add column if not exists initial_sl numeric,
+  add column if not exists initial_tp numeric,
+  add column if not exists sl_tp_events jsonb,
+  add column if not exists plan_outcome text;
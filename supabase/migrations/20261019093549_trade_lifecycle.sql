@@ -0,0 +1,8 @@
+-- Ideas and pending orders (state "Idea" / "Pending") before they are
+-- taken ("Active"), or end as "Expired" / "Cancelled" without a trade.
+alter table public.trades
+  add column if not exists order_type text,
+  add column if not exists expires_at timestamptz,
+  add column if not exists thesis text,
+  add column if not exists planned_at timestamptz,
+  add column if not exists resolved_at timestamptz;
@@ -0,0 +1,3 @@
+-- Trading rules the trade was saved in breach of: [{ rule, label, message }].
+alter table public.trades
+  add column if not exists rule_violations jsonb not null default '[]'::jsonb;
@@ -0,0 +1,4 @@
+-- Manual Valid/Invalid override of the status derived from rule violations.
+alter table public.trades
+  add column if not exists status_override text,
+  add column if not exists status_reason text;
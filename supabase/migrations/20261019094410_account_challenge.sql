@@ -0,0 +1,7 @@
+-- Prop-firm challenge rules of the account: { phase, maxDailyLossPercent,
+-- maxDrawdownPercent, drawdownMode, minTradingDays, timeLimitDays,
+-- startDate, startingBalance, timeZone }. `timeZone` is the broker server
+-- zone days are counted in (blank: local time). The profit target stays in
+-- `target`. Null for accounts without a challenge.
+alter table public.account
+  add column if not exists challenge jsonb;
@@ -0,0 +1,3 @@
+-- Pre-trade checklist answers: [{ text, source, required, checked }].
+alter table public.trades
+  add column if not exists checklist jsonb not null default '[]'::jsonb;
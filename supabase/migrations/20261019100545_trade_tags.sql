@@ -0,0 +1,3 @@
+-- Free-form trade tags, normalized to lower case: ["news", "a+ setup"].
+alter table public.trades
+  add column if not exists tags jsonb not null default '[]'::jsonb;